@@ -10,6 +10,8 @@ Usage:
   bash install.sh [--print]
 
 Behavior:
+  - Lists named profiles from ~/.config/lightpanda/profiles.json (or
+    $LIGHTPANDA_PROFILES) with redacted URLs and failover order, if present.
   - If LIGHTPANDA_CDP_URL (or CDP_WS_URL) is set, uses it as-is.
   - Otherwise, if LIGHTPANDA_TOKEN is set, builds a best-effort URL using:
       wss://$LIGHTPANDA_REGION.cloud.lightpanda.io/ws?token=$LIGHTPANDA_TOKEN
@@ -32,9 +34,34 @@ fi
 
 echo "=== Lightpanda Cloud Setup ==="
 
+profiles_file="${LIGHTPANDA_PROFILES:-$HOME/.config/lightpanda/profiles.json}"
+profiles_listed=0
+if [[ -f "$profiles_file" && "$PRINT_FULL" -eq 0 ]]; then
+  profiles_listed=1
+  echo "Profiles ($profiles_file):"
+  node -e '
+    const config = JSON.parse(require("fs").readFileSync(process.argv[1], "utf8"));
+    for (const [name, p] of Object.entries(config.profiles || {})) {
+      const urls = (p.urls || [p.url]).map((u) => String(u).replace(/(token=)[^&\s]+/gi, "$1***"));
+      const mark = name === config.default ? " (default)" : "";
+      const failover = (p.failover || []).length ? ` -> failover: ${p.failover.join(", ")}` : "";
+      console.log(`  ${name}${mark}: ${urls.join(", ")}${failover}`);
+    }
+  ' "$profiles_file" || echo "  (could not parse profiles file)"
+  echo ""
+fi
+
 endpoint_url="${LIGHTPANDA_CDP_URL:-${CDP_WS_URL:-}}"
 if [[ -z "$endpoint_url" ]]; then
   token="${LIGHTPANDA_TOKEN:-}"
+  if [[ -z "$token" && -f "$profiles_file" ]]; then
+    if [[ "$profiles_listed" -eq 1 ]]; then
+      echo "No LIGHTPANDA_CDP_URL set; scripts will use the profiles above (--profile <name> or LIGHTPANDA_PROFILE)."
+    else
+      echo "No LIGHTPANDA_CDP_URL set; scripts will use the profiles in $profiles_file (--profile <name> or LIGHTPANDA_PROFILE)."
+    fi
+    exit 0
+  fi
   if [[ -z "$token" ]]; then
     echo "ERROR: Missing LIGHTPANDA_CDP_URL (recommended), CDP_WS_URL, or LIGHTPANDA_TOKEN."
     echo ""
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+import { connect, envInt } from "./cdp.js";
+import { REF_PATTERN, resolveRef } from "./lib/snapshot.js";
+
+const DEBUG = process.env.DEBUG === "1";
+const log = DEBUG ? (...args) => console.error("[debug]", ...args) : () => {};
+
+function usage() {
+  console.log(`Usage:
+  node scripts/act.js click <selector> [--button left|middle|right] [--double]
+  node scripts/act.js type <selector> <text> [--clear]
+  node scripts/act.js press <key>
+  node scripts/act.js select <selector> <value> [value...]
+  node scripts/act.js scroll <selector|y|+dy|-dy>
+  node scripts/act.js hover <selector>
+
+Options:
+  --profile <name>             Connection profile (default: $LIGHTPANDA_PROFILE)
+  --target <id|index|url>      Tab to act on (default: the current tab)
+  --wait-for-selector <css>    After acting, wait until an element matches
+  --wait-for-function <js>     After acting, wait until the expression is truthy
+
+<selector> may also be a ref from \`extract.js --snapshot\` (e.g. e12).
+
+Keys: a single character or Enter, Tab, Escape, Backspace, Delete, Space,
+ArrowUp/Down/Left/Right, Home, End, PageUp, PageDown; prefix modifiers with
+Control+, Alt+, Shift+ or Meta+ (e.g. Control+a, or Control++ for the + key).
+
+Prints one JSON line: { action, selector or ref, via, ..., url }. "via" is "cdp" when
+the DOM/Input domains were used and "dom" when the action fell back to DOM
+events dispatched from the page.
+`);
+}
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  return args[i + 1] ?? null;
+}
+
+const VALUE_FLAGS = new Set(["--target", "--profile", "--button", "--wait-for-selector", "--wait-for-function"]);
+
+const args = process.argv.slice(2);
+if (args.length === 0 || args.includes("-h") || args.includes("--help")) {
+  usage();
+  process.exit(args.length === 0 ? 1 : 0);
+}
+
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+  if (VALUE_FLAGS.has(args[i])) {
+    i += 1;
+    continue;
+  }
+  if (args[i].startsWith("--")) continue;
+  positional.push(args[i]);
+}
+const [command, ...operands] = positional;
+const targetSpec = argValue(args, "--target");
+const actTimeout = envInt("CDP_ACT_TIMEOUT_MS", 10000);
+
+const globalTimeoutMs = envInt("CDP_GLOBAL_TIMEOUT_MS", 45000);
+const globalTimeout = setTimeout(() => {
+  console.error("✗ Global timeout exceeded");
+  process.exit(1);
+}, globalTimeoutMs);
+
+function need(count, what) {
+  if (operands.length < count) throw new Error(`${command} requires ${what}.`);
+}
+
+async function run(cdp, sessionId, targetId) {
+  // Refs come from the last snapshot of this tab. Selectors are waited for
+  // first, so an action can follow a navigation.
+  const element = async (spec) => {
+    if (REF_PATTERN.test(spec)) return resolveRef(targetId, spec);
+    await cdp.waitForReady(sessionId, { waitForSelector: spec, timeout: actTimeout });
+    return spec;
+  };
+
+  switch (command) {
+    case "click": {
+      need(1, "a selector");
+      return cdp.click(sessionId, await element(operands[0]), {
+        button: argValue(args, "--button") || "left",
+        clickCount: args.includes("--double") ? 2 : 1,
+      });
+    }
+    case "hover":
+      need(1, "a selector");
+      return cdp.hover(sessionId, await element(operands[0]));
+    case "type":
+      need(2, "a selector and text");
+      return cdp.type(sessionId, await element(operands[0]), operands.slice(1).join(" "), {
+        clear: args.includes("--clear"),
+      });
+    case "press":
+      need(1, "a key");
+      return cdp.press(sessionId, operands[0]);
+    case "select":
+      need(2, "a selector and at least one value");
+      return cdp.select(sessionId, await element(operands[0]), operands.slice(1));
+    case "scroll":
+      need(1, "a selector or a y position");
+      if (/^[+-]?\d+$/.test(operands[0])) return cdp.scroll(sessionId, operands[0]);
+      return cdp.scroll(sessionId, await element(operands[0]));
+    default:
+      throw new Error(`Unknown action '${command}' (expected click, type, press, select, scroll or hover).`);
+  }
+}
+
+try {
+  log("connecting...");
+  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000), {
+    profile: argValue(args, "--profile"),
+    session: true,
+  });
+  try {
+    const targetId = await cdp.selectPage(targetSpec);
+    const sessionId = await cdp.attachToPage(targetId);
+    try {
+      await cdp.send("Runtime.enable", {}, sessionId);
+      await cdp.send("Page.enable", {}, sessionId);
+    } catch {}
+
+    log("acting...");
+    const result = await run(cdp, sessionId, targetId);
+    if (result.fallback) log("fell back to DOM events:", result.fallback);
+
+    await cdp.waitForReady(sessionId, {
+      waitForSelector: argValue(args, "--wait-for-selector"),
+      waitForFunction: argValue(args, "--wait-for-function"),
+      timeout: envInt("CDP_NAV_TIMEOUT_MS", 30000),
+    });
+    let url = null;
+    try {
+      url = await cdp.evaluate(sessionId, "location.href", 5000);
+    } catch {}
+    console.log(JSON.stringify({ ...result, url, targetId }));
+  } finally {
+    try {
+      cdp.close();
+    } catch {}
+  }
+} catch (e) {
+  console.error("✗", e.message);
+  process.exit(1);
+} finally {
+  clearTimeout(globalTimeout);
+}
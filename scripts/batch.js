@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+
+import { appendFileSync, existsSync, readFileSync, writeFileSync } from "node:fs";
+import { connect, envInt, navigationFailure, parseStatusRanges } from "./cdp.js";
+import { extractPage, PAGE_FIELDS } from "./lib/extract.js";
+import { applySchema, loadSchema, SCHEMA_SCRIPT } from "./lib/schema.js";
+
+const DEBUG = process.env.DEBUG === "1";
+const log = DEBUG ? (...args) => console.error("[debug]", ...args) : () => {};
+
+function usage() {
+  console.log(`Usage:
+  node scripts/batch.js --urls <file|-> [options]
+  node scripts/batch.js <url...> [options]
+
+Extracts the same fields from every URL over one connection, using several tabs
+at once. Writes one JSON line per URL as it finishes (not in input order):
+  { index, url, ok: true, attempts, ms, timings, finalUrl, status, ...fields }
+  { index, url, ok: false, attempts, ms, status?, error }
+
+Options:
+  --urls <file|->        URLs to visit, one per line (# comments); "-" reads stdin
+  --concurrency <n>      Tabs used in parallel (default: 4; capped by the profile's
+                         maxTabs or LIGHTPANDA_MAX_TABS, minus pages already open)
+  --fields <list>        Comma-separated fields per page: ${PAGE_FIELDS.join(", ")}
+                         (default: title,url,text)
+  --schema <file>        Also extract the fields declared in a schema file (adds data/valid/errors)
+  --retries <n>          Retries per URL after a retryable failure (default: 2)
+  --retry-delay-ms <n>   First retry delay, doubled each attempt (default: 1000)
+  --out <file>           Write JSONL here instead of stdout
+  --profile <name>       Connection profile (default: $LIGHTPANDA_PROFILE)
+  --wait-until <state>   load|domcontentloaded|networkidle (default: load)
+  --wait-for-selector <css> / --wait-for-function <js>  Extra readiness condition per page
+  --fail-on-status <ranges> Record these statuses as errors (default: 4xx,5xx)
+  --selector <css>       Extract text / Markdown / tables from a specific element
+  --max-links <n>        Limit links (default: 50)
+  --max-chars <n>        Limit text / Markdown length (default: 5000)
+  --max-rows <n>         Limit rows per table (default: 500)
+  -h, --help             Show help
+
+Network errors, timeouts, 408, 429 and 5xx responses are retried; other
+failures are recorded once. Every tab the batch opened is closed when it ends
+(also on Ctrl-C). A summary goes to stderr.
+`);
+}
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  return args[i + 1] ?? null;
+}
+
+function argInt(args, name, fallback, min = 1) {
+  const raw = argValue(args, name);
+  if (raw == null) return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min) return fallback;
+  return Math.floor(value);
+}
+
+const VALUE_FLAGS = new Set([
+  "--urls",
+  "--concurrency",
+  "--fields",
+  "--schema",
+  "--retries",
+  "--retry-delay-ms",
+  "--out",
+  "--profile",
+  "--wait-until",
+  "--wait-for-selector",
+  "--wait-for-function",
+  "--fail-on-status",
+  "--selector",
+  "--max-links",
+  "--max-chars",
+  "--max-rows",
+]);
+
+const args = process.argv.slice(2);
+if (args.includes("-h") || args.includes("--help")) {
+  usage();
+  process.exit(0);
+}
+
+const urlsFile = argValue(args, "--urls");
+const concurrency = argInt(args, "--concurrency", 4);
+const retries = argInt(args, "--retries", 2, 0);
+const retryDelayMs = argInt(args, "--retry-delay-ms", 1000, 0);
+const outPath = argValue(args, "--out");
+const schemaPath = argValue(args, "--schema");
+const extractOptions = {
+  selector: argValue(args, "--selector"),
+  maxLinks: argInt(args, "--max-links", 50),
+  maxChars: argInt(args, "--max-chars", 5000),
+  maxRows: argInt(args, "--max-rows", 500),
+  timeout: envInt("CDP_EVAL_TIMEOUT_MS", 30000),
+};
+const waitOptions = {
+  waitUntil: argValue(args, "--wait-until") || "load",
+  waitForSelector: argValue(args, "--wait-for-selector"),
+  waitForFunction: argValue(args, "--wait-for-function"),
+  timeout: envInt("CDP_NAV_TIMEOUT_MS", 30000),
+};
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function readUrls() {
+  const urls = args.filter((a, i) => !a.startsWith("--") && !VALUE_FLAGS.has(args[i - 1]));
+  if (urlsFile) {
+    if (urlsFile !== "-" && !existsSync(urlsFile)) throw new Error(`URL list not found: ${urlsFile}`);
+    const text = readFileSync(urlsFile === "-" ? 0 : urlsFile, "utf8");
+    for (const line of text.split(/\r?\n/)) {
+      const url = line.replace(/(^|\s)#.*/, "").trim();
+      if (url) urls.push(url);
+    }
+  }
+  return urls;
+}
+
+function parseFields(spec) {
+  const fields = new Set(spec.split(",").map((f) => f.trim()).filter(Boolean));
+  for (const field of fields) {
+    if (!PAGE_FIELDS.includes(field)) {
+      throw new Error(`Unknown field '${field}' in --fields (expected ${PAGE_FIELDS.join(", ")}).`);
+    }
+  }
+  return fields;
+}
+
+/** Transient failures worth another attempt: network errors, timeouts, 408, 429, 5xx. */
+function retryable(status, error) {
+  if (status === 408 || status === 429 || (status >= 500 && status <= 599)) return true;
+  return status == null && !!error;
+}
+
+/** Tab budget: the plan limit (profile maxTabs or LIGHTPANDA_MAX_TABS) minus pages already open. */
+async function tabBudget(cdp) {
+  const limit = cdp.endpoint?.maxTabs || envInt("LIGHTPANDA_MAX_TABS", 0);
+  if (!limit) return concurrency;
+  const open = (await cdp.getPages()).length;
+  const available = limit - open;
+  if (available < 1) {
+    throw new Error(`No tab available: ${open} pages open and the limit is ${limit}; close some with tabs.js first.`);
+  }
+  if (available < concurrency) log(`concurrency limited to ${available} (limit ${limit}, ${open} open)`);
+  return Math.min(concurrency, available);
+}
+
+try {
+  const fields = parseFields(argValue(args, "--fields") || "title,url,text");
+  const schema = schemaPath ? loadSchema(schemaPath) : null;
+  const failRanges = parseStatusRanges(argValue(args, "--fail-on-status") ?? "4xx,5xx");
+  const urls = readUrls();
+  if (urls.length === 0) {
+    usage();
+    process.exit(1);
+  }
+
+  if (outPath) writeFileSync(outPath, "");
+  const emit = (record) => {
+    const line = JSON.stringify(record);
+    if (outPath) appendFileSync(outPath, `${line}\n`);
+    else console.log(line);
+  };
+
+  log("connecting...");
+  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000), {
+    profile: argValue(args, "--profile"),
+    session: true,
+  });
+
+  const tabs = new Set();
+  const openTab = async () => {
+    const { targetId } = await cdp.send("Target.createTarget", { url: "about:blank" });
+    const tab = { targetId, sessionId: null };
+    tabs.add(tab);
+    tab.sessionId = await cdp.attachToPage(targetId);
+    try {
+      await cdp.send("Runtime.enable", {}, tab.sessionId);
+      await cdp.send("Page.enable", {}, tab.sessionId);
+    } catch {}
+    return tab;
+  };
+  const closeTab = async (tab) => {
+    tabs.delete(tab);
+    try {
+      await cdp.send("Target.closeTarget", { targetId: tab.targetId }, null, 5000);
+    } catch {}
+  };
+  const closeAll = () => Promise.allSettled([...tabs].map(closeTab));
+
+  let interrupted = false;
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, async () => {
+      if (interrupted) return;
+      interrupted = true;
+      console.error(`✗ Interrupted; closing ${tabs.size} tab(s)`);
+      await closeAll();
+      process.exit(130);
+    });
+  }
+
+  const visit = async (tab, url) => {
+    const started = Date.now();
+    const navigation = await cdp.navigateAndWait(tab.sessionId, url, waitOptions);
+    const navigated = Date.now();
+    const record = { finalUrl: navigation.finalUrl, status: navigation.status };
+    const failure = navigationFailure(navigation, failRanges);
+    if (failure) return { record, error: failure };
+
+    Object.assign(record, await extractPage(cdp, tab.sessionId, fields, extractOptions));
+    if (schema) {
+      const raw = await cdp.evaluate(tab.sessionId, `(${SCHEMA_SCRIPT})(${JSON.stringify(schema)})`, extractOptions.timeout);
+      const { data, valid, errors, missing } = applySchema(schema, raw);
+      Object.assign(record, { data, valid });
+      if (errors.length > 0) record.errors = errors;
+      if (missing.length > 0) record.missing = missing;
+    }
+    record.timings = { navigateMs: navigated - started, extractMs: Date.now() - navigated };
+    return { record };
+  };
+
+  const summary = { urls: urls.length, ok: 0, failed: 0, retried: 0, tabs: 0 };
+  const startedAt = Date.now();
+  let next = 0;
+
+  // Each worker owns one tab. A tab that threw (timeout, crash) is replaced
+  // before the retry, since its page may still be busy. When no new tab can
+  // be opened, the URL is recorded as failed and the next one tries again.
+  const worker = async (tab) => {
+    while (next < urls.length && !interrupted) {
+      const index = next++;
+      const url = urls[index];
+      const started = Date.now();
+      let attempts = 0;
+      let outcome;
+      while (true) {
+        if (!tab) {
+          try {
+            tab = await openTab();
+          } catch (e) {
+            if (!cdp.connected) throw e;
+            const reason = `could not open a tab (${e.message})`;
+            outcome = outcome
+              ? { ...outcome, error: `${outcome.error}; retry skipped: ${reason}` }
+              : { record: {}, error: `Not visited: ${reason}` };
+            break;
+          }
+        }
+        attempts += 1;
+        try {
+          outcome = await visit(tab, url);
+        } catch (e) {
+          if (!cdp.connected) throw e;
+          outcome = { record: {}, error: e.message, thrown: true };
+        }
+        if (!outcome.error || attempts > retries || !retryable(outcome.record.status, outcome.error)) break;
+        summary.retried += 1;
+        const delay = Math.min(30000, retryDelayMs * 2 ** (attempts - 1));
+        log(`retry ${attempts}/${retries} in ${delay}ms: ${url} (${outcome.error})`);
+        if (outcome.thrown) {
+          await closeTab(tab);
+          tab = null;
+        }
+        await sleep(delay);
+      }
+
+      const { record, error } = outcome;
+      const result = { index, url, ok: !error, attempts, ms: Date.now() - started, ...record };
+      if (error) result.error = error;
+      if (error) summary.failed += 1;
+      else summary.ok += 1;
+      emit(result);
+    }
+    if (tab) await closeTab(tab);
+  };
+
+  try {
+    const budget = Math.min(await tabBudget(cdp), urls.length);
+    const workers = [];
+    for (let i = 0; i < budget; i++) {
+      let tab;
+      try {
+        tab = await openTab();
+      } catch (e) {
+        if (!cdp.connected || workers.length === 0) throw e;
+        console.error(`⚠ opened ${workers.length} of ${budget} tabs (${e.message}); continuing with fewer`);
+        break;
+      }
+      workers.push(worker(tab));
+    }
+    summary.tabs = workers.length;
+    await Promise.all(workers);
+  } finally {
+    await closeAll();
+    try {
+      cdp.close();
+    } catch {}
+  }
+
+  summary.ms = Date.now() - startedAt;
+  console.error(`✓ batch finished ${JSON.stringify(summary)}`);
+} catch (e) {
+  console.error("✗", e.message);
+  process.exit(1);
+}
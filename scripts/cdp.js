@@ -3,6 +3,12 @@
  */
 
 import { promises as dns } from "node:dns";
+import { appendFileSync, writeFileSync } from "node:fs";
+import { expandEndpoint, loadProfiles, profileEndpoints, profilesPath } from "./lib/profiles.js";
+import { domActionScript, parseKey } from "./lib/input.js";
+import { createRedactor, loadRedactionRules } from "./lib/redact.js";
+import { loadRecording, ReplaySocket } from "./lib/replay.js";
+import { openSessionSocket } from "./lib/session.js";
 
 async function getWebSocketImpl() {
   if (typeof globalThis.WebSocket === "function") return globalThis.WebSocket;
@@ -72,10 +78,12 @@ function toTextPayload(data) {
   return String(data);
 }
 
-async function connectWebSocket(wsUrl, timeout) {
+async function openWebSocket(wsUrl, timeout, headers = null) {
   const WebSocketImpl = await getWebSocketImpl();
   return new Promise((resolve, reject) => {
-    const ws = new WebSocketImpl(wsUrl);
+    // Both undici's WebSocket and `ws` accept { headers } as the second argument.
+    const hasHeaders = headers && Object.keys(headers).length > 0;
+    const ws = hasHeaders ? new WebSocketImpl(wsUrl, { headers }) : new WebSocketImpl(wsUrl);
     const connectTimeout = setTimeout(() => {
       ws.close();
       reject(new Error("WebSocket connect timeout"));
@@ -83,7 +91,7 @@ async function connectWebSocket(wsUrl, timeout) {
 
     wsAddListener(ws, "open", () => {
       clearTimeout(connectTimeout);
-      resolve(new CDP(ws));
+      resolve(ws);
     });
     wsAddListener(ws, "error", () => {
       clearTimeout(connectTimeout);
@@ -92,11 +100,16 @@ async function connectWebSocket(wsUrl, timeout) {
   });
 }
 
-async function fetchJsonWithTimeout(url, timeoutMs) {
+async function connectWebSocket(wsUrl, timeout, options = {}) {
+  const ws = await openWebSocket(wsUrl, timeout, options.headers);
+  return new CDP(ws, { ...options, wsUrl, timeout });
+}
+
+async function fetchJsonWithTimeout(url, timeoutMs, headers = {}) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
   try {
-    const resp = await fetch(url, { signal: controller.signal });
+    const resp = await fetch(url, { signal: controller.signal, headers });
     if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
     return await resp.json();
   } finally {
@@ -111,10 +124,10 @@ function joinUrl(base, path) {
   return u.toString();
 }
 
-async function resolveWsFromHttp(httpUrl, timeoutMs) {
+async function resolveWsFromHttp(httpUrl, timeoutMs, headers) {
   // Try the provided URL first (might already be /json/version)
   try {
-    const json = await fetchJsonWithTimeout(httpUrl, timeoutMs);
+    const json = await fetchJsonWithTimeout(httpUrl, timeoutMs, headers);
     if (json?.webSocketDebuggerUrl) return json.webSocketDebuggerUrl;
   } catch {
     // fall through
@@ -122,7 +135,7 @@ async function resolveWsFromHttp(httpUrl, timeoutMs) {
 
   // Try appending /json/version (common CDP discovery endpoint)
   const versionUrl = joinUrl(httpUrl, "/json/version");
-  const json = await fetchJsonWithTimeout(versionUrl, timeoutMs);
+  const json = await fetchJsonWithTimeout(versionUrl, timeoutMs, headers);
   if (json?.webSocketDebuggerUrl) return json.webSocketDebuggerUrl;
   throw new Error("Could not resolve webSocketDebuggerUrl from HTTP endpoint.");
 }
@@ -134,7 +147,7 @@ function guessWsFromHttp(httpUrl) {
   return u.toString();
 }
 
-function redactSecrets(text) {
+export function redactSecrets(text) {
   if (!text) return "";
   return String(text)
     .replace(/(token=)[^&\s]+/gi, "$1***")
@@ -142,42 +155,203 @@ function redactSecrets(text) {
     .replace(/(authorization:)\s*\S+/gi, "$1 ***");
 }
 
-export async function connect(timeout = 5000) {
+let recordRedactor = null;
+
+/** The user's redaction rules (see lib/redact.js), loaded once for CDP_RECORD. */
+function getRecordRedactor() {
+  recordRedactor ||= createRedactor(loadRedactionRules());
+  return recordRedactor;
+}
+
+/**
+ * CDP_RECORD=path.jsonl: log every command, response and event with a
+ * timestamp (ms since connect) so it can be replayed with CDP_REPLAY.
+ * Payloads go through the redaction rules.
+ */
+function createRecorder(path, wsUrl) {
+  const redactor = getRecordRedactor();
+  const started = Date.now();
+  const endpoint = wsUrl ? describeWsEndpoint(wsUrl) : null;
+  writeFileSync(path, `${JSON.stringify({ t: 0, dir: "open", endpoint, at: new Date().toISOString() })}\n`);
+  return (dir, msg) => {
+    try {
+      appendFileSync(path, `${JSON.stringify({ t: Date.now() - started, dir, msg: redactor.value(msg) })}\n`);
+    } catch {
+      // Recording is best-effort; never break the session over it.
+    }
+  };
+}
+
+/**
+ * Endpoint list to try, in order: --profile / LIGHTPANDA_PROFILE, then
+ * LIGHTPANDA_CDP_URL / CDP_WS_URL, then the profiles file's default.
+ * Returns null when nothing is configured (local Chrome fallback).
+ */
+function resolveEndpoints(profileName) {
+  const name = (profileName || process.env.LIGHTPANDA_PROFILE || "").trim();
+  if (name) {
+    const config = loadProfiles();
+    if (!config) throw new Error(`Profile '${name}' requested but ${profilesPath()} does not exist.`);
+    return profileEndpoints(config, name);
+  }
+
   const envWsUrl = getCdpWsUrlFromEnv();
-  if (envWsUrl) {
+  if (envWsUrl) return [{ profile: null, url: envWsUrl, headers: {} }];
+
+  const config = loadProfiles();
+  if (config?.default) return profileEndpoints(config, config.default);
+  return null;
+}
+
+async function connectEndpoint(rawUrl, timeout, options) {
+  let parsed;
+  try {
+    parsed = new URL(rawUrl);
+  } catch {
+    parsed = null;
+  }
+  if (parsed?.hostname) await assertDnsResolves(parsed.hostname);
+
+  if (rawUrl.startsWith("ws://") || rawUrl.startsWith("wss://")) {
+    return await connectWebSocket(rawUrl, timeout, options);
+  }
+  if (rawUrl.startsWith("http://") || rawUrl.startsWith("https://")) {
+    // Common case: user copied an https URL (or base host). Try to convert to ws/wss first.
     try {
-      let parsed;
-      try {
-        parsed = new URL(envWsUrl);
-      } catch {
-        parsed = null;
-      }
-      if (parsed?.hostname) await assertDnsResolves(parsed.hostname);
+      return await connectWebSocket(guessWsFromHttp(rawUrl), timeout, options);
+    } catch {
+      // fall through
+    }
+    const wsUrl = await resolveWsFromHttp(rawUrl, timeout, options.headers);
+    return await connectWebSocket(wsUrl, timeout, options);
+  }
+  throw new Error(
+    "Invalid LIGHTPANDA_CDP_URL/CDP_WS_URL (must start with ws://, wss://, http://, or https://)."
+  );
+}
 
-      if (envWsUrl.startsWith("ws://") || envWsUrl.startsWith("wss://")) {
-        return await connectWebSocket(envWsUrl, timeout);
-      }
-      if (envWsUrl.startsWith("http://") || envWsUrl.startsWith("https://")) {
-        // Common case: user copied an https URL (or base host). Try to convert to ws/wss first.
-        try {
-          return await connectWebSocket(guessWsFromHttp(envWsUrl), timeout);
-        } catch {
-          // fall through
+async function connectSession(timeout, options) {
+  const socket = await openSessionSocket(Math.min(timeout, 1000));
+  if (!socket) return null;
+  const cdp = new CDP(socket, { timeout });
+  try {
+    const info = await cdp.send("Session.getInfo", {}, null, timeout);
+    // An explicit --profile that differs from the daemon's means "connect there".
+    if (options.profile && info.endpoint?.profile !== options.profile) {
+      cdp.close();
+      return null;
+    }
+    cdp.defaultTargetId = info.targetId || null;
+    cdp.endpoint = { ...info.endpoint, session: true };
+    return cdp;
+  } catch {
+    cdp.close();
+    return null;
+  }
+}
+
+/**
+ * Parse a status range list like "4xx,5xx", "400-499,503" or "none".
+ */
+export function parseStatusRanges(spec) {
+  const raw = String(spec ?? "").trim().toLowerCase();
+  if (!raw || raw === "none") return [];
+  return raw.split(",").map((part) => {
+    const p = part.trim();
+    let m = p.match(/^([1-5])xx$/);
+    if (m) return [Number(m[1]) * 100, Number(m[1]) * 100 + 99];
+    m = p.match(/^(\d{3})-(\d{3})$/);
+    if (m) return [Number(m[1]), Number(m[2])];
+    m = p.match(/^(\d{3})$/);
+    if (m) return [Number(m[1]), Number(m[1])];
+    throw new Error(`Invalid status range '${p}' (use e.g. 4xx, 400-499, 404 or none).`);
+  });
+}
+
+/**
+ * Describe why a navigation report counts as a failure, or null if it doesn't.
+ */
+export function navigationFailure(nav, ranges) {
+  if (nav.errorText) return `Navigation failed: ${nav.errorText} (${nav.url})`;
+  const status = nav.status;
+  if (status != null && ranges.some(([lo, hi]) => status >= lo && status <= hi)) {
+    const text = nav.statusText ? ` ${nav.statusText}` : "";
+    return `HTTP ${status}${text} for ${nav.finalUrl || nav.url}`;
+  }
+  return null;
+}
+
+/**
+ * Connect to the configured CDP endpoint.
+ *
+ * Options:
+ *   profile: name from the profiles file (overrides LIGHTPANDA_PROFILE); its
+ *     endpoints and failover profiles are tried in order until one connects.
+ *   reconnect: true | { retries, minDelayMs, maxDelayMs }
+ *     Re-open the socket with exponential backoff when it drops, then restore
+ *     target discovery and re-attach previously attached targets.
+ *   session: true
+ *     Route through the session daemon (scripts/session.js) when it is
+ *     running, so page state survives between commands. LIGHTPANDA_NO_SESSION=1
+ *     opts out.
+ *
+ * CDP_REPLAY=path.jsonl plays back a CDP_RECORD recording instead of
+ * connecting anywhere.
+ */
+export async function connect(timeout = 5000, options = {}) {
+  const replayPath = (process.env.CDP_REPLAY || "").trim();
+  if (replayPath) {
+    return new CDP(new ReplaySocket(loadRecording(replayPath)), { timeout, replay: true });
+  }
+  // A broken rules file is reported as such, not as a failed connection.
+  if ((process.env.CDP_RECORD || "").trim()) getRecordRedactor();
+
+  if (options.session && process.env.LIGHTPANDA_NO_SESSION !== "1") {
+    const cdp = await connectSession(timeout, options);
+    if (cdp) return cdp;
+  }
+
+  const endpoints = resolveEndpoints(options.profile);
+  if (endpoints) {
+    const failures = [];
+    for (const [index, endpoint] of endpoints.entries()) {
+      try {
+        // Expanded here, so an unset ${VAR} only fails this endpoint.
+        const { url, headers } = endpoint.profile ? expandEndpoint(endpoint) : endpoint;
+        const cdp = await connectEndpoint(url, endpoint.timeoutMs || timeout, {
+          ...options,
+          headers,
+          commandTimeout: endpoint.commandTimeoutMs,
+        });
+        cdp.endpoint = {
+          profile: endpoint.profile,
+          url: describeWsEndpoint(url),
+          index,
+        };
+        if (endpoint.maxTabs) cdp.endpoint.maxTabs = endpoint.maxTabs;
+        if (index > 0) {
+          const name = endpoint.profile ? `profile '${endpoint.profile}' ` : "";
+          console.error(`⚠ connected via failover endpoint ${name}(${cdp.endpoint.url})`);
         }
-        const wsUrl = await resolveWsFromHttp(envWsUrl, timeout);
-        return await connectWebSocket(wsUrl, timeout);
+        return cdp;
+      } catch (e) {
+        failures.push({ endpoint, detail: redactSecrets(e?.message || "") });
       }
-      throw new Error(
-        "Invalid LIGHTPANDA_CDP_URL/CDP_WS_URL (must start with ws://, wss://, http://, or https://)."
-      );
-    } catch (e) {
-      const endpoint = describeWsEndpoint(envWsUrl);
-      const detail = redactSecrets(e?.message || "");
+    }
+
+    if (failures.length === 1) {
+      const { endpoint, detail } = failures[0];
+      const hint = endpoint.profile ? `profile '${endpoint.profile}'` : "LIGHTPANDA_CDP_URL";
       const suffix = detail ? ` ${detail}` : "";
       throw new Error(
-        `Failed to connect to CDP websocket at ${endpoint}. Verify LIGHTPANDA_CDP_URL and your network access.${suffix}`
+        `Failed to connect to CDP websocket at ${describeWsEndpoint(endpoint.url)}. Verify ${hint} and your network access.${suffix}`
       );
     }
+    const lines = failures.map(
+      ({ endpoint, detail }) =>
+        `${endpoint.profile} ${describeWsEndpoint(endpoint.url)}: ${detail || "connection failed"}`
+    );
+    throw new Error(`Failed to connect to any CDP endpoint:\n  - ${lines.join("\n  - ")}`);
   }
 
   // Dev fallback: connect to a locally running Chrome on :9222.
@@ -191,7 +365,7 @@ export async function connect(timeout = 5000) {
     const { webSocketDebuggerUrl } = await resp.json();
     clearTimeout(timeoutId);
 
-    return await connectWebSocket(webSocketDebuggerUrl, timeout);
+    return await connectWebSocket(webSocketDebuggerUrl, timeout, options);
   } catch (e) {
     clearTimeout(timeoutId);
     if (e.name === "AbortError") {
@@ -203,32 +377,368 @@ export async function connect(timeout = 5000) {
   }
 }
 
+function normalizeReconnect(value) {
+  if (!value) return null;
+  const opts = value === true ? {} : value;
+  return {
+    retries: opts.retries ?? envInt("CDP_RECONNECT_RETRIES", 5),
+    minDelayMs: opts.minDelayMs ?? 500,
+    maxDelayMs: opts.maxDelayMs ?? 10000,
+  };
+}
+
+function describeClose(eventOrCode, reason) {
+  const code = typeof eventOrCode === "number" ? eventOrCode : eventOrCode?.code;
+  const text = toTextPayload(
+    typeof eventOrCode === "number" ? reason || "" : eventOrCode?.reason || ""
+  );
+  if (code && text) return `code ${code}, ${text}`;
+  if (code) return `code ${code}`;
+  return "socket closed";
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const WAIT_UNTIL = new Set(["load", "domcontentloaded", "networkidle"]);
+const WAIT_POLL_MS = 100;
+const NETWORK_IDLE_MS = 500;
+
+const MOUSE_BUTTONS = { left: 0, middle: 1, right: 2 };
+
+/**
+ * Tracks load milestones and the main document response for one navigation
+ * from Page/Network events. Subscribes before the navigation is triggered so
+ * fast pages can't race it.
+ */
+class LoadWatcher {
+  constructor(cdp, sessionId, waitUntil) {
+    this.sessionId = sessionId;
+    this.waitUntil = waitUntil;
+    this.frameId = null;
+    this.loaderId = null;
+    this.navigated = false;
+    this.lifecycle = [];
+    this.fired = new Set();
+    this.inflight = new Set();
+    this.documents = new Map();
+    this.idleTimer = null;
+    this.idle = false;
+    this.onChange = null;
+
+    const own = (handler) => (params, sid) => {
+      if (sid === this.sessionId) handler(params);
+    };
+    this.removers = [
+      cdp.on("Page.lifecycleEvent", own((p) => {
+        this.lifecycle.push(p);
+        this.update();
+      })),
+      cdp.on("Page.domContentEventFired", own(() => this.mark("domcontentloaded"))),
+      cdp.on("Page.loadEventFired", own(() => this.mark("load"))),
+      cdp.on("Network.requestWillBeSent", own((p) => {
+        this.inflight.add(p.requestId);
+        if (p.type === "Document") this.trackDocument(p);
+        this.update();
+      })),
+      cdp.on("Network.responseReceived", own((p) => {
+        const doc = this.documents.get(p.requestId);
+        if (!doc) return;
+        const r = p.response || {};
+        doc.response = {
+          url: r.url || null,
+          status: r.status ?? null,
+          statusText: r.statusText || null,
+          mimeType: r.mimeType || null,
+        };
+      })),
+      cdp.on("Network.loadingFinished", own((p) => this.settle(p.requestId))),
+      cdp.on("Network.loadingFailed", own((p) => this.settle(p.requestId))),
+    ];
+  }
+
+  setNavigation(result) {
+    this.navigated = true;
+    this.frameId = result?.frameId || null;
+    this.loaderId = result?.loaderId || null;
+    this.update();
+  }
+
+  trackDocument(p) {
+    const existing = this.documents.get(p.requestId);
+    if (existing && p.redirectResponse) {
+      const r = p.redirectResponse;
+      const headers = r.headers || {};
+      existing.redirects.push({
+        url: r.url || existing.url,
+        status: r.status ?? null,
+        location: headers.location || headers.Location || p.request?.url || null,
+      });
+      existing.url = p.request?.url || existing.url;
+      return;
+    }
+    this.documents.set(p.requestId, {
+      frameId: p.frameId || null,
+      loaderId: p.loaderId || null,
+      url: p.request?.url || null,
+      redirects: [],
+      response: null,
+    });
+  }
+
+  mainDocument() {
+    const docs = Array.from(this.documents.entries());
+    const byLoader = docs.find(
+      ([id, d]) => this.loaderId && (d.loaderId === this.loaderId || id === this.loaderId)
+    );
+    if (byLoader) return byLoader[1];
+    const inFrame = docs.filter(([, d]) => !this.frameId || !d.frameId || d.frameId === this.frameId);
+    return inFrame.at(-1)?.[1] || null;
+  }
+
+  mark(name) {
+    this.fired.add(name);
+    this.update();
+  }
+
+  settle(requestId) {
+    this.inflight.delete(requestId);
+    this.update();
+  }
+
+  lifecycleFired(name) {
+    return this.lifecycle.some(
+      (e) =>
+        e.name === name &&
+        (!this.frameId || !e.frameId || e.frameId === this.frameId) &&
+        (!this.loaderId || !e.loaderId || e.loaderId === this.loaderId)
+    );
+  }
+
+  reached(name) {
+    if (name === "domcontentloaded") {
+      return this.fired.has(name) || this.lifecycleFired("DOMContentLoaded") || this.reached("load");
+    }
+    if (name === "load") return this.fired.has("load") || this.lifecycleFired("load");
+    return this.reached("load") && (this.idle || this.lifecycleFired("networkIdle"));
+  }
+
+  update() {
+    if (this.waitUntil === "networkidle") {
+      const quiet = this.reached("load") && this.inflight.size === 0;
+      if (!quiet) {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        this.idle = false;
+      } else if (!this.idleTimer && !this.idle) {
+        this.idleTimer = setTimeout(() => {
+          this.idle = true;
+          this.onChange?.();
+        }, NETWORK_IDLE_MS);
+      }
+    }
+    this.onChange?.();
+  }
+
+  wait(deadline) {
+    // Same-document navigations (no loaderId) don't produce load events.
+    if (this.navigated && !this.loaderId) return Promise.resolve();
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.onChange = null;
+        reject(
+          new Error(
+            `Wait timeout after ${Date.now() - started}ms: page did not reach "${this.waitUntil}"`
+          )
+        );
+      }, Math.max(0, deadline - started));
+      this.onChange = () => {
+        if (!this.reached(this.waitUntil)) return;
+        clearTimeout(timer);
+        this.onChange = null;
+        resolve();
+      };
+      this.onChange();
+    });
+  }
+
+  dispose() {
+    clearTimeout(this.idleTimer);
+    this.onChange = null;
+    for (const remove of this.removers) remove();
+  }
+}
+
 class CDP {
-  constructor(ws) {
-    this.ws = ws;
+  constructor(ws, options = {}) {
+    this.ws = null;
+    this.wsUrl = options.wsUrl || null;
+    this.headers = options.headers || null;
+    this.connectTimeout = options.timeout || 5000;
+    this.commandTimeout = options.commandTimeout || 10000;
+    this.endpoint = null;
+    // Set when connected through the session daemon: the target it pinned.
+    this.defaultTargetId = null;
+    this.reconnect = normalizeReconnect(options.reconnect);
+    this.connected = false;
+    this.closing = false;
+    this.reconnecting = false;
     this.id = 0;
     this.callbacks = new Map();
     this.sessions = new Map();
     this.eventHandlers = new Map();
+    // State replayed after a reconnect.
+    this.discoverTargets = null;
+    this.attachedTargets = new Map();
+    const recordPath = (process.env.CDP_RECORD || "").trim();
+    this.record = recordPath && !options.replay ? createRecorder(recordPath, this.wsUrl) : null;
+
+    this.bindSocket(ws);
+  }
+
+  bindSocket(ws) {
+    this.ws = ws;
+    this.connected = true;
+
+    const removers = [
+      wsAddListener(ws, "message", (eventOrData) => {
+        if (ws !== this.ws) return;
+        const raw = eventOrData?.data !== undefined ? eventOrData.data : eventOrData;
+        const msg = JSON.parse(toTextPayload(raw));
+        this.record?.("recv", msg);
+        this.handleMessage(msg);
+      }),
+      wsAddListener(ws, "close", (eventOrCode, reason) => {
+        this.handleDisconnect(ws, describeClose(eventOrCode, reason));
+      }),
+      wsAddListener(ws, "error", (eventOrError) => {
+        const detail = eventOrError?.message || eventOrError?.error?.message || "socket error";
+        this.handleDisconnect(ws, detail);
+      }),
+    ];
+    this.unbindSocket = () => {
+      for (const remove of removers) remove();
+    };
+  }
+
+  handleMessage(msg) {
+    if (msg.id && this.callbacks.has(msg.id)) {
+      const { resolve, reject } = this.callbacks.get(msg.id);
+      this.callbacks.delete(msg.id);
+      if (msg.error) {
+        reject(Object.assign(new Error(msg.error.message), { code: msg.error.code }));
+      } else {
+        resolve(msg.result);
+      }
+      return;
+    }
+
+    if (msg.method) {
+      const params = msg.params || {};
+      if (msg.method === "Target.detachedFromTarget") {
+        this.forgetAttachment(params.targetId, params.sessionId);
+      } else if (msg.method === "Target.targetDestroyed") {
+        this.forgetAttachment(params.targetId, null);
+      }
+      this.emit(msg.method, params, msg.sessionId || null);
+      this.emit("*", { method: msg.method, params }, msg.sessionId || null);
+    }
+  }
+
+  handleDisconnect(ws, detail) {
+    if (ws !== this.ws || !this.connected) return;
+    this.connected = false;
+    const reason = this.closing ? "closed by client" : detail;
+    this.unbindSocket();
+
+    for (const [msgId, { method, reject }] of this.callbacks) {
+      this.callbacks.delete(msgId);
+      reject(new Error(`CDP disconnected before ${method} completed (${reason})`));
+    }
+
+    const reconnecting = !this.closing && !!this.reconnect && !!this.wsUrl;
+    this.emit("disconnected", { reason, reconnecting }, null);
+    if (reconnecting && !this.reconnecting) this.reconnectLoop();
+  }
 
-    wsAddListener(ws, "message", (eventOrData) => {
-      const raw = eventOrData?.data !== undefined ? eventOrData.data : eventOrData;
-      const msg = JSON.parse(toTextPayload(raw));
-      if (msg.id && this.callbacks.has(msg.id)) {
-        const { resolve, reject } = this.callbacks.get(msg.id);
-        this.callbacks.delete(msg.id);
-        if (msg.error) {
-          reject(new Error(msg.error.message));
-        } else {
-          resolve(msg.result);
+  async reconnectLoop() {
+    this.reconnecting = true;
+    const { retries, minDelayMs, maxDelayMs } = this.reconnect;
+    let lastError = null;
+    try {
+      for (let attempt = 1; attempt <= retries; attempt++) {
+        await sleep(Math.min(maxDelayMs, minDelayMs * 2 ** (attempt - 1)));
+        if (this.closing) return;
+        let ws = null;
+        try {
+          ws = await openWebSocket(this.wsUrl, this.connectTimeout, this.headers);
+          if (this.closing) {
+            ws.close();
+            return;
+          }
+          this.bindSocket(ws);
+          const sessions = await this.restoreState();
+          this.emit("reconnected", { attempt, sessions }, null);
+          return;
+        } catch (e) {
+          lastError = e;
+          // restoreState() failed on a live socket: drop it before the next
+          // attempt opens another one.
+          if (ws && ws === this.ws && this.connected) {
+            this.connected = false;
+            this.unbindSocket();
+          }
+          try {
+            ws?.close();
+          } catch {}
         }
-        return;
       }
+      this.emit(
+        "reconnectFailed",
+        { attempts: retries, error: redactSecrets(lastError?.message || "") },
+        null
+      );
+    } finally {
+      this.reconnecting = false;
+    }
+  }
+
+  async restoreState() {
+    if (this.discoverTargets) {
+      await this.send("Target.setDiscoverTargets", this.discoverTargets);
+    }
 
-      if (msg.method) {
-        this.emit(msg.method, msg.params || {}, msg.sessionId || null);
+    const previous = Array.from(this.attachedTargets.entries());
+    this.attachedTargets.clear();
+    const sessions = [];
+    for (const [targetId, { sessionId: oldSessionId, params }] of previous) {
+      try {
+        const { sessionId } = await this.send("Target.attachToTarget", params);
+        sessions.push({ targetId, oldSessionId, sessionId });
+      } catch (e) {
+        if (!this.connected) throw e;
+        sessions.push({ targetId, oldSessionId, sessionId: null, error: e.message });
       }
-    });
+    }
+    return sessions;
+  }
+
+  trackState(method, params, result) {
+    if (method === "Target.setDiscoverTargets") {
+      this.discoverTargets = params.discover ? params : null;
+    } else if (method === "Target.attachToTarget" && result?.sessionId) {
+      this.attachedTargets.set(params.targetId, { sessionId: result.sessionId, params });
+    } else if (method === "Target.detachFromTarget") {
+      this.forgetAttachment(params.targetId, params.sessionId);
+    }
+  }
+
+  forgetAttachment(targetId, sessionId) {
+    for (const [id, entry] of this.attachedTargets) {
+      if ((targetId && id === targetId) || (sessionId && entry.sessionId === sessionId)) {
+        this.attachedTargets.delete(id);
+      }
+    }
   }
 
   on(method, handler) {
@@ -260,8 +770,13 @@ class CDP {
     }
   }
 
-  send(method, params = {}, sessionId = null, timeout = 10000) {
+  send(method, params = {}, sessionId = null, timeout = this.commandTimeout) {
     return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error(`CDP disconnected: cannot send ${method}`));
+        return;
+      }
+
       const msgId = ++this.id;
       const msg = { id: msgId, method, params };
       if (sessionId) msg.sessionId = sessionId;
@@ -272,8 +787,10 @@ class CDP {
       }, timeout);
 
       this.callbacks.set(msgId, {
+        method,
         resolve: (result) => {
           clearTimeout(timeoutId);
+          this.trackState(method, params, result);
           resolve(result);
         },
         reject: (err) => {
@@ -282,7 +799,13 @@ class CDP {
         },
       });
 
-      this.ws.send(JSON.stringify(msg));
+      try {
+        this.record?.("send", msg);
+        this.ws.send(JSON.stringify(msg));
+      } catch (e) {
+        this.callbacks.get(msgId)?.reject(new Error(`CDP send failed: ${method} (${e.message})`));
+        this.callbacks.delete(msgId);
+      }
     });
   }
 
@@ -291,6 +814,42 @@ class CDP {
     return targetInfos.filter((t) => t.type === "page");
   }
 
+  /**
+   * Find a page target by id, index into getPages() (negative counts from the
+   * end) or URL substring. Without a spec the session daemon's pinned target,
+   * or else the most recent page, is returned.
+   */
+  async findPage(spec = null) {
+    const pages = await this.getPages();
+    if (spec == null || spec === "") {
+      const pinned = this.defaultTargetId && pages.find((p) => p.targetId === this.defaultTargetId);
+      return pinned || pages.at(-1) || null;
+    }
+
+    const value = String(spec);
+    const byId = pages.find((p) => p.targetId === value);
+    if (byId) return byId;
+    if (/^-?\d+$/.test(value)) {
+      const page = pages.at(Number(value));
+      if (page) return page;
+      throw new Error(`No page at index ${value} (${pages.length} open).`);
+    }
+    const byUrl = pages.filter((p) => (p.url || "").includes(value));
+    if (byUrl.length > 0) return byUrl.at(-1);
+    throw new Error(`No page matches '${value}' (expected a target id, index or URL substring).`);
+  }
+
+  /**
+   * Resolve the target id a command should act on, creating a blank page when
+   * none exist and no explicit target was requested.
+   */
+  async selectPage(spec = null) {
+    const page = await this.findPage(spec);
+    if (page) return page.targetId;
+    const { targetId } = await this.send("Target.createTarget", { url: "about:blank" });
+    return targetId;
+  }
+
   async attachToPage(targetId) {
     const { sessionId } = await this.send("Target.attachToTarget", {
       targetId,
@@ -324,11 +883,187 @@ class CDP {
     await this.send("Page.navigate", { url }, sessionId, timeout);
   }
 
+  /**
+   * Navigate and wait for the page to be ready.
+   *
+   * Options: waitUntil ("load" | "domcontentloaded" | "networkidle"),
+   * waitForSelector, waitForFunction, timeout (covers navigation and waits).
+   *
+   * Resolves with a navigation report: { url, finalUrl, redirects, status,
+   * statusText, mimeType, errorText }. Navigation errors are reported, not thrown.
+   */
+  async navigateAndWait(sessionId, url, options = {}) {
+    const timeout = options.timeout ?? 30000;
+    const { result, document } = await this.waitForNavigation(
+      sessionId,
+      () => this.send("Page.navigate", { url }, sessionId, timeout),
+      options
+    );
+
+    return this.navigationReport(sessionId, url, result, document);
+  }
+
+  /**
+   * Run `action` (a form submission, a click) and, if it starts a main-frame
+   * navigation within `options.graceMs` (default 1000), wait for it as
+   * navigateAndWait does. Resolves with { value, navigation }: the action's
+   * result and a navigation report, or null when the page did not navigate
+   * (the wait options still apply).
+   */
+  async runAndWaitForNavigation(sessionId, action, options = {}) {
+    let mainFrameId = null;
+    try {
+      mainFrameId = (await this.getFrameTree(sessionId)).frame.id;
+    } catch {}
+    let started = null;
+    let notify;
+    const seen = new Promise((resolve) => (notify = resolve));
+    const off = this.on("Network.requestWillBeSent", (p, sid) => {
+      if (started || sid !== sessionId || p.type !== "Document") return;
+      if (mainFrameId && p.frameId && p.frameId !== mainFrameId) return;
+      started = { frameId: p.frameId || null, loaderId: p.loaderId || null, url: p.request?.url || null };
+      notify();
+    });
+
+    let value;
+    try {
+      const { document } = await this.waitForNavigation(
+        sessionId,
+        async () => {
+          value = await action();
+          let timer;
+          await Promise.race([seen, new Promise((r) => (timer = setTimeout(r, options.graceMs ?? 1000)))]);
+          clearTimeout(timer);
+          // Without a loaderId the wait treats this as a same-document change.
+          return started ? { frameId: started.frameId, loaderId: started.loaderId } : null;
+        },
+        options
+      );
+      const navigation = started ? await this.navigationReport(sessionId, started.url, null, document) : null;
+      return { value, navigation };
+    } finally {
+      off();
+    }
+  }
+
+  async navigationReport(sessionId, url, result, document) {
+    const response = document?.response || null;
+    let finalUrl = response?.url || document?.url || null;
+    if (!finalUrl && !result?.errorText) {
+      try {
+        finalUrl = await this.evaluate(sessionId, "location.href", 5000);
+      } catch {}
+    }
+    return {
+      url,
+      finalUrl: finalUrl || null,
+      redirects: document?.redirects || [],
+      status: response?.status ?? null,
+      statusText: response?.statusText || null,
+      mimeType: response?.mimeType || null,
+      errorText: result?.errorText || null,
+    };
+  }
+
+  /**
+   * Run `trigger` (anything that starts a navigation) and wait until the new
+   * document satisfies the wait options. Resolves with the trigger's result
+   * and the main document request/response seen during the navigation.
+   */
+  async waitForNavigation(sessionId, trigger, options = {}) {
+    const waitUntil = options.waitUntil || "load";
+    if (!WAIT_UNTIL.has(waitUntil)) {
+      throw new Error(
+        `Invalid --wait-until '${waitUntil}' (expected ${Array.from(WAIT_UNTIL).join(", ")}).`
+      );
+    }
+    const deadline = Date.now() + (options.timeout ?? 30000);
+
+    try {
+      await this.send("Page.enable", {}, sessionId);
+      await this.send("Page.setLifecycleEventsEnabled", { enabled: true }, sessionId);
+    } catch {}
+    try {
+      await this.send("Network.enable", {}, sessionId);
+    } catch {}
+
+    const watcher = new LoadWatcher(this, sessionId, waitUntil);
+    try {
+      const result = await trigger();
+      watcher.setNavigation(result);
+      if (!result?.errorText) {
+        await watcher.wait(deadline);
+        await this.waitForReady(sessionId, { ...options, timeout: deadline - Date.now() });
+      }
+      return { result, document: watcher.mainDocument() };
+    } finally {
+      watcher.dispose();
+    }
+  }
+
+  /**
+   * Wait for --wait-for-selector / --wait-for-function conditions in the
+   * current document. A no-op when neither is set.
+   */
+  async waitForReady(sessionId, options = {}) {
+    const deadline = Date.now() + Math.max(0, options.timeout ?? 30000);
+    if (options.waitForSelector) {
+      await this.pollUntil(
+        sessionId,
+        `!!document.querySelector(${JSON.stringify(options.waitForSelector)})`,
+        deadline,
+        `selector "${options.waitForSelector}" not found`
+      );
+    }
+    if (options.waitForFunction) {
+      await this.pollUntil(
+        sessionId,
+        `(async () => { const v = (${options.waitForFunction}); return !!(typeof v === "function" ? await v() : v); })()`,
+        deadline,
+        `function "${options.waitForFunction}" did not return a truthy value`
+      );
+    }
+  }
+
+  async pollUntil(sessionId, expression, deadline, description) {
+    const started = Date.now();
+    let lastError = null;
+    while (true) {
+      const remaining = deadline - Date.now();
+      if (remaining > 0) {
+        try {
+          if (await this.evaluate(sessionId, expression, Math.max(remaining, 1000))) return;
+          lastError = null;
+        } catch (e) {
+          // The context may be torn down mid-navigation; keep polling.
+          if (!this.connected) throw e;
+          lastError = e;
+        }
+      }
+      if (Date.now() >= deadline) {
+        const detail = lastError ? ` (last error: ${lastError.message})` : "";
+        throw new Error(`Wait timeout after ${Date.now() - started}ms: ${description}${detail}`);
+      }
+      await sleep(Math.min(WAIT_POLL_MS, Math.max(0, deadline - Date.now())));
+    }
+  }
+
   async getFrameTree(sessionId) {
     const { frameTree } = await this.send("Page.getFrameTree", {}, sessionId);
     return frameTree;
   }
 
+  /** Every frame in the page, main frame first then depth first: [{ id, url, parentId }]. */
+  async getFrames(sessionId) {
+    const frames = [];
+    const visit = (node, parentId) => {
+      frames.push({ id: node.frame.id, url: node.frame.url || "", parentId });
+      for (const child of node.childFrames || []) visit(child, node.frame.id);
+    };
+    visit(await this.getFrameTree(sessionId), null);
+    return frames;
+  }
+
   async evaluateInFrame(sessionId, frameId, expression, timeout = 30000) {
     // Create isolated world for the frame
     const { executionContextId } = await this.send(
@@ -358,7 +1093,196 @@ class CDP {
     return result.result?.value;
   }
 
+  /**
+   * Interaction helpers. `target` is a CSS selector, or an element from a
+   * snapshot: { ref, backendNodeId? } (see lib/snapshot.js). Each resolves
+   * with { action, selector | ref, via, ... } where `via` is "cdp" when the
+   * DOM/Input domains did the work and "dom" when it fell back to dispatching
+   * DOM events from page JavaScript (see lib/input.js); `fallback` then says why.
+   */
+  async click(sessionId, target, options = {}) {
+    const button = options.button || "left";
+    if (!(button in MOUSE_BUTTONS)) {
+      throw new Error(`Invalid button '${button}' (expected ${Object.keys(MOUSE_BUTTONS).join(", ")}).`);
+    }
+    const clickCount = options.clickCount || 1;
+    return this.interact(sessionId, "click", target, { button: MOUSE_BUTTONS[button], clickCount }, async (input) => {
+      const { x, y } = await this.elementPoint(sessionId, target);
+      await input("Input.dispatchMouseEvent", { type: "mouseMoved", x, y });
+      for (let i = 1; i <= clickCount; i++) {
+        await input("Input.dispatchMouseEvent", { type: "mousePressed", x, y, button, clickCount: i });
+        await input("Input.dispatchMouseEvent", { type: "mouseReleased", x, y, button, clickCount: i });
+      }
+      return { x, y };
+    });
+  }
+
+  async hover(sessionId, target) {
+    return this.interact(sessionId, "hover", target, {}, async (input) => {
+      const { x, y } = await this.elementPoint(sessionId, target);
+      await input("Input.dispatchMouseEvent", { type: "mouseMoved", x, y });
+      return { x, y };
+    });
+  }
+
+  async type(sessionId, target, text, options = {}) {
+    const payload = { text: String(text), clear: !!options.clear };
+    return this.interact(sessionId, "type", target, payload, async (input) => {
+      const nodeId = await this.elementNode(sessionId, target);
+      await this.send("DOM.focus", { nodeId }, sessionId);
+      if (payload.clear) {
+        await this.evaluate(
+          sessionId,
+          `(() => { const el = document.activeElement; if ("value" in el) el.value = ""; else el.textContent = ""; el.dispatchEvent(new Event("input", { bubbles: true })); })()`
+        );
+      }
+      await input("Input.insertText", { text: payload.text });
+      const value = await this.evaluate(
+        sessionId,
+        `(() => { const el = document.activeElement; return el && ("value" in el ? el.value : el.textContent); })()`
+      );
+      return { value };
+    });
+  }
+
+  async press(sessionId, keySpec) {
+    const key = parseKey(keySpec);
+    return this.interact(sessionId, "press", null, { key }, async (input) => {
+      const base = {
+        key: key.key,
+        code: key.code,
+        windowsVirtualKeyCode: key.keyCode,
+        nativeVirtualKeyCode: key.keyCode,
+        modifiers: key.modifiers,
+      };
+      await input("Input.dispatchKeyEvent", {
+        ...base,
+        type: key.text ? "keyDown" : "rawKeyDown",
+        text: key.text,
+        unmodifiedText: key.text,
+      });
+      await input("Input.dispatchKeyEvent", { ...base, type: "keyUp" });
+      return { key: keySpec };
+    });
+  }
+
+  async select(sessionId, target, values) {
+    // No Input equivalent: choosing an option is always done from the page.
+    return this.interact(sessionId, "select", target, { values: [].concat(values).map(String) }, null);
+  }
+
+  /**
+   * Scroll an element into view, or the window to `y` pixels ("+N"/"-N" or a
+   * negative number scroll relative to the current position).
+   */
+  async scroll(sessionId, target) {
+    const spec = typeof target === "string" ? target.trim() : target;
+    if (typeof spec === "string" && /^[+-]?\d+$/.test(spec)) {
+      const relative = /^[+-]/.test(spec);
+      const result = await this.interact(sessionId, "scroll", null, { y: Number(spec), relative }, null);
+      return { ...result, y: spec };
+    }
+    return this.interact(sessionId, "scroll", spec, {}, async () => {
+      const nodeId = await this.elementNode(sessionId, spec);
+      await this.send("DOM.scrollIntoViewIfNeeded", { nodeId }, sessionId);
+      return { scrollY: await this.evaluate(sessionId, "window.scrollY") };
+    });
+  }
+
+  /**
+   * Run `viaCdp(input)`, falling back to DOM events when it fails. `input`
+   * sends an Input command; once one may have reached the page (it succeeded,
+   * or failed other than by the browser rejecting it) errors are rethrown,
+   * since replaying the action from the page could click or type twice.
+   */
+  async interact(sessionId, action, target, payload, viaCdp) {
+    const base = target?.ref ? { action, ref: target.ref } : { action, selector: target };
+    let fallback = null;
+    if (viaCdp) {
+      let dispatched = false;
+      const input = async (method, params) => {
+        try {
+          const result = await this.send(method, params, sessionId);
+          dispatched = true;
+          return result;
+        } catch (e) {
+          // A protocol error (e.g. the Input domain is unsupported) means nothing was done.
+          if (e.code === undefined) dispatched = true;
+          throw e;
+        }
+      };
+      try {
+        return { ...base, via: "cdp", ...(await viaCdp(input)) };
+      } catch (e) {
+        if (!this.connected || dispatched) throw e;
+        fallback = e.message;
+      }
+    }
+    let selector = target;
+    if (target?.ref) {
+      if (target.backendNodeId) await this.stampRef(sessionId, target);
+      selector = `[data-lp-ref="${target.ref}"]`;
+      payload = { ...payload, ref: target.ref };
+    }
+    const detail = await this.evaluate(sessionId, domActionScript(action, selector, payload));
+    return { ...base, via: "dom", ...(fallback ? { fallback } : {}), ...detail };
+  }
+
+  async elementNode(sessionId, target) {
+    const { root } = await this.send("DOM.getDocument", { depth: 0 }, sessionId);
+    if (target?.backendNodeId) {
+      const { nodeIds } = await this.send(
+        "DOM.pushNodesByBackendIdsToFrontend",
+        { backendNodeIds: [target.backendNodeId] },
+        sessionId
+      );
+      if (!nodeIds?.[0]) throw new Error(`Ref '${target.ref}' no longer matches an element; take a new snapshot`);
+      return nodeIds[0];
+    }
+    const selector = target?.ref ? `[data-lp-ref="${target.ref}"]` : target;
+    const { nodeId } = await this.send("DOM.querySelector", { nodeId: root.nodeId, selector }, sessionId);
+    if (!nodeId) throw new Error(`No element matches selector '${selector}'`);
+    return nodeId;
+  }
+
+  /** Viewport coordinates of the element's centre, scrolling it into view first. */
+  async elementPoint(sessionId, target) {
+    const nodeId = await this.elementNode(sessionId, target);
+    try {
+      await this.send("DOM.scrollIntoViewIfNeeded", { nodeId }, sessionId);
+    } catch {}
+    const { model } = await this.send("DOM.getBoxModel", { nodeId }, sessionId);
+    // Without layout (or for hidden elements) there is nothing to click at.
+    if (!model?.width || !model?.height) {
+      throw new Error(`Element '${target?.ref || target}' has no layout box`);
+    }
+    const quad = model.content;
+    return {
+      x: (quad[0] + quad[2] + quad[4] + quad[6]) / 4,
+      y: (quad[1] + quad[3] + quad[5] + quad[7]) / 4,
+    };
+  }
+
+  /** Mark an accessibility-tree ref's element with data-lp-ref so page scripts can find it. */
+  async stampRef(sessionId, target) {
+    try {
+      const { object } = await this.send("DOM.resolveNode", { backendNodeId: target.backendNodeId }, sessionId);
+      await this.send(
+        "Runtime.callFunctionOn",
+        {
+          objectId: object.objectId,
+          functionDeclaration: "function (ref) { this.setAttribute('data-lp-ref', ref); }",
+          arguments: [{ value: target.ref }],
+        },
+        sessionId
+      );
+    } catch (e) {
+      throw new Error(`Ref '${target.ref}' could not be resolved; take a new snapshot (${e.message})`);
+    }
+  }
+
   close() {
+    this.closing = true;
     this.ws.close();
   }
 }
@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+
+import { appendFileSync, existsSync, readFileSync, writeFileSync } from "node:fs";
+import { connect, envInt, navigationFailure, parseStatusRanges } from "./cdp.js";
+import { createScope, loadRobots, loadState, normalizeUrl, saveState } from "./lib/crawl.js";
+import { extractPage, PAGE_FIELDS } from "./lib/extract.js";
+
+const DEBUG = process.env.DEBUG === "1";
+const log = DEBUG ? (...args) => console.error("[debug]", ...args) : () => {};
+
+function usage() {
+  console.log(`Usage:
+  node scripts/crawl.js <url...> [options]
+
+Starts from the seed URLs, follows links found on each page (breadth first) and
+writes one JSON line per page: { url, depth, finalUrl, status, fetchedAt, ...fields }
+or { url, depth, ..., error } when navigation or extraction failed.
+
+Options:
+  --seeds <file>         Read more seed URLs from a file (one per line, # comments)
+  --fields <list>        Comma-separated fields per page: ${PAGE_FIELDS.join(", ")}
+                         (default: title,url,text)
+  --scope <s>            origin (default): same origin as a seed; prefix: under a seed's
+                         directory; any: follow every link
+  --include <regex>      Only follow URLs matching this regex
+  --exclude <regex>      Never follow URLs matching this regex
+  --max-depth <n>        Link hops from the seeds (default: 2; 0 = seeds only)
+  --max-pages <n>        Stop after this many pages (default: 50; counts resumed pages)
+  --delay-ms <n>         Minimum delay between pages on the same host (default: 1000;
+                         a longer robots.txt Crawl-delay wins)
+  --ignore-robots        Do not fetch or honor robots.txt
+  --out <file>           Write JSONL here instead of stdout
+  --state <file>         Save progress after every page; rerun with the same file to resume
+  --profile <name>       Connection profile (default: $LIGHTPANDA_PROFILE)
+  --target <t>           Crawl in this tab (default: a new tab, closed afterwards)
+  --wait-until <state>   load|domcontentloaded|networkidle (default: load)
+  --wait-for-selector <css> / --wait-for-function <js>  Extra readiness condition per page
+  --fail-on-status <ranges> Record these statuses as errors (default: 4xx,5xx)
+  --selector <css>       Extract text / Markdown / tables from a specific element
+  --max-links <n>        Links read per page for discovery (default: 200)
+  --max-chars <n>        Limit text / Markdown length (default: 5000)
+  -h, --help             Show help
+
+URLs are deduplicated after normalization (fragment and utm_* / click-id
+parameters dropped, query sorted), including the final URL after redirects.
+A summary goes to stderr when the crawl ends.
+`);
+}
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  return args[i + 1] ?? null;
+}
+
+function argInt(args, name, fallback, min = 1) {
+  const raw = argValue(args, name);
+  if (raw == null) return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min) return fallback;
+  return Math.floor(value);
+}
+
+const VALUE_FLAGS = new Set([
+  "--seeds",
+  "--fields",
+  "--scope",
+  "--include",
+  "--exclude",
+  "--max-depth",
+  "--max-pages",
+  "--delay-ms",
+  "--out",
+  "--state",
+  "--profile",
+  "--target",
+  "--wait-until",
+  "--wait-for-selector",
+  "--wait-for-function",
+  "--fail-on-status",
+  "--selector",
+  "--max-links",
+  "--max-chars",
+]);
+
+const args = process.argv.slice(2);
+if (args.includes("-h") || args.includes("--help")) {
+  usage();
+  process.exit(0);
+}
+
+const cliSeeds = args.filter((a, i) => !a.startsWith("--") && !VALUE_FLAGS.has(args[i - 1]));
+const seedsFile = argValue(args, "--seeds");
+const fieldsSpec = argValue(args, "--fields") || "title,url,text";
+const maxDepth = argInt(args, "--max-depth", 2, 0);
+const maxPages = argInt(args, "--max-pages", 50);
+const delayMs = argInt(args, "--delay-ms", 1000, 0);
+const outPath = argValue(args, "--out");
+const statePath = argValue(args, "--state");
+const targetSpec = argValue(args, "--target");
+const selector = argValue(args, "--selector");
+const maxLinks = argInt(args, "--max-links", 200);
+const maxChars = argInt(args, "--max-chars", 5000);
+const ignoreRobots = args.includes("--ignore-robots");
+const waitOptions = {
+  waitUntil: argValue(args, "--wait-until") || "load",
+  waitForSelector: argValue(args, "--wait-for-selector"),
+  waitForFunction: argValue(args, "--wait-for-function"),
+  timeout: envInt("CDP_NAV_TIMEOUT_MS", 30000),
+};
+const evalTimeout = envInt("CDP_EVAL_TIMEOUT_MS", 30000);
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function readSeeds() {
+  const seeds = [...cliSeeds];
+  if (seedsFile) {
+    if (!existsSync(seedsFile)) throw new Error(`Seeds file not found: ${seedsFile}`);
+    for (const line of readFileSync(seedsFile, "utf8").split(/\r?\n/)) {
+      const url = line.replace(/#.*/, "").trim();
+      if (url) seeds.push(url);
+    }
+  }
+  return seeds.map((raw) => {
+    const url = normalizeUrl(raw);
+    if (!url) throw new Error(`Invalid seed URL: ${raw}`);
+    return url;
+  });
+}
+
+function parseFields(spec) {
+  const fields = new Set(spec.split(",").map((f) => f.trim()).filter(Boolean));
+  for (const field of fields) {
+    if (!PAGE_FIELDS.includes(field)) {
+      throw new Error(`Unknown field '${field}' in --fields (expected ${PAGE_FIELDS.join(", ")}).`);
+    }
+  }
+  return fields;
+}
+
+try {
+  const fields = parseFields(fieldsSpec);
+  const failRanges = parseStatusRanges(argValue(args, "--fail-on-status") ?? "4xx,5xx");
+
+  let state = loadState(statePath);
+  const resuming = !!state;
+  if (resuming) {
+    log(`resuming: ${state.pages} pages done, ${state.queue.length} queued`);
+    if (cliSeeds.length || seedsFile) log("seeds ignored: resuming from", statePath);
+  } else {
+    const seeds = [...new Set(readSeeds())];
+    if (seeds.length === 0) {
+      usage();
+      process.exit(1);
+    }
+    state = {
+      seeds,
+      seen: seeds,
+      queue: seeds.map((url) => ({ url, depth: 0 })),
+      pages: 0,
+      errors: 0,
+      startedAt: new Date().toISOString(),
+    };
+  }
+
+  const inScope = createScope(state.seeds, {
+    scope: argValue(args, "--scope") || "origin",
+    include: argValue(args, "--include"),
+    exclude: argValue(args, "--exclude"),
+  });
+  const seen = new Set(state.seen);
+  const enqueue = (url, depth) => {
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+    state.queue.push({ url, depth });
+  };
+
+  // A resumed crawl keeps appending to its output, even before its first page.
+  if (outPath && !resuming) writeFileSync(outPath, "");
+  const emit = (record) => {
+    const line = JSON.stringify(record);
+    if (outPath) appendFileSync(outPath, `${line}\n`);
+    else console.log(line);
+  };
+  const persist = () => {
+    if (statePath) saveState(statePath, { ...state, seen: [...seen] });
+  };
+
+  log("connecting...");
+  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000), {
+    profile: argValue(args, "--profile"),
+    session: true,
+  });
+
+  let createdTarget = null;
+  try {
+    let targetId;
+    if (targetSpec) {
+      targetId = await cdp.selectPage(targetSpec);
+    } else {
+      ({ targetId } = await cdp.send("Target.createTarget", { url: "about:blank" }));
+      createdTarget = targetId;
+    }
+    const sessionId = await cdp.attachToPage(targetId);
+    try {
+      await cdp.send("Runtime.enable", {}, sessionId);
+      await cdp.send("Page.enable", {}, sessionId);
+    } catch {}
+
+    const robotsByOrigin = new Map();
+    const lastVisit = new Map();
+    const requested = new Set([...fields, "links"]);
+    let blocked = 0;
+
+    // The head of the queue is only removed once its page is recorded, so an
+    // interrupted crawl retries it on resume.
+    while (state.queue.length > 0 && state.pages < maxPages) {
+      const { url, depth } = state.queue[0];
+      const { origin, host } = new URL(url);
+
+      let robots = null;
+      if (!ignoreRobots) {
+        if (!robotsByOrigin.has(origin)) {
+          robotsByOrigin.set(origin, await loadRobots(origin));
+          log(`robots.txt for ${origin}:`, robotsByOrigin.get(origin).error || "ok");
+        }
+        robots = robotsByOrigin.get(origin);
+        if (!robots.allowed(url)) {
+          log("disallowed by robots.txt:", url);
+          blocked += 1;
+          state.queue.shift();
+          persist();
+          continue;
+        }
+      }
+
+      const wait = Math.max(delayMs, robots?.crawlDelayMs || 0) - (Date.now() - (lastVisit.get(host) ?? 0));
+      if (wait > 0) await sleep(wait);
+      lastVisit.set(host, Date.now());
+
+      log(`[${state.pages + 1}] depth ${depth}: ${url}`);
+      let navigation;
+      try {
+        navigation = await cdp.navigateAndWait(sessionId, url, waitOptions);
+      } catch (e) {
+        // A page that never loads (or never shows --wait-for-selector) is
+        // recorded like any other failure; only a lost connection ends the crawl.
+        if (!cdp.connected) throw e;
+        navigation = { error: e.message };
+      }
+      const record = {
+        url,
+        depth,
+        finalUrl: navigation.finalUrl,
+        status: navigation.status,
+        fetchedAt: new Date().toISOString(),
+      };
+      const failure = navigation.error || navigationFailure(navigation, failRanges);
+      if (failure) {
+        record.error = failure;
+      } else {
+        try {
+          const data = await extractPage(cdp, sessionId, requested, { selector, maxLinks, maxChars, timeout: evalTimeout });
+          const { links = [], linksTruncated, ...rest } = data;
+          Object.assign(record, rest);
+          if (fields.has("links")) {
+            record.links = links;
+            if (linksTruncated) record.linksTruncated = true;
+          }
+
+          // Redirect targets count as visited too.
+          const finalUrl = normalizeUrl(navigation.finalUrl || url);
+          if (finalUrl) seen.add(finalUrl);
+          if (depth < maxDepth && (!finalUrl || inScope(finalUrl))) {
+            for (const link of links) {
+              const next = normalizeUrl(link.href, navigation.finalUrl || url);
+              if (next && inScope(next)) enqueue(next, depth + 1);
+            }
+          }
+        } catch (e) {
+          if (!cdp.connected) throw e;
+          record.error = e.message;
+        }
+      }
+
+      if (record.error) state.errors += 1;
+      state.pages += 1;
+      emit(record);
+      state.queue.shift();
+      persist();
+    }
+
+    const summary = {
+      pages: state.pages,
+      errors: state.errors,
+      robotsBlocked: blocked,
+      queued: state.queue.length,
+    };
+    if (state.queue.length > 0 && statePath) summary.resume = `node scripts/crawl.js --state ${statePath}`;
+    console.error(`✓ crawl finished ${JSON.stringify(summary)}`);
+  } finally {
+    if (createdTarget) {
+      try {
+        await cdp.send("Target.closeTarget", { targetId: createdTarget }, null, 5000);
+      } catch {}
+    }
+    try {
+      cdp.close();
+    } catch {}
+  }
+} catch (e) {
+  console.error("✗", e.message);
+  process.exit(1);
+}
@@ -9,6 +9,9 @@
  * Usage:
  *   ./dismiss-cookies.js          # Accept cookies
  *   ./dismiss-cookies.js --reject # Reject cookies (where possible)
+ *   ./dismiss-cookies.js --profile <name> --target <id|index|url-substring>
+ *   ./dismiss-cookies.js --url <url> [--wait-until load|domcontentloaded|networkidle]
+ *                        [--wait-for-selector <css>] [--wait-for-function <js>] [--wait-ms <n>]
  */
 
 import { connect, envInt } from "./cdp.js";
@@ -35,7 +38,14 @@ function argInt(args, name, fallback) {
 
 const args = process.argv.slice(2);
 const gotoUrl = argValue(args, "--url");
-const waitMs = argInt(args, "--wait-ms", 1500);
+const targetSpec = argValue(args, "--target");
+const waitMs = argInt(args, "--wait-ms", 0);
+const waitOptions = {
+  waitUntil: argValue(args, "--wait-until") || "load",
+  waitForSelector: argValue(args, "--wait-for-selector"),
+  waitForFunction: argValue(args, "--wait-for-function"),
+  timeout: envInt("CDP_NAV_TIMEOUT_MS", 30000),
+};
 
 const COOKIE_DISMISS_SCRIPT = `(acceptCookies) => {
   const clicked = [];
@@ -295,17 +305,6 @@ const IFRAME_DISMISS_SCRIPT = `(acceptCookies) => {
   return clicked;
 }`;
 
-// Recursively collect all frames
-function collectFrames(frameTree, frames = []) {
-  frames.push({ id: frameTree.frame.id, url: frameTree.frame.url });
-  if (frameTree.childFrames) {
-    for (const child of frameTree.childFrames) {
-      collectFrames(child, frames);
-    }
-  }
-  return frames;
-}
-
 // Global timeout
 const globalTimeoutMs = envInt("CDP_GLOBAL_TIMEOUT_MS", 30000);
 const globalTimeout = setTimeout(() => {
@@ -315,15 +314,13 @@ const globalTimeout = setTimeout(() => {
 
 try {
   log("connecting...");
-  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000));
-
-  log("getting pages...");
-  const pages = await cdp.getPages();
-  const page = pages.at(-1);
+  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000), {
+    profile: argValue(args, "--profile"),
+    session: true,
+  });
 
-  const targetId = page?.targetId
-    ? page.targetId
-    : (await cdp.send("Target.createTarget", { url: "about:blank" })).targetId;
+  log("selecting page...");
+  const targetId = await cdp.selectPage(targetSpec);
 
   log("attaching to page...");
   const sessionId = await cdp.attachToPage(targetId);
@@ -332,9 +329,11 @@ try {
   } catch {}
 
   if (gotoUrl) {
-    await cdp.navigate(sessionId, gotoUrl, envInt("CDP_NAV_TIMEOUT_MS", 30000));
-    if (waitMs > 0) await new Promise((r) => setTimeout(r, waitMs));
+    await cdp.navigateAndWait(sessionId, gotoUrl, waitOptions);
+  } else {
+    await cdp.waitForReady(sessionId, waitOptions);
   }
+  if (waitMs > 0) await new Promise((r) => setTimeout(r, waitMs));
 
   // Wait a bit for consent dialogs to appear
   await new Promise((r) => setTimeout(r, 500));
@@ -346,8 +345,7 @@ try {
   if (result.length === 0) {
     log("trying iframes...");
     try {
-      const frameTree = await cdp.getFrameTree(sessionId);
-      const frames = collectFrames(frameTree);
+      const frames = await cdp.getFrames(sessionId);
 
       for (const frame of frames) {
         if (frame.url === "about:blank" || frame.url.startsWith("javascript:")) continue;
@@ -377,7 +375,7 @@ try {
         }
       }
     } catch (e) {
-      log("getFrameTree error:", e.message);
+      log("getFrames error:", e.message);
     }
   }
 
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
-import { connect, envInt } from "./cdp.js";
+import { connect, envInt, navigationFailure, parseStatusRanges } from "./cdp.js";
+import { createRedactor, loadRedactionRules } from "./lib/redact.js";
 
 const DEBUG = process.env.DEBUG === "1";
 const log = DEBUG ? (...args) => console.error("[debug]", ...args) : () => {};
@@ -21,28 +22,51 @@ function argInt(args, name, fallback) {
 
 const args = process.argv.slice(2);
 const gotoUrl = argValue(args, "--goto");
-const waitMs = argInt(args, "--wait-ms", 1500);
+const targetSpec = argValue(args, "--target");
+const waitMs = argInt(args, "--wait-ms", 0);
+const waitOptions = {
+  waitUntil: argValue(args, "--wait-until") || "load",
+  waitForSelector: argValue(args, "--wait-for-selector"),
+  waitForFunction: argValue(args, "--wait-for-function"),
+  timeout: envInt("CDP_NAV_TIMEOUT_MS", 30000),
+};
+
+const failOnStatus = argValue(args, "--fail-on-status") ?? "4xx,5xx";
+const redact = args.includes("--redact");
+
+const VALUE_FLAGS = new Set([
+  "--goto",
+  "--target",
+  "--profile",
+  "--fail-on-status",
+  "--wait-ms",
+  "--wait-until",
+  "--wait-for-selector",
+  "--wait-for-function",
+]);
 
 const codeParts = [];
 for (let i = 0; i < args.length; i++) {
   const a = args[i];
-  if (a === "--goto") {
-    i += 1;
-    continue;
-  }
-  if (a === "--wait-ms") {
+  if (VALUE_FLAGS.has(a)) {
     i += 1;
     continue;
   }
+  if (a === "--redact") continue;
   codeParts.push(a);
 }
 const code = codeParts.join(" ");
 if (!code) {
-  console.log("Usage: eval.js [--goto <url>] [--wait-ms <n>] 'code'");
+  console.log(
+    "Usage: eval.js [--profile <name>] [--target <id|index|url>] [--goto <url>] [--wait-until load|domcontentloaded|networkidle] [--wait-for-selector <css>] [--wait-for-function <js>] [--wait-ms <n>] [--fail-on-status <ranges>] [--redact] 'code'"
+  );
   console.log("\nExamples:");
   console.log('  eval.js "document.title"');
   console.log('  eval.js --goto https://example.com "document.title"');
+  console.log('  eval.js --goto https://example.com --wait-for-selector "#app" "document.title"');
+  console.log("  (with --goto, { navigation } - final URL, redirects, status, mimeType - is printed to stderr first)");
   console.log("  eval.js \"document.querySelectorAll('a').length\"");
+  console.log('  eval.js --redact "document.body.innerText"   (mask secrets and personal data in the result)');
   process.exit(1);
 }
 
@@ -54,16 +78,15 @@ const globalTimeout = setTimeout(() => {
 }, globalTimeoutMs);
 
 try {
+  const redactor = redact ? createRedactor(loadRedactionRules()) : null;
   log("connecting...");
-  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000));
-
-  log("getting pages...");
-  const pages = await cdp.getPages();
-  const page = pages.at(-1);
+  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000), {
+    profile: argValue(args, "--profile"),
+    session: true,
+  });
 
-  const targetId = page?.targetId
-    ? page.targetId
-    : (await cdp.send("Target.createTarget", { url: "about:blank" })).targetId;
+  log("selecting page...");
+  const targetId = await cdp.selectPage(targetSpec);
 
   log("attaching to page...");
   const sessionId = await cdp.attachToPage(targetId);
@@ -73,13 +96,21 @@ try {
   } catch {}
 
   if (gotoUrl) {
-    await cdp.navigate(sessionId, gotoUrl, envInt("CDP_NAV_TIMEOUT_MS", 30000));
-    if (waitMs > 0) await new Promise((r) => setTimeout(r, waitMs));
+    log("navigating...");
+    const nav = await cdp.navigateAndWait(sessionId, gotoUrl, waitOptions);
+    // The navigation report goes to stderr so stdout stays the result alone.
+    console.error(JSON.stringify({ navigation: redactor ? redactor.value(nav) : nav }));
+    const failure = navigationFailure(nav, parseStatusRanges(failOnStatus));
+    if (failure) throw new Error(failure);
+  } else {
+    await cdp.waitForReady(sessionId, waitOptions);
   }
+  if (waitMs > 0) await new Promise((r) => setTimeout(r, waitMs));
 
   log("evaluating...");
   const expression = `(async () => { return (${code}); })()`;
-  const result = await cdp.evaluate(sessionId, expression);
+  let result = await cdp.evaluate(sessionId, expression);
+  if (redactor) result = redactor.value(result);
 
   log("formatting result...");
   if (Array.isArray(result)) {
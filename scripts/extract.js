@@ -1,6 +1,12 @@
 #!/usr/bin/env node
 
-import { connect, envInt } from "./cdp.js";
+import { connect, envInt, navigationFailure, parseStatusRanges } from "./cdp.js";
+import { chunkText, hashText } from "./lib/chunk.js";
+import { extractPage, PAGE_FIELDS } from "./lib/extract.js";
+import { createRedactor, loadRedactionRules } from "./lib/redact.js";
+import { applySchema, loadSchema, SCHEMA_SCRIPT } from "./lib/schema.js";
+import { axSnapshot, domSnapshotScript, formatSnapshot, saveRefs } from "./lib/snapshot.js";
+import { tableToCsv } from "./lib/tables.js";
 
 function usage() {
   console.log(`Usage:
@@ -10,20 +16,72 @@ Options:
   --title            Include title only
   --url              Include url only
   --text             Include text content
+  --markdown         Include the main content as Markdown (plus the chosen contentRoot)
   --links            Include links
+  --meta             Include page metadata: description, canonical, robots, lang, hreflang
+                     alternates, OpenGraph/Twitter tags, JSON-LD, microdata and feed links
+  --schema <file>    Extract the fields declared in a JSON schema file (see lib/schema.js)
+  --tables           Include <table> elements as arrays of row objects (also in same-origin iframes)
+  --forms            Include forms and their fields (name, type, label, required, options, value)
   --a11y             Include accessibility tree (compact)
+  --snapshot         Include an outline of interactive nodes, headings and landmarks with refs (e12)
+                     that act.js accepts in place of a selector
+  --profile <name>   Connection profile (default: $LIGHTPANDA_PROFILE)
+  --target <t>       Page to use: target id, index or URL substring (default: last page)
   --goto <url>       Navigate before extracting
-  --wait-ms <n>      Wait after navigation (default: 1500)
-  --selector <css>   Extract text from a specific element
-  --max-links <n>    Limit links (default: 50)
-  --max-chars <n>    Limit text length (default: 5000)
-  --max-a11y-nodes <n> Limit a11y nodes (default: 500)
+  --wait-until <state> Wait for load|domcontentloaded|networkidle after --goto (default: load)
+  --wait-for-selector <css> Wait until a matching element exists
+  --wait-for-function <js>  Wait until the expression returns a truthy value
+  --wait-ms <n>      Extra fixed delay after waiting (default: 0)
+  --fail-on-status <ranges> Fail --goto on these statuses (default: 4xx,5xx; "none" disables)
+  --selector <css>   Extract text / Markdown / tables from a specific element
+  --deep             Also read text and links inside open shadow roots and child frames
+                     (cross-origin included); links are tagged with their frame URL
+  --max-links <n>    Limit links (default: 50; per frame with --deep)
+  --max-chars <n>    Limit text / Markdown length (default: 5000)
+  --chunk-chars <n>  Split text (or Markdown with --markdown) into chunks of at most n chars
+                     instead of truncating, and print one chunk
+  --chunk <i>        Chunk to print, from 0 (default: 0)
+  --max-a11y-nodes <n> Limit a11y / snapshot nodes (default: 500)
+  --max-rows <n>     Limit rows per table (default: 500)
+  --format <fmt>     json (default) or csv; csv prints --tables only, one CSV block per table
+  --table <n>        With --format csv, print only the table at this index
+  --redact           Mask secrets and personal data in the output with the watch.js
+                     redaction rules (query tokens, emails, bearer tokens, card numbers)
   --pretty           Pretty-print JSON
   -h, --help         Show help
 
 Behavior:
-  - If any of --title/--url/--text/--links/--a11y are provided, only those fields are returned.
+  - If any of --title/--url/--text/--markdown/--links/--meta/--tables/--forms/--a11y/--snapshot/--schema are provided, only those fields are returned.
   - Otherwise returns: title, url, text, links.
+  - With --goto, a "navigation" field reports the final URL, redirects, status and mimeType.
+    On network errors or a failing status only { navigation } is printed and the exit code is 1.
+  - --markdown picks --selector, else <main>, a single <article>, else the highest-scoring
+    text block; "contentRoot" reports which ({ selector, method, textChars }). Links and
+    images are numbered references listed at the end.
+  - --meta adds "meta": { description, canonical, robots, lang, alternates, openGraph, twitter,
+    jsonLd, jsonLdErrors?, microdata, feeds }. JSON-LD blocks that fail to parse are listed in
+    jsonLdErrors ({ index, error, snippet }) instead of failing the command.
+  - --tables adds "tables": [{ index, caption, id, headers, rows, rowCount, frame?, truncated? }].
+    Headers come from <thead> or leading rows of <th> cells ("Group / Column" for multi-row
+    headers, column1.. when there are none); rowspan/colspan cells repeat across the cells they span.
+  - --forms adds "forms": [{ index, id, name, action, method, fields, submit }]; controls outside
+    any <form> are listed last with "formless": true. Password values are never included.
+    Fill them with form.js.
+  - --schema adds { data, valid, errors?, missing? }. "errors" lists required fields that matched
+    nothing and values that failed type coercion; the exit code is 1 when there are any.
+    "missing" lists optional fields that matched nothing.
+  - --deep tags every link with "frame" (the URL of the document it was found in) and adds
+    "frames": [{ url, parentUrl, text?, textTruncated?, linkCount?, error? }] for child frames,
+    whose links are appended to "links". "text" stays the main document's text, now including
+    shadow DOM content. A frame that cannot be read gets "error" instead of failing the command.
+  - --chunk-chars replaces --max-chars for the chunked field: chunks end at headings, paragraphs,
+    lines or sentences, and "chunk": { field, index, count, start, end, chars, hash, contentHash,
+    contentChars } says which one was printed. start/end are offsets into the full content; the
+    same content always splits the same way, so compare contentHash across calls.
+  - --redact applies before chunking, so chunk offsets and hashes describe the redacted content.
+  - --snapshot uses the accessibility tree and falls back to a DOM-derived outline when
+    Accessibility.getFullAXTree is unavailable ("snapshotSource": "ax" or "dom").
 `);
 }
 
@@ -48,9 +106,11 @@ if (args.includes("-h") || args.includes("--help")) {
 }
 
 const requested = new Set();
-for (const key of ["title", "url", "text", "links", "a11y"]) {
+for (const key of [...PAGE_FIELDS, "a11y", "snapshot"]) {
   if (args.includes(`--${key}`)) requested.add(key);
 }
+const schemaPath = argValue(args, "--schema");
+if (schemaPath) requested.add("schema");
 if (requested.size === 0) {
   requested.add("title");
   requested.add("url");
@@ -60,11 +120,26 @@ if (requested.size === 0) {
 
 const selector = argValue(args, "--selector");
 const gotoUrl = argValue(args, "--goto");
-const waitMs = argInt(args, "--wait-ms", 1500);
+const targetSpec = argValue(args, "--target");
+const waitMs = argInt(args, "--wait-ms", 0);
+const waitOptions = {
+  waitUntil: argValue(args, "--wait-until") || "load",
+  waitForSelector: argValue(args, "--wait-for-selector"),
+  waitForFunction: argValue(args, "--wait-for-function"),
+  timeout: envInt("CDP_NAV_TIMEOUT_MS", 30000),
+};
 const maxLinks = argInt(args, "--max-links", 50);
 const maxChars = argInt(args, "--max-chars", 5000);
 const maxA11yNodes = argInt(args, "--max-a11y-nodes", 500);
+const maxRows = argInt(args, "--max-rows", 500);
+const format = argValue(args, "--format") || "json";
+const tableIndex = argValue(args, "--table");
 const pretty = args.includes("--pretty");
+const deep = args.includes("--deep");
+const redact = args.includes("--redact");
+const chunkChars = argInt(args, "--chunk-chars", 0);
+const chunkSpec = argValue(args, "--chunk");
+const failOnStatus = argValue(args, "--fail-on-status") ?? "4xx,5xx";
 
 const globalTimeoutMs = envInt("CDP_GLOBAL_TIMEOUT_MS", 60000);
 const globalTimeout = setTimeout(() => {
@@ -72,57 +147,24 @@ const globalTimeout = setTimeout(() => {
   process.exit(1);
 }, globalTimeoutMs);
 
-const EXTRACT_SCRIPT = `(opts) => {
-  const result = {};
-
-  if (opts.includeTitle) result.title = document.title || "";
-  if (opts.includeUrl) result.url = location.href || "";
-
-  if (opts.includeLinks) {
-    const seen = new Set();
-    const links = [];
-    const nodes = Array.from(document.querySelectorAll("a[href]"));
-    for (const a of nodes) {
-      if (links.length >= opts.maxLinks) break;
-      const href = a.href || "";
-      if (!href) continue;
-      if (seen.has(href)) continue;
-      seen.add(href);
-      const text = (a.textContent || "").trim().replace(/\\s+/g, " ").slice(0, 200);
-      links.push({ text: text || null, href });
-    }
-    result.links = links;
-    if (nodes.length > links.length) result.linksTruncated = nodes.length > opts.maxLinks;
+try {
+  if (format !== "json" && format !== "csv") throw new Error(`Invalid --format '${format}' (expected json or csv).`);
+  if (format === "csv" && (requested.size !== 1 || !requested.has("tables") || schemaPath)) {
+    throw new Error("--format csv only applies to --tables on its own.");
   }
-
-  if (opts.includeText) {
-    const el = opts.selector ? document.querySelector(opts.selector) : document.body;
-    let text = (el && (el.innerText || el.textContent)) ? (el.innerText || el.textContent) : "";
-    text = String(text || "");
-    text = text.replace(/\\r\\n/g, "\\n");
-    text = text
-      .split("\\n")
-      .map((l) => l.trim())
-      .filter(Boolean)
-      .join("\\n");
-    const truncated = text.length > opts.maxChars;
-    if (truncated) text = text.slice(0, opts.maxChars) + "…";
-    result.text = text;
-    if (opts.selector) result.selector = opts.selector;
-    if (truncated) result.textTruncated = true;
+  if (chunkSpec != null && !chunkChars) throw new Error("--chunk requires --chunk-chars.");
+  if (chunkSpec != null && !/^\d+$/.test(chunkSpec)) throw new Error(`Invalid --chunk '${chunkSpec}' (expected 0 or more).`);
+  if (chunkChars && requested.has("text") === requested.has("markdown")) {
+    throw new Error("--chunk-chars applies to either --text or --markdown.");
   }
-
-  return result;
-}`;
-
-try {
-  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000));
+  const schema = schemaPath ? loadSchema(schemaPath) : null;
+  const redactor = redact ? createRedactor(loadRedactionRules()) : null;
+  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000), {
+    profile: argValue(args, "--profile"),
+    session: true,
+  });
   try {
-    const pages = await cdp.getPages();
-    const page = pages.at(-1);
-    const targetId = page?.targetId
-      ? page.targetId
-      : (await cdp.send("Target.createTarget", { url: "about:blank" })).targetId;
+    const targetId = await cdp.selectPage(targetSpec);
 
     const sessionId = await cdp.attachToPage(targetId);
     try {
@@ -130,23 +172,51 @@ try {
       await cdp.send("Page.enable", {}, sessionId);
     } catch {}
 
+    let navigation = null;
     if (gotoUrl) {
-      await cdp.navigate(sessionId, gotoUrl, envInt("CDP_NAV_TIMEOUT_MS", 30000));
-      if (waitMs > 0) await new Promise((r) => setTimeout(r, waitMs));
+      navigation = await cdp.navigateAndWait(sessionId, gotoUrl, waitOptions);
+      const failure = navigationFailure(navigation, parseStatusRanges(failOnStatus));
+      if (failure) {
+        console.log(JSON.stringify({ navigation }, null, pretty ? 2 : 0));
+        throw new Error(failure);
+      }
+    } else {
+      await cdp.waitForReady(sessionId, waitOptions);
     }
+    if (waitMs > 0) await new Promise((r) => setTimeout(r, waitMs));
 
-    const evalOpts = {
-      includeTitle: requested.has("title"),
-      includeUrl: requested.has("url"),
-      includeText: requested.has("text"),
-      includeLinks: requested.has("links"),
+    const evalTimeout = envInt("CDP_EVAL_TIMEOUT_MS", 30000);
+    let result = await extractPage(cdp, sessionId, requested, {
       selector,
       maxLinks,
-      maxChars,
-    };
+      maxChars: chunkChars ? Number.MAX_SAFE_INTEGER : maxChars,
+      maxRows,
+      timeout: evalTimeout,
+      deep,
+    });
+    if (redactor) result = redactor.value(result);
+
+    if (chunkChars) {
+      const field = requested.has("markdown") ? "markdown" : "text";
+      const content = result[field] || "";
+      const chunks = chunkText(content, chunkChars);
+      const index = Number(chunkSpec ?? 0);
+      if (index >= chunks.length) {
+        throw new Error(`No chunk ${index}: the ${field} has ${chunks.length} chunk(s) of up to ${chunkChars} chars.`);
+      }
+      const { text, ...chunk } = chunks[index];
+      result[field] = text;
+      result.chunk = { field, ...chunk, count: chunks.length, contentHash: hashText(content), contentChars: content.length };
+    }
 
-    const expression = `(${EXTRACT_SCRIPT})(${JSON.stringify(evalOpts)})`;
-    const result = await cdp.evaluate(sessionId, expression, envInt("CDP_EVAL_TIMEOUT_MS", 30000));
+    if (schema) {
+      const raw = await cdp.evaluate(sessionId, `(${SCHEMA_SCRIPT})(${JSON.stringify(schema)})`, evalTimeout);
+      const { data, valid, errors, missing } = applySchema(schema, raw);
+      result.data = data;
+      result.valid = valid;
+      if (errors.length > 0) result.errors = errors;
+      if (missing.length > 0) result.missing = missing;
+    }
 
     if (requested.has("a11y")) {
       try {
@@ -172,8 +242,47 @@ try {
       }
     }
 
-    const output = pretty ? JSON.stringify(result, null, 2) : JSON.stringify(result);
-    console.log(output);
+    if (requested.has("snapshot")) {
+      let snapshot = null;
+      let source = "ax";
+      try {
+        const timeout = envInt("CDP_A11Y_TIMEOUT_MS", 30000);
+        const { nodes } = await cdp.send("Accessibility.getFullAXTree", {}, sessionId, timeout);
+        if (nodes?.length) snapshot = axSnapshot(nodes, maxA11yNodes);
+      } catch (e) {
+        if (!cdp.connected) throw e;
+        result.snapshotFallback = e.message;
+      }
+      if (!snapshot) {
+        source = "dom";
+        snapshot = await cdp.evaluate(sessionId, domSnapshotScript(maxA11yNodes), evalTimeout);
+        snapshot.refs = Object.fromEntries(snapshot.entries.map((e) => [e.ref, { role: e.role, name: e.name }]));
+      }
+      saveRefs(targetId, { source, refs: snapshot.refs });
+      result.snapshot = formatSnapshot(snapshot.entries);
+      result.snapshotSource = source;
+      result.snapshotNodes = snapshot.total;
+      if (snapshot.truncated) result.snapshotTruncated = true;
+    }
+
+    if (navigation) result.navigation = navigation;
+    // Schema data, a11y names and the navigation were added after the first pass.
+    if (redactor) result = redactor.value(result);
+
+    if (format === "csv") {
+      let tables = result.tables;
+      if (tableIndex != null) {
+        tables = tables.filter((t) => String(t.index) === tableIndex);
+        if (tables.length === 0) throw new Error(`No table at index ${tableIndex} (${result.tables.length} found).`);
+      }
+      console.log(tables.map(tableToCsv).join("\r\n\r\n"));
+    } else {
+      console.log(pretty ? JSON.stringify(result, null, 2) : JSON.stringify(result));
+    }
+    if (result.valid === false) {
+      const detail = result.errors.map((e) => `${e.field}: ${e.error}`).join("; ");
+      throw new Error(`Schema validation failed (${result.errors.length}): ${detail}`);
+    }
   } finally {
     // Best-effort close
     try {
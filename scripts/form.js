@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+import { existsSync, readFileSync } from "node:fs";
+import { connect, envInt, navigationFailure, parseStatusRanges } from "./cdp.js";
+import { FILL_SCRIPT, FORMS_SCRIPT, SUBMIT_SCRIPT } from "./lib/forms.js";
+
+const DEBUG = process.env.DEBUG === "1";
+const log = DEBUG ? (...args) => console.error("[debug]", ...args) : () => {};
+
+function usage() {
+  console.log(`Usage:
+  node scripts/form.js list
+  node scripts/form.js fill '<json>' [--form <index|css>] [--submit]
+  node scripts/form.js fill --values-file <file> [--form <index|css>] [--submit]
+
+The JSON maps a field's name, id or label to its value:
+  '{"Email": "me@example.com", "password": "\${SITE_PASSWORD}", "Remember me": true,
+    "country": "France", "plan": "pro", "topics": ["news", "offers"]}'
+Checkboxes take true/false (or an array of values for a group), radios and
+selects an option value or label. \${VAR} in string values is read from the
+environment, so secrets stay out of the command line.
+
+Options:
+  --form <index|css>     Form to fill (default: the one the most keys match)
+  --submit               Submit after filling (only if every key was filled) and wait
+                         for the resulting navigation, if any
+  --values-file <file>   Read the JSON map from a file
+  --goto <url>           Navigate before listing / filling
+  --profile <name>       Connection profile (default: $LIGHTPANDA_PROFILE)
+  --target <id|index|url> Tab to use (default: the current tab)
+  --wait-until <state>   load|domcontentloaded|networkidle after --goto / --submit (default: load)
+  --wait-for-selector <css> / --wait-for-function <js>  Extra condition after submitting
+  --fail-on-status <ranges> Fail when the submission lands on these statuses (default: 4xx,5xx)
+
+list prints { forms: [{ index, id, name, action, method, fields, submit }] } (as
+extract.js --forms). fill prints { form, filled, unmatched, errors, submitted?,
+navigation?, url } and exits 1 when a key matched no field or could not be set.
+`);
+}
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  return args[i + 1] ?? null;
+}
+
+const VALUE_FLAGS = new Set([
+  "--form",
+  "--values-file",
+  "--goto",
+  "--profile",
+  "--target",
+  "--wait-until",
+  "--wait-for-selector",
+  "--wait-for-function",
+  "--fail-on-status",
+]);
+
+const args = process.argv.slice(2);
+if (args.length === 0 || args.includes("-h") || args.includes("--help")) {
+  usage();
+  process.exit(args.length === 0 ? 1 : 0);
+}
+
+const positional = args.filter((a, i) => !a.startsWith("--") && !VALUE_FLAGS.has(args[i - 1]));
+const [command, valuesJson] = positional;
+const waitOptions = {
+  waitUntil: argValue(args, "--wait-until") || "load",
+  waitForSelector: argValue(args, "--wait-for-selector"),
+  waitForFunction: argValue(args, "--wait-for-function"),
+  timeout: envInt("CDP_NAV_TIMEOUT_MS", 30000),
+};
+
+const globalTimeoutMs = envInt("CDP_GLOBAL_TIMEOUT_MS", 60000);
+const globalTimeout = setTimeout(() => {
+  console.error("✗ Global timeout exceeded");
+  process.exit(1);
+}, globalTimeoutMs);
+
+function expandEnv(value) {
+  if (typeof value !== "string") return value;
+  return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => {
+    if (process.env[name] == null) throw new Error(`Form value references unset variable ${name}.`);
+    return process.env[name];
+  });
+}
+
+function readValues() {
+  const file = argValue(args, "--values-file");
+  let source = valuesJson;
+  if (file) {
+    if (!existsSync(file)) throw new Error(`Values file not found: ${file}`);
+    source = readFileSync(file, "utf8");
+  }
+  if (!source) throw new Error("fill requires a JSON map of fields to values (or --values-file).");
+  let values;
+  try {
+    values = JSON.parse(source);
+  } catch (e) {
+    throw new Error(`Invalid form values JSON: ${e.message}`);
+  }
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw new Error("Form values must be a JSON object of field to value.");
+  }
+  return Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, Array.isArray(value) ? value.map(expandEnv) : expandEnv(value)])
+  );
+}
+
+try {
+  if (command !== "list" && command !== "fill") throw new Error(`Unknown command '${command}' (expected list or fill).`);
+  const values = command === "fill" ? readValues() : null;
+  const failRanges = parseStatusRanges(argValue(args, "--fail-on-status") ?? "4xx,5xx");
+
+  log("connecting...");
+  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000), {
+    profile: argValue(args, "--profile"),
+    session: true,
+  });
+  try {
+    const targetId = await cdp.selectPage(argValue(args, "--target"));
+    const sessionId = await cdp.attachToPage(targetId);
+    try {
+      await cdp.send("Runtime.enable", {}, sessionId);
+      await cdp.send("Page.enable", {}, sessionId);
+    } catch {}
+
+    const gotoUrl = argValue(args, "--goto");
+    if (gotoUrl) {
+      const navigation = await cdp.navigateAndWait(sessionId, gotoUrl, waitOptions);
+      const failure = navigationFailure(navigation, failRanges);
+      if (failure) {
+        console.log(JSON.stringify({ navigation }));
+        throw new Error(failure);
+      }
+    }
+
+    const evalTimeout = envInt("CDP_EVAL_TIMEOUT_MS", 30000);
+    if (command === "list") {
+      console.log(JSON.stringify(await cdp.evaluate(sessionId, `(${FORMS_SCRIPT})({})`, evalTimeout)));
+    } else {
+      const fillOpts = { form: argValue(args, "--form"), values };
+      log("filling...");
+      const result = await cdp.evaluate(sessionId, `(${FILL_SCRIPT})(${JSON.stringify(fillOpts)})`, evalTimeout);
+      const complete = result.unmatched.length === 0 && result.errors.length === 0;
+
+      let failure = null;
+      if (args.includes("--submit") && complete) {
+        if (result.form.formless) {
+          throw new Error("Nothing to submit: the fields are not inside a <form>. Click the submit button with act.js.");
+        }
+        log("submitting...");
+        const { value, navigation } = await cdp.runAndWaitForNavigation(
+          sessionId,
+          () => cdp.evaluate(sessionId, `(${SUBMIT_SCRIPT})(${JSON.stringify({ index: result.form.index })})`, evalTimeout),
+          waitOptions
+        );
+        result.submitted = value;
+        result.navigation = navigation;
+        if (navigation) failure = navigationFailure(navigation, failRanges);
+      }
+      try {
+        result.url = await cdp.evaluate(sessionId, "location.href", 5000);
+      } catch {}
+      console.log(JSON.stringify({ ...result, targetId }));
+
+      if (!complete) {
+        const problems = [
+          ...result.unmatched.map((key) => `${key}: no matching field`),
+          ...result.errors.map((e) => `${e.key}: ${e.error}`),
+        ];
+        const suffix = args.includes("--submit") ? "; not submitted" : "";
+        throw new Error(`Could not fill ${problems.length} field(s)${suffix}: ${problems.join("; ")}`);
+      }
+      if (failure) throw new Error(failure);
+    }
+  } finally {
+    try {
+      cdp.close();
+    } catch {}
+  }
+} catch (e) {
+  console.error("✗", e.message);
+  process.exit(1);
+} finally {
+  clearTimeout(globalTimeout);
+}
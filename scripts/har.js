@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+import { existsSync, statSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { buildHar } from "./lib/har.js";
+import { dayDirs, dayName, LOG_ROOT, logFiles, logName, readLogFile } from "./lib/logstore.js";
+
+const DEBUG = process.env.DEBUG === "1";
+const log = DEBUG ? (...args) => console.error("[debug]", ...args) : () => {};
+
+function usage() {
+  console.log(`Usage:
+  node scripts/har.js [--file <log.jsonl> | --dir <date dir>] [--since <time>] [--until <time>] [--out <file.har>]
+
+Converts watch.js network records into a HAR 1.2 archive (one page per tab)
+that browser devtools and HAR viewers can open.
+
+Options:
+  --file <path>     A watch.js log file, plain or rotated .jsonl.gz (default: the latest
+                    tab's log, rotated parts included)
+  --dir <path>      Every log file in a directory, e.g. ~/.cache/agent-web/logs/2024-05-01
+  --since <time>    Only requests started at or after this time: an ISO date or
+                    a duration back from now (30s, 15m, 2h, 1d)
+  --until <time>    Only requests started at or before this time (same formats)
+  --out <path>      Write the archive here instead of stdout
+  -h, --help        Show help
+
+With --since / --until and no --file / --dir, every log file of the days in
+the window is read. Headers, sizes and timings need the records written by the
+current watch.js; response bodies are included when it ran with --bodies.
+`);
+}
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  return args[i + 1] ?? null;
+}
+
+function statSafe(path) {
+  try {
+    return statSync(path);
+  } catch {
+    return null;
+  }
+}
+
+/** The most recently written tab's log, with its rotated parts. */
+function findLatestLog() {
+  const days = dayDirs();
+  if (days.length === 0) return [];
+  const files = logFiles(join(LOG_ROOT, days[days.length - 1]));
+  const latest = files
+    .map((path) => ({ path, mtime: statSafe(path)?.mtimeMs || 0 }))
+    .sort((a, b) => b.mtime - a.mtime)[0];
+  return latest ? files.filter((path) => logName(path) === logName(latest.path)) : [];
+}
+
+const DURATION_UNITS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+function parseTime(value, flag) {
+  if (value == null) return null;
+  const relative = /^(\d+)([smhd])$/.exec(value);
+  if (relative) return new Date(Date.now() - Number(relative[1]) * DURATION_UNITS[relative[2]]);
+  const at = Date.parse(value);
+  if (Number.isNaN(at)) {
+    throw new Error(`Invalid ${flag} '${value}' (expected an ISO date or a duration like 30m, 2h, 1d).`);
+  }
+  return new Date(at);
+}
+
+/** Log files for a time window: every file of the days it overlaps. */
+function filesInWindow(since, until) {
+  const from = since ? dayName(since) : "";
+  const to = dayName(until || new Date());
+  return dayDirs()
+    .filter((name) => name >= from && name <= to)
+    .flatMap((name) => logFiles(join(LOG_ROOT, name)));
+}
+
+function readRecords(files) {
+  const records = [];
+  for (const file of files) {
+    for (const line of readLogFile(file).split("\n")) {
+      if (!line) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // A line cut short by a crash or a concurrent write.
+      }
+    }
+  }
+  return records;
+}
+
+const args = process.argv.slice(2);
+if (args.includes("-h") || args.includes("--help")) {
+  usage();
+  process.exit(0);
+}
+
+try {
+  const since = parseTime(argValue(args, "--since"), "--since");
+  const until = parseTime(argValue(args, "--until"), "--until");
+  if (since && until && since > until) throw new Error("--since is after --until.");
+
+  const file = argValue(args, "--file");
+  const dir = argValue(args, "--dir");
+  let files;
+  if (file) {
+    if (!existsSync(file)) throw new Error(`Log file not found: ${file}`);
+    files = [file];
+  } else if (dir) {
+    if (!statSafe(dir)?.isDirectory()) throw new Error(`Log directory not found: ${dir}`);
+    files = logFiles(dir);
+  } else if (since || until) {
+    files = filesInWindow(since, until);
+  } else {
+    files = findLatestLog();
+  }
+  if (files.length === 0) throw new Error("No log file found");
+  log("reading", files);
+
+  const har = buildHar(readRecords(files), { since, until });
+  const json = JSON.stringify(har, null, 2);
+  const out = argValue(args, "--out");
+  if (out) {
+    writeFileSync(out, `${json}\n`);
+    console.log(`✓ ${har.log.entries.length} entries from ${files.length} file(s) written to ${out}`);
+  } else {
+    console.log(json);
+  }
+} catch (e) {
+  console.error("✗", e.message);
+  process.exit(1);
+}
@@ -2,6 +2,14 @@
 
 import { connect, envInt } from "./cdp.js";
 
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  return args[i + 1] ?? null;
+}
+
+const args = process.argv.slice(2);
+
 const globalTimeoutMs = envInt("CDP_GLOBAL_TIMEOUT_MS", 10000);
 const globalTimeout = setTimeout(() => {
   console.error("✗ Global timeout exceeded");
@@ -9,10 +17,10 @@ const globalTimeout = setTimeout(() => {
 }, globalTimeoutMs);
 
 try {
-  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000));
+  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000), { profile: argValue(args, "--profile") });
   try {
     const version = await cdp.send("Browser.getVersion");
-    console.log(JSON.stringify(version));
+    console.log(JSON.stringify(cdp.endpoint ? { ...version, endpoint: cdp.endpoint } : version));
   } finally {
     cdp.close();
   }
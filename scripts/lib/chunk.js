@@ -0,0 +1,66 @@
+/**
+ * Split extracted text or Markdown into chunks of at most `maxChars` for
+ * extract.js --chunk-chars. Chunks end on the strongest boundary found in the
+ * second half of the budget: before a Markdown heading, then a blank line, a
+ * line break, a sentence end, any whitespace, and only then mid-word.
+ *
+ * The split depends only on the input, so the same page content always gives
+ * the same chunks: `start`/`end` are offsets into the full text
+ * (text.slice(start, end) === chunk.text) and `contentHash` identifies it.
+ */
+
+import { createHash } from "node:crypto";
+
+const BOUNDARIES = [
+  /\n(?=#{1,6} )/g, // break before a heading
+  /\n\n+/g, // paragraph
+  /\n/g, // line
+  /[.!?]["')\]]?\s+/g, // sentence
+  /\s+/g, // word
+];
+
+/** Short, stable content hash (first 16 hex digits of SHA-256). */
+export function hashText(text) {
+  return createHash("sha256").update(text).digest("hex").slice(0, 16);
+}
+
+function breakPoint(text, start, maxChars) {
+  const window = text.slice(start, start + maxChars + 1);
+  const min = Math.floor(maxChars / 2);
+  for (const re of BOUNDARIES) {
+    let best = -1;
+    for (const match of window.matchAll(re)) {
+      // The boundary's whitespace may run past the budget; the chunk is trimmed.
+      if (match.index < min) continue;
+      if (match.index >= maxChars) break;
+      best = match.index + match[0].length;
+    }
+    if (best !== -1) return start + best;
+  }
+  // Never split a surrogate pair.
+  const cut = start + maxChars;
+  return /[\uDC00-\uDFFF]/.test(text[cut]) && cut - 1 > start ? cut - 1 : cut;
+}
+
+/** Returns [{ index, start, end, chars, hash, text }]; one empty chunk for blank text. */
+export function chunkText(text, maxChars) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    while (start < text.length && /\s/.test(text[start])) start++;
+    if (start >= text.length) break;
+    const stop = text.length - start > maxChars ? breakPoint(text, start, maxChars) : text.length;
+    const body = text.slice(start, stop).trimEnd();
+    chunks.push({
+      index: chunks.length,
+      start,
+      end: start + body.length,
+      chars: body.length,
+      hash: hashText(body),
+      text: body,
+    });
+    start = stop;
+  }
+  if (chunks.length === 0) chunks.push({ index: 0, start: 0, end: 0, chars: 0, hash: hashText(""), text: "" });
+  return chunks;
+}
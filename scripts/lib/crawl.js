@@ -0,0 +1,184 @@
+/**
+ * Crawl helpers for crawl.js: URL normalization, scope rules, robots.txt and
+ * the resumable state file.
+ */
+
+import { existsSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+
+// Robots groups are matched against this product token (Lightpanda's UA).
+export const ROBOTS_AGENT = "lightpanda";
+
+const TRACKING_PARAM = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga|_gl)$/i;
+
+/**
+ * Canonical form used for dedup: http(s) only, no fragment, no tracking
+ * parameters, query parameters sorted. Returns null for URLs not worth
+ * crawling (mailto:, javascript:, unparsable).
+ */
+export function normalizeUrl(raw, base) {
+  let url;
+  try {
+    url = new URL(raw, base);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+  url.hash = "";
+  if (url.search) {
+    const params = [...url.searchParams].filter(([key]) => !TRACKING_PARAM.test(key));
+    params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    url.search = new URLSearchParams(params).toString();
+  }
+  return url.href;
+}
+
+function compileRegex(source, flag) {
+  if (!source) return null;
+  try {
+    return new RegExp(source);
+  } catch (e) {
+    throw new Error(`Invalid ${flag} regex: ${e.message}`);
+  }
+}
+
+/**
+ * Build the in-scope test for discovered URLs.
+ *   origin  same origin as one of the seeds (default)
+ *   prefix  under the directory of one of the seeds (https://a.test/docs/ for https://a.test/docs/intro)
+ *   any     anywhere
+ * `include` / `exclude` are regexes tested against the normalized URL.
+ */
+export function createScope(seeds, { scope = "origin", include = null, exclude = null } = {}) {
+  if (!["origin", "prefix", "any"].includes(scope)) {
+    throw new Error(`Invalid --scope '${scope}' (expected origin, prefix or any).`);
+  }
+  const includeRe = compileRegex(include, "--include");
+  const excludeRe = compileRegex(exclude, "--exclude");
+  const origins = new Set(seeds.map((s) => new URL(s).origin));
+  const prefixes = seeds.map((s) => {
+    const u = new URL(s);
+    return u.origin + u.pathname.replace(/[^/]*$/, "");
+  });
+
+  return (url) => {
+    if (scope === "origin" && !origins.has(new URL(url).origin)) return false;
+    if (scope === "prefix" && !prefixes.some((p) => url.startsWith(p))) return false;
+    if (includeRe && !includeRe.test(url)) return false;
+    if (excludeRe && excludeRe.test(url)) return false;
+    return true;
+  };
+}
+
+function robotsPattern(path) {
+  const anchored = path.endsWith("$");
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+// "Lightpanda/1.0 (+https://...)" -> "lightpanda"
+function productToken(value) {
+  return value.trim().split(/[\/\s]/)[0].toLowerCase();
+}
+
+/**
+ * Parse robots.txt for `agent`: the groups whose user-agent is the agent's
+ * product token (compared case-insensitively, as a whole) apply, else the `*`
+ * groups; several matching groups are combined. Rules follow RFC 9309: the longest
+ * matching Allow/Disallow wins, Allow on ties; `*` and a trailing `$` are
+ * supported. Returns { allowed(url), crawlDelayMs }.
+ */
+export function parseRobots(text, agent = ROBOTS_AGENT) {
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*/, "").trim();
+    const match = /^([a-z-]+)\s*:\s*(.*)$/i.exec(line);
+    if (!match) continue;
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+    if (key === "user-agent") {
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(productToken(value));
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!group) continue;
+    if ((key === "allow" || key === "disallow") && value) {
+      group.rules.push({ allow: key === "allow", length: value.length, pattern: robotsPattern(value) });
+    } else if (key === "crawl-delay" && Number.isFinite(Number(value))) {
+      group.crawlDelay = Number(value);
+    }
+  }
+
+  const name = productToken(agent);
+  let chosen = groups.filter((g) => g.agents.includes(name));
+  if (chosen.length === 0) chosen = groups.filter((g) => g.agents.includes("*"));
+  const rules = chosen.flatMap((g) => g.rules);
+  const crawlDelay = chosen.find((g) => g.crawlDelay != null)?.crawlDelay;
+
+  return {
+    crawlDelayMs: crawlDelay != null ? crawlDelay * 1000 : 0,
+    allowed(url) {
+      const u = new URL(url);
+      const path = u.pathname + u.search;
+      let best = null;
+      for (const rule of rules) {
+        if (!rule.pattern.test(path)) continue;
+        if (!best || rule.length > best.length || (rule.length === best.length && rule.allow)) best = rule;
+      }
+      return !best || best.allow;
+    },
+  };
+}
+
+const ALLOW_ALL = { crawlDelayMs: 0, allowed: () => true };
+
+/**
+ * Fetch and parse <origin>/robots.txt. A missing file (4xx) or an
+ * unreachable one allows everything, as crawlers conventionally do; `error`
+ * records why.
+ */
+export async function loadRobots(origin, timeoutMs = 10000) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const resp = await fetch(`${origin}/robots.txt`, { signal: controller.signal, redirect: "follow" });
+    if (!resp.ok) return { ...ALLOW_ALL, error: `HTTP ${resp.status}` };
+    return parseRobots(await resp.text());
+  } catch (e) {
+    return { ...ALLOW_ALL, error: e.name === "AbortError" ? "timeout" : e.message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Crawl state: { seeds, seen, queue: [{ url, depth }], pages, errors,
+ * startedAt, updatedAt }. `seen` holds every URL ever queued, so a resumed
+ * crawl neither revisits pages nor re-queues them.
+ */
+export function loadState(path) {
+  if (!path || !existsSync(path)) return null;
+  try {
+    const state = JSON.parse(readFileSync(path, "utf8"));
+    if (!Array.isArray(state.queue) || !Array.isArray(state.seen)) throw new Error("missing queue/seen");
+    return state;
+  } catch (e) {
+    throw new Error(`Invalid crawl state ${path}: ${e.message}`);
+  }
+}
+
+/** Write the state atomically so an interrupted crawl never leaves half a file. */
+export function saveState(path, state) {
+  const tmp = `${path}.tmp`;
+  writeFileSync(tmp, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }));
+  renameSync(tmp, path);
+}
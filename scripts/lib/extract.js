@@ -0,0 +1,181 @@
+/**
+ * The page fields extract.js and crawl.js share: title, url, text and links
+ * (EXTRACT_SCRIPT) plus Markdown, metadata, tables and forms from their own
+ * page scripts.
+ */
+
+import { FORMS_SCRIPT } from "./forms.js";
+import { MARKDOWN_SCRIPT } from "./markdown.js";
+import { META_SCRIPT } from "./meta.js";
+import { TABLES_SCRIPT } from "./tables.js";
+
+export const PAGE_FIELDS = ["title", "url", "text", "markdown", "links", "meta", "tables", "forms"];
+
+export const EXTRACT_SCRIPT = `(opts) => {
+  const result = {};
+
+  // With opts.deep, links and text also come from open shadow roots, and each
+  // link is tagged with the URL of the frame it was found in.
+  const deepQueryAll = (root, selector) => {
+    const found = Array.from(root.querySelectorAll(selector));
+    for (const el of root.querySelectorAll("*")) {
+      if (el.shadowRoot) found.push(...deepQueryAll(el.shadowRoot, selector));
+    }
+    return found;
+  };
+  const SKIP = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "IFRAME", "FRAME"]);
+  const BLOCK = /^(ADDRESS|ARTICLE|ASIDE|BLOCKQUOTE|BR|DD|DETAILS|DIV|DL|DT|FIELDSET|FIGCAPTION|FIGURE|FOOTER|FORM|H[1-6]|HEADER|HR|LI|MAIN|NAV|OL|P|PRE|SECTION|SUMMARY|TABLE|TR|UL)$/;
+  // Rendered text, approximately: a host shows its shadow tree, a slot shows
+  // the light DOM nodes assigned to it (or its fallback content).
+  const deepText = (node) => {
+    let out = "";
+    const children = node.tagName === "SLOT" && typeof node.assignedNodes === "function" && node.assignedNodes({ flatten: true }).length
+      ? node.assignedNodes({ flatten: true })
+      : Array.from((node.shadowRoot || node).childNodes || []);
+    for (const child of children) {
+      if (child.nodeType === 3) {
+        out += child.nodeValue.replace(/\\s+/g, " ");
+        continue;
+      }
+      if (child.nodeType !== 1 || SKIP.has(child.tagName) || child.hidden) continue;
+      const block = BLOCK.test(child.tagName);
+      if (block) out += "\\n";
+      out += deepText(child);
+      if (block) out += "\\n";
+    }
+    return out;
+  };
+
+  if (opts.includeTitle) result.title = document.title || "";
+  if (opts.includeUrl) result.url = location.href || "";
+
+  if (opts.includeLinks) {
+    const seen = new Set();
+    const links = [];
+    const nodes = opts.deep ? deepQueryAll(document, "a[href]") : Array.from(document.querySelectorAll("a[href]"));
+    for (const a of nodes) {
+      if (links.length >= opts.maxLinks) break;
+      const href = a.href || "";
+      if (!href) continue;
+      if (seen.has(href)) continue;
+      seen.add(href);
+      const text = (a.textContent || "").trim().replace(/\\s+/g, " ").slice(0, 200);
+      links.push(opts.deep ? { text: text || null, href, frame: location.href } : { text: text || null, href });
+    }
+    result.links = links;
+    if (nodes.length > links.length) result.linksTruncated = nodes.length > opts.maxLinks;
+  }
+
+  if (opts.includeText) {
+    let text;
+    if (opts.deep) {
+      const el = opts.selector ? deepQueryAll(document, opts.selector)[0] : document.body;
+      text = el ? deepText(el) : "";
+    } else {
+      const el = opts.selector ? document.querySelector(opts.selector) : document.body;
+      text = (el && (el.innerText || el.textContent)) ? (el.innerText || el.textContent) : "";
+    }
+    text = String(text || "");
+    text = text.replace(/\\r\\n/g, "\\n");
+    text = text
+      .split("\\n")
+      .map((l) => l.trim())
+      .filter(Boolean)
+      .join("\\n");
+    const truncated = text.length > opts.maxChars;
+    if (truncated) text = text.slice(0, opts.maxChars) + "…";
+    result.text = text;
+    if (opts.selector) result.selector = opts.selector;
+    if (truncated) result.textTruncated = true;
+  }
+
+  return result;
+}`;
+
+/**
+ * Evaluate the requested PAGE_FIELDS in one page and merge the results.
+ * Options: selector, maxLinks, maxChars, maxRows, timeout (per evaluation),
+ * deep (text and links from open shadow roots and child frames, see
+ * extractFrames).
+ */
+export async function extractPage(cdp, sessionId, requested, options = {}) {
+  const { selector = null, maxLinks = 50, maxChars = 5000, maxRows = 500, timeout = 30000, deep = false } = options;
+  const result = {};
+
+  if (["title", "url", "text", "links"].some((key) => requested.has(key))) {
+    const evalOpts = {
+      includeTitle: requested.has("title"),
+      includeUrl: requested.has("url"),
+      includeText: requested.has("text"),
+      includeLinks: requested.has("links"),
+      selector,
+      maxLinks,
+      maxChars,
+      deep,
+    };
+    Object.assign(result, await cdp.evaluate(sessionId, `(${EXTRACT_SCRIPT})(${JSON.stringify(evalOpts)})`, timeout));
+    if (deep && (evalOpts.includeText || evalOpts.includeLinks)) {
+      await extractFrames(cdp, sessionId, result, { ...evalOpts, includeTitle: false, includeUrl: false, selector: null }, timeout);
+    }
+  }
+
+  if (requested.has("markdown")) {
+    const expression = `(${MARKDOWN_SCRIPT})(${JSON.stringify({ selector, maxChars })})`;
+    Object.assign(result, await cdp.evaluate(sessionId, expression, timeout));
+  }
+
+  if (requested.has("meta")) {
+    Object.assign(result, await cdp.evaluate(sessionId, `(${META_SCRIPT})()`, timeout));
+  }
+
+  if (requested.has("tables")) {
+    const expression = `(${TABLES_SCRIPT})(${JSON.stringify({ selector, maxRows })})`;
+    Object.assign(result, await cdp.evaluate(sessionId, expression, timeout));
+  }
+
+  if (requested.has("forms")) {
+    Object.assign(result, await cdp.evaluate(sessionId, `(${FORMS_SCRIPT})({})`, timeout));
+  }
+
+  return result;
+}
+
+/**
+ * Text and links of every child frame, read through an isolated world so
+ * cross-origin frames work too. Frame links are appended to result.links
+ * (already tagged with their frame URL; maxLinks applies per frame) and each
+ * frame gets an entry in result.frames: { url, parentUrl, text?, textTruncated?,
+ * linkCount?, error? }, where linkCount counts the links it contributed.
+ */
+async function extractFrames(cdp, sessionId, result, evalOpts, timeout) {
+  let frames;
+  try {
+    frames = await cdp.getFrames(sessionId);
+  } catch (e) {
+    result.frames = [];
+    result.framesError = e.message;
+    return;
+  }
+  const urls = new Map(frames.map((f) => [f.id, f.url]));
+  result.frames = [];
+  for (const frame of frames.slice(1)) {
+    const entry = { url: frame.url, parentUrl: urls.get(frame.parentId) ?? null };
+    result.frames.push(entry);
+    try {
+      const expression = `(${EXTRACT_SCRIPT})(${JSON.stringify(evalOpts)})`;
+      const data = await cdp.evaluateInFrame(sessionId, frame.id, expression, timeout);
+      if (evalOpts.includeText) {
+        entry.text = data.text;
+        if (data.textTruncated) entry.textTruncated = true;
+      }
+      if (evalOpts.includeLinks) {
+        const known = new Set(result.links.map((l) => l.href));
+        const added = data.links.filter((l) => !known.has(l.href));
+        result.links.push(...added);
+        entry.linkCount = added.length;
+      }
+    } catch (e) {
+      entry.error = e.message;
+    }
+  }
+}
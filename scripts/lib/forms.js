@@ -0,0 +1,307 @@
+/**
+ * Form page scripts (extract.js --forms, form.js).
+ *
+ * FORMS_SCRIPT lists every <form>, plus the controls outside any form as a
+ * final `formless` entry, with fields described as
+ *   { name, type, label, required, value, placeholder?, disabled?, checked?,
+ *     options?, selector }
+ * Radio buttons sharing a name are one field whose `options` are the
+ * buttons. Password values are never returned.
+ *
+ * FILL_SCRIPT takes { form, values } and sets each value on the field whose
+ * name, id or label matches its key, with the input/change events frameworks
+ * listen for. SUBMIT_SCRIPT then submits the filled form the way a click on
+ * its submit button would.
+ */
+
+// Shared by the page scripts below; spliced into each one.
+const HELPERS = `
+  const clean = (t) => String(t == null ? "" : t).replace(/\\s+/g, " ").trim();
+  const norm = (t) => clean(t).toLowerCase().replace(/[\\s*:]+$/, "");
+  const SKIP_TYPES = new Set(["submit", "button", "reset", "image"]);
+  const typeOf = (el) => {
+    if (el.tagName === "SELECT") return el.multiple ? "select-multiple" : "select";
+    if (el.tagName === "TEXTAREA") return "textarea";
+    return (el.getAttribute("type") || "text").toLowerCase();
+  };
+
+  // Label text without the text of controls nested in the label.
+  const ownText = (node) => {
+    let out = "";
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3) out += child.nodeValue;
+      else if (child.nodeType === 1 && !["INPUT", "SELECT", "TEXTAREA", "BUTTON"].includes(child.tagName)) out += ownText(child);
+    }
+    return out;
+  };
+  const labelOf = (el) => {
+    const labelledBy = el.getAttribute("aria-labelledby");
+    if (labelledBy) {
+      const text = labelledBy.split(/\\s+/).map((id) => ownText(document.getElementById(id) || { childNodes: [] })).join(" ");
+      if (clean(text)) return clean(text);
+    }
+    if (el.getAttribute("aria-label")) return clean(el.getAttribute("aria-label"));
+    const labels = [];
+    if (el.id) for (const l of document.querySelectorAll("label")) if (l.getAttribute("for") === el.id) labels.push(l);
+    const wrapping = el.closest("label");
+    if (wrapping && !labels.includes(wrapping)) labels.push(wrapping);
+    const text = clean(labels.map(ownText).join(" "));
+    if (text) return text;
+    return clean(el.getAttribute("placeholder") || el.getAttribute("title") || "");
+  };
+  const groupLabelOf = (el) => {
+    const group = el.closest("fieldset, [role=radiogroup], [role=group]");
+    if (!group) return "";
+    if (group.getAttribute("aria-label")) return clean(group.getAttribute("aria-label"));
+    const legend = group.querySelector("legend");
+    return legend ? clean(ownText(legend)) : "";
+  };
+
+  const forms = Array.from(document.querySelectorAll("form"));
+  const controlsOf = (form) => {
+    const all = Array.from((form || document).querySelectorAll("input, select, textarea"));
+    return all.filter((el) => (form ? true : !el.closest("form")) && !SKIP_TYPES.has(typeOf(el)));
+  };
+  const optionsOf = (select) => Array.from(select.querySelectorAll("option"));
+`;
+
+export const FORMS_SCRIPT = `(opts) => {${HELPERS}
+  const selectorOf = (el) => {
+    if (el.id) return "#" + el.id;
+    const name = el.getAttribute("name");
+    return name ? el.tagName.toLowerCase() + '[name="' + name + '"]' : null;
+  };
+
+  const describe = (el) => {
+    const type = typeOf(el);
+    const field = { name: el.getAttribute("name") || el.id || null, type, label: labelOf(el) || null, required: !!el.required };
+    if (el.disabled) field.disabled = true;
+    if (el.getAttribute("placeholder")) field.placeholder = el.getAttribute("placeholder");
+    if (type === "checkbox") {
+      field.checked = !!el.checked;
+      field.value = el.getAttribute("value") || "on";
+    } else if (type === "select" || type === "select-multiple") {
+      field.options = optionsOf(el).map((o) => ({ value: o.value, label: clean(o.textContent), selected: !!o.selected }));
+      const selected = field.options.filter((o) => o.selected).map((o) => o.value);
+      field.value = type === "select" ? selected[0] ?? null : selected;
+    } else if (type === "password") {
+      field.value = el.value ? "[redacted]" : "";
+    } else if (type !== "file") {
+      field.value = el.value ?? "";
+    }
+    field.selector = selectorOf(el);
+    return field;
+  };
+
+  const fieldsOf = (form) => {
+    const fields = [];
+    const radios = new Map();
+    for (const el of controlsOf(form)) {
+      if (typeOf(el) !== "radio") {
+        fields.push(describe(el));
+        continue;
+      }
+      const name = el.getAttribute("name") || el.id;
+      let group = radios.get(name);
+      if (!group) {
+        group = { name, type: "radio", label: groupLabelOf(el) || null, required: false, value: null, options: [] };
+        radios.set(name, group);
+        fields.push(group);
+      }
+      if (el.required) group.required = true;
+      if (el.checked) group.value = el.value;
+      group.options.push({ value: el.value, label: labelOf(el) || null, checked: !!el.checked, selector: selectorOf(el) });
+    }
+    return fields;
+  };
+
+  const result = forms.map((form, index) => ({
+    index,
+    id: form.id || null,
+    name: form.getAttribute("name") || null,
+    action: form.getAttribute("action") != null ? form.action || form.getAttribute("action") : null,
+    method: (form.getAttribute("method") || "get").toLowerCase(),
+    fields: fieldsOf(form),
+    submit: Array.from(form.querySelectorAll("button, input"))
+      .filter((b) => (b.tagName === "BUTTON" ? (b.getAttribute("type") || "submit").toLowerCase() === "submit" : ["submit", "image"].includes(typeOf(b))))
+      .map((b) => clean(b.tagName === "BUTTON" ? b.textContent : b.value || b.getAttribute("alt") || "Submit")),
+  }));
+  const formless = fieldsOf(null);
+  if (formless.length) result.push({ index: null, formless: true, fields: formless });
+  return { forms: result };
+}`;
+
+export const FILL_SCRIPT = `(opts) => {${HELPERS}
+  const truthy = (v) => {
+    if (typeof v === "boolean") return v;
+    const word = norm(v);
+    if (["true", "on", "yes", "1", "checked"].includes(word)) return true;
+    if (["false", "off", "no", "0", ""].includes(word)) return false;
+    return null;
+  };
+  const list = (v) => (Array.isArray(v) ? v : [v]).map((x) => norm(x));
+
+  // Fields a key can address, most specific first: name/id, then exact label,
+  // then a label containing the key.
+  const candidates = (controls, key) => {
+    const k = norm(key);
+    const tiers = [
+      (el) => norm(el.getAttribute("name")) === k || norm(el.id) === k,
+      (el) => norm(labelOf(el)) === k || (typeOf(el) === "radio" && norm(groupLabelOf(el)) === k),
+      (el) => k.length > 2 && norm(labelOf(el)).includes(k),
+    ];
+    for (const test of tiers) {
+      const found = controls.filter(test);
+      if (found.length) return found;
+    }
+    return [];
+  };
+
+  let scope;
+  if (opts.form != null) {
+    const spec = String(opts.form);
+    let form = /^\\d+$/.test(spec) ? forms[Number(spec)] : document.querySelector(spec);
+    if (form && form.tagName !== "FORM") form = form.closest("form") || form.querySelector("form");
+    if (!form) throw new Error("No form matches '" + spec + "' (" + forms.length + " forms on the page)");
+    scope = { form, index: forms.indexOf(form) };
+  } else {
+    // The form (or the controls outside any form) that the most keys address.
+    const scopes = forms.map((form, index) => ({ form, index })).concat([{ form: null, index: null }]);
+    let best = -1;
+    for (const s of scopes) {
+      const controls = controlsOf(s.form);
+      const matched = Object.keys(opts.values).filter((key) => candidates(controls, key).length).length;
+      if (matched > best) {
+        best = matched;
+        scope = s;
+      }
+    }
+  }
+  const controls = controlsOf(scope.form);
+
+  const fire = (el) => {
+    el.dispatchEvent(new Event("input", { bubbles: true }));
+    el.dispatchEvent(new Event("change", { bubbles: true }));
+  };
+  // Use the prototype's setter: frameworks such as React shadow "value" on the
+  // element and would otherwise ignore the change.
+  const setValue = (el, value) => {
+    let proto = Object.getPrototypeOf(el);
+    let desc;
+    while (proto && !(desc = Object.getOwnPropertyDescriptor(proto, "value"))) proto = Object.getPrototypeOf(proto);
+    if (desc && desc.set) desc.set.call(el, value);
+    else el.value = value;
+  };
+  const setChecked = (el, want) => {
+    if (!!el.checked === want) return;
+    if (typeof el.click === "function") el.click();
+    if (!!el.checked !== want) {
+      el.checked = want;
+      fire(el);
+    }
+  };
+  const matchOption = (options, wanted, labelFn) => options.find((o) => norm(o.value) === wanted || norm(labelFn(o)) === wanted);
+
+  const fill = (els, value) => {
+    const el = els[0];
+    const type = typeOf(el);
+    if (els.some((e) => e.disabled)) throw new Error("field is disabled");
+    if (type === "file") throw new Error("file inputs are not supported");
+    if (type === "radio") {
+      if (els.length === 1 && truthy(value) === true) {
+        setChecked(el, true);
+        return el.value;
+      }
+      const radios = controls.filter((r) => typeOf(r) === "radio" && r.getAttribute("name") === el.getAttribute("name"));
+      const choice = matchOption(radios, norm(value), labelOf);
+      if (!choice) throw new Error("no option " + JSON.stringify(value) + " (options: " + radios.map((r) => r.value).join(", ") + ")");
+      setChecked(choice, true);
+      return choice.value;
+    }
+    if (type === "checkbox") {
+      if (els.length === 1) {
+        const want = truthy(value);
+        if (want === null) throw new Error("expected true/false for a checkbox, got " + JSON.stringify(value));
+        setChecked(el, want);
+        return want;
+      }
+      const wanted = list(value);
+      const checked = [];
+      for (const box of els) {
+        const on = wanted.includes(norm(box.value)) || wanted.includes(norm(labelOf(box)));
+        setChecked(box, on);
+        if (on) checked.push(box.value);
+      }
+      if (checked.length < wanted.length) throw new Error("not every value matched a checkbox (" + els.map((b) => b.value).join(", ") + ")");
+      return checked;
+    }
+    if (type === "select" || type === "select-multiple") {
+      const options = optionsOf(el);
+      const wanted = type === "select" ? [norm(value)] : list(value);
+      const chosen = wanted.map((w) => {
+        const option = matchOption(options, w, (o) => o.textContent);
+        if (!option) throw new Error("no option " + JSON.stringify(w) + " (options: " + options.map((o) => o.value).join(", ") + ")");
+        return option;
+      });
+      for (const o of options) o.selected = chosen.includes(o);
+      fire(el);
+      return type === "select" ? chosen[0].value : chosen.map((o) => o.value);
+    }
+    if (el.readOnly) throw new Error("field is read-only");
+    if (typeof el.focus === "function") el.focus();
+    setValue(el, String(value));
+    fire(el);
+    return type === "password" ? "[redacted]" : el.value;
+  };
+
+  const filled = [];
+  const unmatched = [];
+  const errors = [];
+  for (const [key, value] of Object.entries(opts.values)) {
+    const els = candidates(controls, key);
+    if (els.length === 0) {
+      unmatched.push(key);
+      continue;
+    }
+    // A key may address one field only (a radio or checkbox group counts as one).
+    const names = new Set(els.map((e) => e.getAttribute("name") || e.id));
+    if (names.size > 1) {
+      errors.push({ key, error: "matches " + els.length + " fields (" + Array.from(names).join(", ") + "); use a name or id" });
+      continue;
+    }
+    try {
+      filled.push({ key, name: els[0].getAttribute("name") || els[0].id || null, type: typeOf(els[0]), value: fill(els, value) });
+    } catch (e) {
+      errors.push({ key, error: e.message });
+    }
+  }
+
+  const form = scope.form;
+  return {
+    form: form ? { index: scope.index, id: form.id || null, name: form.getAttribute("name") || null } : { index: null, formless: true },
+    filled,
+    unmatched,
+    errors,
+  };
+}`;
+
+export const SUBMIT_SCRIPT = `(opts) => {
+  const form = document.querySelectorAll("form")[opts.index];
+  if (!form) throw new Error("Form " + opts.index + " is gone; the page changed after filling");
+  const button = Array.from(form.querySelectorAll("button, input")).find((b) =>
+    b.tagName === "BUTTON"
+      ? (b.getAttribute("type") || "submit").toLowerCase() === "submit"
+      : ["submit", "image"].includes((b.getAttribute("type") || "").toLowerCase())
+  );
+  // requestSubmit runs validation and submit handlers like a real click.
+  if (typeof form.requestSubmit === "function") {
+    form.requestSubmit(button || undefined);
+    return { via: "requestSubmit", button: button ? (button.textContent || button.value || "").trim() : null };
+  }
+  if (button) {
+    button.click();
+    return { via: "click", button: (button.textContent || button.value || "").trim() };
+  }
+  form.submit();
+  return { via: "submit", button: null };
+}`;
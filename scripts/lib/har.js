@@ -0,0 +1,273 @@
+/**
+ * Convert watch.js log records into a HAR 1.2 archive (har.js).
+ *
+ * Records are paired by targetId + requestId: network.request starts an
+ * entry, network.response / network.finished / network.failure complete it
+ * and network.body (watch.js --bodies) fills in postData and content. A
+ * request that reuses its requestId after a redirect closes the previous
+ * entry with the recorded redirectResponse.
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+
+export const HAR_CREATOR = { name: "lightpanda-cloud-skill har.js", version: "1.0" };
+
+const round = (ms) => Math.round(ms * 1000) / 1000;
+
+function headerList(headers) {
+  return Object.entries(headers || {}).flatMap(([name, value]) =>
+    // CDP joins repeated headers (Set-Cookie) with newlines.
+    String(value)
+      .split("\n")
+      .map((v) => ({ name, value: v }))
+  );
+}
+
+function headerValue(headers, name) {
+  const key = Object.keys(headers || {}).find((k) => k.toLowerCase() === name);
+  return key ? String(headers[key]) : null;
+}
+
+function requestCookies(headers) {
+  const cookie = headerValue(headers, "cookie");
+  if (!cookie) return [];
+  return cookie.split(/;\s*/).filter(Boolean).map((pair) => {
+    const i = pair.indexOf("=");
+    return i === -1 ? { name: pair, value: "" } : { name: pair.slice(0, i), value: pair.slice(i + 1) };
+  });
+}
+
+function responseCookies(headers) {
+  const setCookie = headerValue(headers, "set-cookie");
+  if (!setCookie) return [];
+  return setCookie.split("\n").map((line) => {
+    const [pair, ...attrs] = line.split(/;\s*/);
+    const i = pair.indexOf("=");
+    const cookie = i === -1 ? { name: pair, value: "" } : { name: pair.slice(0, i), value: pair.slice(i + 1) };
+    for (const attr of attrs) {
+      const [key, ...rest] = attr.split("=");
+      const value = rest.join("=");
+      const name = key.toLowerCase();
+      if (name === "path") cookie.path = value;
+      else if (name === "domain") cookie.domain = value;
+      else if (name === "expires") {
+        const at = Date.parse(value);
+        cookie.expires = Number.isNaN(at) ? value : new Date(at).toISOString();
+      }
+      else if (name === "httponly") cookie.httpOnly = true;
+      else if (name === "secure") cookie.secure = true;
+    }
+    return cookie;
+  });
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function httpVersion(protocol) {
+  if (!protocol) return "HTTP/1.1";
+  const p = protocol.toLowerCase();
+  if (p === "h2") return "HTTP/2";
+  if (p === "h3" || p.startsWith("h3-")) return "HTTP/3";
+  return p.startsWith("http/") ? protocol.toUpperCase() : protocol;
+}
+
+function readBody(record) {
+  if (!record?.file || !existsSync(record.file)) return null;
+  try {
+    return readFileSync(record.file);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * HAR timings from CDP's ResourceTiming (ms offsets from requestTime, in
+ * seconds), falling back to the event timestamps when timing is missing.
+ */
+function harTimings(entry) {
+  const { request, response, finished } = entry;
+  const t = response?.timing;
+  const end = finished?.timestamp ?? entry.failure?.timestamp ?? null;
+  if (t && t.requestTime != null) {
+    const firstStart = [t.dnsStart, t.connectStart, t.sendStart].find((v) => v >= 0) ?? 0;
+    const headersEnd = t.receiveHeadersEnd >= 0 ? t.receiveHeadersEnd : t.sendEnd;
+    return {
+      blocked: round(firstStart),
+      dns: t.dnsStart >= 0 ? round(t.dnsEnd - t.dnsStart) : -1,
+      connect: t.connectStart >= 0 ? round(t.connectEnd - t.connectStart) : -1,
+      ssl: t.sslStart >= 0 ? round(t.sslEnd - t.sslStart) : -1,
+      send: round(Math.max(0, t.sendEnd - t.sendStart)),
+      wait: round(Math.max(0, headersEnd - t.sendEnd)),
+      receive: end != null ? round(Math.max(0, (end - t.requestTime) * 1000 - headersEnd)) : 0,
+    };
+  }
+  const started = request.timestamp;
+  const headersAt = response?.timestamp ?? null;
+  return {
+    blocked: -1,
+    dns: -1,
+    connect: -1,
+    ssl: -1,
+    send: 0,
+    wait: started != null && headersAt != null ? round(Math.max(0, (headersAt - started) * 1000)) : 0,
+    receive: headersAt != null && end != null ? round(Math.max(0, (end - headersAt) * 1000)) : 0,
+  };
+}
+
+function startedDateTime(request) {
+  if (request.wallTime != null) return new Date(request.wallTime * 1000).toISOString();
+  return request.ts;
+}
+
+function toEntry(entry) {
+  const { request, response, finished, failure, requestBody, responseBody } = entry;
+  const timings = harTimings(entry);
+  // ssl is part of connect, so it is not added again.
+  const time = round(["blocked", "dns", "connect", "send", "wait", "receive"].reduce((sum, k) => sum + Math.max(0, timings[k]), 0));
+
+  const harRequest = {
+    method: request.method || "GET",
+    url: request.url || "",
+    httpVersion: httpVersion(response?.protocol),
+    cookies: requestCookies(request.headers),
+    headers: headerList(request.headers),
+    queryString: queryString(request.url),
+    headersSize: -1,
+    bodySize: 0,
+  };
+  if (request.hasPostData || requestBody) {
+    const body = readBody(requestBody);
+    harRequest.postData = {
+      mimeType: headerValue(request.headers, "content-type") || requestBody?.contentType || "",
+      text: body ? body.toString("utf8") : "",
+    };
+    harRequest.bodySize = requestBody?.bytes ?? (body ? body.length : -1);
+  }
+
+  const content = { size: 0, mimeType: response?.mimeType || "" };
+  const body = readBody(responseBody);
+  if (body) {
+    content.size = responseBody.bytes ?? body.length;
+    if (responseBody.binary) {
+      content.text = body.toString("base64");
+      content.encoding = "base64";
+    } else {
+      content.text = body.toString("utf8");
+    }
+    if (responseBody.truncated) content.comment = `truncated to ${body.length} of ${responseBody.bytes} bytes`;
+  } else if (finished?.encodedDataLength != null) {
+    content.size = finished.encodedDataLength;
+  }
+
+  const harResponse = response
+    ? {
+        status: response.status ?? 0,
+        statusText: response.statusText || "",
+        httpVersion: httpVersion(response.protocol),
+        cookies: responseCookies(response.headers),
+        headers: headerList(response.headers),
+        content,
+        redirectURL: entry.redirectURL || headerValue(response.headers, "location") || "",
+        headersSize: -1,
+        bodySize: finished?.encodedDataLength ?? -1,
+      }
+    : {
+        status: 0,
+        statusText: "",
+        httpVersion: "",
+        cookies: [],
+        headers: [],
+        content,
+        redirectURL: "",
+        headersSize: -1,
+        bodySize: -1,
+        _error: failure ? failure.errorText || "failed" : "no response recorded",
+      };
+
+  const har = {
+    pageref: request.targetId,
+    startedDateTime: startedDateTime(request),
+    time,
+    request: harRequest,
+    response: harResponse,
+    cache: {},
+    timings,
+    _requestId: request.requestId,
+    _resourceType: request.resourceType || undefined,
+  };
+  if (response?.remoteIPAddress) har.serverIPAddress = response.remoteIPAddress;
+  return har;
+}
+
+/**
+ * Build { log: { version, creator, pages, entries } } from watch.js records.
+ * `since` / `until` (Date or null) keep entries whose request started inside
+ * the window.
+ */
+export function buildHar(records, { since = null, until = null } = {}) {
+  const open = new Map();
+  const done = [];
+  const pages = new Map();
+
+  for (const record of records) {
+    const { targetId } = record;
+    if (!targetId) continue;
+    if (record.type === "target.attached" || record.type === "target.info") {
+      const page = pages.get(targetId) || { id: targetId, startedDateTime: record.ts, title: "" };
+      page.title = record.title || record.url || page.title;
+      pages.set(targetId, page);
+      continue;
+    }
+    if (!record.type?.startsWith("network.") || !record.requestId) continue;
+    const key = `${targetId}:${record.requestId}`;
+    const entry = open.get(key);
+
+    if (record.type === "network.request") {
+      if (entry) {
+        // A redirect: close the hop that led here.
+        if (record.redirectResponse) entry.response = { ...record.redirectResponse, timestamp: record.timestamp };
+        entry.redirectURL = record.url;
+        done.push(entry);
+      }
+      open.set(key, { request: record });
+      continue;
+    }
+    if (!entry) continue;
+    if (record.type === "network.response") entry.response = record;
+    else if (record.type === "network.finished") entry.finished = record;
+    else if (record.type === "network.failure") entry.failure = record;
+    else if (record.type === "network.body" && record.file) {
+      if (record.kind === "request") entry.requestBody = record;
+      else entry.responseBody = record;
+    }
+  }
+  done.push(...open.values());
+
+  const entries = done
+    .map(toEntry)
+    .filter((e) => {
+      const at = Date.parse(e.startedDateTime);
+      return (!since || at >= since.getTime()) && (!until || at <= until.getTime());
+    })
+    .sort((a, b) => Date.parse(a.startedDateTime) - Date.parse(b.startedDateTime));
+
+  const used = new Set(entries.map((e) => e.pageref));
+  const harPages = [...pages.values()]
+    .filter((p) => used.has(p.id))
+    .map((p) => ({ startedDateTime: p.startedDateTime, id: p.id, title: p.title, pageTimings: { onContentLoad: -1, onLoad: -1 } }));
+  // Every pageref must name a page.
+  for (const id of used) {
+    if (!pages.has(id)) {
+      const first = entries.find((e) => e.pageref === id);
+      harPages.push({ startedDateTime: first.startedDateTime, id, title: id, pageTimings: { onContentLoad: -1, onLoad: -1 } });
+    }
+  }
+
+  return { log: { version: "1.2", creator: HAR_CREATOR, pages: harPages, entries } };
+}
@@ -0,0 +1,226 @@
+/**
+ * Key definitions and DOM-event fallbacks for the CDP interaction helpers
+ * (click, type, press, select, scroll, hover in cdp.js).
+ *
+ * The Input domain path needs layout (element boxes) and Input.* support; when
+ * either is missing, as on Lightpanda, the helpers run domActionScript() in
+ * the page instead, which dispatches the same events from JavaScript.
+ */
+
+// key -> [code, windowsVirtualKeyCode, text]
+const NAMED_KEYS = {
+  Enter: ["Enter", 13, "\r"],
+  Tab: ["Tab", 9, ""],
+  Escape: ["Escape", 27, ""],
+  Backspace: ["Backspace", 8, ""],
+  Delete: ["Delete", 46, ""],
+  Space: ["Space", 32, " "],
+  ArrowUp: ["ArrowUp", 38, ""],
+  ArrowDown: ["ArrowDown", 40, ""],
+  ArrowLeft: ["ArrowLeft", 37, ""],
+  ArrowRight: ["ArrowRight", 39, ""],
+  Home: ["Home", 36, ""],
+  End: ["End", 35, ""],
+  PageUp: ["PageUp", 33, ""],
+  PageDown: ["PageDown", 34, ""],
+};
+
+const MODIFIERS = { Alt: 1, Control: 2, Ctrl: 2, Meta: 4, Cmd: 4, Shift: 8 };
+
+// Punctuation on a US layout: char -> [code, windowsVirtualKeyCode]. Shifted
+// characters share their key's code ("!" is Digit1).
+const CHAR_KEYS = {};
+for (const [code, keyCode, plain, shifted] of [
+  ["Semicolon", 186, ";", ":"],
+  ["Equal", 187, "=", "+"],
+  ["Comma", 188, ",", "<"],
+  ["Minus", 189, "-", "_"],
+  ["Period", 190, ".", ">"],
+  ["Slash", 191, "/", "?"],
+  ["Backquote", 192, "`", "~"],
+  ["BracketLeft", 219, "[", "{"],
+  ["Backslash", 220, "\\", "|"],
+  ["BracketRight", 221, "]", "}"],
+  ["Quote", 222, "'", '"'],
+]) {
+  CHAR_KEYS[plain] = CHAR_KEYS[shifted] = [code, keyCode];
+}
+")!@#$%^&*(".split("").forEach((ch, digit) => (CHAR_KEYS[ch] = [`Digit${digit}`, 48 + digit]));
+
+/** { code, keyCode } of the key that types `ch`; keyCode 0 when there is none. */
+function charKey(ch) {
+  const upper = ch.toUpperCase();
+  if (/^[A-Z]$/.test(upper)) return { code: `Key${upper}`, keyCode: upper.charCodeAt(0) };
+  if (/^[0-9]$/.test(ch)) return { code: `Digit${ch}`, keyCode: ch.charCodeAt(0) };
+  if (ch === " ") return { code: "Space", keyCode: 32 };
+  const [code, keyCode] = CHAR_KEYS[ch] || ["", 0];
+  return { code, keyCode };
+}
+
+/**
+ * Parse "Enter", "a", "Control+a", "Shift+Tab" or "Control++" into the fields
+ * Input.dispatchKeyEvent and KeyboardEvent both need. A trailing "+" is the
+ * key itself.
+ */
+export function parseKey(spec) {
+  const raw = String(spec);
+  let name;
+  let parts;
+  if (raw.endsWith("+")) {
+    name = "+";
+    const rest = raw.slice(0, -1).replace(/\+$/, "");
+    parts = rest ? rest.split("+") : [];
+  } else {
+    parts = raw.split("+");
+    name = parts.pop();
+  }
+  let modifiers = 0;
+  for (const part of parts) {
+    if (!(part in MODIFIERS)) throw new Error(`Unknown modifier '${part}' in key '${spec}'.`);
+    modifiers |= MODIFIERS[part];
+  }
+  if (NAMED_KEYS[name]) {
+    const [code, keyCode, text] = NAMED_KEYS[name];
+    return { key: name === "Space" ? " " : name, code, keyCode, text, modifiers };
+  }
+  if (name.length !== 1) {
+    throw new Error(`Unknown key '${name}' (expected a single character or one of ${Object.keys(NAMED_KEYS).join(", ")}).`);
+  }
+  const { code, keyCode } = charKey(name);
+  // Modified keys (other than Shift) are shortcuts, not text input.
+  const text = modifiers & ~MODIFIERS.Shift ? "" : name;
+  return { key: name, code, keyCode, text, modifiers };
+}
+
+/**
+ * Page script performing `action` with DOM events. Resolves with a JSON
+ * detail object; throws if the selector matches nothing. Elements from a
+ * snapshot are addressed by their data-lp-ref attribute (payload.ref).
+ */
+export function domActionScript(action, selector, payload = {}) {
+  return `(async () => {
+  const action = ${JSON.stringify(action)};
+  const selector = ${JSON.stringify(selector)};
+  const payload = ${JSON.stringify(payload)};
+  const charKeys = ${JSON.stringify(action === "type" ? Object.fromEntries([...String(payload.text)].map((ch) => [ch, charKey(ch)])) : {})};
+
+  const find = () => {
+    if (selector == null) return document.activeElement || document.body;
+    const el = document.querySelector(selector);
+    if (!el) {
+      throw new Error(payload.ref
+        ? "Ref '" + payload.ref + "' no longer matches an element; take a new snapshot"
+        : "No element matches selector '" + selector + "'");
+    }
+    return el;
+  };
+  const mouse = (el, type, extra = {}) => {
+    const Ctor = type.startsWith("pointer") && typeof PointerEvent === "function" ? PointerEvent : MouseEvent;
+    return el.dispatchEvent(new Ctor(type, { bubbles: !type.endsWith("enter") && !type.endsWith("leave"), cancelable: true, composed: true, view: window, ...extra }));
+  };
+  const key = (el, type, k) =>
+    el.dispatchEvent(new KeyboardEvent(type, {
+      key: k.key, code: k.code, keyCode: k.keyCode, which: k.keyCode,
+      altKey: !!(k.modifiers & 1), ctrlKey: !!(k.modifiers & 2), metaKey: !!(k.modifiers & 4), shiftKey: !!(k.modifiers & 8),
+      bubbles: true, cancelable: true, composed: true,
+    }));
+  const fire = (el, type, init = {}) => {
+    const Ctor = type === "input" && typeof InputEvent === "function" ? InputEvent : Event;
+    el.dispatchEvent(new Ctor(type, { bubbles: true, cancelable: type !== "input", composed: true, ...init }));
+  };
+  const insert = (el, text) => {
+    if ("value" in el) {
+      el.value += text;
+    } else if (el.isContentEditable) {
+      el.textContent += text;
+    }
+    fire(el, "input", { data: text, inputType: "insertText" });
+  };
+  const describe = (el) => ({
+    tag: el.tagName ? el.tagName.toLowerCase() : null,
+    text: (el.innerText || el.textContent || "").trim().slice(0, 80),
+  });
+
+  if (action === "hover") {
+    const el = find();
+    for (const type of ["pointerover", "pointerenter", "mouseover", "mouseenter", "pointermove", "mousemove"]) mouse(el, type);
+    return { element: describe(el) };
+  }
+
+  if (action === "click") {
+    const el = find();
+    const init = { button: payload.button || 0, detail: payload.clickCount || 1 };
+    el.scrollIntoView?.({ block: "center" });
+    for (const type of ["pointerover", "mouseover", "pointerdown", "mousedown"]) mouse(el, type, init);
+    el.focus?.();
+    for (const type of ["pointerup", "mouseup"]) mouse(el, type, init);
+    if (init.button === 0) el.click(); else mouse(el, "auxclick", init);
+    if (init.detail === 2) mouse(el, "dblclick", init);
+    return { element: describe(el) };
+  }
+
+  if (action === "type") {
+    const el = find();
+    el.focus?.();
+    if (payload.clear) {
+      if ("value" in el) el.value = ""; else el.textContent = "";
+      fire(el, "input", { inputType: "deleteContentBackward" });
+    }
+    for (const ch of payload.text) {
+      const k = { key: ch, code: charKeys[ch].code, keyCode: charKeys[ch].keyCode, modifiers: 0 };
+      const allowed = key(el, "keydown", k);
+      key(el, "keypress", k);
+      if (allowed) insert(el, ch);
+      key(el, "keyup", k);
+    }
+    fire(el, "change");
+    return { element: describe(el), value: "value" in el ? el.value : el.textContent };
+  }
+
+  if (action === "press") {
+    const el = find();
+    const k = payload.key;
+    const allowed = key(el, "keydown", k);
+    if (allowed && k.text) key(el, "keypress", k);
+    if (allowed && k.key === "Enter" && el.form && el.tagName !== "TEXTAREA") {
+      if (typeof el.form.requestSubmit === "function") el.form.requestSubmit(); else el.form.submit();
+    } else if (allowed && k.text && k.text !== "\\r" && ("value" in el || el.isContentEditable)) {
+      insert(el, k.text);
+    }
+    key(el, "keyup", k);
+    return { element: describe(el) };
+  }
+
+  if (action === "select") {
+    const el = find();
+    if (el.tagName !== "SELECT") throw new Error("Element '" + selector + "' is not a <select>");
+    const wanted = payload.values;
+    const options = Array.from(el.options);
+    const picked = wanted.map((v) => {
+      const option = options.find((o) => o.value === v) || options.find((o) => o.label.trim() === v || o.text.trim() === v);
+      if (!option) throw new Error("No option '" + v + "' in '" + selector + "' (options: " + options.map((o) => o.value).join(", ") + ")");
+      return option;
+    });
+    if (!el.multiple && picked.length > 1) throw new Error("'" + selector + "' accepts a single value");
+    el.focus?.();
+    for (const o of options) o.selected = picked.includes(o);
+    fire(el, "input");
+    fire(el, "change");
+    return { element: describe(el), selected: picked.map((o) => ({ value: o.value, label: o.label || o.text })) };
+  }
+
+  if (action === "scroll") {
+    if (selector != null) {
+      const el = find();
+      el.scrollIntoView?.({ block: "center" });
+      return { element: describe(el), scrollY: window.scrollY };
+    }
+    const top = payload.relative ? window.scrollY + payload.y : payload.y;
+    window.scrollTo(0, top);
+    window.dispatchEvent(new Event("scroll"));
+    return { scrollY: window.scrollY };
+  }
+
+  throw new Error("Unknown action '" + action + "'");
+})()`;
+}
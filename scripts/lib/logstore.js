@@ -0,0 +1,251 @@
+/**
+ * The watch.js log store: ~/.cache/agent-web/logs/<YYYY-MM-DD>/<targetId>.jsonl
+ * (local day), with body sidecars under <day>/bodies/.
+ *
+ * A file that reaches the size limit is renamed to <targetId>.<n>.jsonl and
+ * gzipped to <targetId>.<n>.jsonl.gz; n grows with age order, and the plain
+ * <targetId>.jsonl is always the newest part. Retention removes whole days
+ * past `maxDays`, then the oldest files until the store fits `maxTotalBytes`.
+ */
+
+import {
+  closeSync,
+  createReadStream,
+  createWriteStream,
+  existsSync,
+  mkdirSync,
+  openSync,
+  readdirSync,
+  readFileSync,
+  renameSync,
+  rmdirSync,
+  rmSync,
+  statSync,
+  writeSync,
+} from "node:fs";
+import { homedir } from "node:os";
+import { basename, join } from "node:path";
+import { pipeline } from "node:stream/promises";
+import { createGzip, gunzipSync } from "node:zlib";
+
+export const LOG_ROOT = join(homedir(), ".cache/agent-web/logs");
+export const DAY_DIR = /^\d{4}-\d{2}-\d{2}$/;
+// watch.js rotation and retention defaults, also used by logs-prune.js.
+export const DEFAULT_LIMITS = { maxFileSize: "50M", maxDays: 14, maxTotalSize: "1G" };
+
+// <name>.jsonl, <name>.<n>.jsonl (rotated, not yet compressed), <name>.<n>.jsonl.gz
+const LOG_FILE = /^(.+?)(?:\.(\d+))?\.jsonl(\.gz)?$/;
+
+export function dayName(date = new Date()) {
+  const yyyy = String(date.getFullYear());
+  const mm = String(date.getMonth() + 1).padStart(2, "0");
+  const dd = String(date.getDate()).padStart(2, "0");
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+const BYTE_UNITS = { "": 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+/** "500M", "2G", "65536" -> bytes; null when invalid. 0 is allowed (no limit). */
+export function parseBytes(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)i?b?$/i.exec(String(value).trim());
+  if (!match) return null;
+  return Math.floor(Number(match[1]) * BYTE_UNITS[match[2].toLowerCase()]);
+}
+
+function statSafe(path) {
+  try {
+    return statSync(path);
+  } catch {
+    return null;
+  }
+}
+
+export function dayDirs(root = LOG_ROOT) {
+  if (!existsSync(root)) return [];
+  return readdirSync(root)
+    .filter((name) => DAY_DIR.test(name) && statSafe(join(root, name))?.isDirectory())
+    .sort();
+}
+
+/**
+ * Log files of a directory in write order: per target, rotated parts oldest
+ * first, then the current file.
+ */
+export function logFiles(dir) {
+  const names = new Set(readdirSync(dir));
+  return [...names]
+    .map((name) => ({ name, match: LOG_FILE.exec(name) }))
+    // A rotated part is briefly there both plain and compressed.
+    .filter(({ name, match }) => match && !(match[2] && !match[3] && names.has(`${name}.gz`)))
+    .sort((a, b) => {
+      if (a.match[1] !== b.match[1]) return a.match[1] < b.match[1] ? -1 : 1;
+      return (Number(a.match[2]) || Infinity) - (Number(b.match[2]) || Infinity);
+    })
+    .map(({ name }) => join(dir, name));
+}
+
+/** Target name of a log file ("T1" for T1.jsonl and T1.3.jsonl.gz), or null. */
+export function logName(path) {
+  return LOG_FILE.exec(basename(path))?.[1] ?? null;
+}
+
+export function readLogFile(path) {
+  const data = readFileSync(path);
+  return (path.endsWith(".gz") ? gunzipSync(data) : data).toString("utf8");
+}
+
+function rotatedPath(dir, name) {
+  let n = 1;
+  while (existsSync(join(dir, `${name}.${n}.jsonl`)) || existsSync(join(dir, `${name}.${n}.jsonl.gz`))) n++;
+  return join(dir, `${name}.${n}.jsonl`);
+}
+
+/**
+ * Per-target JSONL writer. Follows the local day (a write after midnight goes
+ * to the new day's directory) and rotates files past `maxFileBytes` (0: never).
+ * Lines are appended synchronously, so a crash loses nothing already written
+ * and a rotated file is complete by the time it is compressed.
+ */
+export class LogWriter {
+  constructor({ root = LOG_ROOT, maxFileBytes = 0, now = () => new Date(), onError = () => {} } = {}) {
+    this.root = root;
+    this.maxFileBytes = maxFileBytes;
+    this.now = now;
+    this.onError = onError;
+    this.day = null;
+    this.files = new Map();
+    this.compressing = new Set();
+  }
+
+  /** Directory of the current day, created on first use. */
+  dir() {
+    const day = dayName(this.now());
+    if (day !== this.day) {
+      // Day rollover: every target starts a new file in the new directory.
+      for (const name of [...this.files.keys()]) this.end(name);
+      this.day = day;
+    }
+    const dir = join(this.root, day);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+
+  /** Append one line for `name`; returns { file, bytes }. */
+  write(name, line) {
+    const dir = this.dir();
+    let file = this.files.get(name);
+    if (!file) {
+      const path = join(dir, `${name}.jsonl`);
+      file = { path, fd: openSync(path, "a"), bytes: statSafe(path)?.size || 0 };
+      this.files.set(name, file);
+    }
+    const buffer = Buffer.from(line);
+    writeSync(file.fd, buffer);
+    file.bytes += buffer.length;
+    if (this.maxFileBytes > 0 && file.bytes >= this.maxFileBytes) this.rotate(name);
+    return { file: file.path, bytes: buffer.length };
+  }
+
+  /** Move `name`'s current file aside and gzip it in the background. */
+  rotate(name) {
+    const file = this.files.get(name);
+    if (!file) return;
+    this.end(name);
+    const rotated = rotatedPath(join(file.path, ".."), name);
+    renameSync(file.path, rotated);
+    // Compressed under a temporary name so readers never see half a .gz.
+    const tmp = `${rotated}.gz.tmp`;
+    const done = pipeline(createReadStream(rotated), createGzip(), createWriteStream(tmp))
+      .then(() => {
+        renameSync(tmp, `${rotated}.gz`);
+        rmSync(rotated, { force: true });
+      })
+      .catch((e) => {
+        // Keep the plain file; readers accept both.
+        rmSync(tmp, { force: true });
+        this.onError(e);
+      })
+      .finally(() => this.compressing.delete(done));
+    this.compressing.add(done);
+  }
+
+  /** Close `name`'s file (the target went away); the next write reopens it. */
+  end(name) {
+    const file = this.files.get(name);
+    if (!file) return;
+    this.files.delete(name);
+    try {
+      closeSync(file.fd);
+    } catch {}
+  }
+
+  /** Paths currently open for writing (never pruned). */
+  openFiles() {
+    return [...this.files.values()].map((file) => file.path);
+  }
+
+  /** Close every file and wait for running compressions (at most `timeoutMs`). */
+  close(timeoutMs = 2000) {
+    for (const name of [...this.files.keys()]) this.end(name);
+    let timer;
+    const timeout = new Promise((resolve) => (timer = setTimeout(resolve, timeoutMs)));
+    return Promise.race([Promise.all(this.compressing), timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+function walkFiles(dir, out) {
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) walkFiles(path, out);
+    else out.push(path);
+  }
+  return out;
+}
+
+function removeEmptyDirs(dir) {
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) removeEmptyDirs(join(dir, entry.name));
+  }
+  if (readdirSync(dir).length === 0) rmdirSync(dir);
+}
+
+/**
+ * Apply the retention policy to the day directories under `root`: remove
+ * days older than `maxDays` (today counts as one; 0 keeps every day), then
+ * the oldest files until the total is at most `maxTotalBytes` (0: no limit).
+ * `keep` lists files that must stay (open for writing). With `dryRun`
+ * nothing is deleted.
+ *
+ * Returns { removed: [{ path, bytes }], freedBytes, totalBytes } where
+ * totalBytes is what remains.
+ */
+export function pruneLogs({ root = LOG_ROOT, maxDays = 0, maxTotalBytes = 0, keep = [], now = new Date(), dryRun = false } = {}) {
+  const protectedFiles = new Set(keep);
+  const oldestKept = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (maxDays - 1));
+  const cutoff = maxDays > 0 ? dayName(oldestKept) : "";
+
+  const files = [];
+  for (const day of dayDirs(root)) {
+    for (const path of walkFiles(join(root, day), [])) {
+      const stat = statSafe(path);
+      if (stat) files.push({ path, day, bytes: stat.size, mtime: stat.mtimeMs });
+    }
+  }
+  // Oldest first: by day, then by modification time.
+  files.sort((a, b) => (a.day !== b.day ? (a.day < b.day ? -1 : 1) : a.mtime - b.mtime));
+
+  const removed = [];
+  let totalBytes = files.reduce((sum, f) => sum + f.bytes, 0);
+  for (const file of files) {
+    if (protectedFiles.has(file.path)) continue;
+    const expired = file.day < cutoff;
+    if (!expired && !(maxTotalBytes > 0 && totalBytes > maxTotalBytes)) continue;
+    if (!dryRun) rmSync(file.path, { force: true });
+    removed.push({ path: file.path, bytes: file.bytes });
+    totalBytes -= file.bytes;
+  }
+  if (!dryRun) {
+    for (const day of dayDirs(root)) removeEmptyDirs(join(root, day));
+  }
+  return { removed, freedBytes: removed.reduce((sum, f) => sum + f.bytes, 0), totalBytes };
+}
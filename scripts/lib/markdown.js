@@ -0,0 +1,250 @@
+/**
+ * Page script for extract.js --markdown.
+ *
+ * Picks the main content root (--selector, else <main>/[role=main], a single
+ * <article>, else the best readability-style score, else <body>), drops
+ * navigation and boilerplate inside it, and converts what is left to
+ * Markdown: headings, paragraphs, emphasis, lists, blockquotes, code blocks,
+ * tables, and links/images as numbered references listed at the end.
+ *
+ * Call as `(${MARKDOWN_SCRIPT})({ selector, maxChars })`. Resolves with
+ * { markdown, contentRoot, markdownTruncated? }.
+ */
+export const MARKDOWN_SCRIPT = `(opts) => {
+  const SKIP_TAGS = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "SVG", "CANVAS", "IFRAME", "OBJECT", "BUTTON", "INPUT", "SELECT", "TEXTAREA", "DIALOG"]);
+  const NOISE_TAGS = new Set(["NAV", "ASIDE", "FOOTER", "FORM"]);
+  const NOISE_ROLES = new Set(["navigation", "banner", "contentinfo", "complementary", "search", "dialog", "alert"]);
+  const NOISE_HINT = /(^|[\\s_-])(nav|navbar|menu|footer|sidebar|breadcrumbs?|cookie|consent|banner|share|social|related|promo|advert|ads?|newsletter|subscribe|comments?|toc)([\\s_-]|$)/i;
+  const GOOD_HINT = /(article|content|main|post|entry|body|text|story|docs?)/i;
+
+  const textOf = (el) => (el.innerText || el.textContent || "").replace(/\\s+/g, " ").trim();
+  const hints = (el) => ((el.id || "") + " " + (typeof el.className === "string" ? el.className : "")).trim();
+
+  const hidden = (el) => {
+    if (el.hidden || el.getAttribute("aria-hidden") === "true") return true;
+    try {
+      const style = getComputedStyle(el);
+      return style.display === "none" || style.visibility === "hidden";
+    } catch {
+      return false;
+    }
+  };
+
+  const describe = (el) => {
+    let s = el.tagName.toLowerCase();
+    if (el.id) s += "#" + el.id;
+    else if (typeof el.className === "string" && el.className.trim()) s += "." + el.className.trim().split(/\\s+/).slice(0, 2).join(".");
+    return s;
+  };
+
+  const linkDensity = (el) => {
+    const total = textOf(el).length || 1;
+    let links = 0;
+    for (const a of el.querySelectorAll("a")) links += textOf(a).length;
+    return links / total;
+  };
+
+  // Readability-style: paragraphs score their parent and grandparent.
+  const scoreCandidates = () => {
+    const scores = new Map();
+    for (const p of document.querySelectorAll("p, pre, td, blockquote, li")) {
+      const text = textOf(p);
+      if (text.length < 25) continue;
+      const points = 1 + text.split(",").length + Math.min(3, Math.floor(text.length / 100));
+      let el = p.parentElement;
+      for (let level = 0; el && el !== document.documentElement && level < 3; level++, el = el.parentElement) {
+        if (!scores.has(el)) {
+          const h = hints(el);
+          let base = 0;
+          if (GOOD_HINT.test(h)) base += 25;
+          if (NOISE_HINT.test(h)) base -= 25;
+          if (el.tagName === "ARTICLE" || el.tagName === "MAIN") base += 10;
+          scores.set(el, base);
+        }
+        scores.set(el, scores.get(el) + points / (level === 0 ? 1 : level * 2));
+      }
+    }
+    let best = null;
+    let bestScore = 0;
+    for (const [el, score] of scores) {
+      const adjusted = score * (1 - linkDensity(el));
+      if (adjusted > bestScore) {
+        best = el;
+        bestScore = adjusted;
+      }
+    }
+    return best;
+  };
+
+  const chooseRoot = () => {
+    if (opts.selector) {
+      const el = document.querySelector(opts.selector);
+      return el ? { el, method: "selector" } : null;
+    }
+    const main = Array.from(document.querySelectorAll("main, [role=main]")).find((el) => !hidden(el) && textOf(el));
+    if (main) return { el: main, method: "main" };
+    const articles = Array.from(document.querySelectorAll("article")).filter((el) => !hidden(el) && textOf(el));
+    if (articles.length === 1) return { el: articles[0], method: "article" };
+    const scored = scoreCandidates();
+    if (scored) return { el: scored, method: "score" };
+    return document.body ? { el: document.body, method: "body" } : null;
+  };
+
+  const refs = [];
+  const refIndex = new Map();
+  const refFor = (url) => {
+    if (!refIndex.has(url)) {
+      refs.push(url);
+      refIndex.set(url, refs.length);
+    }
+    return refIndex.get(url);
+  };
+
+  const isNoise = (el, root) => {
+    if (el === root) return false;
+    if (NOISE_TAGS.has(el.tagName)) return true;
+    if (NOISE_ROLES.has(el.getAttribute("role"))) return true;
+    if (el.tagName === "HEADER" && !el.querySelector("h1, h2")) return true;
+    return NOISE_HINT.test(hints(el)) && linkDensity(el) > 0.5;
+  };
+
+  // Inline content: text, emphasis, code, links, images.
+  const inline = (node, root) => {
+    let out = "";
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3) {
+        out += child.nodeValue.replace(/\\s+/g, " ");
+        continue;
+      }
+      if (child.nodeType !== 1 || SKIP_TAGS.has(child.tagName) || hidden(child) || isNoise(child, root)) continue;
+      const tag = child.tagName;
+      if (tag === "BR") out += "  \\n";
+      else if (tag === "STRONG" || tag === "B") out += wrap(inline(child, root), "**");
+      else if (tag === "EM" || tag === "I") out += wrap(inline(child, root), "*");
+      else if (tag === "DEL" || tag === "S") out += wrap(inline(child, root), "~~");
+      else if (tag === "CODE" || tag === "KBD" || tag === "SAMP") {
+        const code = child.textContent.replace(/\\s+/g, " ");
+        const fence = code.includes("\`") ? "\`\` " : "\`";
+        out += fence + code + fence.split("").reverse().join("");
+      } else if (tag === "A") {
+        const text = inline(child, root).trim();
+        const href = child.href || "";
+        // Heading permalinks ("#", "¶") are noise.
+        const permalink = href.split("#")[0] === location.href.split("#")[0] && text.length <= 2;
+        if (permalink) continue;
+        if (!href || href.startsWith("javascript:")) out += text;
+        else if (text) out += "[" + text + "][" + refFor(href) + "]";
+      } else if (tag === "IMG") {
+        const src = child.currentSrc || child.src || "";
+        if (src && !src.startsWith("data:")) out += "![" + (child.alt || "").trim() + "][" + refFor(src) + "]";
+      } else out += inline(child, root);
+    }
+    return out;
+  };
+  const wrap = (text, mark) => {
+    const t = text.trim();
+    return t ? mark + t + mark : "";
+  };
+  const clean = (text) => text.replace(/[ \\t]+/g, " ").replace(/ *\\n */g, "  \\n").trim();
+
+  const table = (el, root) => {
+    const rows = Array.from(el.rows || el.querySelectorAll("tr")).map((row) =>
+      Array.from(row.cells || Array.from(row.children).filter((c) => c.tagName === "TD" || c.tagName === "TH")).map((cell) => clean(inline(cell, root)).replace(/\\n+/g, " ").replace(/\\|/g, "\\\\|"))
+    );
+    if (rows.length === 0) return "";
+    const width = Math.max(...rows.map((r) => r.length));
+    const pad = (r) => r.concat(Array(width - r.length).fill(""));
+    const lines = [pad(rows[0]), Array(width).fill("---"), ...rows.slice(1).map(pad)];
+    return lines.map((r) => "| " + r.join(" | ") + " |").join("\\n");
+  };
+
+  // Nested lists come back from blocks() unindented and are shifted under their item.
+  const list = (el, root) => {
+    const ordered = el.tagName === "OL";
+    let n = Number(el.getAttribute("start")) || 1;
+    const items = [];
+    for (const li of el.children) {
+      if (li.tagName !== "LI" || hidden(li)) continue;
+      const marker = ordered ? n++ + ". " : "- ";
+      const body = blocks(li, root).trim().replace(/\\n{2,}/g, "\\n").split("\\n");
+      const rest = body.slice(1).map((line) => " ".repeat(marker.length) + line);
+      items.push([marker + (body[0] || ""), ...rest].join("\\n"));
+    }
+    return items.join("\\n");
+  };
+
+  const BLOCK_TAGS = new Set(["P", "DIV", "SECTION", "ARTICLE", "MAIN", "HEADER", "H1", "H2", "H3", "H4", "H5", "H6", "UL", "OL", "PRE", "BLOCKQUOTE", "TABLE", "HR", "FIGURE", "FIGCAPTION", "DL", "DT", "DD", "DETAILS", "SUMMARY", "LI"]);
+
+  // Block content: each block separated by a blank line.
+  const blocks = (node, root) => {
+    const out = [];
+    let pending = "";
+    const flush = () => {
+      const text = clean(pending);
+      if (text) out.push(text);
+      pending = "";
+    };
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3) {
+        pending += child.nodeValue.replace(/\\s+/g, " ");
+        continue;
+      }
+      if (child.nodeType !== 1 || SKIP_TAGS.has(child.tagName) || hidden(child) || isNoise(child, root)) continue;
+      const tag = child.tagName;
+      if (!BLOCK_TAGS.has(tag)) {
+        pending += inline({ childNodes: [child] }, root);
+        continue;
+      }
+      flush();
+      let block = "";
+      if (/^H[1-6]$/.test(tag)) {
+        const text = clean(inline(child, root)).replace(/\\n+/g, " ");
+        if (text) block = "#".repeat(Number(tag[1])) + " " + text;
+      } else if (tag === "UL" || tag === "OL") block = list(child, root);
+      else if (tag === "PRE") {
+        const lang = /language-([\\w+-]+)/.exec((child.querySelector("code") || child).className || "");
+        const code = child.textContent.replace(/\\n$/, "");
+        const fence = code.includes("\`\`\`") ? "~~~" : "\`\`\`";
+        block = fence + (lang ? lang[1] : "") + "\\n" + code + "\\n" + fence;
+      } else if (tag === "BLOCKQUOTE") {
+        block = blocks(child, root).split("\\n").map((line) => (line ? "> " + line : ">")).join("\\n");
+      } else if (tag === "TABLE") block = table(child, root);
+      else if (tag === "HR") block = "---";
+      else if (tag === "FIGCAPTION") {
+        const text = clean(inline(child, root));
+        if (text) block = "*" + text + "*";
+      } else if (tag === "DT") {
+        const text = clean(inline(child, root));
+        if (text) block = "**" + text + "**";
+      } else if (tag === "DD") {
+        const text = clean(blocks(child, root)).replace(/\\n+/g, " ");
+        if (text) block = ": " + text;
+      } else block = blocks(child, root);
+      if (block.trim()) out.push(block);
+    }
+    flush();
+    return out.join("\\n\\n");
+  };
+
+  const chosen = chooseRoot();
+  if (!chosen) return { markdown: "", contentRoot: null };
+  const root = chosen.el;
+
+  let markdown = blocks(root, root).replace(/\\n{3,}/g, "\\n\\n").trim();
+  const truncated = markdown.length > opts.maxChars;
+  if (truncated) {
+    const cut = markdown.lastIndexOf("\\n", opts.maxChars);
+    markdown = markdown.slice(0, cut > opts.maxChars * 0.8 ? cut : opts.maxChars).trimEnd() + "\\n\\n…";
+  }
+
+  // Only list references still present after truncation.
+  const used = refs.map((url, i) => [i + 1, url]).filter(([n]) => markdown.includes("][" + n + "]"));
+  if (used.length) markdown += "\\n\\n" + used.map(([n, url]) => "[" + n + "]: " + url).join("\\n");
+
+  const result = {
+    markdown,
+    contentRoot: { selector: describe(root), method: chosen.method, textChars: textOf(root).length },
+  };
+  if (truncated) result.markdownTruncated = true;
+  return result;
+}`;
@@ -0,0 +1,117 @@
+/**
+ * Page script for extract.js --meta: the metadata a page declares about
+ * itself rather than what it shows.
+ *
+ *   description, canonical, robots, lang   <meta>/<link rel=canonical>/<html lang>
+ *   alternates   [{ hreflang, href }] from <link rel=alternate hreflang>
+ *   openGraph    { title, image, ... } from og:* (and article:/product: etc.)
+ *   twitter      { card, site, ... } from twitter:*
+ *   jsonLd       parsed <script type="application/ld+json"> blocks
+ *   jsonLdErrors [{ index, error }] for blocks that are not valid JSON
+ *   microdata    [{ type, id?, properties }] for top-level itemscope elements
+ *   feeds        [{ type, title, href }] for RSS/Atom/JSON feed links
+ *
+ * A property that occurs more than once (og:image, repeated itemprops)
+ * becomes an array. Call as `(${META_SCRIPT})()`; resolves with { meta }.
+ */
+export const META_SCRIPT = `() => {
+  const clean = (t) => String(t == null ? "" : t).replace(/\\s+/g, " ").trim();
+  const add = (obj, key, value) => {
+    if (value == null || value === "") return;
+    if (!(key in obj)) obj[key] = value;
+    else if (Array.isArray(obj[key])) obj[key].push(value);
+    else obj[key] = [obj[key], value];
+  };
+  const rels = (el) => (el.getAttribute("rel") || "").toLowerCase().split(/\\s+/);
+  const links = Array.from(document.querySelectorAll("link"));
+  const metas = Array.from(document.querySelectorAll("meta"));
+  const metaNamed = (name) => {
+    const el = metas.find((m) => (m.getAttribute("name") || "").toLowerCase() === name);
+    return el ? clean(el.getAttribute("content")) : null;
+  };
+
+  const meta = {
+    description: metaNamed("description"),
+    canonical: (links.find((l) => rels(l).includes("canonical")) || {}).href || null,
+    robots: metaNamed("robots"),
+    lang: document.documentElement.getAttribute("lang") || null,
+    alternates: links
+      .filter((l) => rels(l).includes("alternate") && l.getAttribute("hreflang"))
+      .map((l) => ({ hreflang: l.getAttribute("hreflang"), href: l.href })),
+    openGraph: {},
+    twitter: {},
+    jsonLd: [],
+    microdata: [],
+    feeds: [],
+  };
+
+  // OpenGraph uses property=, Twitter cards name=; sites mix both.
+  const OG_PREFIXES = ["og:", "article:", "product:", "book:", "profile:", "music:", "video:", "fb:"];
+  for (const m of metas) {
+    const key = (m.getAttribute("property") || m.getAttribute("name") || "").trim();
+    const content = clean(m.getAttribute("content"));
+    const lower = key.toLowerCase();
+    if (lower.startsWith("twitter:")) add(meta.twitter, key.slice(8), content);
+    else if (lower.startsWith("og:")) add(meta.openGraph, key.slice(3), content);
+    else if (OG_PREFIXES.some((p) => lower.startsWith(p))) add(meta.openGraph, key, content);
+  }
+
+  const FEED_TYPES = ["application/rss+xml", "application/atom+xml", "application/feed+json", "application/json"];
+  for (const l of links) {
+    const type = (l.getAttribute("type") || "").toLowerCase();
+    if (rels(l).includes("alternate") && FEED_TYPES.includes(type) && l.href) {
+      meta.feeds.push({ type, title: clean(l.getAttribute("title")) || null, href: l.href });
+    }
+  }
+
+  const jsonLdErrors = [];
+  const scripts = Array.from(document.querySelectorAll("script")).filter(
+    (s) => (s.getAttribute("type") || "").split(";")[0].trim().toLowerCase() === "application/ld+json"
+  );
+  scripts.forEach((s, index) => {
+    const source = (s.textContent || "").trim();
+    if (!source) return;
+    try {
+      meta.jsonLd.push(JSON.parse(source));
+    } catch (e) {
+      jsonLdErrors.push({ index, error: e.message, snippet: source.slice(0, 120) });
+    }
+  });
+  if (jsonLdErrors.length) meta.jsonLdErrors = jsonLdErrors;
+
+  // Microdata: an itemprop's value is a nested item, a URL, a machine-readable
+  // attribute or the element's text, per the HTML spec.
+  const URL_PROPS = { A: "href", AREA: "href", LINK: "href", IMG: "src", AUDIO: "src", VIDEO: "src", SOURCE: "src", TRACK: "src", IFRAME: "src", EMBED: "src", OBJECT: "data" };
+  const propValue = (el) => {
+    if (el.hasAttribute("itemscope")) return item(el);
+    if (el.tagName === "META") return clean(el.getAttribute("content"));
+    if (URL_PROPS[el.tagName]) return el[URL_PROPS[el.tagName]] || el.getAttribute(URL_PROPS[el.tagName]) || "";
+    if (el.tagName === "TIME" && el.hasAttribute("datetime")) return el.getAttribute("datetime");
+    if ((el.tagName === "DATA" || el.tagName === "METER") && el.hasAttribute("value")) return el.getAttribute("value");
+    return clean(el.innerText || el.textContent);
+  };
+  const item = (scope) => {
+    const out = {};
+    const type = clean(scope.getAttribute("itemtype"));
+    if (type) out.type = type.includes(" ") ? type.split(" ") : type;
+    if (scope.getAttribute("itemid")) out.id = scope.getAttribute("itemid");
+    out.properties = {};
+    const visit = (el) => {
+      for (const child of el.children) {
+        const names = clean(child.getAttribute("itemprop"));
+        if (names) {
+          const value = propValue(child);
+          for (const name of names.split(" ")) add(out.properties, name, value);
+        }
+        if (!child.hasAttribute("itemscope")) visit(child);
+      }
+    };
+    visit(scope);
+    return out;
+  };
+  for (const el of document.querySelectorAll("[itemscope]")) {
+    if (!el.hasAttribute("itemprop")) meta.microdata.push(item(el));
+  }
+
+  return { meta };
+}`;
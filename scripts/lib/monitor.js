@@ -0,0 +1,184 @@
+/**
+ * Change monitoring for monitor.js: where snapshots live, and how two
+ * snapshots are compared.
+ *
+ * A snapshot is { url, config, checkedAt, content }, where content holds the
+ * extracted fields (text, links, data, ...). String fields are diffed line by
+ * line, everything else path by path ("data.products[2].price").
+ */
+
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+export const MONITOR_DIR = join(homedir(), ".cache/agent-web/monitor");
+
+// Edit distance beyond which a text is reported as replaced wholesale.
+const MAX_EDITS = 2000;
+const CONTEXT_LINES = 2;
+
+/**
+ * Snapshot file for a URL and extraction config: the same URL watched with
+ * different fields, schema or ignore rules keeps separate snapshots.
+ */
+export function snapshotPath(url, config, dir = MONITOR_DIR) {
+  const key = createHash("sha256").update(JSON.stringify({ url, config })).digest("hex").slice(0, 12);
+  let host = "page";
+  try {
+    host = new URL(url).host.replace(/[^a-zA-Z0-9.-]/g, "_");
+  } catch {}
+  return join(dir, `${host}-${key}.json`);
+}
+
+export function loadSnapshot(path) {
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, "utf8"));
+  } catch (e) {
+    throw new Error(`Invalid snapshot ${path}: ${e.message}`);
+  }
+}
+
+/** Write atomically so an interrupted run never leaves half a snapshot. */
+export function saveSnapshot(path, snapshot) {
+  const dir = join(path, "..");
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  const tmp = `${path}.tmp`;
+  writeFileSync(tmp, JSON.stringify(snapshot));
+  renameSync(tmp, path);
+}
+
+// Myers' O((N+M)D) diff. Returns [[op, line]] with op " ", "-" or "+", or
+// null when the texts differ by more than MAX_EDITS lines.
+function editScript(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDITS);
+  const offset = max + 1;
+  let v = new Int32Array(2 * max + 3);
+  const trace = [];
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, a, b, offset);
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, a, b, offset) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push([" ", a[x]]);
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push(["+", b[y - 1]]);
+      else ops.push(["-", a[x - 1]]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+/**
+ * Line diff of two texts as unified-diff style lines ("@@ -3,4 +3,5 @@",
+ * "  context", "- removed", "+ added") plus counts.
+ */
+export function diffLines(before, after) {
+  const a = before ? before.split("\n") : [];
+  const b = after ? after.split("\n") : [];
+  const ops = editScript(a, b) || [...a.map((line) => ["-", line]), ...b.map((line) => ["+", line])];
+
+  const changed = ops.map((op, i) => (op[0] === " " ? -1 : i)).filter((i) => i !== -1);
+  const lines = [];
+  let added = 0;
+  let removed = 0;
+  let i = 0;
+  while (i < changed.length) {
+    // Merge changes whose context would overlap into one hunk.
+    let j = i;
+    while (j + 1 < changed.length && changed[j + 1] - changed[j] <= 2 * CONTEXT_LINES + 1) j++;
+    const from = Math.max(0, changed[i] - CONTEXT_LINES);
+    const to = Math.min(ops.length, changed[j] + CONTEXT_LINES + 1);
+    let aLine = 1;
+    let bLine = 1;
+    for (const [op] of ops.slice(0, from)) {
+      if (op !== "+") aLine++;
+      if (op !== "-") bLine++;
+    }
+    const hunk = ops.slice(from, to);
+    const aCount = hunk.filter(([op]) => op !== "+").length;
+    const bCount = hunk.filter(([op]) => op !== "-").length;
+    lines.push(`@@ -${aLine},${aCount} +${bLine},${bCount} @@`);
+    for (const [op, line] of hunk) {
+      lines.push(`${op} ${line}`);
+      if (op === "+") added++;
+      if (op === "-") removed++;
+    }
+    i = j + 1;
+  }
+  return { added, removed, diff: lines };
+}
+
+function flatten(value, path, out) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) out.set(path, "[]");
+    value.forEach((item, i) => flatten(item, `${path}[${i}]`, out));
+  } else if (value && typeof value === "object") {
+    const keys = Object.keys(value);
+    if (keys.length === 0) out.set(path, "{}");
+    for (const key of keys) flatten(value[key], `${path}.${key}`, out);
+  } else {
+    out.set(path, JSON.stringify(value ?? null));
+  }
+  return out;
+}
+
+/**
+ * Compare two snapshot contents. Returns a list of changes:
+ *   { field, added, removed, diff }   for string fields (text, markdown, title)
+ *   { path, before?, after? }         for structured fields; a missing side
+ *                                     means the path was added or removed
+ */
+export function diffContent(before, after) {
+  const changes = [];
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  for (const field of fields) {
+    const a = before[field];
+    const b = after[field];
+    if ((typeof a === "string" || a == null) && (typeof b === "string" || b == null) && (a != null || b != null)) {
+      if (a === b) continue;
+      changes.push({ field, ...diffLines(a ?? "", b ?? "") });
+      continue;
+    }
+    const flatA = a === undefined ? new Map() : flatten(a, field, new Map());
+    const flatB = b === undefined ? new Map() : flatten(b, field, new Map());
+    for (const path of new Set([...flatA.keys(), ...flatB.keys()])) {
+      if (flatA.get(path) === flatB.get(path)) continue;
+      const change = { path };
+      if (flatA.has(path)) change.before = JSON.parse(flatA.get(path));
+      if (flatB.has(path)) change.after = JSON.parse(flatB.get(path));
+      changes.push(change);
+    }
+  }
+  return changes;
+}
@@ -0,0 +1,113 @@
+/**
+ * Named connection profiles.
+ *
+ * ~/.config/lightpanda/profiles.json (or $LIGHTPANDA_PROFILES):
+ *
+ *   {
+ *     "default": "eu",
+ *     "profiles": {
+ *       "eu": {
+ *         "url": "wss://euwest.cloud.lightpanda.io/ws?token=${LIGHTPANDA_TOKEN}",
+ *         "timeoutMs": 8000,
+ *         "commandTimeoutMs": 15000,
+ *         "maxTabs": 5,
+ *         "headers": { "X-Team": "search" },
+ *         "failover": ["us", "local"]
+ *       },
+ *       "us": { "urls": ["wss://uswest.cloud.lightpanda.io/ws?token=${LIGHTPANDA_TOKEN}"] },
+ *       "local": { "url": "http://localhost:9222" }
+ *     }
+ *   }
+ *
+ * `${VAR}` in urls and header values is expanded from the environment, when
+ * the endpoint is tried, so tokens can stay out of the file. `failover` lists
+ * profiles whose endpoints are tried, in order, after the profile's own.
+ * `maxTabs` is the plan's limit on concurrent pages per session (batch.js
+ * stays under it).
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+export function profilesPath() {
+  const override = (process.env.LIGHTPANDA_PROFILES || "").trim();
+  return override || join(homedir(), ".config/lightpanda/profiles.json");
+}
+
+export function loadProfiles(path = profilesPath()) {
+  if (!existsSync(path)) return null;
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, "utf8"));
+  } catch (e) {
+    throw new Error(`Invalid profiles file ${path}: ${e.message}`);
+  }
+  if (!config || typeof config.profiles !== "object") {
+    throw new Error(`Invalid profiles file ${path}: missing "profiles" object.`);
+  }
+  return config;
+}
+
+function expandEnv(value, profile) {
+  return String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => {
+    const v = process.env[name];
+    if (v == null) throw new Error(`Profile '${profile}' references unset variable ${name}.`);
+    return v;
+  });
+}
+
+function positive(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : null;
+}
+
+/**
+ * Ordered endpoint list for a profile, following its failover chain.
+ * Each endpoint: { profile, url, headers, timeoutMs, commandTimeoutMs, maxTabs },
+ * with `${VAR}` still in url and headers (see expandEndpoint).
+ */
+export function profileEndpoints(config, name) {
+  const endpoints = [];
+  const visited = new Set();
+
+  const visit = (profileName) => {
+    if (visited.has(profileName)) return;
+    visited.add(profileName);
+    const profile = config.profiles[profileName];
+    if (!profile) {
+      const known = Object.keys(config.profiles).join(", ") || "none";
+      throw new Error(`Unknown profile '${profileName}' (available: ${known}).`);
+    }
+    const urls = Array.isArray(profile.urls) ? profile.urls : profile.url ? [profile.url] : [];
+    if (urls.length === 0) throw new Error(`Profile '${profileName}' has no url.`);
+
+    const headers = { ...profile.headers };
+    for (const url of urls) {
+      endpoints.push({
+        profile: profileName,
+        url,
+        headers,
+        timeoutMs: positive(profile.timeoutMs),
+        commandTimeoutMs: positive(profile.commandTimeoutMs),
+        maxTabs: positive(profile.maxTabs),
+      });
+    }
+    for (const next of profile.failover || []) visit(next);
+  };
+
+  visit(name);
+  return endpoints;
+}
+
+/**
+ * The endpoint with `${VAR}` expanded in its url and headers. Throws on an
+ * unset variable, so a misconfigured failover profile only fails itself.
+ */
+export function expandEndpoint(endpoint) {
+  const headers = {};
+  for (const [key, value] of Object.entries(endpoint.headers || {})) {
+    headers[key] = expandEnv(value, endpoint.profile);
+  }
+  return { ...endpoint, url: expandEnv(endpoint.url, endpoint.profile), headers };
+}
@@ -0,0 +1,211 @@
+/**
+ * Secret and PII redaction for logs and command output.
+ *
+ * ~/.config/lightpanda/redact.json (or $LIGHTPANDA_REDACT_RULES):
+ *
+ *   {
+ *     "queryParams": ["ticket"],
+ *     "headers": ["x-tenant-key"],
+ *     "keys": ["ssn"],
+ *     "cookies": true,
+ *     "patterns": ["email", "bearer", "card"],
+ *     "regexes": ["\\bACCT-\\d{6}\\b"]
+ *   }
+ *
+ * queryParams, headers, keys and regexes extend the built-in lists ("defaults":
+ * false starts from empty ones). `patterns` picks the built-in detectors that
+ * run (all by default). `cookies` masks every cookie value in Cookie /
+ * Set-Cookie headers (true, the default), none (false) or only the named ones.
+ *
+ * Values are replaced with "***" and names are kept ("token=***",
+ * "sid=***; Path=/"), so redacted logs still show what was there.
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+export const MASK = "***";
+
+const DEFAULT_QUERY_PARAMS = [
+  "token",
+  "access_token",
+  "refresh_token",
+  "id_token",
+  "api_key",
+  "apikey",
+  "key",
+  "secret",
+  "client_secret",
+  "password",
+  "passwd",
+  "sig",
+  "signature",
+  "auth",
+];
+const DEFAULT_HEADERS = ["authorization", "proxy-authorization", "x-api-key", "x-auth-token", "x-csrf-token"];
+// Object keys whose string values are masked wherever they appear (JSON
+// bodies, console objects, extracted data).
+const DEFAULT_KEYS = [
+  "password",
+  "passwd",
+  "secret",
+  "client_secret",
+  "access_token",
+  "refresh_token",
+  "id_token",
+  "api_key",
+  "apikey",
+];
+
+const PATTERNS = {
+  email: { regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, replace: () => MASK },
+  bearer: { regex: /\b(Bearer|Basic|Token)\s+[A-Za-z0-9._~+/=-]{8,}/g, replace: (_, scheme) => `${scheme} ${MASK}` },
+  card: { regex: /\b\d(?:[ -]?\d){12,18}\b/g, replace: (match) => (isCardNumber(match) ? MASK : match) },
+};
+
+function isCardNumber(candidate) {
+  const digits = candidate.replace(/\D/g, "");
+  // Card numbers start with 2-6; this keeps millisecond timestamps and ids out.
+  if (digits.length < 13 || digits.length > 19 || !/^[2-6]/.test(digits)) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+export function redactRulesPath() {
+  const override = (process.env.LIGHTPANDA_REDACT_RULES || "").trim();
+  return override || join(homedir(), ".config/lightpanda/redact.json");
+}
+
+function stringList(config, name, path) {
+  const value = config[name] ?? [];
+  if (!Array.isArray(value) || value.some((v) => typeof v !== "string")) {
+    throw new Error(`Invalid redaction rules ${path}: "${name}" must be an array of strings.`);
+  }
+  return value;
+}
+
+/**
+ * Rules from the config file merged with the defaults; the defaults alone when
+ * the file does not exist.
+ */
+export function loadRedactionRules(path = redactRulesPath()) {
+  let config = {};
+  if (existsSync(path)) {
+    try {
+      config = JSON.parse(readFileSync(path, "utf8"));
+    } catch (e) {
+      throw new Error(`Invalid redaction rules ${path}: ${e.message}`);
+    }
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+      throw new Error(`Invalid redaction rules ${path}: expected a JSON object.`);
+    }
+  }
+  const defaults = config.defaults !== false;
+  const patterns = config.patterns === undefined ? Object.keys(PATTERNS) : stringList(config, "patterns", path);
+  for (const name of patterns) {
+    if (!PATTERNS[name]) {
+      throw new Error(`Invalid redaction rules ${path}: unknown pattern '${name}' (expected ${Object.keys(PATTERNS).join(", ")}).`);
+    }
+  }
+  const cookies = config.cookies ?? true;
+  if (typeof cookies !== "boolean" && !Array.isArray(cookies)) {
+    throw new Error(`Invalid redaction rules ${path}: "cookies" must be true, false or an array of cookie names.`);
+  }
+  const regexes = stringList(config, "regexes", path).map((source) => {
+    try {
+      return new RegExp(source, "g");
+    } catch (e) {
+      throw new Error(`Invalid redaction rules ${path}: ${e.message}`);
+    }
+  });
+  return {
+    queryParams: [...(defaults ? DEFAULT_QUERY_PARAMS : []), ...stringList(config, "queryParams", path)],
+    headers: [...(defaults ? DEFAULT_HEADERS : []), ...stringList(config, "headers", path)],
+    keys: [...(defaults ? DEFAULT_KEYS : []), ...stringList(config, "keys", path)],
+    cookies,
+    patterns,
+    regexes,
+  };
+}
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function nameSet(names) {
+  return new Set(names.map((n) => n.toLowerCase()));
+}
+
+/**
+ * Build { text, value } from rules. `text(string)` masks query parameters,
+ * "key": "value" pairs of JSON text and pattern matches; `value(any)` walks
+ * objects and arrays, masking header and key values by name and every string
+ * with text(). Both are idempotent.
+ */
+export function createRedactor(rules = loadRedactionRules()) {
+  const headers = nameSet(rules.headers);
+  const keys = nameSet(rules.keys);
+  const cookieNames = Array.isArray(rules.cookies) ? nameSet(rules.cookies) : null;
+
+  const params = rules.queryParams.map(escapeRegex).join("|");
+  const paramRegex = params ? new RegExp(`(^|[?&#;\\s])(${params})=[^&#\\s"'<>]+`, "gi") : null;
+  const jsonKeys = rules.keys.map(escapeRegex).join("|");
+  const jsonKeyRegex = jsonKeys ? new RegExp(`("(?:${jsonKeys})"\\s*:\\s*)"(?:[^"\\\\]|\\\\.)*"`, "gi") : null;
+  const patterns = rules.patterns.map((name) => PATTERNS[name]);
+
+  function text(value) {
+    if (typeof value !== "string" || value === "") return value;
+    let out = value;
+    if (paramRegex) out = out.replace(paramRegex, `$1$2=${MASK}`);
+    if (jsonKeyRegex) out = out.replace(jsonKeyRegex, `$1"${MASK}"`);
+    for (const { regex, replace } of patterns) out = out.replace(regex, replace);
+    for (const regex of rules.regexes) out = out.replace(regex, MASK);
+    return out;
+  }
+
+  function cookiePair(pair) {
+    const i = pair.indexOf("=");
+    if (i === -1) return pair;
+    const name = pair.slice(0, i).trim();
+    if (cookieNames && !cookieNames.has(name.toLowerCase())) return text(pair);
+    return `${pair.slice(0, i)}=${MASK}`;
+  }
+
+  function cookieHeader(name, value) {
+    if (rules.cookies === false) return text(value);
+    if (name === "cookie") return value.split(/;\s*/).map(cookiePair).join("; ");
+    // Set-Cookie: one cookie per line; only the first pair of each is a value.
+    return value
+      .split("\n")
+      .map((line) => {
+        const [pair, ...attrs] = line.split(/;\s*/);
+        return [cookiePair(pair), ...attrs].join("; ");
+      })
+      .join("\n");
+  }
+
+  function walk(value) {
+    if (typeof value === "string") return text(value);
+    if (Array.isArray(value)) return value.map(walk);
+    if (value && typeof value === "object") {
+      const out = {};
+      for (const [key, v] of Object.entries(value)) {
+        const name = key.toLowerCase();
+        if (typeof v === "string" && (headers.has(name) || keys.has(name))) out[key] = MASK;
+        else if (typeof v === "string" && (name === "cookie" || name === "set-cookie")) out[key] = cookieHeader(name, v);
+        else out[key] = walk(v);
+      }
+      return out;
+    }
+    return value;
+  }
+
+  return { text, value: walk };
+}
@@ -0,0 +1,112 @@
+/**
+ * Replay transport for CDP recordings (see CDP_RECORD in cdp.js).
+ *
+ * A recording is JSONL: one { t, dir, msg } entry per line, where dir is
+ * "send" (command from the script) or "recv" (response or event from the
+ * browser). ReplaySocket looks like a WebSocket to the CDP class: commands are
+ * matched to the next recorded command with the same method, and the recorded
+ * responses and events that followed are played back with ids rewritten.
+ */
+
+import { readFileSync } from "node:fs";
+
+export function loadRecording(path) {
+  const entries = [];
+  const lines = readFileSync(path, "utf8").split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      throw new Error(`Invalid recording ${path}: line ${i + 1} is not JSON.`);
+    }
+    if (entry.dir === "send" || entry.dir === "recv") entries.push(entry);
+  }
+  return entries;
+}
+
+export class ReplaySocket {
+  constructor(entries) {
+    this.entries = entries;
+    this.cursor = 0;
+    this.consumed = new Set();
+    // recorded command id -> live command id
+    this.ids = new Map();
+    this.skipped = new Set();
+    this.listeners = new Map();
+    this.closed = false;
+    setImmediate(() => {
+      this.dispatch("open", {});
+      this.pump();
+    });
+  }
+
+  addEventListener(event, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(handler);
+  }
+
+  removeEventListener(event, handler) {
+    this.listeners.get(event)?.delete(handler);
+  }
+
+  dispatch(event, payload) {
+    for (const handler of this.listeners.get(event) || []) handler(payload);
+  }
+
+  send(text) {
+    const msg = JSON.parse(text);
+    const index = this.entries.findIndex(
+      (e, i) => i >= this.cursor && e.dir === "send" && !this.consumed.has(i) && e.msg.method === msg.method
+    );
+    if (index === -1) {
+      setImmediate(() =>
+        this.deliver({
+          id: msg.id,
+          error: { code: -32000, message: `Replay mismatch: no recorded ${msg.method} left` },
+        })
+      );
+      return;
+    }
+    // Commands the script no longer sends are skipped so playback can continue.
+    for (let i = this.cursor; i < index; i++) {
+      if (this.entries[i].dir !== "send" || this.consumed.has(i)) continue;
+      this.consumed.add(i);
+      this.skipped.add(this.entries[i].msg.id);
+    }
+    this.consumed.add(index);
+    this.ids.set(this.entries[index].msg.id, msg.id);
+    setImmediate(() => this.pump());
+  }
+
+  // Play recorded messages until we reach a command the script hasn't sent yet.
+  pump() {
+    while (!this.closed && this.cursor < this.entries.length) {
+      const { dir, msg } = this.entries[this.cursor];
+      if (dir === "send") {
+        if (!this.consumed.has(this.cursor)) return;
+      } else if (msg.id != null) {
+        if (this.ids.has(msg.id)) {
+          this.deliver({ ...msg, id: this.ids.get(msg.id) });
+        } else if (!this.skipped.has(msg.id)) {
+          return;
+        }
+      } else {
+        this.deliver(msg);
+      }
+      this.cursor += 1;
+    }
+  }
+
+  deliver(msg) {
+    if (this.closed) return;
+    this.dispatch("message", { data: JSON.stringify(msg) });
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    setImmediate(() => this.dispatch("close", { code: 1000, reason: "replay closed" }));
+  }
+}
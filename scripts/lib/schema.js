@@ -0,0 +1,201 @@
+/**
+ * Schema-driven extraction (extract.js --schema).
+ *
+ *   {
+ *     "fields": {
+ *       "title": { "selector": "h1", "required": true },
+ *       "updated": { "selector": "time", "attr": "datetime", "type": "date" },
+ *       "tags": { "selector": ".tag", "all": true },
+ *       "products": {
+ *         "selector": ".product",
+ *         "items": {
+ *           "name": { "selector": ".name", "required": true },
+ *           "price": { "selector": ".price", "type": "number" },
+ *           "href": { "selector": "a", "attr": "href", "type": "url" }
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * A field is a CSS selector string or an object with:
+ *   selector  CSS selector, relative to the enclosing item (omit inside `items`
+ *             to read the item element itself)
+ *   attr      attribute to read; "text" (default) or "html" for innerHTML
+ *   type      string (default), number, integer, boolean, date (ISO 8601) or
+ *             url (resolved against the page URL)
+ *   all       collect every match as an array
+ *   items     nested fields: one object per match
+ *   required  missing or invalid values make the result invalid
+ *   default   value used when an optional field matches nothing
+ *
+ * The page script only reads raw strings; coercion and validation run here.
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+
+const TYPES = new Set(["string", "number", "integer", "boolean", "date", "url"]);
+
+function normalizeFields(fields, path, file) {
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+    throw new Error(`Invalid schema ${file}: ${path || "fields"} must be an object of fields.`);
+  }
+  const out = {};
+  for (const [name, raw] of Object.entries(fields)) {
+    const where = path ? `${path}.${name}` : name;
+    const field = typeof raw === "string" ? { selector: raw } : { ...raw };
+    if (!field || typeof field !== "object") throw new Error(`Invalid schema ${file}: field '${where}' must be a selector or an object.`);
+    if (field.selector != null && typeof field.selector !== "string") {
+      throw new Error(`Invalid schema ${file}: field '${where}' has a non-string selector.`);
+    }
+    // Only fields inside `items` may omit the selector (they read the item itself).
+    if (!field.selector && !path) throw new Error(`Invalid schema ${file}: field '${where}' needs a selector.`);
+    field.type = field.type || "string";
+    if (!TYPES.has(field.type)) {
+      throw new Error(`Invalid schema ${file}: field '${where}' has unknown type '${field.type}' (expected ${[...TYPES].join(", ")}).`);
+    }
+    field.attr = field.attr || "text";
+    if (field.items) field.items = normalizeFields(field.items, where, file);
+    out[name] = field;
+  }
+  return out;
+}
+
+export function loadSchema(path) {
+  if (!existsSync(path)) throw new Error(`Schema file not found: ${path}`);
+  let schema;
+  try {
+    schema = JSON.parse(readFileSync(path, "utf8"));
+  } catch (e) {
+    throw new Error(`Invalid schema ${path}: ${e.message}`);
+  }
+  if (!schema || typeof schema.fields !== "object") throw new Error(`Invalid schema ${path}: missing "fields" object.`);
+  return { fields: normalizeFields(schema.fields, "", path) };
+}
+
+/**
+ * Page script. Every field comes back as an array of raw values: [] when the
+ * selector matched nothing, [null] when the attribute is absent, objects for
+ * `items`.
+ */
+export const SCHEMA_SCRIPT = `(schema) => {
+  const read = (el, field) => {
+    if (field.attr === "text") return (el.innerText || el.textContent || "").replace(/\\s+/g, " ").trim();
+    if (field.attr === "html") return el.innerHTML;
+    return el.getAttribute(field.attr);
+  };
+  const extract = (scope, fields) => {
+    const out = {};
+    for (const [name, field] of Object.entries(fields)) {
+      const matches = field.selector ? Array.from(scope.querySelectorAll(field.selector)) : [scope];
+      if (field.items) out[name] = matches.map((el) => extract(el, field.items));
+      else out[name] = (field.all ? matches : matches.slice(0, 1)).map((el) => read(el, field));
+    }
+    return out;
+  };
+  return { url: location.href, data: extract(document, schema.fields) };
+}`;
+
+function parseNumber(text) {
+  const match = /-?\d[\d.,\s']*/.exec(text);
+  if (!match) return null;
+  let digits = match[0].replace(/[\s']/g, "").replace(/[.,]$/, "");
+  const lastDot = digits.lastIndexOf(".");
+  const lastComma = digits.lastIndexOf(",");
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Whichever separator comes last is the decimal point: 1,234.50 / 1.234,50.
+    const decimal = lastDot > lastComma ? "." : ",";
+    const thousands = decimal === "." ? "," : ".";
+    digits = digits.split(thousands).join("").replace(decimal, ".");
+  } else if (lastComma !== -1) {
+    digits = /^-?\d{1,3}(,\d{3})+$/.test(digits) ? digits.replace(/,/g, "") : digits.replace(",", ".");
+  } else if (/^-?\d{1,3}(\.\d{3}){2,}$/.test(digits)) {
+    digits = digits.replace(/\./g, "");
+  }
+  const value = Number(digits);
+  return Number.isFinite(value) ? value : null;
+}
+
+const TRUE_WORDS = new Set(["true", "yes", "y", "1", "on", "checked", "selected"]);
+const FALSE_WORDS = new Set(["false", "no", "n", "0", "off", ""]);
+
+function coerce(field, raw, pageUrl) {
+  const text = String(raw).trim();
+  switch (field.type) {
+    case "number":
+    case "integer": {
+      const value = parseNumber(text);
+      if (value == null) throw new Error(`expected a number, got ${JSON.stringify(text)}`);
+      return field.type === "integer" ? Math.trunc(value) : value;
+    }
+    case "boolean": {
+      const word = text.toLowerCase();
+      if (TRUE_WORDS.has(word)) return true;
+      if (FALSE_WORDS.has(word)) return false;
+      throw new Error(`expected a boolean, got ${JSON.stringify(text)}`);
+    }
+    case "date": {
+      const time = Date.parse(text);
+      if (Number.isNaN(time)) throw new Error(`expected a date, got ${JSON.stringify(text)}`);
+      return new Date(time).toISOString();
+    }
+    case "url":
+      try {
+        return new URL(text, pageUrl || undefined).href;
+      } catch {
+        throw new Error(`expected a URL, got ${JSON.stringify(text)}`);
+      }
+    default:
+      return text;
+  }
+}
+
+/**
+ * Coerce and validate the page script's output. Returns { data, valid,
+ * errors, missing }: `errors` are required fields that matched nothing and
+ * values of the wrong type; `missing` are optional fields that matched nothing.
+ */
+export function applySchema(schema, raw) {
+  const errors = [];
+  const missing = [];
+  const pageUrl = raw.url;
+
+  const absent = (field, path, reason) => {
+    (field.required ? errors : missing).push({ field: path, error: reason });
+  };
+  const convert = (field, value, path) => {
+    try {
+      return coerce(field, value, pageUrl);
+    } catch (e) {
+      errors.push({ field: path, error: e.message });
+      return null;
+    }
+  };
+  const noMatch = (field) =>
+    field.selector ? `selector '${field.selector}' matched nothing` : "item is empty";
+
+  const apply = (fields, values, path) => {
+    const out = {};
+    for (const [name, field] of Object.entries(fields)) {
+      const where = path ? `${path}.${name}` : name;
+      const matches = values?.[name] || [];
+      if (field.items) {
+        if (matches.length === 0) absent(field, where, noMatch(field));
+        out[name] = matches.map((item, i) => apply(field.items, item, `${where}[${i}]`));
+        continue;
+      }
+      const present = matches.filter((v) => v != null);
+      if (matches.length === 0 || present.length === 0) {
+        absent(field, where, matches.length === 0 ? noMatch(field) : `attribute '${field.attr}' is missing`);
+        out[name] = field.all ? [] : field.default ?? null;
+        continue;
+      }
+      out[name] = field.all
+        ? present.map((v, i) => convert(field, v, `${where}[${i}]`))
+        : convert(field, present[0], where);
+    }
+    return out;
+  };
+
+  const data = apply(schema.fields, raw.data, "");
+  return { data, valid: errors.length === 0, errors, missing };
+}
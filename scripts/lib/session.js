@@ -0,0 +1,85 @@
+/**
+ * Client side of the session daemon (scripts/session.js).
+ *
+ * The daemon holds one CDP connection and proxies newline-delimited CDP JSON
+ * over a Unix socket. SessionSocket gives that socket the WebSocket-like
+ * surface the CDP class expects (addEventListener/send/close).
+ */
+
+import { existsSync } from "node:fs";
+import { createConnection } from "node:net";
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+export const SESSION_DIR = join(homedir(), ".cache/agent-web/session");
+export const SESSION_SOCKET = join(SESSION_DIR, "daemon.sock");
+export const SESSION_PID_FILE = join(SESSION_DIR, "daemon.pid");
+export const SESSION_LOG_FILE = join(SESSION_DIR, "daemon.log");
+
+/** Split a byte stream into JSON lines. */
+export function lineReader(onLine) {
+  let buffer = "";
+  return (chunk) => {
+    buffer += chunk.toString("utf8");
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      if (line.trim()) onLine(line);
+    }
+  };
+}
+
+export class SessionSocket {
+  constructor(socket) {
+    this.socket = socket;
+    this.listeners = new Map();
+    socket.on("data", lineReader((line) => this.dispatch("message", { data: line })));
+    socket.on("error", (e) => this.dispatch("error", e));
+    socket.on("close", () => this.dispatch("close", { code: 1000, reason: "session socket closed" }));
+  }
+
+  addEventListener(event, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(handler);
+  }
+
+  removeEventListener(event, handler) {
+    this.listeners.get(event)?.delete(handler);
+  }
+
+  dispatch(event, payload) {
+    for (const handler of this.listeners.get(event) || []) handler(payload);
+  }
+
+  send(text) {
+    this.socket.write(`${text}\n`);
+  }
+
+  close() {
+    this.socket.end();
+  }
+}
+
+/**
+ * Connect to a running daemon. Resolves with a SessionSocket, or null when no
+ * daemon is listening (missing or stale socket file).
+ */
+export function openSessionSocket(timeout = 1000) {
+  if (!existsSync(SESSION_SOCKET)) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const socket = createConnection(SESSION_SOCKET);
+    const timer = setTimeout(() => {
+      socket.destroy();
+      resolve(null);
+    }, timeout);
+    socket.once("connect", () => {
+      clearTimeout(timer);
+      resolve(new SessionSocket(socket));
+    });
+    socket.once("error", () => {
+      clearTimeout(timer);
+      resolve(null);
+    });
+  });
+}
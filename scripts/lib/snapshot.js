@@ -0,0 +1,266 @@
+/**
+ * Ref-based page snapshots (extract.js --snapshot).
+ *
+ * A snapshot lists only meaningful nodes (interactive controls, headings,
+ * landmarks) as an indented outline, each with a short ref:
+ *
+ *   - navigation "Main"
+ *     - link "Docs" [ref=e12]
+ *   - textbox "Search" [ref=e15]
+ *
+ * From the accessibility tree, a ref is `e<backendDOMNodeId>`, so it stays the
+ * same across snapshots of one document. When Accessibility.getFullAXTree is
+ * unavailable the outline is derived from the DOM instead and elements are
+ * stamped with a data-lp-ref attribute. Either way the refs are saved per
+ * target so act.js can act on them.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+const REFS_DIR = join(homedir(), ".cache/agent-web/refs");
+
+export const REF_PATTERN = /^e\d+$/;
+
+const INTERACTIVE_ROLES = new Set([
+  "link",
+  "button",
+  "textbox",
+  "searchbox",
+  "checkbox",
+  "radio",
+  "combobox",
+  "listbox",
+  "option",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "tab",
+  "switch",
+  "slider",
+  "spinbutton",
+  "treeitem",
+]);
+
+const STRUCTURAL_ROLES = new Set([
+  "heading",
+  "banner",
+  "navigation",
+  "main",
+  "contentinfo",
+  "complementary",
+  "search",
+  "form",
+  "region",
+  "dialog",
+  "alertdialog",
+]);
+
+const MAX_NAME_CHARS = 80;
+
+function truncate(text) {
+  const clean = String(text ?? "").replace(/\s+/g, " ").trim();
+  return clean.length > MAX_NAME_CHARS ? `${clean.slice(0, MAX_NAME_CHARS)}…` : clean;
+}
+
+function axProps(node) {
+  const props = {};
+  for (const p of node.properties || []) {
+    const v = p.value?.value;
+    if (p.name === "level") props.level = v;
+    else if (["checked", "pressed", "selected", "expanded"].includes(p.name) && v && v !== "false") props[p.name] = v === "mixed" ? "mixed" : true;
+    else if (p.name === "disabled" && v) props.disabled = true;
+  }
+  return props;
+}
+
+/**
+ * Build snapshot entries from Accessibility.getFullAXTree nodes.
+ * Returns { entries, refs, total, truncated }.
+ */
+export function axSnapshot(nodes, maxNodes) {
+  const byId = new Map(nodes.map((n) => [n.nodeId, n]));
+  const roots = nodes.filter((n) => !n.parentId || !byId.has(n.parentId));
+  const entries = [];
+  const refs = {};
+  let total = 0;
+
+  const visit = (node, depth) => {
+    const role = node.role?.value;
+    const name = truncate(node.name?.value);
+    const listed =
+      !node.ignored && (INTERACTIVE_ROLES.has(role) || (STRUCTURAL_ROLES.has(role) && (role !== "region" || name)));
+    let childDepth = depth;
+    if (listed) {
+      total += 1;
+      if (entries.length < maxNodes) {
+        const ref = node.backendDOMNodeId ? `e${node.backendDOMNodeId}` : null;
+        const entry = { depth, role, name, ref, props: axProps(node) };
+        const value = node.value?.value;
+        if (value != null && value !== "" && role !== "link") entry.value = truncate(value);
+        entries.push(entry);
+        if (ref) refs[ref] = { backendNodeId: node.backendDOMNodeId, role, name };
+      }
+      childDepth = depth + 1;
+    }
+    for (const id of node.childIds || []) {
+      const child = byId.get(id);
+      if (child) visit(child, childDepth);
+    }
+  };
+  for (const root of roots) visit(root, 0);
+  return { entries, refs, total, truncated: total > entries.length };
+}
+
+/** Page script: the DOM-derived equivalent of axSnapshot(). */
+export function domSnapshotScript(maxNodes) {
+  return `(() => {
+  const maxNodes = ${JSON.stringify(maxNodes)};
+  const interactive = new Set(${JSON.stringify([...INTERACTIVE_ROLES])});
+  const structural = new Set(${JSON.stringify([...STRUCTURAL_ROLES])});
+  const clean = (t) => {
+    const s = String(t || "").replace(/\\s+/g, " ").trim();
+    return s.length > ${MAX_NAME_CHARS} ? s.slice(0, ${MAX_NAME_CHARS}) + "…" : s;
+  };
+  const inputRoles = { checkbox: "checkbox", radio: "radio", range: "slider", number: "spinbutton", search: "searchbox", button: "button", submit: "button", reset: "button", image: "button" };
+
+  const roleOf = (el) => {
+    const explicit = (el.getAttribute("role") || "").trim().split(/\\s+/)[0];
+    if (explicit) return explicit;
+    const tag = el.tagName.toLowerCase();
+    if (tag === "a") return el.hasAttribute("href") ? "link" : null;
+    if (tag === "button" || tag === "summary") return "button";
+    if (tag === "input") {
+      const type = (el.getAttribute("type") || "text").toLowerCase();
+      if (type === "hidden") return null;
+      return inputRoles[type] || "textbox";
+    }
+    if (tag === "textarea") return "textbox";
+    if (tag === "select") return el.multiple ? "listbox" : "combobox";
+    if (tag === "option") return "option";
+    if (/^h[1-6]$/.test(tag)) return "heading";
+    if (tag === "nav") return "navigation";
+    if (tag === "main") return "main";
+    if (tag === "header") return el.closest("article, aside, main, nav, section") ? null : "banner";
+    if (tag === "footer") return el.closest("article, aside, main, nav, section") ? null : "contentinfo";
+    if (tag === "aside") return "complementary";
+    if (tag === "form") return "form";
+    if (tag === "search") return "search";
+    if (tag === "dialog") return "dialog";
+    if (tag === "section") return "region";
+    if (el.isContentEditable && !el.parentElement?.isContentEditable) return "textbox";
+    return null;
+  };
+
+  const nameOf = (el, role) => {
+    const label = el.getAttribute("aria-label");
+    if (label) return label;
+    const labelledBy = el.getAttribute("aria-labelledby");
+    if (labelledBy) {
+      const text = labelledBy.split(/\\s+/).map((id) => document.getElementById(id)?.textContent || "").join(" ");
+      if (text.trim()) return text;
+    }
+    if (el.labels && el.labels.length) return Array.from(el.labels).map((l) => l.textContent).join(" ");
+    const tag = el.tagName.toLowerCase();
+    if (tag === "input" && ["button", "submit", "reset"].includes((el.type || "").toLowerCase())) return el.value;
+    if (tag === "input" || tag === "textarea" || tag === "select") return el.getAttribute("placeholder") || el.getAttribute("title") || el.getAttribute("name") || "";
+    if (["navigation", "main", "banner", "contentinfo", "complementary", "form", "region", "search"].includes(role)) return el.getAttribute("title") || "";
+    return el.innerText || el.textContent || el.getAttribute("title") || el.querySelector?.("img[alt]")?.alt || "";
+  };
+
+  const hidden = (el) => {
+    if (el.hidden || el.getAttribute("aria-hidden") === "true") return true;
+    try {
+      const style = getComputedStyle(el);
+      return style.display === "none" || style.visibility === "hidden";
+    } catch {
+      return false;
+    }
+  };
+
+  let seq = 0;
+  for (const el of document.querySelectorAll("[data-lp-ref]")) {
+    seq = Math.max(seq, Number(el.getAttribute("data-lp-ref").slice(1)) || 0);
+  }
+
+  const entries = [];
+  let total = 0;
+  const visit = (el, depth) => {
+    if (hidden(el)) return;
+    const role = roleOf(el);
+    const name = role ? clean(nameOf(el, role)) : "";
+    const listed = role && (interactive.has(role) || (structural.has(role) && (role !== "region" || name)));
+    let childDepth = depth;
+    if (listed) {
+      total += 1;
+      if (entries.length < maxNodes) {
+        let ref = el.getAttribute("data-lp-ref");
+        if (!ref) {
+          ref = "e" + ++seq;
+          el.setAttribute("data-lp-ref", ref);
+        }
+        const props = {};
+        const level = /^h([1-6])$/i.exec(el.tagName);
+        if (role === "heading") props.level = Number(el.getAttribute("aria-level")) || (level ? Number(level[1]) : 2);
+        if (el.disabled || el.getAttribute("aria-disabled") === "true") props.disabled = true;
+        if (el.checked || el.getAttribute("aria-checked") === "true") props.checked = true;
+        if (el.getAttribute("aria-expanded") === "true") props.expanded = true;
+        if (role === "option" && el.selected) props.selected = true;
+        const entry = { depth, role, name, ref, props };
+        if (role === "textbox" || role === "searchbox" || role === "combobox" || role === "spinbutton" || role === "slider") {
+          const value = "value" in el ? el.value : el.textContent;
+          if (value) entry.value = clean(value);
+        }
+        entries.push(entry);
+      }
+      childDepth = depth + 1;
+      // Options are summarised by the select's value; don't list each one.
+      if (role === "combobox" && el.tagName === "SELECT") return;
+    }
+    for (const child of el.children) visit(child, childDepth);
+    if (el.shadowRoot) for (const child of el.shadowRoot.children) visit(child, childDepth);
+  };
+  if (document.body) visit(document.body, 0);
+  return { entries, total, truncated: total > entries.length };
+})()`;
+}
+
+/** Render snapshot entries as an indented outline. */
+export function formatSnapshot(entries) {
+  return entries
+    .map((e) => {
+      let line = `${"  ".repeat(e.depth)}- ${e.role}`;
+      if (e.name) line += ` ${JSON.stringify(e.name)}`;
+      for (const [key, value] of Object.entries(e.props || {})) {
+        line += value === true ? ` [${key}]` : ` [${key}=${value}]`;
+      }
+      if (e.ref) line += ` [ref=${e.ref}]`;
+      if (e.value != null) line += `: ${e.value}`;
+      return line;
+    })
+    .join("\n");
+}
+
+function refsPath(targetId) {
+  return join(REFS_DIR, `${targetId.replace(/[^a-zA-Z0-9._-]/g, "_")}.json`);
+}
+
+export function saveRefs(targetId, data) {
+  if (!existsSync(REFS_DIR)) mkdirSync(REFS_DIR, { recursive: true });
+  writeFileSync(refsPath(targetId), JSON.stringify({ targetId, createdAt: new Date().toISOString(), ...data }));
+}
+
+/**
+ * Look up a ref from the last snapshot of `targetId`. Returns an element
+ * target for the CDP interaction helpers: { ref, backendNodeId? }.
+ */
+export function resolveRef(targetId, ref) {
+  const path = refsPath(targetId);
+  const stored = existsSync(path) ? JSON.parse(readFileSync(path, "utf8")) : null;
+  const entry = stored?.refs?.[ref];
+  if (!entry) {
+    throw new Error(`Unknown ref '${ref}' for this page; take a snapshot first (extract.js --snapshot).`);
+  }
+  return stored.source === "ax" ? { ref, backendNodeId: entry.backendNodeId } : { ref };
+}
@@ -0,0 +1,121 @@
+/**
+ * Table extraction (extract.js --tables).
+ *
+ * TABLES_SCRIPT lays each <table> out on a grid (so rowspan/colspan cells
+ * repeat in every row and column they cover), takes the header from <thead>
+ * or leading all-<th> rows, and returns rows as objects keyed by header.
+ * Tables inside same-origin iframes are included; cross-origin frames are
+ * counted in `skippedFrames`.
+ *
+ * Call as `(${TABLES_SCRIPT})({ selector, maxRows })`.
+ */
+export const TABLES_SCRIPT = `(opts) => {
+  const text = (el) => (el.innerText || el.textContent || "").replace(/\\s+/g, " ").trim();
+  const rowsOf = (table) =>
+    Array.from(table.rows || table.querySelectorAll("tr")).filter((tr) => tr.closest("table") === table);
+  const cellsOf = (tr) =>
+    Array.from(tr.cells || Array.from(tr.children).filter((c) => c.tagName === "TD" || c.tagName === "TH"));
+
+  const layout = (table) => {
+    const grid = [];
+    const rows = rowsOf(table);
+    rows.forEach((tr, r) => {
+      grid[r] = grid[r] || [];
+      let c = 0;
+      for (const cell of cellsOf(tr)) {
+        while (grid[r][c] !== undefined) c++;
+        const rowspan = Math.max(1, Number(cell.getAttribute("rowspan")) || 1);
+        const colspan = Math.max(1, Math.min(1000, Number(cell.getAttribute("colspan")) || 1));
+        const value = { text: text(cell), th: cell.tagName === "TH" };
+        for (let dr = 0; dr < rowspan && r + dr < rows.length; dr++) {
+          grid[r + dr] = grid[r + dr] || [];
+          for (let dc = 0; dc < colspan; dc++) grid[r + dr][c + dc] = value;
+        }
+        c += colspan;
+      }
+    });
+    return { rows, grid };
+  };
+
+  const extractTable = (table, index, frame) => {
+    const { rows, grid } = layout(table);
+    const width = Math.max(0, ...grid.map((row) => row.length));
+    let headerCount = rows.filter((tr) => tr.parentElement && tr.parentElement.tagName === "THEAD").length;
+    if (headerCount === 0) {
+      while (headerCount < grid.length && grid[headerCount].length && grid[headerCount].every((cell) => !cell || cell.th)) headerCount++;
+      if (headerCount === grid.length) headerCount = Math.min(1, grid.length);
+    }
+
+    const seen = new Map();
+    const headers = [];
+    for (let c = 0; c < width; c++) {
+      const parts = [];
+      for (let r = 0; r < headerCount; r++) {
+        const t = grid[r][c]?.text;
+        if (t && parts[parts.length - 1] !== t) parts.push(t);
+      }
+      let name = parts.join(" / ") || "column" + (c + 1);
+      const count = (seen.get(name) || 0) + 1;
+      seen.set(name, count);
+      if (count > 1) name += "_" + count;
+      headers.push(name);
+    }
+
+    const body = grid.slice(headerCount).filter((row) => row.some((cell) => cell && cell.text));
+    const out = {
+      index,
+      caption: table.caption ? text(table.caption) : table.querySelector("caption") ? text(table.querySelector("caption")) : null,
+      id: table.id || null,
+      headers,
+      rows: body.slice(0, opts.maxRows).map((row) => {
+        const obj = {};
+        headers.forEach((h, c) => (obj[h] = row[c] ? row[c].text : ""));
+        return obj;
+      }),
+      rowCount: body.length,
+    };
+    if (frame) out.frame = frame;
+    if (body.length > opts.maxRows) out.truncated = true;
+    return out;
+  };
+
+  const tables = [];
+  let skippedFrames = 0;
+  const collect = (doc, frame) => {
+    let found;
+    if (opts.selector) {
+      found = [];
+      for (const el of doc.querySelectorAll(opts.selector)) {
+        if (el.tagName === "TABLE") found.push(el);
+        else found.push(...el.querySelectorAll("table"));
+      }
+    } else {
+      found = Array.from(doc.querySelectorAll("table"));
+    }
+    for (const table of new Set(found)) tables.push(extractTable(table, tables.length, frame));
+    for (const iframe of doc.querySelectorAll("iframe, frame")) {
+      let inner = null;
+      try {
+        inner = iframe.contentDocument;
+      } catch {}
+      if (inner && inner.documentElement) collect(inner, iframe.src || iframe.getAttribute("src") || "about:srcdoc");
+      else skippedFrames++;
+    }
+  };
+  collect(document, null);
+  const result = { tables };
+  if (skippedFrames) result.skippedFrames = skippedFrames;
+  return result;
+}`;
+
+function csvCell(value) {
+  const s = String(value ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Render one extracted table as RFC 4180 CSV (header row first). */
+export function tableToCsv(table) {
+  const lines = [table.headers.map(csvCell).join(",")];
+  for (const row of table.rows) lines.push(table.headers.map((h) => csvCell(row[h])).join(","));
+  return lines.join("\r\n");
+}
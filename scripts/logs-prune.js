@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+import { existsSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { DEFAULT_LIMITS, LOG_ROOT, parseBytes, pruneLogs } from "./lib/logstore.js";
+
+function usage() {
+  console.log(`Usage:
+  node scripts/logs-prune.js [--max-days <n>] [--max-total-size <size>] [--dry-run]
+
+Deletes watch.js logs (and body sidecars) under ~/.cache/agent-web/logs/:
+first every day older than --max-days (today counts as one), then the oldest
+files until the store is at most --max-total-size. Files a running watcher is
+writing are kept. Prints { dryRun, removedFiles, freedBytes, totalBytes, removed }.
+
+Options:
+  --max-days <n>          Days to keep (default: ${DEFAULT_LIMITS.maxDays}; 0 keeps every day)
+  --max-total-size <size> Size to fit in, e.g. 500M or 2G (default: ${DEFAULT_LIMITS.maxTotalSize}; 0 for no limit)
+  --dry-run               Only list what would be deleted
+  -h, --help              Show help
+
+watch.js applies the same limits at start and every hour; see its --max-* options.
+`);
+}
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  return args[i + 1] ?? null;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Files the running watcher has open, from its status file. */
+function watcherFiles() {
+  try {
+    const status = JSON.parse(readFileSync(join(LOG_ROOT, ".status.json"), "utf8"));
+    if (!isProcessAlive(status.pid)) return [];
+    return (status.targets || []).map((t) => t.file).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+const args = process.argv.slice(2);
+if (args.includes("-h") || args.includes("--help")) {
+  usage();
+  process.exit(0);
+}
+
+try {
+  const maxDays = argValue(args, "--max-days") ?? String(DEFAULT_LIMITS.maxDays);
+  if (!/^\d+$/.test(maxDays)) throw new Error(`Invalid --max-days '${maxDays}' (expected a number of days; 0 for no limit).`);
+  const rawSize = argValue(args, "--max-total-size") ?? DEFAULT_LIMITS.maxTotalSize;
+  const maxTotalBytes = parseBytes(rawSize);
+  if (maxTotalBytes == null) {
+    throw new Error(`Invalid --max-total-size '${rawSize}' (expected bytes or a size like 500M or 2G; 0 for no limit).`);
+  }
+  const dryRun = args.includes("--dry-run");
+
+  if (!existsSync(LOG_ROOT)) {
+    console.log(JSON.stringify({ dryRun, removedFiles: 0, freedBytes: 0, totalBytes: 0, removed: [] }));
+    process.exit(0);
+  }
+  const result = pruneLogs({ maxDays: Number(maxDays), maxTotalBytes, keep: watcherFiles(), dryRun });
+  console.log(
+    JSON.stringify({
+      dryRun,
+      removedFiles: result.removed.length,
+      freedBytes: result.freedBytes,
+      totalBytes: result.totalBytes,
+      removed: result.removed,
+    })
+  );
+} catch (e) {
+  console.error("✗", e.message);
+  process.exit(1);
+}
@@ -1,8 +1,9 @@
 #!/usr/bin/env node
 
-import { existsSync, readdirSync, readFileSync, statSync, watch } from "node:fs";
+import { existsSync, readdirSync, readFileSync, statSync, watchFile } from "node:fs";
 import { homedir } from "node:os";
 import { join } from "node:path";
+import { readLogFile } from "./lib/logstore.js";
 
 const LOG_ROOT = join(homedir(), ".cache/agent-web/logs");
 
@@ -40,17 +41,21 @@ if (!filePath) {
   process.exit(1);
 }
 
+let offset = 0;
+
 function readAll() {
   if (!existsSync(filePath)) return;
-  const data = readFileSync(filePath, "utf8");
+  // Rotated parts (<targetId>.<n>.jsonl.gz) are gzipped.
+  const data = readLogFile(filePath);
   if (data.length > 0) process.stdout.write(data);
+  offset = data.length;
 }
 
-let offset = 0;
-
 function readNew() {
   if (!existsSync(filePath)) return;
   const data = readFileSync(filePath, "utf8");
+  // watch.js rotated the file: the path now holds a new, shorter one.
+  if (data.length < offset) offset = 0;
   if (data.length <= offset) return;
   const chunk = data.slice(offset);
   offset = data.length;
@@ -60,8 +65,9 @@ function readNew() {
 try {
   readAll();
   if (!follow) process.exit(0);
-  offset = statSafe(filePath)?.size || 0;
-  watch(filePath, { persistent: true }, () => readNew());
+  if (filePath.endsWith(".gz")) throw new Error("--follow does not apply to a rotated (.gz) log.");
+  // Polls the path rather than the inode, so rotation is followed.
+  watchFile(filePath, { persistent: true, interval: 250 }, () => readNew());
   console.log(`✓ tailing ${filePath}`);
 } catch (e) {
   console.error("✗ tail failed:", e.message);
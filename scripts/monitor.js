@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+import { connect, envInt, navigationFailure, parseStatusRanges } from "./cdp.js";
+import { extractPage, PAGE_FIELDS } from "./lib/extract.js";
+import { diffContent, loadSnapshot, saveSnapshot, snapshotPath } from "./lib/monitor.js";
+import { applySchema, loadSchema, SCHEMA_SCRIPT } from "./lib/schema.js";
+
+const DEBUG = process.env.DEBUG === "1";
+const log = DEBUG ? (...args) => console.error("[debug]", ...args) : () => {};
+
+// Exit code when at least one page changed (errors still win with 1).
+const CHANGED_EXIT_CODE = 3;
+
+function usage() {
+  console.log(`Usage:
+  node scripts/monitor.js <url...> [options]
+
+Extracts each URL, compares it with the snapshot stored by the previous run
+and stores the new one. Prints one JSON line per URL:
+  { url, status: "new" | "unchanged" | "changed", checkedAt, previousCheckedAt?, changes?, snapshot }
+  { url, status: "error", error }
+
+Options:
+  --fields <list>        Comma-separated fields to compare: ${PAGE_FIELDS.join(", ")}
+                         (default: text)
+  --schema <file>        Also compare the fields declared in a schema file (as "data")
+  --selector <css>       Compare text / Markdown / tables of this element only
+  --ignore <css>         Remove matching elements before extracting (repeatable), e.g.
+                         --ignore time --ignore '.ad, .banner'
+  --ignore-text <regex>  Blank out matching text before comparing (repeatable), e.g.
+                         --ignore-text 'Updated \\d+ minutes ago'
+  --no-save              Compare without replacing the stored snapshot
+  --profile <name>       Connection profile (default: $LIGHTPANDA_PROFILE)
+  --target <t>           Use this tab (default: a new tab, closed afterwards)
+  --wait-until <state>   load|domcontentloaded|networkidle (default: load)
+  --wait-for-selector <css> / --wait-for-function <js>  Extra readiness condition per page
+  --fail-on-status <ranges> Treat these statuses as errors (default: 4xx,5xx)
+  --max-links <n>        Limit links (default: 200)
+  --max-chars <n>        Limit text / Markdown length (default: 100000)
+  -h, --help             Show help
+
+Changes list { field, added, removed, diff } for text fields (unified-diff
+lines) and { path, before?, after? } for structured ones. Snapshots are kept
+in ~/.cache/agent-web/monitor/, one per URL and option set.
+
+Exit codes: 0 nothing changed (or first snapshot), ${CHANGED_EXIT_CODE} something changed,
+1 a page could not be checked.
+`);
+}
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  return args[i + 1] ?? null;
+}
+
+function argValues(args, name) {
+  return args.flatMap((a, i) => (a === name && args[i + 1] != null ? [args[i + 1]] : []));
+}
+
+function argInt(args, name, fallback) {
+  const raw = argValue(args, name);
+  if (raw == null) return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0) return fallback;
+  return Math.floor(value);
+}
+
+const VALUE_FLAGS = new Set([
+  "--fields",
+  "--schema",
+  "--selector",
+  "--ignore",
+  "--ignore-text",
+  "--profile",
+  "--target",
+  "--wait-until",
+  "--wait-for-selector",
+  "--wait-for-function",
+  "--fail-on-status",
+  "--max-links",
+  "--max-chars",
+]);
+
+const args = process.argv.slice(2);
+if (args.includes("-h") || args.includes("--help")) {
+  usage();
+  process.exit(0);
+}
+
+const urls = args.filter((a, i) => !a.startsWith("--") && !VALUE_FLAGS.has(args[i - 1]));
+const schemaPath = argValue(args, "--schema");
+const selector = argValue(args, "--selector");
+const ignoreSelectors = argValues(args, "--ignore");
+const ignoreText = argValues(args, "--ignore-text");
+const targetSpec = argValue(args, "--target");
+const save = !args.includes("--no-save");
+const extractOptions = {
+  selector,
+  maxLinks: argInt(args, "--max-links", 200),
+  maxChars: argInt(args, "--max-chars", 100000),
+  timeout: envInt("CDP_EVAL_TIMEOUT_MS", 30000),
+};
+const waitOptions = {
+  waitUntil: argValue(args, "--wait-until") || "load",
+  waitForSelector: argValue(args, "--wait-for-selector"),
+  waitForFunction: argValue(args, "--wait-for-function"),
+  timeout: envInt("CDP_NAV_TIMEOUT_MS", 30000),
+};
+
+const IGNORE_SCRIPT = `(selectors) => {
+  let removed = 0;
+  for (const selector of selectors) {
+    for (const el of document.querySelectorAll(selector)) {
+      el.remove();
+      removed++;
+    }
+  }
+  return removed;
+}`;
+
+function parseFields(spec) {
+  const fields = new Set(spec.split(",").map((f) => f.trim()).filter(Boolean));
+  for (const field of fields) {
+    if (!PAGE_FIELDS.includes(field)) {
+      throw new Error(`Unknown field '${field}' in --fields (expected ${PAGE_FIELDS.join(", ")}).`);
+    }
+  }
+  return fields;
+}
+
+function compileRegexes(sources) {
+  return sources.map((source) => {
+    try {
+      return new RegExp(source, "g");
+    } catch (e) {
+      throw new Error(`Invalid --ignore-text regex: ${e.message}`);
+    }
+  });
+}
+
+function maskText(value, regexes) {
+  if (typeof value === "string") return regexes.reduce((text, re) => text.replace(re, ""), value);
+  if (Array.isArray(value)) return value.map((v) => maskText(v, regexes));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, maskText(v, regexes)]));
+  }
+  return value;
+}
+
+try {
+  if (urls.length === 0) {
+    usage();
+    process.exit(1);
+  }
+  // Without --fields, a schema alone decides what is compared.
+  const fields = parseFields(argValue(args, "--fields") || (schemaPath ? "" : "text"));
+  const schema = schemaPath ? loadSchema(schemaPath) : null;
+  const regexes = compileRegexes(ignoreText);
+  const failRanges = parseStatusRanges(argValue(args, "--fail-on-status") ?? "4xx,5xx");
+  const config = {
+    fields: [...fields].sort(),
+    schema,
+    selector,
+    ignore: ignoreSelectors,
+    ignoreText,
+  };
+
+  log("connecting...");
+  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000), {
+    profile: argValue(args, "--profile"),
+    session: true,
+  });
+
+  let errors = 0;
+  let changed = 0;
+  let createdTarget = null;
+  try {
+    let targetId;
+    if (targetSpec) {
+      targetId = await cdp.selectPage(targetSpec);
+    } else {
+      ({ targetId } = await cdp.send("Target.createTarget", { url: "about:blank" }));
+      createdTarget = targetId;
+    }
+    const sessionId = await cdp.attachToPage(targetId);
+    try {
+      await cdp.send("Runtime.enable", {}, sessionId);
+      await cdp.send("Page.enable", {}, sessionId);
+    } catch {}
+
+    for (const url of urls) {
+      const path = snapshotPath(url, config);
+      const checkedAt = new Date().toISOString();
+      try {
+        log("checking", url);
+        const navigation = await cdp.navigateAndWait(sessionId, url, waitOptions);
+        const failure = navigationFailure(navigation, failRanges);
+        if (failure) throw new Error(failure);
+
+        if (ignoreSelectors.length > 0) {
+          const expression = `(${IGNORE_SCRIPT})(${JSON.stringify(ignoreSelectors)})`;
+          log("ignored elements:", await cdp.evaluate(sessionId, expression, extractOptions.timeout));
+        }
+        let content = await extractPage(cdp, sessionId, fields, extractOptions);
+        if (schema) {
+          const raw = await cdp.evaluate(sessionId, `(${SCHEMA_SCRIPT})(${JSON.stringify(schema)})`, extractOptions.timeout);
+          content.data = applySchema(schema, raw).data;
+        }
+        if (regexes.length > 0) content = maskText(content, regexes);
+
+        const previous = loadSnapshot(path);
+        const record = { url, status: "new", checkedAt };
+        if (previous) {
+          const changes = diffContent(previous.content, content);
+          record.status = changes.length > 0 ? "changed" : "unchanged";
+          record.previousCheckedAt = previous.checkedAt;
+          if (changes.length > 0) record.changes = changes;
+        }
+        if (record.status === "changed") changed += 1;
+        record.snapshot = path;
+        if (save) saveSnapshot(path, { url, config, checkedAt, content });
+        console.log(JSON.stringify(record));
+      } catch (e) {
+        if (!cdp.connected) throw e;
+        errors += 1;
+        console.log(JSON.stringify({ url, status: "error", checkedAt, error: e.message }));
+      }
+    }
+  } finally {
+    if (createdTarget) {
+      try {
+        await cdp.send("Target.closeTarget", { targetId: createdTarget }, null, 5000);
+      } catch {}
+    }
+    try {
+      cdp.close();
+    } catch {}
+  }
+
+  if (errors > 0) throw new Error(`${errors} of ${urls.length} page(s) could not be checked.`);
+  if (changed > 0) process.exit(CHANGED_EXIT_CODE);
+} catch (e) {
+  console.error("✗", e.message);
+  process.exit(1);
+}
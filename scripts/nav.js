@@ -1,18 +1,56 @@
 #!/usr/bin/env node
 
-import { connect, envInt } from "./cdp.js";
+import { connect, envInt, navigationFailure, parseStatusRanges } from "./cdp.js";
 
 const DEBUG = process.env.DEBUG === "1";
 const log = DEBUG ? (...args) => console.error("[debug]", ...args) : () => {};
 
-const url = process.argv[2];
-const newTab = process.argv[3] === "--new";
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  return args[i + 1] ?? null;
+}
+
+const VALUE_FLAGS = new Set([
+  "--wait-until",
+  "--wait-for-selector",
+  "--wait-for-function",
+  "--fail-on-status",
+  "--target",
+  "--profile",
+]);
+
+const args = process.argv.slice(2);
+const url = args.find((a, i) => !a.startsWith("--") && !VALUE_FLAGS.has(args[i - 1]));
+const newTab = args.includes("--new");
+const targetSpec = argValue(args, "--target");
+const waitOptions = {
+  waitUntil: argValue(args, "--wait-until") || "load",
+  waitForSelector: argValue(args, "--wait-for-selector"),
+  waitForFunction: argValue(args, "--wait-for-function"),
+  timeout: envInt("CDP_NAV_TIMEOUT_MS", 30000),
+};
 
 if (!url) {
-  console.log("Usage: nav.js <url> [--new]");
+  console.log(
+    "Usage: nav.js <url> [--profile <name>] [--new | --target <id|index|url>] [--wait-until load|domcontentloaded|networkidle] [--wait-for-selector <css>] [--wait-for-function <js>] [--fail-on-status <ranges>]"
+  );
+  console.log("\nPrints a JSON navigation report (final URL, redirects, status, mimeType, error).");
+  console.log("Exits 1 on network errors or when the status is in --fail-on-status (default: 4xx,5xx; 'none' disables).");
   console.log("\nExamples:");
   console.log("  nav.js https://example.com       # Navigate current tab");
   console.log("  nav.js https://example.com --new # Open in new tab");
+  console.log("  nav.js https://example.com --target 0 # Navigate the first tab");
+  console.log("  nav.js https://example.com --wait-until networkidle");
+  console.log("  nav.js https://example.com/missing --fail-on-status 5xx");
+  process.exit(1);
+}
+
+let failRanges;
+try {
+  failRanges = parseStatusRanges(argValue(args, "--fail-on-status") ?? "4xx,5xx");
+} catch (e) {
+  console.error("✗", e.message);
   process.exit(1);
 }
 
@@ -25,7 +63,10 @@ const globalTimeout = setTimeout(() => {
 
 try {
   log("connecting...");
-  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000));
+  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000), {
+    profile: argValue(args, "--profile"),
+    session: true,
+  });
 
   log("getting pages...");
   let targetId;
@@ -37,17 +78,7 @@ try {
     });
     targetId = newTargetId;
   } else {
-    const pages = await cdp.getPages();
-    const page = pages.at(-1);
-    if (page) {
-      targetId = page.targetId;
-    } else {
-      log("no page targets found, creating one...");
-      const { targetId: newTargetId } = await cdp.send("Target.createTarget", {
-        url: "about:blank",
-      });
-      targetId = newTargetId;
-    }
+    targetId = await cdp.selectPage(targetSpec);
   }
 
   log("attaching to page...");
@@ -57,9 +88,11 @@ try {
   } catch {}
 
   log("navigating...");
-  await cdp.navigate(sessionId, url);
+  const nav = await cdp.navigateAndWait(sessionId, url, waitOptions);
 
-  console.log(newTab ? "✓ Opened:" : "✓ Navigated to:", url);
+  console.log(JSON.stringify({ ...nav, targetId, newTab }));
+  const failure = navigationFailure(nav, failRanges);
+  if (failure) throw new Error(failure);
 
   log("closing...");
   cdp.close();
@@ -1,8 +1,9 @@
 #!/usr/bin/env node
 
-import { existsSync, readdirSync, readFileSync, statSync } from "node:fs";
+import { existsSync, readdirSync, statSync } from "node:fs";
 import { homedir } from "node:os";
 import { join } from "node:path";
+import { readLogFile } from "./lib/logstore.js";
 
 const LOG_ROOT = join(homedir(), ".cache/agent-web/logs");
 
@@ -45,7 +46,7 @@ let totalResponses = 0;
 let totalRequests = 0;
 
 try {
-  const data = readFileSync(filePath, "utf8");
+  const data = readLogFile(filePath);
   const lines = data.split("\n").filter(Boolean);
   for (const line of lines) {
     let entry;
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+
+import { spawn } from "node:child_process";
+import { closeSync, mkdirSync, openSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { createServer } from "node:net";
+import { fileURLToPath } from "node:url";
+import { connect, envInt } from "./cdp.js";
+import {
+  lineReader,
+  openSessionSocket,
+  SESSION_DIR,
+  SESSION_LOG_FILE,
+  SESSION_PID_FILE,
+  SESSION_SOCKET,
+} from "./lib/session.js";
+
+function usage() {
+  console.log(`Usage:
+  node scripts/session.js start [--target <t>] [--profile <name>]
+  node scripts/session.js status
+  node scripts/session.js stop
+
+Commands:
+  start    Start a background daemon holding one CDP connection and one page
+  status   Print daemon status as JSON
+  stop     Stop the daemon (the page is left open)
+
+While the daemon runs, nav.js, eval.js, extract.js, act.js, dismiss-cookies.js
+and tabs.js route through it, so cookies, tabs and JS state carry over between
+commands. Set LIGHTPANDA_NO_SESSION=1 to bypass it for one command.
+`);
+}
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  return args[i + 1] ?? null;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function readPid() {
+  try {
+    const pid = Number(readFileSync(SESSION_PID_FILE, "utf8").trim());
+    return pid && isProcessAlive(pid) ? pid : null;
+  } catch {
+    return null;
+  }
+}
+
+function removeFiles() {
+  rmSync(SESSION_SOCKET, { force: true });
+  rmSync(SESSION_PID_FILE, { force: true });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function queryInfo() {
+  const socket = await openSessionSocket();
+  if (!socket) return null;
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      socket.close();
+      resolve(null);
+    }, 2000);
+    socket.addEventListener("message", ({ data }) => {
+      const msg = JSON.parse(data);
+      if (msg.id !== 1) return;
+      clearTimeout(timer);
+      socket.close();
+      resolve(msg.result || null);
+    });
+    socket.send(JSON.stringify({ id: 1, method: "Session.getInfo" }));
+  });
+}
+
+async function status() {
+  const info = await queryInfo();
+  return info ? { running: true, ...info } : { running: false };
+}
+
+async function start(args) {
+  const running = await status();
+  if (running.running) return running;
+  removeFiles();
+  mkdirSync(SESSION_DIR, { recursive: true });
+
+  const log = openSync(SESSION_LOG_FILE, "a");
+  const script = fileURLToPath(import.meta.url);
+  const child = spawn(process.execPath, [...process.execArgv, script, "serve", ...args.slice(1)], {
+    detached: true,
+    stdio: ["ignore", log, log],
+    env: process.env,
+  });
+  closeSync(log);
+  let exited = null;
+  child.on("exit", (code) => {
+    exited = code;
+  });
+  child.unref();
+
+  const deadline = Date.now() + envInt("CDP_TIMEOUT_MS", 5000) + 5000;
+  while (Date.now() < deadline) {
+    if (exited !== null) {
+      const tail = readFileSync(SESSION_LOG_FILE, "utf8").trim().split("\n").at(-1) || "";
+      throw new Error(`Session daemon exited (${exited}): ${tail.replace(/^✗\s*/, "")}`);
+    }
+    const info = await status();
+    if (info.running) return info;
+    await sleep(100);
+  }
+  throw new Error(`Session daemon did not start; see ${SESSION_LOG_FILE}`);
+}
+
+async function stop() {
+  const pid = readPid();
+  if (!pid) {
+    removeFiles();
+    return { stopped: false, running: false };
+  }
+  process.kill(pid, "SIGTERM");
+  const deadline = Date.now() + 5000;
+  while (Date.now() < deadline && isProcessAlive(pid)) await sleep(50);
+  if (isProcessAlive(pid)) throw new Error(`Session daemon (pid ${pid}) did not exit.`);
+  removeFiles();
+  return { stopped: true, pid };
+}
+
+async function serve(args) {
+  const profile = argValue(args, "--profile");
+  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000), { reconnect: true, profile });
+  await cdp.send("Target.setDiscoverTargets", { discover: true });
+  let targetId = await cdp.selectPage(argValue(args, "--target"));
+  const startedAt = new Date().toISOString();
+  const commandTimeout = envInt("LIGHTPANDA_SESSION_COMMAND_TIMEOUT_MS", 120000);
+
+  const clients = new Set();
+  // Client-visible session id -> live session id, after a reconnect re-attached it.
+  const aliases = new Map();
+  const liveSession = (sessionId) => aliases.get(sessionId) || sessionId;
+  const clientSession = (sessionId) => {
+    for (const [alias, live] of aliases) if (live === sessionId) return alias;
+    return sessionId;
+  };
+
+  const info = () => ({
+    pid: process.pid,
+    targetId,
+    profile: cdp.endpoint?.profile ?? null,
+    endpoint: cdp.endpoint,
+    startedAt,
+    clients: clients.size,
+  });
+
+  const write = (client, msg) => {
+    if (!client.socket.destroyed) client.socket.write(`${JSON.stringify(msg)}\n`);
+  };
+
+  cdp.on("*", ({ method, params }, sessionId) => {
+    const msg = { method, params };
+    if (sessionId) {
+      msg.sessionId = clientSession(sessionId);
+      for (const client of clients) if (client.sessions.has(msg.sessionId)) write(client, msg);
+      return;
+    }
+    for (const client of clients) write(client, msg);
+  });
+
+  cdp.on("Target.targetDestroyed", async ({ targetId: destroyed }) => {
+    if (destroyed !== targetId) return;
+    try {
+      targetId = await cdp.selectPage();
+      console.error(`session: pinned page closed, now using ${targetId}`);
+    } catch (e) {
+      console.error("session: could not pick a new page:", e.message);
+    }
+  });
+
+  cdp.on("disconnected", ({ reason, reconnecting }) =>
+    console.error(`session: disconnected (${reason})${reconnecting ? ", reconnecting" : ""}`)
+  );
+  cdp.on("reconnected", ({ attempt, sessions }) => {
+    for (const { oldSessionId, sessionId } of sessions) {
+      if (!sessionId) continue;
+      const alias = clientSession(oldSessionId);
+      aliases.set(alias, sessionId);
+    }
+    console.error(`session: reconnected (attempt ${attempt})`);
+  });
+  cdp.on("reconnectFailed", ({ attempts, error }) => {
+    console.error(`✗ session: reconnect failed after ${attempts} attempts: ${error}`);
+    shutdown(1);
+  });
+
+  async function handle(client, line) {
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch {
+      return;
+    }
+    const { id, method, params = {}, sessionId } = msg;
+    if (method === "Session.getInfo") {
+      write(client, { id, result: info() });
+      return;
+    }
+    try {
+      const result = await cdp.send(method, params, sessionId ? liveSession(sessionId) : null, commandTimeout);
+      if (method === "Target.attachToTarget" && result?.sessionId) client.sessions.add(result.sessionId);
+      if (method === "Target.detachFromTarget" && params.sessionId) client.sessions.delete(params.sessionId);
+      const reply = { id, result };
+      if (sessionId) reply.sessionId = sessionId;
+      write(client, reply);
+    } catch (e) {
+      // Keep the browser's error code; errors without one (timeouts) stay without.
+      write(client, { id, error: { code: e.code, message: e.message } });
+    }
+  }
+
+  const server = createServer((socket) => {
+    const client = { socket, sessions: new Set() };
+    clients.add(client);
+    socket.on("data", lineReader((line) => handle(client, line)));
+    socket.on("error", () => {});
+    socket.on("close", () => {
+      clients.delete(client);
+      // Detach what the client attached so the page isn't left with stale sessions.
+      for (const sessionId of client.sessions) {
+        cdp.send("Target.detachFromTarget", { sessionId: liveSession(sessionId) }).catch(() => {});
+        aliases.delete(sessionId);
+      }
+    });
+  });
+
+  let shuttingDown = false;
+  function shutdown(code = 0) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    for (const client of clients) client.socket.destroy();
+    server.close();
+    removeFiles();
+    try {
+      cdp.close();
+    } catch {}
+    setTimeout(() => process.exit(code), 100);
+  }
+  process.on("SIGTERM", () => shutdown(0));
+  process.on("SIGINT", () => shutdown(0));
+
+  mkdirSync(SESSION_DIR, { recursive: true });
+  rmSync(SESSION_SOCKET, { force: true });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(SESSION_SOCKET, resolve);
+  });
+  writeFileSync(SESSION_PID_FILE, String(process.pid));
+  console.error(`session: serving ${targetId} on ${SESSION_SOCKET} (pid ${process.pid})`);
+}
+
+const args = process.argv.slice(2);
+if (args.length === 0 || args.includes("-h") || args.includes("--help")) {
+  usage();
+  process.exit(args.length === 0 ? 1 : 0);
+}
+
+const command = args[0];
+
+try {
+  if (command === "serve") {
+    await serve(args);
+  } else if (command === "start") {
+    console.log(JSON.stringify(await start(args)));
+  } else if (command === "status") {
+    console.log(JSON.stringify(await status()));
+  } else if (command === "stop") {
+    console.log(JSON.stringify(await stop()));
+  } else {
+    throw new Error(`Unknown command '${command}' (expected start, status or stop).`);
+  }
+} catch (e) {
+  console.error("✗", e.message);
+  process.exit(1);
+}
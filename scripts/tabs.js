@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+import { connect, envInt } from "./cdp.js";
+
+function usage() {
+  console.log(`Usage:
+  node scripts/tabs.js list
+  node scripts/tabs.js new [url]
+  node scripts/tabs.js activate <id|index|url-substring>
+  node scripts/tabs.js close <id|index|url-substring|all-but-current> [--target <t>]
+
+Commands:
+  list               Print page targets as JSON (index, id, url, title, attached, current)
+  new [url]          Open a tab (default: about:blank) and print its id
+  activate <t>       Bring a tab to the front
+  close <t>          Close one tab
+  close all-but-current
+                     Close every tab except the current one (the last tab, or --target)
+
+Options:
+  --profile <name>   Connection profile (default: $LIGHTPANDA_PROFILE)
+  --target <t>       Which tab counts as current
+
+"current" is the tab other commands pick when --target is not given.
+`);
+}
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  return args[i + 1] ?? null;
+}
+
+const args = process.argv.slice(2);
+if (args.length === 0 || args.includes("-h") || args.includes("--help")) {
+  usage();
+  process.exit(args.length === 0 ? 1 : 0);
+}
+
+const command = args[0];
+const operand = args[1] && !args[1].startsWith("--") ? args[1] : null;
+const targetSpec = argValue(args, "--target");
+
+const globalTimeoutMs = envInt("CDP_GLOBAL_TIMEOUT_MS", 30000);
+const globalTimeout = setTimeout(() => {
+  console.error("✗ Global timeout exceeded");
+  process.exit(1);
+}, globalTimeoutMs);
+
+function describe(page, index, currentId) {
+  return {
+    index,
+    id: page.targetId,
+    url: page.url || "",
+    title: page.title || "",
+    attached: !!page.attached,
+    current: page.targetId === currentId,
+  };
+}
+
+async function run(cdp) {
+  if (command === "list") {
+    const pages = await cdp.getPages();
+    const current = await cdp.findPage(targetSpec);
+    return pages.map((p, i) => describe(p, i, current?.targetId));
+  }
+
+  if (command === "new") {
+    const url = operand || "about:blank";
+    const { targetId } = await cdp.send("Target.createTarget", { url });
+    return { id: targetId, url };
+  }
+
+  if (command === "activate") {
+    if (!operand) throw new Error("activate requires a target id, index or URL substring.");
+    const page = await cdp.findPage(operand);
+    await cdp.send("Target.activateTarget", { targetId: page.targetId });
+    return { activated: page.targetId, url: page.url || "" };
+  }
+
+  if (command === "close") {
+    if (!operand) throw new Error("close requires a target id, index, URL substring or all-but-current.");
+    let ids;
+    if (operand === "all-but-current") {
+      const current = await cdp.findPage(targetSpec);
+      const pages = await cdp.getPages();
+      ids = pages.map((p) => p.targetId).filter((id) => id !== current?.targetId);
+    } else {
+      ids = [(await cdp.findPage(operand)).targetId];
+    }
+    const closed = [];
+    const failed = [];
+    for (const targetId of ids) {
+      try {
+        await cdp.send("Target.closeTarget", { targetId });
+        closed.push(targetId);
+      } catch (e) {
+        failed.push({ id: targetId, error: e.message });
+      }
+    }
+    return failed.length > 0 ? { closed, failed } : { closed };
+  }
+
+  throw new Error(`Unknown command '${command}' (expected list, new, activate or close).`);
+}
+
+try {
+  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000), {
+    profile: argValue(args, "--profile"),
+    session: true,
+  });
+  try {
+    const result = await run(cdp);
+    console.log(JSON.stringify(result));
+  } finally {
+    try {
+      cdp.close();
+    } catch {}
+  }
+} catch (e) {
+  console.error("✗", e.message);
+  process.exit(1);
+} finally {
+  clearTimeout(globalTimeout);
+}
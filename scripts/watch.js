@@ -1,12 +1,87 @@
 #!/usr/bin/env node
 
-import { createWriteStream, existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
-import { homedir } from "node:os";
+import { spawn } from "node:child_process";
+import {
+  closeSync,
+  existsSync,
+  mkdirSync,
+  openSync,
+  readFileSync,
+  renameSync,
+  rmSync,
+  writeFileSync,
+} from "node:fs";
 import { join } from "node:path";
+import { fileURLToPath } from "node:url";
 import { connect, envInt } from "./cdp.js";
+import { DEFAULT_LIMITS, LOG_ROOT, LogWriter, parseBytes, pruneLogs } from "./lib/logstore.js";
+import { createRedactor, loadRedactionRules, redactRulesPath } from "./lib/redact.js";
 
-const LOG_ROOT = join(homedir(), ".cache/agent-web/logs");
 const PID_FILE = join(LOG_ROOT, ".pid");
+// Maintained by the running watcher for `watch.js status`.
+const STATUS_FILE = join(LOG_ROOT, ".status.json");
+// stdout/stderr of the background watcher.
+const WATCH_LOG_FILE = join(LOG_ROOT, "watch.log");
+const DEFAULT_BODY_MIME = "json,text/,xml,javascript,x-www-form-urlencoded";
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+function usage() {
+  console.log(`Usage:
+  node scripts/watch.js [start] [--profile <name>] [--foreground] [--bodies ...] [--max-file-size <size> ...] [--no-redact]
+  node scripts/watch.js status
+  node scripts/watch.js stop
+
+Commands:
+  start    Start logging console, errors and network traffic of every page to
+           ~/.cache/agent-web/logs/<date>/<targetId>.jsonl (the default command).
+           Runs in the background unless --foreground is given; its own output
+           goes to ~/.cache/agent-web/logs/watch.log
+  status   Print { running, pid, startedAt, uptimeSec, endpoint, connected, targets,
+           bytesWritten, lastEventAt, redact, limits, lastPrune?, bodies? } as JSON
+  stop     Stop the watcher: flush and close every log file, remove the PID file
+
+Body capture (off by default):
+  --bodies               Save request POST data and response bodies as sidecar files
+                         under <date>/bodies/<targetId>/, referenced by "network.body"
+                         records ({ requestId, kind: request|response, url, mimeType,
+                         file, bytes, binary?, truncated?, skipped?, error? })
+  --bodies-url <regex>   Only for URLs matching this regex
+  --bodies-mime <list>   Comma-separated mimeType substrings for responses
+                         (default: ${DEFAULT_BODY_MIME}; "*" for any)
+  --bodies-max-bytes <n> Larger bodies are cut to this size (default: 1048576)
+
+Log files (0 turns a limit off):
+  --max-file-size <size> Rotate a log file at this size; rotated parts are gzipped to
+                         <targetId>.<n>.jsonl.gz (default: ${DEFAULT_LIMITS.maxFileSize})
+  --max-days <n>         Delete log days older than this, at start and hourly (default: ${DEFAULT_LIMITS.maxDays})
+  --max-total-size <size> Then delete the oldest files until the store fits (default: ${DEFAULT_LIMITS.maxTotalSize})
+  Files move to a new <date> directory at midnight. logs-prune.js applies the
+  same retention on demand.
+
+Redaction (on by default):
+  Every record and text body is passed through the rules in
+  ${redactRulesPath()} (built-in defaults when missing): secret query
+  parameters, auth headers, cookie values, emails, bearer tokens and card
+  numbers become "***". See scripts/lib/redact.js for the file format.
+  --no-redact            Write everything as received
+
+With --foreground, Ctrl-C (SIGINT) or SIGTERM stops it the same way.
+`);
+}
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  return args[i + 1] ?? null;
+}
+
+function argInt(args, name, fallback) {
+  const raw = argValue(args, name);
+  if (raw == null) return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0) return fallback;
+  return Math.floor(value);
+}
 
 function ensureDir(dir) {
   if (!existsSync(dir)) {
@@ -23,14 +98,26 @@ function isProcessAlive(pid) {
   }
 }
 
-function getDateDir() {
-  const now = new Date();
-  const yyyy = String(now.getFullYear());
-  const mm = String(now.getMonth() + 1).padStart(2, "0");
-  const dd = String(now.getDate()).padStart(2, "0");
-  return join(LOG_ROOT, `${yyyy}-${mm}-${dd}`);
+function readPid() {
+  try {
+    return Number(readFileSync(PID_FILE, "utf8").trim()) || null;
+  } catch {
+    return null;
+  }
 }
 
+function runningPid() {
+  const pid = readPid();
+  return pid && isProcessAlive(pid) ? pid : null;
+}
+
+function removeFiles() {
+  rmSync(PID_FILE, { force: true });
+  rmSync(STATUS_FILE, { force: true });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 function safeFileName(value) {
   return value.replace(/[^a-zA-Z0-9._-]/g, "_");
 }
@@ -59,46 +146,124 @@ function serializeRemoteObject(obj) {
   };
 }
 
-ensureDir(LOG_ROOT);
-
-if (existsSync(PID_FILE)) {
+/** Body capture settings from --bodies*, or null when it is off. */
+function bodyOptions(args) {
+  if (!args.includes("--bodies")) return null;
+  const source = argValue(args, "--bodies-url");
+  let url = null;
   try {
-    const existing = Number(readFileSync(PID_FILE, "utf8").trim());
-    if (existing && isProcessAlive(existing)) {
-      console.log("✓ watch already running");
-      process.exit(0);
-    }
-  } catch {
-    // Ignore and overwrite stale pid.
+    url = source ? new RegExp(source) : null;
+  } catch (e) {
+    throw new Error(`Invalid --bodies-url regex: ${e.message}`);
   }
+  const mime = (argValue(args, "--bodies-mime") || DEFAULT_BODY_MIME)
+    .split(",")
+    .map((m) => m.trim().toLowerCase())
+    .filter(Boolean);
+  return { url, mime: mime.includes("*") ? null : mime, maxBytes: argInt(args, "--bodies-max-bytes", 1048576) };
 }
 
-writeFileSync(PID_FILE, String(process.pid));
+/** Response metadata kept for net-summary.js and har.js (timing is CDP's ResourceTiming). */
+function responseFields(response) {
+  return {
+    status: response.status,
+    statusText: response.statusText || null,
+    mimeType: response.mimeType || null,
+    protocol: response.protocol || null,
+    remoteIPAddress: response.remoteIPAddress || null,
+    headers: response.headers || {},
+    encodedDataLength: response.encodedDataLength ?? null,
+    timing: response.timing || null,
+  };
+}
 
-const dateDir = getDateDir();
-ensureDir(dateDir);
+function sizeLimit(args, name, fallback) {
+  const raw = argValue(args, name) ?? fallback;
+  const bytes = parseBytes(raw);
+  if (bytes == null) throw new Error(`Invalid ${name} '${raw}' (expected bytes or a size like 50M or 1G; 0 for no limit).`);
+  return bytes;
+}
+
+/** Rotation and retention limits from --max-*, in bytes and days (0: none). */
+function limitOptions(args) {
+  const maxDays = argValue(args, "--max-days") ?? String(DEFAULT_LIMITS.maxDays);
+  if (!/^\d+$/.test(maxDays)) throw new Error(`Invalid --max-days '${maxDays}' (expected a number of days; 0 for no limit).`);
+  return {
+    maxFileBytes: sizeLimit(args, "--max-file-size", DEFAULT_LIMITS.maxFileSize),
+    maxDays: Number(maxDays),
+    maxTotalBytes: sizeLimit(args, "--max-total-size", DEFAULT_LIMITS.maxTotalSize),
+  };
+}
+
+function bodyExtension(mimeType) {
+  const mime = (mimeType || "").toLowerCase();
+  if (mime.includes("json")) return ".json";
+  if (mime.includes("html")) return ".html";
+  if (mime.includes("xml")) return ".xml";
+  if (mime.includes("javascript")) return ".js";
+  if (mime.includes("x-www-form-urlencoded") || mime.startsWith("text/")) return ".txt";
+  return ".bin";
+}
+
+let writer = null;
+let limits = null;
+let bodies = null;
+let redactor = null;
 
 const targetState = new Map();
 const sessionToTarget = new Map();
 
-function getStreamForTarget(targetId) {
-  const state = targetState.get(targetId);
-  if (state?.stream) return state.stream;
-  const filename = `${safeFileName(targetId)}.jsonl`;
-  const filepath = join(dateDir, filename);
-  const stream = createWriteStream(filepath, { flags: "a" });
-  if (state) state.stream = stream;
-  return stream;
+// What `watch.js status` reports; written to STATUS_FILE at most once a second.
+const control = {
+  pid: process.pid,
+  startedAt: new Date().toISOString(),
+  endpoint: null,
+  connected: false,
+  bytesWritten: 0,
+  lastEventAt: null,
+};
+let statusTimer = null;
+
+function writeStatus() {
+  clearTimeout(statusTimer);
+  statusTimer = null;
+  const targets = [...targetState].map(([targetId, state]) => ({
+    targetId,
+    url: redactor ? redactor.text(state.url) : state.url,
+    title: redactor ? redactor.text(state.title) : state.title,
+    file: state.file || null,
+    bytesWritten: state.bytesWritten || 0,
+  }));
+  try {
+    const tmp = `${STATUS_FILE}.tmp`;
+    writeFileSync(tmp, JSON.stringify({ ...control, targets, updatedAt: new Date().toISOString() }));
+    renameSync(tmp, STATUS_FILE);
+  } catch {
+    // Status is best-effort; never stop logging over it.
+  }
+}
+
+function scheduleStatus() {
+  if (!statusTimer) statusTimer = setTimeout(writeStatus, 1000);
 }
 
 function writeLog(targetId, payload) {
-  const stream = getStreamForTarget(targetId);
+  // Streams are being flushed and closed.
+  if (shuttingDown) return;
   const record = {
     ts: new Date().toISOString(),
     targetId,
-    ...payload,
+    ...(redactor ? redactor.value(payload) : payload),
   };
-  stream.write(`${JSON.stringify(record)}\n`);
+  const { file, bytes } = writer.write(safeFileName(targetId), `${JSON.stringify(record)}\n`);
+  control.bytesWritten += bytes;
+  control.lastEventAt = record.ts;
+  const state = targetState.get(targetId);
+  if (state) {
+    state.file = file;
+    state.bytesWritten = (state.bytesWritten || 0) + bytes;
+  }
+  scheduleStatus();
 }
 
 async function enableSession(cdp, sessionId) {
@@ -121,7 +286,6 @@ async function attachToTarget(cdp, targetInfo) {
     sessionId,
     url: targetInfo.url || null,
     title: targetInfo.title || null,
-    stream: null,
   });
   sessionToTarget.set(sessionId, targetInfo.targetId);
 
@@ -133,8 +297,149 @@ async function attachToTarget(cdp, targetInfo) {
   });
 }
 
-async function main() {
-  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000));
+/**
+ * Write a captured body next to the logs and record it as "network.body".
+ * `data` is { body, base64Encoded } as CDP returns it; base64 bodies are
+ * decoded so the sidecar file holds the original bytes.
+ */
+function writeBody(targetId, entry, data) {
+  // Binary bodies are written as they are; text ones go through the redaction rules.
+  const body = !data.base64Encoded && redactor ? redactor.text(data.body || "") : data.body || "";
+  let buffer = Buffer.from(body, data.base64Encoded ? "base64" : "utf8");
+  const record = { type: "network.body", ...entry, bytes: buffer.length };
+  if (data.base64Encoded) record.binary = true;
+  if (buffer.length > bodies.maxBytes) {
+    buffer = buffer.subarray(0, bodies.maxBytes);
+    record.truncated = true;
+  }
+  const dir = join(writer.dir(), "bodies", safeFileName(targetId));
+  ensureDir(dir);
+  const ext = bodyExtension(entry.kind === "request" ? entry.contentType : entry.mimeType);
+  record.file = join(dir, `${safeFileName(entry.requestId)}-${entry.kind}${ext}`);
+  writeFileSync(record.file, buffer);
+  writeLog(targetId, record);
+}
+
+async function captureRequestBody(cdp, sessionId, targetId, params) {
+  const request = params.request || {};
+  const headers = Object.fromEntries(Object.entries(request.headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+  const entry = {
+    requestId: params.requestId,
+    kind: "request",
+    url: request.url || null,
+    contentType: headers["content-type"] || null,
+  };
+  try {
+    const postData =
+      request.postData ?? (await cdp.send("Network.getRequestPostData", { requestId: params.requestId }, sessionId)).postData;
+    writeBody(targetId, entry, { body: postData, base64Encoded: false });
+  } catch (e) {
+    writeLog(targetId, { type: "network.body", ...entry, error: e.message });
+  }
+}
+
+async function captureResponseBody(cdp, sessionId, targetId, pending, encodedDataLength) {
+  const entry = { requestId: pending.requestId, kind: "response", url: pending.url, mimeType: pending.mimeType };
+  // Bodies over four times the limit on the wire are not fetched at all.
+  if (encodedDataLength > bodies.maxBytes * 4) {
+    writeLog(targetId, { type: "network.body", ...entry, bytes: encodedDataLength, skipped: "too large" });
+    return;
+  }
+  try {
+    const data = await cdp.send("Network.getResponseBody", { requestId: pending.requestId }, sessionId);
+    writeBody(targetId, entry, data);
+  } catch (e) {
+    writeLog(targetId, { type: "network.body", ...entry, error: e.message });
+  }
+}
+
+/** Apply the retention limits, sparing the files being written. */
+function prune() {
+  try {
+    const result = pruneLogs({ maxDays: limits.maxDays, maxTotalBytes: limits.maxTotalBytes, keep: writer.openFiles() });
+    control.lastPrune = { at: new Date().toISOString(), removedFiles: result.removed.length, freedBytes: result.freedBytes };
+    if (result.removed.length > 0) {
+      console.log(`watch: pruned ${result.removed.length} file(s), ${result.freedBytes} bytes`);
+    }
+    scheduleStatus();
+  } catch (e) {
+    console.error("watch: pruning logs failed:", e.message);
+  }
+}
+
+let shuttingDown = false;
+let cdpClient = null;
+
+/** Graceful stop: flush logs, drop the PID and status files, disconnect. */
+async function shutdown(code, reason) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  if (reason) console.error(`watch: stopping (${reason})`);
+  clearTimeout(statusTimer);
+  await writer.close();
+  if (readPid() === process.pid) removeFiles();
+  try {
+    cdpClient?.close();
+  } catch {}
+  process.exit(code);
+}
+
+async function restoreSessions(cdp, sessions) {
+  for (const { targetId, oldSessionId, sessionId, error } of sessions) {
+    sessionToTarget.delete(oldSessionId);
+    const state = targetState.get(targetId);
+    if (!state) continue;
+    if (!sessionId) {
+      writeLog(targetId, { type: "target.lost", error: error || null });
+      writer.end(safeFileName(targetId));
+      targetState.delete(targetId);
+      scheduleStatus();
+      continue;
+    }
+    state.sessionId = sessionId;
+    sessionToTarget.set(sessionId, targetId);
+    await enableSession(cdp, sessionId);
+    writeLog(targetId, { type: "target.reattached" });
+  }
+
+  // Pick up pages that appeared while the socket was down.
+  for (const page of await cdp.getPages()) {
+    await attachToTarget(cdp, page);
+  }
+}
+
+async function main(args) {
+  const cdp = await connect(envInt("CDP_TIMEOUT_MS", 5000), {
+    reconnect: true,
+    profile: argValue(args, "--profile"),
+  });
+  cdpClient = cdp;
+  control.endpoint = cdp.endpoint;
+  control.connected = true;
+  // Responses whose body is wanted, by "<sessionId>:<requestId>", until loadingFinished.
+  const pendingBodies = new Map();
+
+  cdp.on("disconnected", (params) => {
+    console.error(`watch: disconnected (${params.reason})${params.reconnecting ? ", reconnecting..." : ""}`);
+    control.connected = false;
+    scheduleStatus();
+  });
+
+  cdp.on("reconnected", async (params) => {
+    control.connected = true;
+    try {
+      await restoreSessions(cdp, params.sessions);
+      console.error(`watch: reconnected (attempt ${params.attempt})`);
+    } catch (e) {
+      console.error("watch: restore error:", e.message);
+    }
+    scheduleStatus();
+  });
+
+  cdp.on("reconnectFailed", (params) => {
+    console.error(`✗ watch: reconnect failed after ${params.attempts} attempts: ${params.error}`);
+    shutdown(1);
+  });
 
   cdp.on("Target.targetCreated", async (params) => {
     try {
@@ -147,9 +452,10 @@ async function main() {
   cdp.on("Target.targetDestroyed", (params) => {
     const targetId = params.targetId;
     const state = targetState.get(targetId);
-    if (state?.stream) state.stream.end();
+    writer.end(safeFileName(targetId));
     targetState.delete(targetId);
     if (state?.sessionId) sessionToTarget.delete(state.sessionId);
+    scheduleStatus();
   });
 
   cdp.on("Target.targetInfoChanged", (params) => {
@@ -217,8 +523,18 @@ async function main() {
       url: request.url || null,
       documentURL: params.documentURL || null,
       initiator: params.initiator?.type || null,
+      resourceType: params.type || null,
       hasPostData: !!request.hasPostData,
+      headers: request.headers || {},
+      timestamp: params.timestamp ?? null,
+      wallTime: params.wallTime ?? null,
+      // The same requestId continues after a redirect; this is the 3xx that caused it.
+      ...(params.redirectResponse && { redirectResponse: responseFields(params.redirectResponse) }),
     });
+    const hasBody = request.hasPostData || request.postData != null;
+    if (bodies && hasBody && (!bodies.url || bodies.url.test(request.url || ""))) {
+      captureRequestBody(cdp, sessionId, targetId, params).catch((e) => console.error("watch: body capture failed:", e.message));
+    }
   });
 
   cdp.on("Network.responseReceived", (params, sessionId) => {
@@ -229,15 +545,43 @@ async function main() {
       type: "network.response",
       requestId: params.requestId,
       url: response.url || null,
-      status: response.status,
-      statusText: response.statusText || null,
-      mimeType: response.mimeType || null,
+      ...responseFields(response),
       fromDiskCache: !!response.fromDiskCache,
       fromServiceWorker: !!response.fromServiceWorker,
+      timestamp: params.timestamp ?? null,
+    });
+    if (!bodies) return;
+    if (bodies.url && !bodies.url.test(response.url || "")) return;
+    const mimeType = (response.mimeType || "").toLowerCase();
+    if (bodies.mime && !bodies.mime.some((m) => mimeType.includes(m))) return;
+    // The body can only be read once it has fully loaded.
+    pendingBodies.set(`${sessionId}:${params.requestId}`, {
+      requestId: params.requestId,
+      url: response.url || null,
+      mimeType: response.mimeType || null,
     });
   });
 
+  cdp.on("Network.loadingFinished", (params, sessionId) => {
+    const key = `${sessionId}:${params.requestId}`;
+    const pending = pendingBodies.get(key);
+    const targetId = sessionToTarget.get(sessionId);
+    if (!targetId) return;
+    writeLog(targetId, {
+      type: "network.finished",
+      requestId: params.requestId,
+      encodedDataLength: params.encodedDataLength ?? null,
+      timestamp: params.timestamp ?? null,
+    });
+    if (!pending) return;
+    pendingBodies.delete(key);
+    captureResponseBody(cdp, sessionId, targetId, pending, params.encodedDataLength || 0).catch((e) =>
+      console.error("watch: body capture failed:", e.message)
+    );
+  });
+
   cdp.on("Network.loadingFailed", (params, sessionId) => {
+    pendingBodies.delete(`${sessionId}:${params.requestId}`);
     const targetId = sessionToTarget.get(sessionId);
     if (!targetId) return;
     writeLog(targetId, {
@@ -245,6 +589,7 @@ async function main() {
       requestId: params.requestId,
       errorText: params.errorText || null,
       canceled: !!params.canceled,
+      timestamp: params.timestamp ?? null,
     });
   });
 
@@ -267,11 +612,141 @@ async function main() {
     }
   }
 
+  writeStatus();
   console.log("✓ watch started");
 }
 
+/** Run the watcher in this process until stopped. */
+async function foreground(args) {
+  ensureDir(LOG_ROOT);
+  if (runningPid()) {
+    console.log("✓ watch already running");
+    process.exit(0);
+  }
+  limits = limitOptions(args);
+  control.limits = limits;
+  bodies = bodyOptions(args);
+  redactor = args.includes("--no-redact") ? null : createRedactor(loadRedactionRules());
+  control.redact = !!redactor;
+  if (bodies) control.bodies = { url: bodies.url?.source ?? null, mime: bodies.mime, maxBytes: bodies.maxBytes };
+  // Anything left over belongs to a watcher that is gone.
+  removeFiles();
+  writeFileSync(PID_FILE, String(process.pid));
+  writer = new LogWriter({
+    maxFileBytes: limits.maxFileBytes,
+    onError: (e) => console.error("watch: log rotation failed:", e.message),
+  });
+  writer.dir();
+  prune();
+  setInterval(prune, PRUNE_INTERVAL_MS).unref();
+  process.on("SIGINT", () => shutdown(0, "SIGINT"));
+  process.on("SIGTERM", () => shutdown(0, "SIGTERM"));
+  try {
+    await main(args);
+  } catch (e) {
+    if (readPid() === process.pid) removeFiles();
+    throw e;
+  }
+}
+
+function readStatus() {
+  try {
+    return JSON.parse(readFileSync(STATUS_FILE, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function status() {
+  const pid = runningPid();
+  if (!pid) {
+    const stale = readPid();
+    return stale ? { running: false, stalePid: stale } : { running: false };
+  }
+  const info = readStatus();
+  if (!info || info.pid !== pid) return { running: true, pid, starting: true };
+  const { updatedAt, ...rest } = info;
+  return {
+    running: true,
+    ...rest,
+    uptimeSec: Math.round((Date.now() - Date.parse(info.startedAt)) / 1000),
+    statusUpdatedAt: updatedAt,
+  };
+}
+
+/** Start a detached `--foreground` watcher and wait until it is attached. */
+async function start(args) {
+  const pid = runningPid();
+  if (pid) {
+    console.log("✓ watch already running");
+    return;
+  }
+  ensureDir(LOG_ROOT);
+  removeFiles();
+  const log = openSync(WATCH_LOG_FILE, "a");
+  const script = fileURLToPath(import.meta.url);
+  const rest = args.filter((a) => a !== "start");
+  const child = spawn(process.execPath, [...process.execArgv, script, "start", "--foreground", ...rest], {
+    detached: true,
+    stdio: ["ignore", log, log],
+    env: process.env,
+  });
+  closeSync(log);
+  let exited = null;
+  child.on("exit", (code) => {
+    exited = code;
+  });
+  child.unref();
+
+  const deadline = Date.now() + envInt("CDP_TIMEOUT_MS", 5000) + 5000;
+  while (Date.now() < deadline) {
+    if (exited !== null) {
+      const tail = readFileSync(WATCH_LOG_FILE, "utf8").trim().split("\n").at(-1) || "";
+      throw new Error(`watch exited (${exited}): ${tail.replace(/^✗\s*(watch failed:\s*)?/, "")}`);
+    }
+    if (readStatus()?.pid === child.pid) {
+      console.log(`✓ watch started (pid ${child.pid})`);
+      return;
+    }
+    await sleep(100);
+  }
+  throw new Error(`watch did not start; see ${WATCH_LOG_FILE}`);
+}
+
+async function stop() {
+  const pid = runningPid();
+  if (!pid) {
+    const stale = readPid();
+    removeFiles();
+    return stale ? { stopped: false, running: false, removedStalePid: stale } : { stopped: false, running: false };
+  }
+  process.kill(pid, "SIGTERM");
+  const deadline = Date.now() + 5000;
+  while (Date.now() < deadline && isProcessAlive(pid)) await sleep(50);
+  if (isProcessAlive(pid)) throw new Error(`watch (pid ${pid}) did not exit.`);
+  removeFiles();
+  return { stopped: true, pid };
+}
+
+const args = process.argv.slice(2);
+if (args.includes("-h") || args.includes("--help")) {
+  usage();
+  process.exit(0);
+}
+const command = args[0] && !args[0].startsWith("--") ? args[0] : "start";
+
 try {
-  await main();
+  if (command === "start" && args.includes("--foreground")) {
+    await foreground(args);
+  } else if (command === "start") {
+    await start(args);
+  } else if (command === "status") {
+    console.log(JSON.stringify(status()));
+  } else if (command === "stop") {
+    console.log(JSON.stringify(await stop()));
+  } else {
+    throw new Error(`Unknown command '${command}' (expected start, status or stop).`);
+  }
 } catch (e) {
   console.error("✗ watch failed:", e.message);
   process.exit(1);
@@ -0,0 +1,202 @@
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { after, before, beforeEach, test } from "node:test";
+import { makeHome, runScript } from "./helpers.js";
+import { MockCdpServer } from "./mock-cdp-server.js";
+
+let server;
+let env;
+let scripts;
+let home;
+
+before(async () => {
+  server = await new MockCdpServer().listen();
+  home = makeHome();
+  env = { LIGHTPANDA_CDP_URL: server.wsUrl, CDP_ACT_TIMEOUT_MS: "300", HOME: home.dir };
+});
+after(async () => {
+  await server.close();
+  home.cleanup();
+});
+beforeEach(() => {
+  server.handlers.clear();
+  server.received.length = 0;
+  scripts = [];
+  server.evaluate = (expression) => {
+    if (expression === "location.href") return "https://app.test/";
+    if (expression.startsWith("!!document.querySelector")) return !expression.includes("#missing");
+    if (expression.includes("const action =")) {
+      scripts.push(expression);
+      return { element: { tag: "button", text: "Go" }, scrollY: 300 };
+    }
+    return undefined;
+  };
+});
+
+function withLayout() {
+  server.handle("DOM.getDocument", () => ({ root: { nodeId: 1 } }));
+  server.handle("DOM.querySelector", () => ({ nodeId: 7 }));
+  server.handle("DOM.scrollIntoViewIfNeeded", () => ({}));
+  server.handle("DOM.getBoxModel", () => ({
+    model: { width: 100, height: 20, content: [10, 40, 110, 40, 110, 60, 10, 60] },
+  }));
+  server.handle("Input.dispatchMouseEvent", () => ({}));
+  server.handle("Input.dispatchKeyEvent", () => ({}));
+}
+
+test("click dispatches mouse events at the element centre", async () => {
+  withLayout();
+  const { code, stdout, stderr } = await runScript("act.js", ["click", "#go"], env);
+  assert.equal(code, 0, stderr);
+  const result = JSON.parse(stdout);
+  assert.equal(result.via, "cdp");
+  assert.deepEqual([result.x, result.y], [60, 50]);
+  assert.equal(result.url, "https://app.test/");
+  assert.deepEqual(
+    server.calls("Input.dispatchMouseEvent").map((m) => m.params.type),
+    ["mouseMoved", "mousePressed", "mouseReleased"]
+  );
+  assert.equal(scripts.length, 0);
+});
+
+test("falls back to DOM events when the DOM domain is unsupported", async () => {
+  const { code, stdout, stderr } = await runScript("act.js", ["click", "#go"], env);
+  assert.equal(code, 0, stderr);
+  const result = JSON.parse(stdout);
+  assert.equal(result.via, "dom");
+  assert.match(result.fallback, /DOM\.getDocument/);
+  assert.deepEqual(result.element, { tag: "button", text: "Go" });
+  assert.match(scripts[0], /const action = "click"/);
+});
+
+test("falls back when the element has no layout box", async () => {
+  withLayout();
+  server.handle("DOM.getBoxModel", () => ({ model: { width: 0, height: 0, content: [0, 0, 0, 0, 0, 0, 0, 0] } }));
+  const { stdout } = await runScript("act.js", ["hover", "#go"], env);
+  const result = JSON.parse(stdout);
+  assert.equal(result.via, "dom");
+  assert.match(result.fallback, /no layout box/);
+  assert.equal(server.calls("Input.dispatchMouseEvent").length, 0);
+});
+
+test("does not fall back once an Input event went out", async () => {
+  withLayout();
+  server.handle("Input.dispatchMouseEvent", (params) => {
+    if (params.type === "mouseReleased") throw new Error("mouseReleased failed");
+    return {};
+  });
+  const { code, stderr } = await runScript("act.js", ["click", "#go"], env);
+  assert.equal(code, 1);
+  assert.match(stderr, /mouseReleased failed/);
+  assert.equal(scripts.length, 0);
+
+  // An Input domain the browser does not have still falls back.
+  server.handlers.delete("Input.dispatchMouseEvent");
+  const unsupported = JSON.parse((await runScript("act.js", ["hover", "#go"], env)).stdout);
+  assert.equal(unsupported.via, "dom");
+  assert.match(unsupported.fallback, /Input\.dispatchMouseEvent/);
+});
+
+test("press sends key down and up with text for Enter", async () => {
+  withLayout();
+  const { code, stdout } = await runScript("act.js", ["press", "Enter"], env);
+  assert.equal(code, 0);
+  assert.equal(JSON.parse(stdout).key, "Enter");
+  const [down, up] = server.calls("Input.dispatchKeyEvent").map((m) => m.params);
+  assert.equal(down.type, "keyDown");
+  assert.equal(down.text, "\r");
+  assert.equal(down.windowsVirtualKeyCode, 13);
+  assert.equal(up.type, "keyUp");
+});
+
+test("press uses punctuation key codes and takes a trailing + as the key", async () => {
+  withLayout();
+  assert.equal((await runScript("act.js", ["press", "."], env)).code, 0);
+  assert.equal((await runScript("act.js", ["press", "+"], env)).code, 0);
+  assert.equal((await runScript("act.js", ["press", "Control++"], env)).code, 0);
+  const downs = server.calls("Input.dispatchKeyEvent").filter((m) => m.params.type !== "keyUp").map((m) => m.params);
+  assert.deepEqual(
+    downs.map((k) => [k.key, k.code, k.windowsVirtualKeyCode, k.modifiers]),
+    [
+      [".", "Period", 190, 0],
+      ["+", "Equal", 187, 0],
+      ["+", "Equal", 187, 2],
+    ]
+  );
+  assert.equal(downs[2].type, "rawKeyDown");
+});
+
+test("type, select and scroll pass their arguments to the page", async () => {
+  await runScript("act.js", ["type", "#q", "hello", "world", "--clear"], env);
+  await runScript("act.js", ["select", "#size", "M", "L"], env);
+  const scrolled = await runScript("act.js", ["scroll", "-200"], env);
+  assert.match(scripts[0], /"text":"hello world","clear":true/);
+  assert.match(scripts[0], /" ":\{"code":"Space","keyCode":32\}/);
+  assert.match(scripts[1], /"values":\["M","L"\]/);
+  assert.match(scripts[2], /"y":-200,"relative":true/);
+  assert.equal(JSON.parse(scrolled.stdout).scrollY, 300);
+
+  // Typed punctuation carries its own key code ("." is not VK_DELETE).
+  await runScript("act.js", ["type", "#version", "v1.2"], env);
+  assert.match(scripts[3], /"\.":\{"code":"Period","keyCode":190\}/);
+});
+
+test("fails when the selector never appears", async () => {
+  const { code, stderr } = await runScript("act.js", ["click", "#missing"], env);
+  assert.equal(code, 1);
+  assert.match(stderr, /selector "#missing" not found/);
+});
+
+test("rejects unknown keys", async () => {
+  const { code, stderr } = await runScript("act.js", ["press", "Hyper+x"], env);
+  assert.equal(code, 1);
+  assert.match(stderr, /Unknown modifier 'Hyper'/);
+});
+
+function saveRefs(data) {
+  const dir = join(home.dir, ".cache/agent-web/refs");
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, "T1.json"), JSON.stringify({ targetId: "T1", ...data }));
+}
+
+test("acts on accessibility refs through their backend node id", async () => {
+  withLayout();
+  server.handle("DOM.pushNodesByBackendIdsToFrontend", () => ({ nodeIds: [9] }));
+  saveRefs({ source: "ax", refs: { e12: { backendNodeId: 12, role: "button", name: "Go" } } });
+  const { code, stdout, stderr } = await runScript("act.js", ["click", "e12"], env);
+  assert.equal(code, 0, stderr);
+  const result = JSON.parse(stdout);
+  assert.equal(result.ref, "e12");
+  assert.equal(result.via, "cdp");
+  assert.deepEqual(server.calls("DOM.pushNodesByBackendIdsToFrontend")[0].params.backendNodeIds, [12]);
+  assert.equal(server.calls("DOM.getBoxModel")[0].params.nodeId, 9);
+});
+
+test("stamps accessibility refs for the DOM fallback", async () => {
+  server.handle("DOM.resolveNode", () => ({ object: { objectId: "obj-12" } }));
+  server.handle("Runtime.callFunctionOn", () => ({ result: { type: "undefined" } }));
+  saveRefs({ source: "ax", refs: { e12: { backendNodeId: 12 } } });
+  const { code, stdout } = await runScript("act.js", ["hover", "e12"], env);
+  assert.equal(code, 0);
+  assert.equal(JSON.parse(stdout).via, "dom");
+  const stamp = server.calls("Runtime.callFunctionOn")[0].params;
+  assert.equal(stamp.objectId, "obj-12");
+  assert.deepEqual(stamp.arguments, [{ value: "e12" }]);
+  assert.match(scripts[0], /const selector = "\[data-lp-ref=\\"e12\\"\]"/);
+});
+
+test("DOM snapshot refs are addressed by attribute", async () => {
+  saveRefs({ source: "dom", refs: { e3: { role: "textbox", name: "Search" } } });
+  const { code } = await runScript("act.js", ["type", "e3", "cats"], env);
+  assert.equal(code, 0);
+  assert.equal(server.calls("DOM.resolveNode").length, 0);
+  assert.match(scripts[0], /"ref":"e3"/);
+});
+
+test("rejects refs that are not in the last snapshot", async () => {
+  saveRefs({ source: "dom", refs: {} });
+  const { code, stderr } = await runScript("act.js", ["click", "e99"], env);
+  assert.equal(code, 1);
+  assert.match(stderr, /Unknown ref 'e99'.*extract\.js --snapshot/);
+});
@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { after, before, beforeEach, test } from "node:test";
+import { makeHome, runScript } from "./helpers.js";
+import { MockCdpServer } from "./mock-cdp-server.js";
+
+let server;
+let env;
+let home;
+let evaluatedIn;
+before(async () => {
+  server = await new MockCdpServer().listen();
+  env = { LIGHTPANDA_CDP_URL: server.wsUrl, CDP_NAV_TIMEOUT_MS: "2000" };
+  home = makeHome();
+});
+after(async () => {
+  await server.close();
+  home.cleanup();
+});
+beforeEach(() => {
+  server.pages.clear();
+  server.handlers.clear();
+  evaluatedIn = new Set();
+  server.evaluate = (expression, ctx) => {
+    evaluatedIn.add(ctx.targetId);
+    const url = server.targets.find((t) => t.targetId === ctx.targetId).url;
+    return { title: `Title ${new URL(url).pathname}` };
+  };
+});
+
+function parseLines(text) {
+  return text.trim().split("\n").map((line) => JSON.parse(line));
+}
+
+test("extracts every URL in parallel tabs and closes them afterwards", async () => {
+  const list = join(home.dir, "urls.txt");
+  writeFileSync(list, ["# product pages", "https://site.test/1", "https://site.test/2", "", "https://site.test/3"].join("\n"));
+  const { code, stdout, stderr } = await runScript(
+    "batch.js",
+    ["--urls", list, "https://site.test/4", "https://site.test/5", "--concurrency", "3", "--fields", "title"],
+    env
+  );
+  assert.equal(code, 0, stderr);
+  const records = parseLines(stdout).sort((a, b) => a.index - b.index);
+  assert.deepEqual(
+    records.map((r) => [r.index, r.url, r.ok, r.attempts, r.title]),
+    [
+      [0, "https://site.test/4", true, 1, "Title /4"],
+      [1, "https://site.test/5", true, 1, "Title /5"],
+      [2, "https://site.test/1", true, 1, "Title /1"],
+      [3, "https://site.test/2", true, 1, "Title /2"],
+      [4, "https://site.test/3", true, 1, "Title /3"],
+    ]
+  );
+  assert.equal(records[0].status, 200);
+  assert.equal(typeof records[0].ms, "number");
+  assert.deepEqual(Object.keys(records[0].timings), ["navigateMs", "extractMs"]);
+  assert.equal(evaluatedIn.size, 3);
+  assert.match(stderr, /✓ batch finished \{"urls":5,"ok":5,"failed":0,"retried":0,"tabs":3/);
+  assert.deepEqual(
+    server.targets.map((t) => t.url),
+    ["about:blank"]
+  );
+});
+
+test("retries transient failures with backoff and records permanent ones once", async () => {
+  let flakyCalls = 0;
+  server.handle("Page.navigate", (params, ctx) => {
+    if (params.url.endsWith("/flaky")) {
+      flakyCalls += 1;
+      if (flakyCalls === 1) server.pages.set(params.url, { status: 503, statusText: "Unavailable" });
+      else server.pages.delete(params.url);
+    }
+    return server.navigate(params, ctx);
+  });
+  server.pages.set("https://site.test/missing", { status: 404, statusText: "Not Found" });
+  server.pages.set("https://site.test/down", { errorText: "net::ERR_CONNECTION_REFUSED" });
+
+  const { code, stdout, stderr } = await runScript(
+    "batch.js",
+    ["https://site.test/flaky", "https://site.test/missing", "https://site.test/down", "--retries", "2", "--retry-delay-ms", "0"],
+    env
+  );
+  assert.equal(code, 0, stderr);
+  const byUrl = Object.fromEntries(parseLines(stdout).map((r) => [r.url.split("/").pop(), r]));
+  assert.equal(byUrl.flaky.ok, true);
+  assert.equal(byUrl.flaky.attempts, 2);
+  assert.equal(byUrl.missing.ok, false);
+  assert.equal(byUrl.missing.attempts, 1);
+  assert.equal(byUrl.missing.error, "HTTP 404 Not Found for https://site.test/missing");
+  assert.equal(byUrl.down.attempts, 3);
+  assert.match(byUrl.down.error, /ERR_CONNECTION_REFUSED/);
+  assert.match(stderr, /"ok":1,"failed":2,"retried":3/);
+});
+
+test("stays within the tab limit and continues when the browser refuses more tabs", async () => {
+  const urls = ["https://site.test/a", "https://site.test/b", "https://site.test/c"];
+  const limited = await runScript("batch.js", [...urls, "--concurrency", "4"], { ...env, LIGHTPANDA_MAX_TABS: "3" });
+  assert.equal(limited.code, 0, limited.stderr);
+  // One page is already open, so two tabs are left.
+  assert.match(limited.stderr, /"tabs":2/);
+  assert.equal(evaluatedIn.size, 2);
+
+  let created = 0;
+  const create = server.defaultHandler("Target.createTarget");
+  server.handle("Target.createTarget", (params) => {
+    if (++created > 1) throw new Error("Too many pages");
+    return create(params);
+  });
+  const refused = await runScript("batch.js", [...urls, "--concurrency", "3"], env);
+  assert.equal(refused.code, 0, refused.stderr);
+  assert.match(refused.stderr, /⚠ opened 1 of 3 tabs \(Too many pages\)/);
+  assert.equal(parseLines(refused.stdout).length, 3);
+  assert.equal(server.targets.length, 1);
+});
+
+test("records the URL when its tab cannot be replaced for a retry", async () => {
+  server.pages.set("https://site.test/slow", { noLoad: true });
+  let created = 0;
+  const create = server.defaultHandler("Target.createTarget");
+  server.handle("Target.createTarget", (params) => {
+    // The replacement tab for /slow is refused; the next one opens again.
+    if (++created === 2) throw new Error("Too many pages");
+    return create(params);
+  });
+  const { code, stdout, stderr } = await runScript(
+    "batch.js",
+    ["https://site.test/slow", "https://site.test/ok", "--concurrency", "1", "--retries", "1", "--retry-delay-ms", "0"],
+    { ...env, CDP_NAV_TIMEOUT_MS: "300" }
+  );
+  assert.equal(code, 0, stderr);
+  const [slow, ok] = parseLines(stdout);
+  assert.equal(slow.url, "https://site.test/slow");
+  assert.equal(slow.ok, false);
+  assert.equal(slow.attempts, 1);
+  assert.match(slow.error, /retry skipped: could not open a tab \(Too many pages\)/);
+  assert.equal(ok.ok, true);
+  assert.equal(ok.title, "Title /ok");
+  assert.match(stderr, /"ok":1,"failed":1,"retried":1/);
+  assert.equal(server.targets.length, 1);
+});
@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { chunkText, hashText } from "../scripts/lib/chunk.js";
+
+const article = [
+  "# Guide",
+  "Intro paragraph that explains the topic in a few words.",
+  "## Install",
+  "Run the installer. Then restart the shell so the PATH change applies.",
+  "## Usage",
+  "Call the command with a URL. It prints JSON on one line.",
+].join("\n\n");
+
+test("splits Markdown before headings and keeps exact offsets", () => {
+  const chunks = chunkText(article, 100);
+  assert.deepEqual(
+    chunks.map((c) => c.text.split("\n")[0]),
+    ["# Guide", "## Install", "## Usage"]
+  );
+  for (const chunk of chunks) {
+    assert.ok(chunk.chars <= 100);
+    assert.equal(article.slice(chunk.start, chunk.end), chunk.text);
+    assert.equal(chunk.hash, hashText(chunk.text));
+  }
+  assert.deepEqual(chunkText(article, 100), chunks);
+});
+
+test("falls back to sentences, words and hard cuts for long blocks", () => {
+  const sentences = "First sentence here. Second sentence follows. Third one ends it.";
+  assert.deepEqual(
+    chunkText(sentences, 30).map((c) => c.text),
+    ["First sentence here.", "Second sentence follows.", "Third one ends it."]
+  );
+  assert.deepEqual(
+    chunkText("abcdefghij", 4).map((c) => c.text),
+    ["abcd", "efgh", "ij"]
+  );
+  assert.deepEqual(chunkText("a😀b", 2).map((c) => c.text), ["a", "😀", "b"]);
+});
+
+test("blank text is a single empty chunk", () => {
+  assert.deepEqual(chunkText("  \n ", 10), [{ index: 0, start: 0, end: 0, chars: 0, hash: hashText(""), text: "" }]);
+});
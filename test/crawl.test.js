@@ -0,0 +1,217 @@
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { join } from "node:path";
+import { after, before, beforeEach, test } from "node:test";
+import { createScope, normalizeUrl, parseRobots } from "../scripts/lib/crawl.js";
+import { makeHome, runScript } from "./helpers.js";
+import { MockCdpServer } from "./mock-cdp-server.js";
+
+test("normalizeUrl drops fragments and tracking parameters and sorts the query", () => {
+  assert.equal(normalizeUrl("/a?b=2&utm_source=x&a=1#top", "https://Site.test/x/"), "https://site.test/a?a=1&b=2");
+  assert.equal(normalizeUrl("https://site.test:443/"), "https://site.test/");
+  assert.equal(normalizeUrl("mailto:a@site.test"), null);
+  assert.equal(normalizeUrl("javascript:void(0)"), null);
+});
+
+test("createScope applies origin/prefix scope and include/exclude regexes", () => {
+  const origin = createScope(["https://site.test/docs/intro"]);
+  assert.equal(origin("https://site.test/blog/"), true);
+  assert.equal(origin("https://other.test/docs/"), false);
+
+  const prefix = createScope(["https://site.test/docs/intro"], { scope: "prefix", exclude: "\\.pdf$" });
+  assert.equal(prefix("https://site.test/docs/api"), true);
+  assert.equal(prefix("https://site.test/blog/"), false);
+  assert.equal(prefix("https://site.test/docs/manual.pdf"), false);
+
+  assert.equal(createScope(["https://site.test/"], { scope: "any", include: "/docs/" })("https://x.test/docs/a"), true);
+  assert.throws(() => createScope(["https://site.test/"], { scope: "site" }), /Invalid --scope/);
+  assert.throws(() => createScope(["https://site.test/"], { include: "(" }), /Invalid --include regex/);
+});
+
+test("parseRobots picks the agent's groups and the longest matching rule", () => {
+  const robots = parseRobots(
+    [
+      "User-agent: *",
+      "Disallow: /",
+      "",
+      "User-agent: Googlebot",
+      "User-agent: Lightpanda",
+      "Disallow: /private",
+      "Allow: /private/public",
+      "Disallow: /*.json$",
+      "Crawl-delay: 2",
+    ].join("\n")
+  );
+  assert.equal(robots.allowed("https://site.test/docs"), true);
+  assert.equal(robots.allowed("https://site.test/private/x"), false);
+  assert.equal(robots.allowed("https://site.test/private/public/x"), true);
+  assert.equal(robots.allowed("https://site.test/data.json"), false);
+  assert.equal(robots.allowed("https://site.test/data.json?x=1"), true);
+  assert.equal(robots.crawlDelayMs, 2000);
+
+  // Tokens are matched whole: "a", "bot" and "lightpanda-news" are other crawlers.
+  const overlapping = parseRobots(
+    [
+      "User-agent: a",
+      "User-agent: bot",
+      "Disallow: /",
+      "",
+      "User-agent: lightpanda-news",
+      "Allow: /",
+      "",
+      "User-agent: LightPanda/2.0",
+      "Disallow: /drafts",
+      "",
+      "User-agent: *",
+      "Disallow: /tmp",
+      "",
+      "User-agent: lightpanda",
+      "Disallow: /beta",
+      "Crawl-delay: 1",
+    ].join("\n")
+  );
+  assert.equal(overlapping.allowed("https://site.test/docs"), true);
+  assert.equal(overlapping.allowed("https://site.test/tmp/x"), true);
+  assert.equal(overlapping.allowed("https://site.test/drafts/x"), false);
+  assert.equal(overlapping.allowed("https://site.test/beta"), false);
+  assert.equal(overlapping.crawlDelayMs, 1000);
+  const other = parseRobots("User-agent: lightpanda-news\nDisallow: /\n\nUser-agent: *\nDisallow: /tmp\n");
+  assert.equal(other.allowed("https://site.test/docs"), true);
+  assert.equal(other.allowed("https://site.test/tmp/x"), false);
+
+  const star = parseRobots("User-agent: *\nDisallow: /admin\n");
+  assert.equal(star.allowed("https://site.test/admin/users"), false);
+  assert.equal(star.crawlDelayMs, 0);
+  assert.equal(parseRobots("").allowed("https://site.test/anything"), true);
+});
+
+let server;
+let site;
+let base;
+let env;
+// path -> links on that page
+const SITE = {
+  "/docs/": ["/docs/a", "/docs/b#section", "/docs/a?utm_source=nav", "/private/secret", "https://other.test/"],
+  "/docs/a": ["/docs/", "/docs/c"],
+  "/docs/b": ["/docs/d"],
+  "/docs/c": ["/docs/deep"],
+};
+
+before(async () => {
+  server = await new MockCdpServer().listen();
+  site = createServer((req, res) => {
+    if (req.url === "/robots.txt") res.end("User-agent: *\nDisallow: /private\n");
+    else res.writeHead(404).end();
+  });
+  await new Promise((resolve) => site.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${site.address().port}`;
+  env = { LIGHTPANDA_CDP_URL: server.wsUrl, CDP_NAV_TIMEOUT_MS: "2000" };
+});
+after(async () => {
+  await server.close();
+  await new Promise((resolve) => site.close(resolve));
+});
+beforeEach(() => {
+  server.pages.clear();
+  server.evaluate = (expression, ctx) => {
+    const url = server.targets.find((t) => t.targetId === ctx.targetId).url;
+    const path = new URL(url).pathname;
+    return { title: `Title ${path}`, url, links: (SITE[path] || []).map((href) => ({ text: null, href: new URL(href, url).href })) };
+  };
+});
+
+test("crawls breadth first within scope, depth and robots.txt", async () => {
+  const { code, stdout, stderr } = await runScript(
+    "crawl.js",
+    [`${base}/docs/`, "--max-depth", "2", "--delay-ms", "0", "--fields", "title"],
+    env
+  );
+  assert.equal(code, 0, stderr);
+  const records = stdout.trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(
+    records.map((r) => [r.url.slice(base.length), r.depth, r.title]),
+    [
+      ["/docs/", 0, "Title /docs/"],
+      ["/docs/a", 1, "Title /docs/a"],
+      ["/docs/b", 1, "Title /docs/b"],
+      ["/docs/c", 2, "Title /docs/c"],
+      ["/docs/d", 2, "Title /docs/d"],
+    ]
+  );
+  assert.equal(records[0].status, 200);
+  assert.equal(records[0].links, undefined);
+  assert.match(stderr, /"pages":5,"errors":0,"robotsBlocked":1,"queued":0/);
+  // The tab the crawl opened is closed again.
+  assert.equal(server.targets.length, 1);
+});
+
+test("records failed pages and resumes from the state file", async () => {
+  server.pages.set(`${base}/docs/a`, { status: 500, statusText: "Server Error" });
+  server.pages.set(`${base}/docs/d`, { noLoad: true });
+  const home = makeHome();
+  const out = join(home.dir, "pages.jsonl");
+  const state = join(home.dir, "crawl.json");
+  try {
+    const first = await runScript(
+      "crawl.js",
+      [`${base}/docs/`, "--max-pages", "2", "--delay-ms", "0", "--out", out, "--state", state],
+      env
+    );
+    assert.equal(first.code, 0, first.stderr);
+    assert.equal(first.stdout, "");
+    assert.match(first.stderr, /"pages":2,"errors":1,"robotsBlocked":0,"queued":2/);
+    assert.match(first.stderr, /--state /);
+
+    const second = await runScript("crawl.js", ["--max-pages", "10", "--delay-ms", "0", "--out", out, "--state", state], {
+      ...env,
+      CDP_NAV_TIMEOUT_MS: "300",
+    });
+    assert.equal(second.code, 0, second.stderr);
+    const records = readFileSync(out, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(
+      records.map((r) => r.url.slice(base.length)),
+      ["/docs/", "/docs/a", "/docs/b", "/docs/d"]
+    );
+    assert.equal(records[1].error, "HTTP 500 Server Error for " + `${base}/docs/a`);
+    // A navigation timeout is recorded and the crawl goes on.
+    assert.match(records[3].error, /Wait timeout after \d+ms: page did not reach "load"/);
+    assert.equal(records[3].status, undefined);
+    assert.match(second.stderr, /"pages":4,"errors":2,"robotsBlocked":1,"queued":0/);
+    const saved = JSON.parse(readFileSync(state, "utf8"));
+    assert.equal(saved.queue.length, 0);
+  } finally {
+    home.cleanup();
+  }
+});
+
+test("a resumed crawl keeps its output even when no page was recorded yet", async () => {
+  const home = makeHome();
+  const out = join(home.dir, "pages.jsonl");
+  const state = join(home.dir, "crawl.json");
+  try {
+    // Everything processed so far was blocked by robots.txt.
+    writeFileSync(out, '{"note":"kept"}\n');
+    writeFileSync(
+      state,
+      JSON.stringify({
+        seeds: [`${base}/docs/`],
+        seen: [`${base}/private/secret`, `${base}/docs/c`],
+        queue: [{ url: `${base}/docs/c`, depth: 0 }],
+        pages: 0,
+        errors: 0,
+        startedAt: new Date().toISOString(),
+      })
+    );
+    const { code, stderr } = await runScript("crawl.js", ["--max-depth", "0", "--delay-ms", "0", "--out", out, "--state", state], env);
+    assert.equal(code, 0, stderr);
+    const lines = readFileSync(out, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(lines[0], { note: "kept" });
+    assert.deepEqual(
+      lines.slice(1).map((r) => r.url.slice(base.length)),
+      ["/docs/c"]
+    );
+  } finally {
+    home.cleanup();
+  }
+});
@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, test } from "node:test";
+import { runScript } from "./helpers.js";
+import { MockCdpServer } from "./mock-cdp-server.js";
+
+let server;
+let env;
+before(async () => {
+  server = await new MockCdpServer().listen();
+  env = { LIGHTPANDA_CDP_URL: server.wsUrl, CDP_NAV_TIMEOUT_MS: "2000" };
+});
+after(() => server.close());
+beforeEach(() => {
+  server.handlers.clear();
+  server.evaluate = () => [];
+});
+
+test("reports the consent manager it clicked on the main page", async () => {
+  server.evaluate = (expression) => (expression.includes("OneTrust") ? ["OneTrust"] : []);
+  const { code, stdout } = await runScript("dismiss-cookies.js", [], env);
+  assert.equal(code, 0);
+  assert.match(stdout, /✓ Dismissed cookie dialog \(accept\): OneTrust/);
+  assert.match(server.calls("Runtime.evaluate").at(-1).params.expression, /\)\(true\)$/);
+});
+
+test("--reject passes reject mode to the page script", async () => {
+  const { stdout } = await runScript("dismiss-cookies.js", ["--reject"], env);
+  assert.match(stdout, /○ No cookie dialog found to reject/);
+  assert.match(server.calls("Runtime.evaluate").at(-1).params.expression, /\)\(false\)$/);
+});
+
+test("falls back to consent iframes through isolated worlds", async () => {
+  server.handle("Page.getFrameTree", () => ({
+    frameTree: {
+      frame: { id: "main", url: "https://news.test/" },
+      childFrames: [
+        { frame: { id: "ads", url: "https://ads.test/slot" } },
+        { frame: { id: "cmp", url: "https://cmp.test/sp_message?id=1" } },
+      ],
+    },
+  }));
+  const worlds = [];
+  server.handle("Page.createIsolatedWorld", (params) => {
+    worlds.push(params.frameId);
+    return { executionContextId: 42 };
+  });
+  server.handle("Runtime.evaluate", (params) => ({
+    result: { type: "object", value: params.contextId === 42 ? ["iframe: accept all"] : [] },
+  }));
+
+  const { code, stdout } = await runScript("dismiss-cookies.js", [], env);
+  assert.equal(code, 0);
+  assert.deepEqual(worlds, ["cmp"]);
+  assert.match(stdout, /✓ Dismissed cookie dialog \(accept\): iframe: accept all/);
+});
+
+test("--url navigates first", async () => {
+  const { code } = await runScript("dismiss-cookies.js", ["--url", "https://news.test/"], env);
+  assert.equal(code, 0);
+  assert.equal(server.calls("Page.navigate").at(-1).params.url, "https://news.test/");
+});
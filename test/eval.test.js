@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, test } from "node:test";
+import { runScript } from "./helpers.js";
+import { MockCdpServer } from "./mock-cdp-server.js";
+
+let server;
+let env;
+before(async () => {
+  server = await new MockCdpServer().listen();
+  env = { LIGHTPANDA_CDP_URL: server.wsUrl, CDP_NAV_TIMEOUT_MS: "2000" };
+});
+after(() => server.close());
+beforeEach(() => {
+  server.pages.clear();
+  server.silent.clear();
+  server.evaluate = () => undefined;
+});
+
+test("prints primitive results", async () => {
+  server.evaluate = (expression) => (expression.includes("document.title") ? "Example Domain" : null);
+  const { code, stdout } = await runScript("eval.js", ["document.title"], env);
+  assert.equal(code, 0);
+  assert.equal(stdout.trim(), "Example Domain");
+});
+
+test("prints objects and arrays as key: value lines", async () => {
+  server.evaluate = () => [{ a: 1 }, { b: "two" }];
+  const { stdout } = await runScript("eval.js", ["[{a:1},{b:'two'}]"], env);
+  assert.equal(stdout, "a: 1\n\nb: two\n");
+});
+
+test("--redact masks secrets in the result and is not part of the code", async () => {
+  let evaluated = null;
+  server.evaluate = (expression) => {
+    evaluated = expression;
+    return { email: "jane@example.com", next: "/cb?token=abc&page=2", password: "hunter2" };
+  };
+  const { code, stdout } = await runScript("eval.js", ["--redact", "window.state"], env);
+  assert.equal(code, 0);
+  assert.equal(stdout, "email: ***\nnext: /cb?token=***&page=2\npassword: ***\n");
+  assert.ok(!evaluated.includes("--redact"));
+});
+
+test("reports page exceptions", async () => {
+  server.evaluate = () => new Error("ReferenceError: nope is not defined");
+  const { code, stderr } = await runScript("eval.js", ["nope"], env);
+  assert.equal(code, 1);
+  assert.match(stderr, /ReferenceError: nope is not defined/);
+});
+
+test("--goto navigates before evaluating and fails on error statuses", async () => {
+  server.evaluate = () => "ok";
+  server.pages.set("https://site.test/", {
+    redirects: [{ url: "https://site.test/", status: 301, location: "https://site.test/home" }],
+    finalUrl: "https://site.test/home",
+  });
+  const { code, stdout, stderr } = await runScript("eval.js", ["--goto", "https://site.test/", "document.title"], env);
+  assert.equal(code, 0);
+  assert.equal(stdout.trim(), "ok");
+  const { navigation } = JSON.parse(stderr.trim().split("\n")[0]);
+  assert.equal(navigation.finalUrl, "https://site.test/home");
+  assert.equal(navigation.status, 200);
+  assert.equal(navigation.mimeType, "text/html");
+  assert.deepEqual(
+    navigation.redirects.map((r) => r.status),
+    [301]
+  );
+  const navigate = server.calls("Page.navigate").at(-1);
+  assert.equal(navigate.params.url, "https://site.test/");
+
+  server.pages.set("https://site.test/boom", { status: 500, statusText: "Internal Server Error" });
+  const failed = await runScript("eval.js", ["--goto", "https://site.test/boom", "document.title"], env);
+  assert.equal(failed.code, 1);
+  assert.match(failed.stderr, /HTTP 500 Internal Server Error/);
+  assert.equal(JSON.parse(failed.stderr.split("\n")[0]).navigation.status, 500);
+});
+
+test("hits the global timeout when the browser never answers", async () => {
+  server.ignore("Runtime.evaluate");
+  const { code, stderr } = await runScript("eval.js", ["1 + 1"], {
+    ...env,
+    CDP_GLOBAL_TIMEOUT_MS: "500",
+  });
+  assert.equal(code, 1);
+  assert.match(stderr, /Global timeout exceeded/);
+});
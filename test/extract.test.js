@@ -0,0 +1,326 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { after, before, beforeEach, test } from "node:test";
+import { EXTRACT_SCRIPT } from "../scripts/lib/extract.js";
+import { h, install, pageFunction } from "./fake-dom.js";
+import { makeHome, runScript } from "./helpers.js";
+import { MockCdpServer } from "./mock-cdp-server.js";
+
+const extractBasics = pageFunction(EXTRACT_SCRIPT);
+
+function shadowPage() {
+  const card = h("x-card", {}, h("span", {}, "light child"));
+  card
+    .attachShadow()
+    .append(h("div", {}, h("p", {}, "Shadow title"), h("slot", {}), h("a", { href: "/inside" }, "Inside")));
+  const nested = h("x-outer");
+  const inner = h("x-inner");
+  inner.attachShadow().append(h("p", {}, "Nested ", h("a", { href: "/deeper" }, "deeper"), " text"));
+  nested.attachShadow().append(inner);
+  install(
+    h("body", {}, h("h1", {}, "Top"), card, nested, h("a", { href: "/top" }, "Top link"), h("script", {}, "var x = 1;")),
+    "https://site.test/page"
+  );
+}
+
+test("deep mode reads links and text inside open shadow roots", () => {
+  shadowPage();
+  const opts = { includeText: true, includeLinks: true, maxLinks: 10, maxChars: 1000 };
+
+  const flat = extractBasics(opts);
+  assert.deepEqual(flat.links, [{ text: "Top link", href: "https://site.test/top" }]);
+  assert.ok(!flat.text.includes("Shadow title"));
+
+  const deep = extractBasics({ ...opts, deep: true });
+  assert.deepEqual(
+    deep.links.map((l) => [l.href, l.frame]),
+    [
+      ["https://site.test/top", "https://site.test/page"],
+      ["https://site.test/inside", "https://site.test/page"],
+      ["https://site.test/deeper", "https://site.test/page"],
+    ]
+  );
+  // The slot falls back to its (empty) content: light children of a host are not rendered.
+  assert.equal(deep.text, "Top\nShadow title\nInside\nNested deeper text\nTop link");
+});
+
+test("deep mode finds --selector matches inside shadow roots", () => {
+  shadowPage();
+  const result = extractBasics({ includeText: true, selector: "x-inner", maxChars: 1000, deep: true });
+  assert.equal(result.text, "Nested deeper text");
+});
+
+let server;
+let env;
+before(async () => {
+  server = await new MockCdpServer().listen();
+  env = { LIGHTPANDA_CDP_URL: server.wsUrl, CDP_NAV_TIMEOUT_MS: "2000" };
+});
+after(() => server.close());
+beforeEach(() => {
+  server.pages.clear();
+  server.silent.clear();
+  server.handlers.clear();
+  server.evaluate = () => ({ title: "Example", url: "https://site.test/", text: "Hello", links: [] });
+});
+
+test("passes the requested fields to the page script", async () => {
+  let opts;
+  server.evaluate = (expression) => {
+    opts = JSON.parse(expression.slice(expression.lastIndexOf("})(") + 3, -1));
+    return { text: "Hello" };
+  };
+  const { code, stdout } = await runScript(
+    "extract.js",
+    ["--text", "--selector", "main", "--max-chars", "100"],
+    env
+  );
+  assert.equal(code, 0);
+  assert.deepEqual(JSON.parse(stdout), { text: "Hello" });
+  assert.equal(opts.includeText, true);
+  assert.equal(opts.includeLinks, false);
+  assert.equal(opts.selector, "main");
+  assert.equal(opts.maxChars, 100);
+});
+
+test("--markdown adds Markdown and the chosen content root", async () => {
+  let markdownOpts;
+  server.evaluate = (expression) => {
+    if (!expression.includes("contentRoot")) return {};
+    markdownOpts = JSON.parse(expression.slice(expression.lastIndexOf("})(") + 3, -1));
+    return { markdown: "# Hello", contentRoot: { selector: "main", method: "main", textChars: 5 } };
+  };
+  const { code, stdout } = await runScript("extract.js", ["--markdown", "--max-chars", "900"], env);
+  assert.equal(code, 0);
+  const result = JSON.parse(stdout);
+  assert.equal(result.markdown, "# Hello");
+  assert.equal(result.contentRoot.method, "main");
+  assert.deepEqual(markdownOpts, { selector: null, maxChars: 900 });
+});
+
+test("--meta adds page metadata without the basic fields", async () => {
+  const expressions = [];
+  server.evaluate = (expression) => {
+    expressions.push(expression);
+    return { meta: { description: "About", jsonLd: [{ "@type": "Product" }] } };
+  };
+  const { code, stdout } = await runScript("extract.js", ["--meta"], env);
+  assert.equal(code, 0);
+  assert.deepEqual(JSON.parse(stdout), { meta: { description: "About", jsonLd: [{ "@type": "Product" }] } });
+  assert.equal(expressions.length, 1);
+  assert.ok(expressions[0].includes("ld+json"));
+});
+
+test("--tables --format csv prints one CSV block per table", async () => {
+  let tablesOpts;
+  server.evaluate = (expression) => {
+    tablesOpts = JSON.parse(expression.slice(expression.lastIndexOf("})(") + 3, -1));
+    return {
+      tables: [
+        { index: 0, headers: ["Name", "Note"], rows: [{ Name: "a", Note: 'says "hi", twice' }] },
+        { index: 1, headers: ["x"], rows: [{ x: "1" }] },
+      ],
+    };
+  };
+  const { code, stdout } = await runScript("extract.js", ["--tables", "--format", "csv", "--max-rows", "20"], env);
+  assert.equal(code, 0);
+  assert.equal(stdout, 'Name,Note\r\na,"says ""hi"", twice"\r\n\r\nx\r\n1\n');
+  assert.deepEqual(tablesOpts, { selector: null, maxRows: 20 });
+
+  const one = await runScript("extract.js", ["--tables", "--format", "csv", "--table", "1"], env);
+  assert.equal(one.stdout, "x\r\n1\n");
+});
+
+test("--format csv is rejected without --tables", async () => {
+  const { code, stderr } = await runScript("extract.js", ["--text", "--format", "csv"], env);
+  assert.equal(code, 1);
+  assert.match(stderr, /--format csv only applies to --tables/);
+});
+
+test("--deep reads child frames through isolated worlds and tags their links", async () => {
+  server.handle("Page.getFrameTree", () => ({
+    frameTree: {
+      frame: { id: "main", url: "https://site.test/" },
+      childFrames: [
+        {
+          frame: { id: "widget", url: "https://widget.test/embed" },
+          childFrames: [{ frame: { id: "broken", url: "https://ads.test/slot" } }],
+        },
+      ],
+    },
+  }));
+  const worlds = [];
+  server.handle("Page.createIsolatedWorld", (params) => {
+    if (params.frameId === "broken") throw new Error("No frame for given id found");
+    worlds.push(params.frameId);
+    return { executionContextId: 7 };
+  });
+  const deepFlags = [];
+  server.handle("Runtime.evaluate", (params) => {
+    deepFlags.push(JSON.parse(params.expression.slice(params.expression.lastIndexOf("})(") + 3, -1)).deep);
+    const value =
+      params.contextId === 7
+        ? {
+            text: "Widget text",
+            links: [
+              { text: "Main", href: "https://site.test/a", frame: "https://widget.test/embed" },
+              { text: "More", href: "https://widget.test/more", frame: "https://widget.test/embed" },
+            ],
+          }
+        : { text: "Main text", links: [{ text: "A", href: "https://site.test/a", frame: "https://site.test/" }] };
+    return { result: { type: "object", value } };
+  });
+
+  const { code, stdout } = await runScript("extract.js", ["--text", "--links", "--deep"], env);
+  assert.equal(code, 0);
+  const result = JSON.parse(stdout);
+  assert.deepEqual(worlds, ["widget"]);
+  assert.deepEqual(deepFlags, [true, true]);
+  assert.equal(result.text, "Main text");
+  assert.deepEqual(
+    result.links.map((l) => [l.href, l.frame]),
+    [
+      ["https://site.test/a", "https://site.test/"],
+      ["https://widget.test/more", "https://widget.test/embed"],
+    ]
+  );
+  assert.deepEqual(result.frames, [
+    { url: "https://widget.test/embed", parentUrl: "https://site.test/", text: "Widget text", linkCount: 1 },
+    { url: "https://ads.test/slot", parentUrl: "https://widget.test/embed", error: "No frame for given id found" },
+  ]);
+});
+
+test("--chunk-chars prints one chunk of the full text with its position", async () => {
+  const full = "First paragraph line.\nSecond line here.\nThird and last line.";
+  let opts;
+  server.evaluate = (expression) => {
+    opts = JSON.parse(expression.slice(expression.lastIndexOf("})(") + 3, -1));
+    return { text: full };
+  };
+  const { code, stdout } = await runScript("extract.js", ["--text", "--chunk-chars", "25", "--chunk", "1"], env);
+  assert.equal(code, 0);
+  const result = JSON.parse(stdout);
+  assert.equal(opts.maxChars, Number.MAX_SAFE_INTEGER);
+  assert.equal(result.text, "Second line here.");
+  assert.equal(full.slice(result.chunk.start, result.chunk.end), result.text);
+  assert.equal(result.chunk.field, "text");
+  assert.equal(result.chunk.index, 1);
+  assert.equal(result.chunk.count, 3);
+  assert.equal(result.chunk.contentChars, full.length);
+  assert.match(result.chunk.contentHash, /^[0-9a-f]{16}$/);
+
+  const again = await runScript("extract.js", ["--text", "--chunk-chars", "25", "--chunk", "1"], env);
+  assert.deepEqual(JSON.parse(again.stdout).chunk, result.chunk);
+
+  const past = await runScript("extract.js", ["--text", "--chunk-chars", "25", "--chunk", "3"], env);
+  assert.equal(past.code, 1);
+  assert.match(past.stderr, /No chunk 3: the text has 3 chunk\(s\)/);
+});
+
+test("--chunk needs --chunk-chars and one chunked field", async () => {
+  const alone = await runScript("extract.js", ["--text", "--chunk", "2"], env);
+  assert.equal(alone.code, 1);
+  assert.match(alone.stderr, /--chunk requires --chunk-chars/);
+
+  const both = await runScript("extract.js", ["--text", "--markdown", "--chunk-chars", "100"], env);
+  assert.equal(both.code, 1);
+  assert.match(both.stderr, /either --text or --markdown/);
+});
+
+test("--goto adds a navigation report", async () => {
+  const { code, stdout } = await runScript("extract.js", ["--goto", "https://site.test/"], env);
+  assert.equal(code, 0);
+  const result = JSON.parse(stdout);
+  assert.equal(result.title, "Example");
+  assert.equal(result.navigation.status, 200);
+  assert.equal(result.navigation.finalUrl, "https://site.test/");
+});
+
+test("--a11y returns a compact node list", async () => {
+  server.axNodes = [
+    { nodeId: "1", role: { value: "RootWebArea" }, name: { value: "Example" }, childIds: ["2"] },
+    { nodeId: "2", parentId: "1", role: { value: "link" }, name: { value: "More" } },
+  ];
+  const { code, stdout } = await runScript("extract.js", ["--a11y", "--max-a11y-nodes", "1"], env);
+  assert.equal(code, 0);
+  const result = JSON.parse(stdout);
+  assert.equal(result.a11y.length, 1);
+  assert.equal(result.a11y[0].role, "RootWebArea");
+  assert.equal(result.a11yTotalNodes, 2);
+  assert.equal(result.a11yTruncated, true);
+});
+
+test("explains unsupported Accessibility domains", async () => {
+  server.handle("Accessibility.getFullAXTree", () => {
+    throw new Error("'Accessibility.getFullAXTree' wasn't found");
+  });
+  const { code, stderr } = await runScript("extract.js", ["--a11y"], env);
+  assert.equal(code, 1);
+  assert.match(stderr, /Lightpanda Cloud may not support this CDP domain/);
+});
+
+test("fails with a CDP timeout when evaluation hangs", async () => {
+  server.ignore("Runtime.evaluate");
+  const { code, stderr } = await runScript("extract.js", [], { ...env, CDP_EVAL_TIMEOUT_MS: "300" });
+  assert.equal(code, 1);
+  assert.match(stderr, /CDP timeout: Runtime\.evaluate/);
+});
+
+test("--snapshot outlines meaningful AX nodes with refs", async () => {
+  const home = makeHome();
+  server.axNodes = [
+    { nodeId: "1", role: { value: "RootWebArea" }, name: { value: "Example" }, childIds: ["2", "4", "7"] },
+    { nodeId: "2", parentId: "1", role: { value: "navigation" }, name: { value: "Main" }, childIds: ["3"], backendDOMNodeId: 10 },
+    { nodeId: "3", parentId: "2", role: { value: "link" }, name: { value: "Docs" }, backendDOMNodeId: 12 },
+    { nodeId: "4", parentId: "1", role: { value: "generic" }, childIds: ["5", "6"], backendDOMNodeId: 14 },
+    { nodeId: "5", parentId: "4", role: { value: "button" }, name: { value: "Sign in" }, backendDOMNodeId: 15 },
+    { nodeId: "6", parentId: "4", role: { value: "StaticText" }, name: { value: "Welcome back" } },
+    {
+      nodeId: "7",
+      parentId: "1",
+      role: { value: "heading" },
+      name: { value: "Title" },
+      properties: [{ name: "level", value: { type: "integer", value: 1 } }],
+      backendDOMNodeId: 20,
+    },
+  ];
+  try {
+    const { code, stdout } = await runScript("extract.js", ["--snapshot"], { ...env, HOME: home.dir });
+    assert.equal(code, 0);
+    const result = JSON.parse(stdout);
+    assert.equal(result.snapshotSource, "ax");
+    assert.equal(
+      result.snapshot,
+      ['- navigation "Main" [ref=e10]', '  - link "Docs" [ref=e12]', '- button "Sign in" [ref=e15]', '- heading "Title" [level=1] [ref=e20]'].join("\n")
+    );
+    const stored = JSON.parse(readFileSync(join(home.dir, ".cache/agent-web/refs/T1.json"), "utf8"));
+    assert.equal(stored.source, "ax");
+    assert.deepEqual(stored.refs.e12, { backendNodeId: 12, role: "link", name: "Docs" });
+  } finally {
+    home.cleanup();
+  }
+});
+
+test("--snapshot falls back to a DOM-derived outline", async () => {
+  const home = makeHome();
+  server.handle("Accessibility.getFullAXTree", () => {
+    throw new Error("'Accessibility.getFullAXTree' wasn't found");
+  });
+  server.evaluate = (expression) =>
+    expression.includes("data-lp-ref")
+      ? { entries: [{ depth: 0, role: "textbox", name: "Search", ref: "e1", props: {}, value: "cats" }], total: 1, truncated: false }
+      : {};
+  try {
+    const { code, stdout } = await runScript("extract.js", ["--snapshot"], { ...env, HOME: home.dir });
+    assert.equal(code, 0);
+    const result = JSON.parse(stdout);
+    assert.equal(result.snapshotSource, "dom");
+    assert.match(result.snapshotFallback, /wasn't found/);
+    assert.equal(result.snapshot, '- textbox "Search" [ref=e1]: cats');
+    const stored = JSON.parse(readFileSync(join(home.dir, ".cache/agent-web/refs/T1.json"), "utf8"));
+    assert.deepEqual(stored.refs, { e1: { role: "textbox", name: "Search" } });
+  } finally {
+    home.cleanup();
+  }
+});
@@ -0,0 +1,229 @@
+/**
+ * Just enough DOM to run page scripts (lib/*.js) in node: elements built with
+ * h(), tag/attribute selectors, text content, resolved href/src, form
+ * control state and open shadow roots. Tests call install() to expose it as
+ * the page's `document` and `location`.
+ */
+
+class FakeText {
+  constructor(value) {
+    this.nodeType = 3;
+    this.nodeValue = value;
+    this.parentElement = null;
+  }
+
+  get textContent() {
+    return this.nodeValue;
+  }
+}
+
+class FakeElement {
+  constructor(tag, attrs = {}, children = []) {
+    this.nodeType = 1;
+    this.tagName = tag.toUpperCase();
+    this.attrs = { ...attrs };
+    this.childNodes = [];
+    this.parentElement = null;
+    for (const child of children) this.append(typeof child === "string" ? new FakeText(child) : child);
+  }
+
+  /** An open shadow root: a fragment reachable only through `shadowRoot`. */
+  attachShadow() {
+    this.shadowRoot = new FakeElement("#document-fragment");
+    this.shadowRoot.nodeType = 11;
+    return this.shadowRoot;
+  }
+
+  append(node) {
+    node.parentElement = this;
+    this.childNodes.push(node);
+  }
+
+  get children() {
+    return this.childNodes.filter((n) => n.nodeType === 1);
+  }
+
+  getAttribute(name) {
+    return name in this.attrs ? this.attrs[name] : null;
+  }
+
+  setAttribute(name, value) {
+    this.attrs[name] = String(value);
+  }
+
+  hasAttribute(name) {
+    return name in this.attrs;
+  }
+
+  get id() {
+    return this.attrs.id || "";
+  }
+
+  get className() {
+    return this.attrs.class || "";
+  }
+
+  get hidden() {
+    return "hidden" in this.attrs;
+  }
+
+  get href() {
+    return this.attrs.href == null ? "" : new URL(this.attrs.href, globalThis.location.href).href;
+  }
+
+  get src() {
+    return this.attrs.src == null ? "" : new URL(this.attrs.src, globalThis.location.href).href;
+  }
+
+  get alt() {
+    return this.attrs.alt || "";
+  }
+
+  get textContent() {
+    return this.childNodes.map((n) => n.textContent).join("");
+  }
+
+  // Form controls: properties start from the attributes and can be set.
+  get name() {
+    return this.attrs.name || "";
+  }
+
+  get required() {
+    return "required" in this.attrs;
+  }
+
+  get disabled() {
+    return "disabled" in this.attrs;
+  }
+
+  get readOnly() {
+    return "readonly" in this.attrs;
+  }
+
+  get multiple() {
+    return "multiple" in this.attrs;
+  }
+
+  get value() {
+    if (this._value !== undefined) return this._value;
+    if (this.tagName === "OPTION") return this.attrs.value ?? this.textContent;
+    if (this.tagName === "TEXTAREA") return this.textContent;
+    if (this.tagName === "SELECT") return this.querySelectorAll("option").find((o) => o.selected)?.value ?? "";
+    return this.attrs.value ?? "";
+  }
+
+  set value(value) {
+    this._value = String(value);
+  }
+
+  get checked() {
+    return this._checked ?? "checked" in this.attrs;
+  }
+
+  set checked(value) {
+    this._checked = !!value;
+  }
+
+  // Like a browser, a single-choice select with nothing marked selects its first option.
+  get selected() {
+    if (this._selected !== undefined) return this._selected;
+    if ("selected" in this.attrs) return true;
+    const select = this.closest("select");
+    if (!select || select.multiple) return false;
+    const options = select.querySelectorAll("option");
+    const marked = options.some((o) => o._selected || (o._selected === undefined && "selected" in o.attrs));
+    return !marked && options[0] === this;
+  }
+
+  set selected(value) {
+    this._selected = !!value;
+  }
+
+  focus() {
+    this.dispatchEvent({ type: "focus" });
+  }
+
+  click() {
+    const type = (this.attrs.type || "").toLowerCase();
+    if (this.tagName === "INPUT" && type === "checkbox") this.checked = !this.checked;
+    else if (this.tagName === "INPUT" && type === "radio") {
+      const scope = this.closest("form") || globalThis.document.documentElement;
+      for (const other of scope.querySelectorAll("input")) if (other.attrs.name === this.attrs.name) other.checked = false;
+      this.checked = true;
+    } else return this.dispatchEvent({ type: "click" });
+    this.dispatchEvent({ type: "click" });
+    this.dispatchEvent({ type: "input" });
+    this.dispatchEvent({ type: "change" });
+  }
+
+  /** Events are only recorded, as `events` (a list of types). */
+  dispatchEvent(event) {
+    (this.events ||= []).push(event.type);
+    return true;
+  }
+
+  get innerText() {
+    return this.textContent;
+  }
+
+  // Supports comma-separated lists of compound selectors: *, tag, #id, .class, [attr] and [attr=value].
+  matches(selector) {
+    return selector.split(",").some((part) => {
+      const compound = part.trim();
+      const tokens = compound.match(/^(?:\*|[a-z][a-z0-9-]*)|#[\w-]+|\.[\w-]+|\[[a-z-]+(?:=["']?[^\]"']*["']?)?\]/gi) || [];
+      if (tokens.join("") !== compound) throw new Error(`fake-dom: unsupported selector '${compound}'`);
+      return tokens.every((token) => {
+        if (token[0] === "#") return this.id === token.slice(1);
+        if (token[0] === ".") return this.className.split(/\s+/).includes(token.slice(1));
+        if (token[0] === "[") {
+          const [, name, value] = /^\[([a-z-]+)(?:=["']?([^\]"']*)["']?)?\]$/i.exec(token);
+          return name in this.attrs && (value == null || this.attrs[name] === value);
+        }
+        return token === "*" || token.toUpperCase() === this.tagName;
+      });
+    });
+  }
+
+  querySelectorAll(selector) {
+    const found = [];
+    const walk = (el) => {
+      for (const child of el.children) {
+        if (child.matches(selector)) found.push(child);
+        walk(child);
+      }
+    };
+    walk(this);
+    return found;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  closest(selector) {
+    for (let el = this; el; el = el.parentElement) if (el.matches(selector)) return el;
+    return null;
+  }
+}
+
+export function h(tag, attrs, ...children) {
+  return new FakeElement(tag, attrs || {}, children);
+}
+
+export function install(body, url = "https://site.test/") {
+  const html = h("html", {}, body);
+  globalThis.document = {
+    body,
+    documentElement: html,
+    querySelector: (s) => html.querySelector(s),
+    querySelectorAll: (s) => html.querySelectorAll(s),
+    getElementById: (id) => html.querySelectorAll(`[id=${id}]`)[0] || null,
+  };
+  globalThis.location = { href: url };
+  globalThis.getComputedStyle = () => ({ display: "block", visibility: "visible" });
+}
+
+/** Evaluate a page-script function string, as Runtime.evaluate would. */
+export function pageFunction(source) {
+  return (0, eval)(`(${source})`);
+}
@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, test } from "node:test";
+import { runScript } from "./helpers.js";
+import { MockCdpServer } from "./mock-cdp-server.js";
+
+let server;
+let env;
+let fillOpts;
+let submitted;
+before(async () => {
+  server = await new MockCdpServer().listen();
+  env = { LIGHTPANDA_CDP_URL: server.wsUrl, CDP_NAV_TIMEOUT_MS: "2000", SITE_PASSWORD: "s3cret" };
+});
+after(() => server.close());
+
+// Answers the fill script from the keys it was given; `onSubmit` runs for the submit script.
+function fakePage(onSubmit = () => {}) {
+  fillOpts = null;
+  submitted = false;
+  server.evaluate = (expression, ctx) => {
+    if (expression === "location.href") return server.targets.find((t) => t.targetId === ctx.targetId).url;
+    if (expression.includes("unmatched")) {
+      fillOpts = JSON.parse(expression.slice(expression.lastIndexOf("})(") + 3, -1));
+      const keys = Object.keys(fillOpts.values);
+      return {
+        form: { index: 0, id: "login", name: null },
+        filled: keys.filter((k) => k !== "missing").map((key) => ({ key, name: key, type: "text", value: "x" })),
+        unmatched: keys.filter((k) => k === "missing"),
+        errors: [],
+      };
+    }
+    if (expression.includes("requestSubmit")) {
+      submitted = true;
+      onSubmit(ctx);
+      return { via: "requestSubmit", button: "Sign in" };
+    }
+    return undefined;
+  };
+}
+beforeEach(() => fakePage());
+
+test("fills, submits and reports the navigation the submission caused", async () => {
+  fakePage((ctx) => {
+    const { after: emitEvents } = server.navigate({ url: "https://site.test/account" }, ctx);
+    setTimeout(emitEvents, 10);
+  });
+  const { code, stdout, stderr } = await runScript(
+    "form.js",
+    ["fill", '{"email": "me@site.test", "password": "${SITE_PASSWORD}"}', "--submit"],
+    env
+  );
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(fillOpts, { form: null, values: { email: "me@site.test", password: "s3cret" } });
+  const result = JSON.parse(stdout);
+  assert.deepEqual(result.submitted, { via: "requestSubmit", button: "Sign in" });
+  assert.equal(result.navigation.finalUrl, "https://site.test/account");
+  assert.equal(result.navigation.status, 200);
+  assert.equal(result.url, "https://site.test/account");
+});
+
+test("does not submit when a key matched no field", async () => {
+  const { code, stdout, stderr } = await runScript("form.js", ["fill", '{"email": "a", "missing": "b"}', "--submit", "--form", "#login"], env);
+  assert.equal(code, 1);
+  assert.deepEqual(JSON.parse(stdout).unmatched, ["missing"]);
+  assert.equal(fillOpts.form, "#login");
+  assert.equal(submitted, false);
+  assert.match(stderr, /Could not fill 1 field\(s\); not submitted: missing: no matching field/);
+});
+
+test("a submission handled in place reports no navigation", async () => {
+  const { code, stdout, stderr } = await runScript("form.js", ["fill", '{"q": "lightpanda"}', "--submit"], env);
+  assert.equal(code, 0, stderr);
+  const result = JSON.parse(stdout);
+  assert.equal(submitted, true);
+  assert.equal(result.navigation, null);
+});
+
+test("rejects unset variables and invalid JSON before connecting", async () => {
+  const unset = await runScript("form.js", ["fill", '{"password": "${NOT_SET_ANYWHERE}"}'], env);
+  assert.equal(unset.code, 1);
+  assert.match(unset.stderr, /unset variable NOT_SET_ANYWHERE/);
+  const invalid = await runScript("form.js", ["fill", "{email: 1}"], env);
+  assert.match(invalid.stderr, /Invalid form values JSON/);
+});
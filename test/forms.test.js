@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { FILL_SCRIPT, FORMS_SCRIPT, SUBMIT_SCRIPT } from "../scripts/lib/forms.js";
+import { h, install, pageFunction } from "./fake-dom.js";
+
+const listForms = pageFunction(FORMS_SCRIPT);
+const fillForm = pageFunction(FILL_SCRIPT);
+const submitForm = pageFunction(SUBMIT_SCRIPT);
+
+function signupPage() {
+  return h(
+    "body",
+    {},
+    h(
+      "form",
+      { id: "search", action: "/search" },
+      h("input", { type: "search", name: "q", "aria-label": "Search" }),
+      h("button", {}, "Go")
+    ),
+    h(
+      "form",
+      { id: "signup", action: "/signup", method: "POST" },
+      h("label", { for: "email" }, "Email address *"),
+      h("input", { id: "email", type: "email", name: "email", required: "" }),
+      h("label", {}, "Password ", h("input", { type: "password", name: "pw", value: "hunter2" })),
+      h("select", { name: "country" }, h("option", { value: "" }, "Choose…"), h("option", { value: "fr" }, "France"), h("option", { value: "de" }, "Germany")),
+      h(
+        "fieldset",
+        {},
+        h("legend", {}, "Plan"),
+        h("label", {}, h("input", { type: "radio", name: "plan", value: "free", checked: "" }), "Free"),
+        h("label", {}, h("input", { type: "radio", name: "plan", value: "pro" }), "Pro")
+      ),
+      h("label", {}, h("input", { type: "checkbox", name: "terms" }), " I accept the terms"),
+      h("input", { type: "checkbox", name: "topics", value: "news" }),
+      h("input", { type: "checkbox", name: "topics", value: "offers" }),
+      h("input", { type: "hidden", name: "csrf", value: "tok" }),
+      h("input", { type: "file", name: "avatar" }),
+      h("button", { type: "submit" }, "Create account")
+    ),
+    h("input", { name: "newsletter-email", placeholder: "Your email" })
+  );
+}
+
+test("lists forms with labelled fields, grouped radios and no password values", () => {
+  install(signupPage(), "https://site.test/join");
+  const { forms } = listForms({});
+  assert.equal(forms.length, 3);
+  assert.deepEqual(forms[0], {
+    index: 0,
+    id: "search",
+    name: null,
+    action: "/search",
+    method: "get",
+    fields: [{ name: "q", type: "search", label: "Search", required: false, value: "", selector: 'input[name="q"]' }],
+    submit: ["Go"],
+  });
+
+  const signup = forms[1];
+  assert.equal(signup.method, "post");
+  assert.deepEqual(signup.submit, ["Create account"]);
+  const byName = Object.fromEntries(signup.fields.map((f) => [f.name, f]));
+  assert.deepEqual(byName.email, { name: "email", type: "email", label: "Email address *", required: true, value: "", selector: "#email" });
+  assert.equal(byName.pw.label, "Password");
+  assert.equal(byName.pw.value, "[redacted]");
+  assert.equal(byName.country.value, "");
+  assert.deepEqual(byName.country.options[1], { value: "fr", label: "France", selected: false });
+  assert.equal(byName.plan.label, "Plan");
+  assert.equal(byName.plan.value, "free");
+  assert.deepEqual(byName.plan.options.map((o) => [o.value, o.label, o.checked]), [["free", "Free", true], ["pro", "Pro", false]]);
+  assert.equal(byName.terms.label, "I accept the terms");
+  assert.equal(byName.terms.checked, false);
+  assert.equal(byName.csrf.value, "tok");
+  assert.equal("value" in byName.avatar, false);
+
+  assert.deepEqual(forms[2].fields.map((f) => [f.name, f.label]), [["newsletter-email", "Your email"]]);
+  assert.equal(forms[2].formless, true);
+});
+
+test("fills the form most keys address, by label or name, with input/change events", () => {
+  install(signupPage(), "https://site.test/join");
+  const result = fillForm({
+    form: null,
+    values: { "Email address": "me@site.test", password: "s3cret", country: "Germany", Plan: "Pro", terms: true, topics: ["offers"] },
+  });
+  assert.deepEqual(result.form, { index: 1, id: "signup", name: null });
+  assert.deepEqual(result.unmatched, []);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(
+    result.filled.map((f) => [f.key, f.name, f.value]),
+    [
+      ["Email address", "email", "me@site.test"],
+      ["password", "pw", "[redacted]"],
+      ["country", "country", "de"],
+      ["Plan", "plan", "pro"],
+      ["terms", "terms", true],
+      ["topics", "topics", ["offers"]],
+    ]
+  );
+
+  const email = document.querySelector("#email");
+  assert.equal(email.value, "me@site.test");
+  assert.deepEqual(email.events, ["focus", "input", "change"]);
+  assert.equal(document.querySelector("[name=pw]").value, "s3cret");
+  assert.equal(document.querySelector("[name=country]").value, "de");
+  assert.equal(document.querySelector("[value=pro]").checked, true);
+  assert.equal(document.querySelector("[value=free]").checked, false);
+  assert.equal(document.querySelector("[name=terms]").checked, true);
+  assert.deepEqual(document.querySelectorAll("[name=topics]").map((b) => b.checked), [false, true]);
+});
+
+test("reports unmatched keys, bad options and unsupported fields", () => {
+  install(signupPage(), "https://site.test/join");
+  const result = fillForm({ form: "#signup", values: { email: "a@b.c", nickname: "x", country: "Spain", avatar: "me.png", terms: "maybe" } });
+  assert.deepEqual(result.unmatched, ["nickname"]);
+  assert.deepEqual(result.errors, [
+    { key: "country", error: 'no option "spain" (options: , fr, de)' },
+    { key: "avatar", error: "file inputs are not supported" },
+    { key: "terms", error: 'expected true/false for a checkbox, got "maybe"' },
+  ]);
+  assert.throws(() => fillForm({ form: "5", values: {} }), /No form matches '5' \(2 forms on the page\)/);
+});
+
+test("submits through requestSubmit with the form's submit button", () => {
+  install(signupPage(), "https://site.test/join");
+  const form = document.querySelectorAll("form")[1];
+  let submitter;
+  form.requestSubmit = (button) => (submitter = button);
+  assert.deepEqual(submitForm({ index: 1 }), { via: "requestSubmit", button: "Create account" });
+  assert.equal(submitter.textContent, "Create account");
+});
@@ -0,0 +1,200 @@
+import assert from "node:assert/strict";
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { afterEach, beforeEach, test } from "node:test";
+import { buildHar } from "../scripts/lib/har.js";
+import { makeHome, runScript } from "./helpers.js";
+
+// requestTime / timestamps are monotonic seconds, as CDP reports them.
+const timing = {
+  requestTime: 100,
+  dnsStart: 1,
+  dnsEnd: 5,
+  connectStart: 5,
+  connectEnd: 20,
+  sslStart: 10,
+  sslEnd: 20,
+  sendStart: 21,
+  sendEnd: 22,
+  receiveHeadersEnd: 72,
+};
+
+function records(dir = "/nowhere") {
+  return [
+    { ts: "2024-05-01T10:00:00.000Z", targetId: "T1", type: "target.attached", url: "about:blank", title: "" },
+    { ts: "2024-05-01T10:00:01.000Z", targetId: "T1", type: "target.info", url: "https://site.test/", title: "Shop" },
+    {
+      ts: "2024-05-01T10:00:01.000Z",
+      targetId: "T1",
+      type: "network.request",
+      requestId: "r1",
+      method: "GET",
+      url: "http://site.test/",
+      headers: { Cookie: "sid=1; theme=dark" },
+      timestamp: 99.9,
+      wallTime: 1714557601,
+    },
+    {
+      ts: "2024-05-01T10:00:01.100Z",
+      targetId: "T1",
+      type: "network.request",
+      requestId: "r1",
+      method: "GET",
+      url: "https://site.test/",
+      headers: {},
+      timestamp: 100,
+      wallTime: 1714557601.1,
+      redirectResponse: { status: 301, statusText: "Moved", headers: { Location: "https://site.test/" }, protocol: "http/1.1" },
+    },
+    {
+      ts: "2024-05-01T10:00:01.200Z",
+      targetId: "T1",
+      type: "network.response",
+      requestId: "r1",
+      status: 200,
+      statusText: "OK",
+      mimeType: "text/html",
+      protocol: "h2",
+      remoteIPAddress: "192.0.2.1",
+      headers: { "Content-Type": "text/html", "Set-Cookie": "a=1; Path=/; HttpOnly\nb=2; Secure" },
+      timing,
+      timestamp: 100.08,
+    },
+    { ts: "2024-05-01T10:00:01.300Z", targetId: "T1", type: "network.finished", requestId: "r1", encodedDataLength: 512, timestamp: 100.1 },
+    {
+      ts: "2024-05-01T10:00:02.000Z",
+      targetId: "T1",
+      type: "network.request",
+      requestId: "r2",
+      method: "POST",
+      url: "https://site.test/api?q=shoes&page=2",
+      headers: { "Content-Type": "application/json" },
+      hasPostData: true,
+      timestamp: 101,
+      wallTime: 1714557602,
+    },
+    {
+      ts: "2024-05-01T10:00:02.000Z",
+      targetId: "T1",
+      type: "network.body",
+      requestId: "r2",
+      kind: "request",
+      bytes: 7,
+      file: join(dir, "r2-request.json"),
+    },
+    { ts: "2024-05-01T10:00:02.500Z", targetId: "T1", type: "network.failure", requestId: "r2", errorText: "net::ERR_FAILED", timestamp: 101.5 },
+  ];
+}
+
+test("buildHar pairs requests, follows redirects and converts timings", () => {
+  const har = buildHar(records());
+  assert.equal(har.log.version, "1.2");
+  assert.equal(har.log.creator.name, "lightpanda-cloud-skill har.js");
+  assert.deepEqual(har.log.pages, [
+    { startedDateTime: "2024-05-01T10:00:00.000Z", id: "T1", title: "Shop", pageTimings: { onContentLoad: -1, onLoad: -1 } },
+  ]);
+
+  const [redirect, page, api] = har.log.entries;
+  assert.equal(har.log.entries.length, 3);
+  assert.equal(redirect.startedDateTime, "2024-05-01T10:00:01.000Z");
+  assert.equal(redirect.pageref, "T1");
+  assert.deepEqual(redirect.request.cookies, [
+    { name: "sid", value: "1" },
+    { name: "theme", value: "dark" },
+  ]);
+  assert.equal(redirect.response.status, 301);
+  assert.equal(redirect.response.redirectURL, "https://site.test/");
+  assert.equal(redirect.response.httpVersion, "HTTP/1.1");
+  assert.equal(redirect.timings.wait, 100);
+
+  assert.equal(page.request.url, "https://site.test/");
+  assert.equal(page.response.status, 200);
+  assert.equal(page.response.httpVersion, "HTTP/2");
+  assert.equal(page.response.bodySize, 512);
+  assert.deepEqual(page.response.content, { size: 512, mimeType: "text/html" });
+  assert.deepEqual(page.response.cookies, [
+    { name: "a", value: "1", path: "/", httpOnly: true },
+    { name: "b", value: "2", secure: true },
+  ]);
+  assert.deepEqual(page.response.headers.filter((h) => h.name === "Set-Cookie").map((h) => h.value), [
+    "a=1; Path=/; HttpOnly",
+    "b=2; Secure",
+  ]);
+  assert.equal(page.serverIPAddress, "192.0.2.1");
+  assert.deepEqual(page.timings, { blocked: 1, dns: 4, connect: 15, ssl: 10, send: 1, wait: 50, receive: 28 });
+  assert.equal(page.time, 99);
+
+  assert.deepEqual(api.request.queryString, [
+    { name: "q", value: "shoes" },
+    { name: "page", value: "2" },
+  ]);
+  // The body file is gone: postData is kept, empty.
+  assert.deepEqual(api.request.postData, { mimeType: "application/json", text: "" });
+  assert.equal(api.response.status, 0);
+  assert.equal(api.response._error, "net::ERR_FAILED");
+});
+
+test("buildHar keeps entries inside since / until", () => {
+  const har = buildHar(records(), { since: new Date("2024-05-01T10:00:01.050Z"), until: new Date("2024-05-01T10:00:01.500Z") });
+  assert.deepEqual(har.log.entries.map((e) => e.response.status), [200]);
+});
+
+let home;
+let logDir;
+beforeEach(() => {
+  home = makeHome();
+  logDir = join(home.dir, ".cache/agent-web/logs");
+});
+afterEach(() => home.cleanup());
+
+function writeLog(day, name, lines) {
+  const dir = join(logDir, day);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, name), `${lines.map((l) => JSON.stringify(l)).join("\n")}\n`);
+  return dir;
+}
+
+test("har.js converts a log file with its body sidecars", async () => {
+  const dir = writeLog("2024-05-01", "T1.jsonl", records(join(logDir, "2024-05-01")));
+  writeFileSync(join(dir, "r2-request.json"), '{"q":1}');
+  const out = join(home.dir, "out.har");
+
+  const result = await runScript("har.js", ["--file", join(dir, "T1.jsonl"), "--out", out], { HOME: home.dir });
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stdout, /✓ 3 entries from 1 file\(s\) written to/);
+  const har = JSON.parse(readFileSync(out, "utf8"));
+  assert.deepEqual(har.log.entries[2].request.postData, { mimeType: "application/json", text: '{"q":1}' });
+  assert.equal(har.log.entries[2].request.bodySize, 7);
+});
+
+test("har.js reads every log file of the days in a time window", async () => {
+  const entry = (targetId, requestId, iso) => [
+    { ts: iso, targetId, type: "network.request", requestId, method: "GET", url: `https://site.test/${requestId}` },
+    { ts: iso, targetId, type: "network.response", requestId, status: 200 },
+  ];
+  const now = Date.now();
+  const iso = (msAgo) => new Date(now - msAgo).toISOString();
+  const day = (msAgo) => {
+    const d = new Date(now - msAgo);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+  };
+  writeLog(day(0), "T1.jsonl", [...entry("T1", "old", iso(3 * 3600_000)), ...entry("T1", "recent", iso(60_000))]);
+  writeLog(day(0), "T2.jsonl", entry("T2", "other-tab", iso(30_000)));
+  writeLog(day(3 * 86_400_000), "T1.jsonl", entry("T1", "days-ago", iso(3 * 86_400_000)));
+
+  const result = await runScript("har.js", ["--since", "2h"], { HOME: home.dir });
+  assert.equal(result.code, 0, result.stderr);
+  const har = JSON.parse(result.stdout);
+  assert.deepEqual(har.log.entries.map((e) => e.request.url), ["https://site.test/recent", "https://site.test/other-tab"]);
+  assert.deepEqual(har.log.pages.map((p) => p.id).sort(), ["T1", "T2"]);
+
+  const invalid = await runScript("har.js", ["--since", "yesterday"], { HOME: home.dir });
+  assert.equal(invalid.code, 1);
+  assert.match(invalid.stderr, /Invalid --since 'yesterday'/);
+});
+
+test("har.js fails without any log file", async () => {
+  const result = await runScript("har.js", [], { HOME: home.dir });
+  assert.equal(result.code, 1);
+  assert.match(result.stderr, /No log file found/);
+});
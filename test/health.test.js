@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { runScript } from "./helpers.js";
+import { startMockCdp } from "./mock-cdp-server.js";
+
+let server;
+before(async () => {
+  server = await startMockCdp();
+});
+after(() => server.close());
+
+test("prints Browser.getVersion as JSON", async () => {
+  const { code, stdout } = await runScript("health.js", [], { LIGHTPANDA_CDP_URL: server.wsUrl });
+  assert.equal(code, 0);
+  assert.equal(JSON.parse(stdout).product, "MockCDP/1.0");
+});
+
+test("accepts CDP_WS_URL as an alias", async () => {
+  const { code } = await runScript("health.js", [], { CDP_WS_URL: server.wsUrl });
+  assert.equal(code, 0);
+});
+
+test("discovers the websocket URL from an http endpoint via /json/version", async () => {
+  const { code, stdout } = await runScript("health.js", [], { LIGHTPANDA_CDP_URL: server.httpUrl });
+  assert.equal(code, 0);
+  assert.equal(JSON.parse(stdout).product, "MockCDP/1.0");
+});
+
+test("reports handshake failures without leaking the token", async () => {
+  const url = `ws://127.0.0.1:${server.port}/other?token=s3cret`;
+  const { code, stderr } = await runScript("health.js", [], { LIGHTPANDA_CDP_URL: url });
+  assert.equal(code, 1);
+  assert.match(stderr, /Failed to connect to CDP websocket at ws:\/\/127\.0\.0\.1:\d+\/other/);
+  assert.doesNotMatch(stderr, /s3cret/);
+});
+
+test("rejects endpoints with an unsupported scheme", async () => {
+  const { code, stderr } = await runScript("health.js", [], { LIGHTPANDA_CDP_URL: "ftp://127.0.0.1/" });
+  assert.equal(code, 1);
+  assert.match(stderr, /must start with ws:\/\/, wss:\/\/, http:\/\/, or https:\/\//);
+});
+
+test("surfaces protocol errors", async () => {
+  server.handle("Browser.getVersion", () => {
+    throw new Error("Browser.getVersion is restricted");
+  });
+  try {
+    const { code, stderr } = await runScript("health.js", [], { LIGHTPANDA_CDP_URL: server.wsUrl });
+    assert.equal(code, 1);
+    assert.match(stderr, /Browser\.getVersion is restricted/);
+  } finally {
+    server.handlers.delete("Browser.getVersion");
+  }
+});
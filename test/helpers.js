@@ -0,0 +1,65 @@
+import { spawn } from "node:child_process";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const SCRIPTS_DIR = fileURLToPath(new URL("../scripts/", import.meta.url));
+
+// Node 20 only exposes the WebSocket client behind a flag (a no-op on 22+).
+const NODE_FLAGS = process.allowedNodeEnvironmentFlags.has("--experimental-websocket")
+  ? ["--experimental-websocket"]
+  : [];
+
+export function makeHome() {
+  const dir = mkdtempSync(join(tmpdir(), "lightpanda-test-"));
+  return { dir, cleanup: () => rmSync(dir, { recursive: true, force: true }) };
+}
+
+function scriptEnv(env) {
+  const base = { ...process.env };
+  for (const name of ["LIGHTPANDA_CDP_URL", "CDP_WS_URL", "DEBUG"]) delete base[name];
+  // Keep a developer's running session daemon out of the tests.
+  return { ...base, NODE_NO_WARNINGS: "1", LIGHTPANDA_NO_SESSION: "1", ...env };
+}
+
+/** Start a script and return the child process plus helpers for its output. */
+export function startScript(name, args = [], env = {}) {
+  const child = spawn(process.execPath, [...NODE_FLAGS, join(SCRIPTS_DIR, name), ...args], {
+    env: scriptEnv(env),
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  child.stdoutText = "";
+  child.stderrText = "";
+  child.stdout.on("data", (d) => (child.stdoutText += d));
+  child.stderr.on("data", (d) => (child.stderrText += d));
+  child.exited = new Promise((resolve) => child.on("close", (code) => resolve(code)));
+  child.waitForOutput = (pattern, timeout = 5000) =>
+    new Promise((resolve, reject) => {
+      const started = Date.now();
+      const check = () => {
+        const text = child.stdoutText + child.stderrText;
+        if (pattern.test(text)) return resolve(text);
+        if (Date.now() - started > timeout || child.exitCode !== null) {
+          return reject(new Error(`Timed out waiting for ${pattern}; got:\n${text}`));
+        }
+        setTimeout(check, 20);
+      };
+      check();
+    });
+  return child;
+}
+
+/** Run a script to completion. Resolves with { code, stdout, stderr }. */
+export async function runScript(name, args = [], env = {}, timeout = 15000) {
+  const child = startScript(name, args, env);
+  const timer = setTimeout(() => child.kill("SIGKILL"), timeout);
+  const code = await child.exited;
+  clearTimeout(timer);
+  return { code, stdout: child.stdoutText, stderr: child.stderrText };
+}
+
+export function lastJsonLine(text) {
+  const lines = text.trim().split("\n").filter(Boolean);
+  return JSON.parse(lines.at(-1));
+}
@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import { existsSync, mkdirSync, readdirSync, utimesSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { afterEach, beforeEach, test } from "node:test";
+import { LogWriter, logFiles, parseBytes, pruneLogs, readLogFile } from "../scripts/lib/logstore.js";
+import { makeHome, runScript } from "./helpers.js";
+
+let home;
+let root;
+beforeEach(() => {
+  home = makeHome();
+  root = join(home.dir, ".cache/agent-web/logs");
+});
+afterEach(() => home.cleanup());
+
+test("parseBytes accepts plain bytes and K/M/G sizes", () => {
+  assert.equal(parseBytes("65536"), 65536);
+  assert.equal(parseBytes("50M"), 50 * 1024 * 1024);
+  assert.equal(parseBytes("1.5kb"), 1536);
+  assert.equal(parseBytes("2GiB"), 2 * 1024 ** 3);
+  assert.equal(parseBytes("0"), 0);
+  assert.equal(parseBytes("lots"), null);
+});
+
+test("LogWriter moves to the new day's directory at midnight", async () => {
+  let now = new Date(2024, 4, 1, 23, 59, 59);
+  const writer = new LogWriter({ root, now: () => now });
+  assert.equal(writer.write("T1", "a\n").file, join(root, "2024-05-01", "T1.jsonl"));
+  now = new Date(2024, 4, 2, 0, 0, 1);
+  assert.equal(writer.write("T1", "b\n").file, join(root, "2024-05-02", "T1.jsonl"));
+  assert.deepEqual(writer.openFiles(), [join(root, "2024-05-02", "T1.jsonl")]);
+  await writer.close();
+  assert.equal(readLogFile(join(root, "2024-05-01", "T1.jsonl")), "a\n");
+  assert.equal(readLogFile(join(root, "2024-05-02", "T1.jsonl")), "b\n");
+});
+
+test("LogWriter rotates full files and gzips the rotated parts", async () => {
+  const now = new Date(2024, 4, 1, 12);
+  const writer = new LogWriter({ root, maxFileBytes: 10, now: () => now });
+  for (const line of ["line-1\n", "line-2\n", "line-3\n", "line-4\n", "line-5\n"]) writer.write("T1", line);
+  writer.write("T2", "other\n");
+  await writer.close();
+
+  const dir = join(root, "2024-05-01");
+  assert.deepEqual(readdirSync(dir).sort(), ["T1.1.jsonl.gz", "T1.2.jsonl.gz", "T1.jsonl", "T2.jsonl"]);
+  const files = logFiles(dir);
+  assert.deepEqual(files.map((f) => f.slice(dir.length + 1)), ["T1.1.jsonl.gz", "T1.2.jsonl.gz", "T1.jsonl", "T2.jsonl"]);
+  assert.equal(files.map(readLogFile).join(""), "line-1\nline-2\nline-3\nline-4\nline-5\nother\n");
+});
+
+function writeDay(day, files) {
+  const dir = join(root, day);
+  for (const [name, bytes] of Object.entries(files)) {
+    const path = join(dir, name);
+    mkdirSync(join(path, ".."), { recursive: true });
+    writeFileSync(path, "x".repeat(bytes));
+  }
+  return dir;
+}
+
+function touch(path, date) {
+  utimesSync(path, date, date);
+}
+
+test("pruneLogs removes old days, then the oldest files over the size limit", () => {
+  const old = writeDay("2024-04-01", { "T1.jsonl": 100, "bodies/T1/r1-response.json": 50 });
+  touch(join(old, "T1.jsonl"), new Date(2024, 3, 1, 8));
+  touch(join(old, "bodies/T1/r1-response.json"), new Date(2024, 3, 1, 9));
+  writeDay("2024-04-28", { "T1.jsonl": 100 });
+  const day = writeDay("2024-04-30", { "T1.1.jsonl.gz": 100, "T1.jsonl": 100, "T2.jsonl": 100 });
+  touch(join(day, "T1.1.jsonl.gz"), new Date(2024, 3, 30, 8));
+  touch(join(day, "T2.jsonl"), new Date(2024, 3, 30, 9));
+  touch(join(day, "T1.jsonl"), new Date(2024, 3, 30, 10));
+  const now = new Date(2024, 4, 1, 12);
+
+  const preview = pruneLogs({ root, maxDays: 7, maxTotalBytes: 150, now, dryRun: true, keep: [join(day, "T2.jsonl")] });
+  assert.deepEqual(
+    preview.removed.map((f) => [f.path.slice(root.length + 1), f.bytes]),
+    [
+      [join("2024-04-01", "T1.jsonl"), 100],
+      [join("2024-04-01", "bodies/T1/r1-response.json"), 50],
+      [join("2024-04-28", "T1.jsonl"), 100],
+      [join("2024-04-30", "T1.1.jsonl.gz"), 100],
+      [join("2024-04-30", "T1.jsonl"), 100],
+    ]
+  );
+  assert.equal(preview.freedBytes, 450);
+  assert.equal(preview.totalBytes, 100);
+  assert.ok(existsSync(join(old, "T1.jsonl")));
+
+  const result = pruneLogs({ root, maxDays: 7, now });
+  assert.equal(result.freedBytes, 150);
+  assert.equal(result.totalBytes, 400);
+  assert.deepEqual(readdirSync(root).sort(), ["2024-04-28", "2024-04-30"]);
+});
+
+test("logs-prune.js applies the limits and keeps a running watcher's files", async () => {
+  const today = new Date();
+  const name = (d) =>
+    `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+  const old = name(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 30));
+  writeDay(old, { "T1.jsonl": 10 });
+  const dir = writeDay(name(today), { "T1.jsonl": 2000, "T2.jsonl": 2000 });
+  writeFileSync(
+    join(root, ".status.json"),
+    JSON.stringify({ pid: process.pid, targets: [{ targetId: "T1", file: join(dir, "T1.jsonl") }] })
+  );
+
+  const dry = await runScript("logs-prune.js", ["--max-total-size", "1K", "--dry-run"], { HOME: home.dir });
+  assert.equal(dry.code, 0, dry.stderr);
+  const preview = JSON.parse(dry.stdout);
+  assert.equal(preview.dryRun, true);
+  assert.deepEqual(preview.removed.map((f) => f.path), [join(root, old, "T1.jsonl"), join(dir, "T2.jsonl")]);
+  assert.ok(existsSync(join(dir, "T2.jsonl")));
+
+  const run = await runScript("logs-prune.js", ["--max-days", "0", "--max-total-size", "0"], { HOME: home.dir });
+  assert.deepEqual(JSON.parse(run.stdout), { dryRun: false, removedFiles: 0, freedBytes: 0, totalBytes: 4010, removed: [] });
+
+  const pruned = await runScript("logs-prune.js", ["--max-days", "7"], { HOME: home.dir });
+  assert.equal(JSON.parse(pruned.stdout).freedBytes, 10);
+  assert.ok(!existsSync(join(root, old)));
+
+  const invalid = await runScript("logs-prune.js", ["--max-total-size", "huge"], { HOME: home.dir });
+  assert.equal(invalid.code, 1);
+  assert.match(invalid.stderr, /Invalid --max-total-size 'huge'/);
+});
@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { MARKDOWN_SCRIPT } from "../scripts/lib/markdown.js";
+import { h, install, pageFunction } from "./fake-dom.js";
+
+const toMarkdown = pageFunction(MARKDOWN_SCRIPT);
+
+function docsPage() {
+  return h(
+    "body",
+    {},
+    h("header", { class: "site-header" }, h("nav", {}, h("a", { href: "/" }, "Home"))),
+    h("aside", { class: "sidebar" }, h("ul", {}, h("li", {}, h("a", { href: "/a" }, "A")))),
+    h(
+      "main",
+      { id: "content" },
+      h("h1", {}, "Getting started ", h("a", { href: "#start" }, "#")),
+      h("p", {}, "Install ", h("strong", {}, "it"), " with ", h("code", {}, "npm i foo"), ", see the ", h("a", { href: "/guide" }, "guide"), "."),
+      h("ul", {}, h("li", {}, "One"), h("li", {}, "Two", h("ul", {}, h("li", {}, "Two-a")))),
+      h("ol", { start: "3" }, h("li", {}, "Third")),
+      h("pre", {}, h("code", { class: "language-js" }, "const x = 1;\n")),
+      h("blockquote", {}, h("p", {}, "Quoted")),
+      h(
+        "table",
+        {},
+        h("tr", {}, h("th", {}, "Name"), h("th", {}, "Value")),
+        h("tr", {}, h("td", {}, "a|b"), h("td", {}, "1"))
+      ),
+      h("img", { src: "/logo.png", alt: "Logo" })
+    ),
+    h("footer", {}, "Copyright")
+  );
+}
+
+test("converts the main region to Markdown with numbered references", () => {
+  install(docsPage(), "https://docs.test/start");
+  const { markdown, contentRoot } = toMarkdown({ selector: null, maxChars: 5000 });
+  assert.deepEqual(contentRoot, { selector: "main#content", method: "main", textChars: 106 });
+  assert.equal(
+    markdown,
+    [
+      "# Getting started",
+      "",
+      "Install **it** with `npm i foo`, see the [guide][1].",
+      "",
+      "- One\n- Two\n  - Two-a",
+      "",
+      "3. Third",
+      "",
+      "```js\nconst x = 1;\n```",
+      "",
+      "> Quoted",
+      "",
+      "| Name | Value |\n| --- | --- |\n| a\\|b | 1 |",
+      "",
+      "![Logo][2]",
+      "",
+      "[1]: https://docs.test/guide\n[2]: https://docs.test/logo.png",
+    ].join("\n")
+  );
+});
+
+test("scores content blocks when there is no main or article", () => {
+  const paragraph = "A long paragraph of body text, with commas, that reads like the actual content.";
+  install(
+    h(
+      "body",
+      {},
+      h("div", { class: "menu" }, h("a", { href: "/x" }, "A navigation link with plenty of text")),
+      h("div", { class: "post-body" }, h("h2", {}, "Title"), h("p", {}, paragraph), h("p", {}, paragraph))
+    )
+  );
+  const { markdown, contentRoot } = toMarkdown({ selector: null, maxChars: 5000 });
+  assert.equal(contentRoot.method, "score");
+  assert.equal(contentRoot.selector, "div.post-body");
+  assert.ok(markdown.startsWith("## Title\n\nA long paragraph"));
+  assert.ok(!markdown.includes("navigation link"));
+});
+
+test("respects --selector and --max-chars", () => {
+  install(docsPage(), "https://docs.test/start");
+  const { markdown, contentRoot, markdownTruncated } = toMarkdown({ selector: "blockquote", maxChars: 5000 });
+  assert.equal(markdown, "Quoted");
+  assert.equal(contentRoot.method, "selector");
+  assert.equal(markdownTruncated, undefined);
+
+  const cut = toMarkdown({ selector: null, maxChars: 40 });
+  assert.equal(cut.markdownTruncated, true);
+  assert.ok(cut.markdown.startsWith("# Getting started\n\nInstall **it**"));
+  assert.ok(cut.markdown.includes("…"));
+  assert.ok(!cut.markdown.includes("[2]:"));
+});
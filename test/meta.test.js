@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { META_SCRIPT } from "../scripts/lib/meta.js";
+import { h, install, pageFunction } from "./fake-dom.js";
+
+const extractMeta = pageFunction(META_SCRIPT);
+
+test("collects meta tags, alternates, OpenGraph/Twitter cards and feeds", () => {
+  install(
+    h(
+      "body",
+      {},
+      h("meta", { name: "Description", content: "  A   product page " }),
+      h("meta", { name: "robots", content: "index,follow" }),
+      h("link", { rel: "canonical", href: "/p/1" }),
+      h("link", { rel: "alternate", hreflang: "de", href: "https://shop.test/de/p/1" }),
+      h("link", { rel: "alternate", type: "application/rss+xml", title: "News", href: "/feed.xml" }),
+      h("meta", { property: "og:title", content: "Widget" }),
+      h("meta", { property: "og:image", content: "https://shop.test/a.png" }),
+      h("meta", { property: "og:image", content: "https://shop.test/b.png" }),
+      h("meta", { property: "product:price:amount", content: "9.99" }),
+      h("meta", { name: "twitter:card", content: "summary" })
+    ),
+    "https://shop.test/p/1?ref=x"
+  );
+  document.documentElement.setAttribute("lang", "en");
+  const { meta } = extractMeta();
+  assert.equal(meta.description, "A product page");
+  assert.equal(meta.canonical, "https://shop.test/p/1");
+  assert.equal(meta.robots, "index,follow");
+  assert.equal(meta.lang, "en");
+  assert.deepEqual(meta.alternates, [{ hreflang: "de", href: "https://shop.test/de/p/1" }]);
+  assert.deepEqual(meta.openGraph, {
+    title: "Widget",
+    image: ["https://shop.test/a.png", "https://shop.test/b.png"],
+    "product:price:amount": "9.99",
+  });
+  assert.deepEqual(meta.twitter, { card: "summary" });
+  assert.deepEqual(meta.feeds, [{ type: "application/rss+xml", title: "News", href: "https://shop.test/feed.xml" }]);
+});
+
+test("parses JSON-LD and reports invalid blocks instead of throwing", () => {
+  install(
+    h(
+      "body",
+      {},
+      h("script", { type: "application/ld+json" }, '{"@type":"Product","name":"Widget"}'),
+      h("script", { type: "text/javascript" }, "var x = 1;"),
+      h("script", { type: "application/ld+json" }, '{"@type": "Event",}')
+    )
+  );
+  const { meta } = extractMeta();
+  assert.deepEqual(meta.jsonLd, [{ "@type": "Product", name: "Widget" }]);
+  assert.equal(meta.jsonLdErrors.length, 1);
+  assert.equal(meta.jsonLdErrors[0].index, 1);
+  assert.equal(meta.jsonLdErrors[0].snippet, '{"@type": "Event",}');
+  assert.ok(meta.jsonLdErrors[0].error);
+});
+
+test("reads microdata items with nested items and typed values", () => {
+  install(
+    h(
+      "body",
+      {},
+      h(
+        "div",
+        { itemscope: "", itemtype: "https://schema.org/Product" },
+        h("h1", { itemprop: "name" }, "Widget"),
+        h("img", { itemprop: "image", src: "/w.png" }),
+        h(
+          "div",
+          { itemprop: "offers", itemscope: "", itemtype: "https://schema.org/Offer" },
+          h("meta", { itemprop: "priceCurrency", content: "EUR" }),
+          h("data", { itemprop: "price", value: "9.99" }, "€9,99")
+        ),
+        h("span", { itemprop: "keywords" }, "a"),
+        h("span", { itemprop: "keywords" }, "b")
+      ),
+      h("time", { itemscope: "", itemtype: "https://schema.org/Event" }, h("time", { itemprop: "startDate", datetime: "2026-01-02" }, "Jan 2"))
+    ),
+    "https://shop.test/"
+  );
+  const { meta } = extractMeta();
+  assert.deepEqual(meta.microdata, [
+    {
+      type: "https://schema.org/Product",
+      properties: {
+        name: "Widget",
+        image: "https://shop.test/w.png",
+        offers: { type: "https://schema.org/Offer", properties: { priceCurrency: "EUR", price: "9.99" } },
+        keywords: ["a", "b"],
+      },
+    },
+    { type: "https://schema.org/Event", properties: { startDate: "2026-01-02" } },
+  ]);
+});
@@ -0,0 +1,351 @@
+/**
+ * Stand-in CDP WebSocket server for offline tests.
+ *
+ * Implements the WebSocket handshake and framing on top of node:http (no
+ * dependencies) and the subset of Target/Page/Runtime/Network/Log/Accessibility
+ * methods the scripts use. Tests override behaviour per method with
+ * `server.handle()` and push events with `server.emit()`.
+ */
+
+import { createHash } from "node:crypto";
+import { createServer } from "node:http";
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const WS_PATH = "/devtools/browser/mock";
+
+function encodeFrame(opcode, payload) {
+  const body = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  let header;
+  if (body.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = body.length;
+  } else if (body.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(body.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(body.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, body]);
+}
+
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let pos = offset + 2;
+    if (length === 126) {
+      if (buffer.length < pos + 2) break;
+      length = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (length === 127) {
+      if (buffer.length < pos + 8) break;
+      length = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < pos + maskLength + length) break;
+    const mask = masked ? buffer.subarray(pos, pos + 4) : null;
+    pos += maskLength;
+    const payload = Buffer.from(buffer.subarray(pos, pos + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, payload });
+    offset = pos + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+class MockClient {
+  constructor(server, socket) {
+    this.server = server;
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    socket.on("data", (chunk) => this.onData(chunk));
+    socket.on("error", () => {});
+    socket.on("close", () => server.clients.delete(this));
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    const { frames, rest } = decodeFrames(this.buffer);
+    this.buffer = rest;
+    for (const { opcode, payload } of frames) {
+      if (opcode === 0x8) {
+        this.socket.end(encodeFrame(0x8, payload.subarray(0, 2)));
+        return;
+      }
+      if (opcode === 0x9) {
+        this.socket.write(encodeFrame(0xa, payload));
+        continue;
+      }
+      if (opcode === 0x1) this.server.onMessage(this, JSON.parse(payload.toString("utf8")));
+    }
+  }
+
+  send(message) {
+    if (this.socket.destroyed) return;
+    this.socket.write(encodeFrame(0x1, JSON.stringify(message)));
+  }
+}
+
+export class MockCdpServer {
+  constructor() {
+    this.http = createServer((req, res) => this.onHttp(req, res));
+    this.http.on("upgrade", (req, socket) => this.onUpgrade(req, socket));
+    this.clients = new Set();
+    this.handlers = new Map();
+    this.received = [];
+    this.upgrades = [];
+    this.nextSession = 0;
+    this.nextTarget = 0;
+    this.nextLoader = 0;
+    this.targets = [];
+    this.sessions = new Map();
+    // url -> { status, mimeType, redirects: [{ url, status }], errorText }
+    this.pages = new Map();
+    // Called with (expression, context) for Runtime.evaluate.
+    this.evaluate = () => undefined;
+    this.axNodes = [];
+    this.silent = new Set();
+    this.addTarget("about:blank");
+  }
+
+  async listen() {
+    await new Promise((resolve) => this.http.listen(0, "127.0.0.1", resolve));
+    this.port = this.http.address().port;
+    this.wsUrl = `ws://127.0.0.1:${this.port}${WS_PATH}`;
+    this.httpUrl = `http://127.0.0.1:${this.port}`;
+    return this;
+  }
+
+  async close() {
+    for (const client of this.clients) client.socket.destroy();
+    await new Promise((resolve) => this.http.close(resolve));
+  }
+
+  /** Drop every connection without a close frame, like a network failure. */
+  dropConnections() {
+    for (const client of this.clients) client.socket.destroy();
+    this.clients.clear();
+  }
+
+  addTarget(url, title = "") {
+    const target = {
+      targetId: `T${++this.nextTarget}`,
+      type: "page",
+      url,
+      title,
+      attached: false,
+    };
+    this.targets.push(target);
+    return target;
+  }
+
+  /** Override a method. The handler returns a result or throws to send an error. */
+  handle(method, handler) {
+    this.handlers.set(method, handler);
+  }
+
+  /** Never answer a method (to exercise client timeouts). */
+  ignore(method) {
+    this.silent.add(method);
+  }
+
+  emit(method, params = {}, sessionId = null) {
+    const message = { method, params };
+    if (sessionId) message.sessionId = sessionId;
+    for (const client of this.clients) client.send(message);
+  }
+
+  calls(method) {
+    return this.received.filter((m) => m.method === method);
+  }
+
+  onHttp(req, res) {
+    if (req.url === "/json/version") {
+      res.setHeader("content-type", "application/json");
+      res.end(
+        JSON.stringify({
+          Browser: "MockCDP/1.0",
+          webSocketDebuggerUrl: this.wsUrl,
+        })
+      );
+      return;
+    }
+    res.statusCode = 404;
+    res.end("not found");
+  }
+
+  onUpgrade(req, socket) {
+    this.upgrades.push({ url: req.url, headers: req.headers });
+    // Only the discovery URL accepts upgrades, so other paths exercise the
+    // HTTP /json/version fallback in connect().
+    if (new URL(req.url, "http://localhost").pathname !== WS_PATH) {
+      socket.end("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+      return;
+    }
+    const key = req.headers["sec-websocket-key"];
+    const accept = createHash("sha1").update(key + WS_GUID).digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    this.clients.add(new MockClient(this, socket));
+  }
+
+  async onMessage(client, message) {
+    this.received.push(message);
+    const { id, method, params = {}, sessionId } = message;
+    if (this.silent.has(method)) return;
+    const context = { client, sessionId: sessionId || null, targetId: this.sessions.get(sessionId) };
+    try {
+      const handler = this.handlers.get(method) || this.defaultHandler(method);
+      if (!handler) {
+        client.send({ id, error: { code: -32601, message: `'${method}' wasn't found` } });
+        return;
+      }
+      // Handlers may return `after` to emit events once the reply is sent.
+      const { after, ...result } = (await handler(params, context)) ?? {};
+      const reply = { id, result };
+      if (sessionId) reply.sessionId = sessionId;
+      client.send(reply);
+      if (typeof after === "function") after();
+    } catch (e) {
+      client.send({ id, error: { code: e.code ?? -32000, message: e.message } });
+    }
+  }
+
+  defaultHandler(method) {
+    const ok = () => ({});
+    const handlers = {
+      "Browser.getVersion": () => ({
+        protocolVersion: "1.3",
+        product: "MockCDP/1.0",
+        userAgent: "MockCDP",
+      }),
+      "Target.setDiscoverTargets": ok,
+      "Target.activateTarget": ok,
+      "Target.getTargets": () => ({ targetInfos: this.targets.map((t) => ({ ...t })) }),
+      "Target.createTarget": (params) => {
+        const target = this.addTarget(params.url || "about:blank");
+        this.emit("Target.targetCreated", { targetInfo: { ...target } });
+        return { targetId: target.targetId };
+      },
+      "Target.closeTarget": (params) => {
+        const index = this.targets.findIndex((t) => t.targetId === params.targetId);
+        if (index === -1) throw new Error("No target with given id found");
+        this.targets.splice(index, 1);
+        this.emit("Target.targetDestroyed", { targetId: params.targetId });
+        return { success: true };
+      },
+      "Target.attachToTarget": (params) => {
+        const target = this.targets.find((t) => t.targetId === params.targetId);
+        if (!target) throw new Error("No target with given id found");
+        target.attached = true;
+        const sessionId = `S${++this.nextSession}`;
+        this.sessions.set(sessionId, target.targetId);
+        return { sessionId };
+      },
+      "Target.detachFromTarget": ok,
+      "Page.enable": ok,
+      "Page.setLifecycleEventsEnabled": ok,
+      "Runtime.enable": ok,
+      "Network.enable": ok,
+      "Log.enable": ok,
+      "DOM.enable": ok,
+      "Page.getFrameTree": (params, ctx) => {
+        const target = this.targets.find((t) => t.targetId === ctx.targetId);
+        return { frameTree: { frame: { id: `F-${ctx.targetId}`, url: target?.url || "" } } };
+      },
+      "Page.navigate": (params, ctx) => this.navigate(params, ctx),
+      "Runtime.evaluate": async (params, ctx) => {
+        const value = await this.evaluate(params.expression, ctx);
+        if (value instanceof Error) {
+          return {
+            result: { type: "object", subtype: "error" },
+            exceptionDetails: { text: "Uncaught", exception: { description: value.message } },
+          };
+        }
+        return { result: { type: typeof value, value } };
+      },
+      "Accessibility.getFullAXTree": () => ({ nodes: this.axNodes }),
+    };
+    return handlers[method] || null;
+  }
+
+  navigate(params, ctx) {
+    const target = this.targets.find((t) => t.targetId === ctx.targetId);
+    const page = this.pages.get(params.url) || {};
+    const frameId = `F-${ctx.targetId}`;
+    const loaderId = `L${++this.nextLoader}`;
+    if (page.errorText) return { frameId, loaderId, errorText: page.errorText };
+
+    const hops = page.redirects || [];
+    const finalUrl = page.finalUrl || params.url;
+    if (target) target.url = finalUrl;
+    const sid = ctx.sessionId;
+    const after = () => {
+      if (page.noEvents) return;
+      const requestId = loaderId;
+      let url = params.url;
+      let redirectResponse;
+      for (const hop of [...hops, { url: finalUrl }]) {
+        this.emit(
+          "Network.requestWillBeSent",
+          {
+            requestId,
+            loaderId,
+            frameId,
+            type: "Document",
+            documentURL: hop.url,
+            request: { url: redirectResponse ? hop.url : url, method: "GET", headers: {} },
+            redirectResponse,
+          },
+          sid
+        );
+        redirectResponse = hop.status
+          ? { url: hop.url, status: hop.status, statusText: "", headers: { location: hop.location || "" } }
+          : undefined;
+        url = hop.url;
+      }
+      this.emit(
+        "Network.responseReceived",
+        {
+          requestId,
+          loaderId,
+          frameId,
+          type: "Document",
+          response: {
+            url: finalUrl,
+            status: page.status ?? 200,
+            statusText: page.statusText || "OK",
+            mimeType: page.mimeType || "text/html",
+            headers: {},
+          },
+        },
+        sid
+      );
+      this.emit("Network.loadingFinished", { requestId, encodedDataLength: 100 }, sid);
+      this.emit("Page.lifecycleEvent", { frameId, loaderId, name: "DOMContentLoaded" }, sid);
+      this.emit("Page.domContentEventFired", { timestamp: 1 }, sid);
+      if (page.noLoad) return;
+      this.emit("Page.lifecycleEvent", { frameId, loaderId, name: "load" }, sid);
+      this.emit("Page.loadEventFired", { timestamp: 2 }, sid);
+    };
+    return { frameId, loaderId, after };
+  }
+}
+
+export async function startMockCdp() {
+  return new MockCdpServer().listen();
+}
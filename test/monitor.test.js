@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import { existsSync, readdirSync } from "node:fs";
+import { join } from "node:path";
+import { after, before, beforeEach, test } from "node:test";
+import { diffContent, diffLines } from "../scripts/lib/monitor.js";
+import { makeHome, runScript } from "./helpers.js";
+import { MockCdpServer } from "./mock-cdp-server.js";
+
+test("diffLines reports changed lines with context in hunks", () => {
+  const before = ["Plans", "Basic $5", "Team $9", "a", "b", "c", "d", "e", "Contact"].join("\n");
+  const after = ["Plans", "Basic $6", "Team $9", "a", "b", "c", "d", "e", "Contact", "FAQ"].join("\n");
+  assert.deepEqual(diffLines(before, after), {
+    added: 2,
+    removed: 1,
+    diff: ["@@ -1,4 +1,4 @@", "  Plans", "- Basic $5", "+ Basic $6", "  Team $9", "  a", "@@ -8,2 +8,3 @@", "  e", "  Contact", "+ FAQ"],
+  });
+});
+
+test("diffContent compares structured fields path by path", () => {
+  const changes = diffContent(
+    { title: "Pricing", data: { plans: [{ name: "Basic", price: 5 }, { name: "Team", price: 9 }] } },
+    { title: "Pricing", data: { plans: [{ name: "Basic", price: 6 }] }, links: [] }
+  );
+  assert.deepEqual(changes, [
+    { path: "data.plans[0].price", before: 5, after: 6 },
+    { path: "data.plans[1].name", before: "Team" },
+    { path: "data.plans[1].price", before: 9 },
+    { path: "links", after: [] },
+  ]);
+});
+
+let server;
+let home;
+let env;
+let pageText;
+before(async () => {
+  server = await new MockCdpServer().listen();
+});
+after(() => server.close());
+beforeEach(() => {
+  home?.cleanup();
+  home = makeHome();
+  env = { LIGHTPANDA_CDP_URL: server.wsUrl, CDP_NAV_TIMEOUT_MS: "2000", HOME: home.dir };
+  server.pages.clear();
+  pageText = "Pricing\nBasic $5\nUpdated 3 minutes ago";
+  server.evaluate = () => ({ text: pageText });
+});
+after(() => home?.cleanup());
+
+test("stores a baseline, then exits 3 with a line diff when the page changes", async () => {
+  const first = await runScript("monitor.js", ["https://shop.test/pricing"], env);
+  assert.equal(first.code, 0, first.stderr);
+  const baseline = JSON.parse(first.stdout);
+  assert.equal(baseline.status, "new");
+  assert.ok(baseline.snapshot.startsWith(join(home.dir, ".cache/agent-web/monitor", "shop.test-")));
+  assert.ok(existsSync(baseline.snapshot));
+
+  const same = await runScript("monitor.js", ["https://shop.test/pricing"], env);
+  assert.equal(same.code, 0);
+  assert.equal(JSON.parse(same.stdout).status, "unchanged");
+
+  pageText = "Pricing\nBasic $6\nUpdated 3 minutes ago";
+  const changed = await runScript("monitor.js", ["https://shop.test/pricing"], env);
+  assert.equal(changed.code, 3);
+  const record = JSON.parse(changed.stdout);
+  assert.equal(record.status, "changed");
+  assert.equal(record.previousCheckedAt, JSON.parse(same.stdout).checkedAt);
+  assert.deepEqual(record.changes, [
+    { field: "text", added: 1, removed: 1, diff: ["@@ -1,3 +1,3 @@", "  Pricing", "- Basic $5", "+ Basic $6", "  Updated 3 minutes ago"] },
+  ]);
+  // The changed page is the new baseline.
+  const again = await runScript("monitor.js", ["https://shop.test/pricing"], env);
+  assert.equal(again.code, 0);
+});
+
+test("--ignore removes volatile elements and --ignore-text masks volatile text", async () => {
+  const args = ["https://shop.test/pricing", "--ignore", ".ad, time", "--ignore-text", "Updated \\d+ minutes ago"];
+  const expressions = [];
+  server.evaluate = (expression) => {
+    expressions.push(expression);
+    return expression.includes("el.remove()") ? 2 : { text: pageText };
+  };
+  assert.equal((await runScript("monitor.js", args, env)).code, 0);
+  assert.ok(expressions[0].endsWith(')([".ad, time"])'));
+
+  pageText = "Pricing\nBasic $5\nUpdated 7 minutes ago";
+  const { code, stdout } = await runScript("monitor.js", args, env);
+  assert.equal(code, 0);
+  assert.equal(JSON.parse(stdout).status, "unchanged");
+  // Different options keep their own snapshot.
+  assert.equal(readdirSync(join(home.dir, ".cache/agent-web/monitor")).length, 1);
+  assert.equal(JSON.parse((await runScript("monitor.js", ["https://shop.test/pricing"], env)).stdout).status, "new");
+});
+
+test("a failing page is reported, keeps its snapshot and exits 1", async () => {
+  await runScript("monitor.js", ["https://shop.test/pricing"], env);
+  server.pages.set("https://shop.test/pricing", { status: 503, statusText: "Service Unavailable" });
+  const { code, stdout, stderr } = await runScript("monitor.js", ["https://shop.test/pricing", "--no-save"], env);
+  assert.equal(code, 1);
+  assert.equal(JSON.parse(stdout).status, "error");
+  assert.match(JSON.parse(stdout).error, /503/);
+  assert.match(stderr, /1 of 1 page\(s\) could not be checked/);
+  // The tab monitor.js opened is closed again.
+  assert.equal(server.targets.length, 1);
+});
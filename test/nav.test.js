@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, test } from "node:test";
+import { lastJsonLine, runScript } from "./helpers.js";
+import { MockCdpServer } from "./mock-cdp-server.js";
+
+let server;
+let env;
+before(async () => {
+  server = await new MockCdpServer().listen();
+  env = { LIGHTPANDA_CDP_URL: server.wsUrl, CDP_NAV_TIMEOUT_MS: "2000" };
+});
+after(() => server.close());
+beforeEach(() => {
+  server.pages.clear();
+  server.handlers.clear();
+  server.evaluate = () => undefined;
+});
+
+test("reports final URL, redirect chain and status as JSON", async () => {
+  server.pages.set("https://site.test/", {
+    redirects: [{ url: "https://site.test/", status: 302, location: "https://site.test/login" }],
+    finalUrl: "https://site.test/login",
+  });
+  const { code, stdout } = await runScript("nav.js", ["https://site.test/"], env);
+  assert.equal(code, 0);
+  const nav = lastJsonLine(stdout);
+  assert.equal(nav.url, "https://site.test/");
+  assert.equal(nav.finalUrl, "https://site.test/login");
+  assert.deepEqual(nav.redirects, [
+    { url: "https://site.test/", status: 302, location: "https://site.test/login" },
+  ]);
+  assert.equal(nav.status, 200);
+  assert.equal(nav.mimeType, "text/html");
+});
+
+test("exits non-zero on HTTP error statuses unless allowed", async () => {
+  server.pages.set("https://site.test/missing", { status: 404, statusText: "Not Found" });
+  const failed = await runScript("nav.js", ["https://site.test/missing"], env);
+  assert.equal(failed.code, 1);
+  assert.equal(lastJsonLine(failed.stdout).status, 404);
+  assert.match(failed.stderr, /HTTP 404 Not Found/);
+
+  const allowed = await runScript("nav.js", ["https://site.test/missing", "--fail-on-status", "5xx"], env);
+  assert.equal(allowed.code, 0);
+});
+
+test("reports Page.navigate errorText and exits non-zero", async () => {
+  server.pages.set("https://down.test/", { errorText: "net::ERR_CONNECTION_REFUSED" });
+  const { code, stdout, stderr } = await runScript("nav.js", ["https://down.test/"], env);
+  assert.equal(code, 1);
+  assert.equal(lastJsonLine(stdout).errorText, "net::ERR_CONNECTION_REFUSED");
+  assert.match(stderr, /Navigation failed: net::ERR_CONNECTION_REFUSED/);
+});
+
+test("names the unmet wait condition on timeout", async () => {
+  server.pages.set("https://slow.test/", { noLoad: true });
+  const { code, stderr } = await runScript("nav.js", ["https://slow.test/"], {
+    ...env,
+    CDP_NAV_TIMEOUT_MS: "300",
+  });
+  assert.equal(code, 1);
+  assert.match(stderr, /Wait timeout after \d+ms: page did not reach "load"/);
+
+  const dcl = await runScript("nav.js", ["https://slow.test/", "--wait-until", "domcontentloaded"], env);
+  assert.equal(dcl.code, 0);
+});
+
+test("waits for networkidle and selectors", async () => {
+  let polls = 0;
+  server.evaluate = (expression) => expression.includes("querySelector") && ++polls >= 3;
+  const { code } = await runScript(
+    "nav.js",
+    ["https://site.test/", "--wait-until", "networkidle", "--wait-for-selector", "#app"],
+    env
+  );
+  assert.equal(code, 0);
+  assert.equal(polls, 3);
+});
+
+test("--new opens a tab and --target picks an existing one", async () => {
+  const opened = await runScript("nav.js", ["https://a.test/", "--new"], env);
+  assert.equal(opened.code, 0);
+  const { targetId, newTab } = lastJsonLine(opened.stdout);
+  assert.equal(newTab, true);
+  assert.ok(server.targets.some((t) => t.targetId === targetId && t.url === "https://a.test/"));
+
+  const picked = await runScript("nav.js", ["https://b.test/", "--target", "0"], env);
+  assert.equal(picked.code, 0);
+  assert.equal(lastJsonLine(picked.stdout).targetId, server.targets[0].targetId);
+});
@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+import { makeHome, runScript } from "./helpers.js";
+import { MockCdpServer } from "./mock-cdp-server.js";
+
+let server;
+let home;
+let profilesFile;
+
+before(async () => {
+  server = await new MockCdpServer().listen();
+  home = makeHome();
+  profilesFile = join(home.dir, "profiles.json");
+  writeFileSync(
+    profilesFile,
+    JSON.stringify({
+      default: "primary",
+      profiles: {
+        primary: {
+          url: `ws://127.0.0.1:${server.port}/gone?token=\${TEST_TOKEN}`,
+          failover: ["backup"],
+        },
+        backup: {
+          url: server.wsUrl,
+          headers: { "X-Team": "\${TEST_TEAM}" },
+          timeoutMs: 2000,
+        },
+        broken: { url: `ws://127.0.0.1:${server.port}/gone` },
+      },
+    })
+  );
+});
+after(async () => {
+  await server.close();
+  home.cleanup();
+});
+
+function env(extra = {}) {
+  return { LIGHTPANDA_PROFILES: profilesFile, TEST_TOKEN: "t0ken", TEST_TEAM: "search", ...extra };
+}
+
+test("--profile selects an endpoint and sends its headers", async () => {
+  const { code, stdout } = await runScript("health.js", ["--profile", "backup"], env());
+  assert.equal(code, 0);
+  assert.deepEqual(JSON.parse(stdout).endpoint, {
+    profile: "backup",
+    url: server.wsUrl,
+    index: 0,
+  });
+  assert.equal(server.upgrades.at(-1).headers["x-team"], "search");
+});
+
+test("walks the failover list when the handshake fails", async () => {
+  const { code, stdout, stderr } = await runScript("health.js", [], env({ LIGHTPANDA_PROFILE: "primary" }));
+  assert.equal(code, 0);
+  assert.equal(JSON.parse(stdout).endpoint.profile, "backup");
+  assert.match(stderr, /connected via failover endpoint profile 'backup'/);
+});
+
+test("uses the profile file default when no URL is configured", async () => {
+  const { code, stdout } = await runScript("health.js", [], env());
+  assert.equal(code, 0);
+  assert.equal(JSON.parse(stdout).endpoint.index, 1);
+});
+
+test("LIGHTPANDA_CDP_URL wins over the default profile", async () => {
+  const { stdout } = await runScript("health.js", [], env({ LIGHTPANDA_CDP_URL: server.wsUrl }));
+  assert.equal(JSON.parse(stdout).endpoint.profile, null);
+});
+
+test("reports every endpoint that failed", async () => {
+  const single = await runScript("health.js", ["--profile", "broken"], env());
+  assert.equal(single.code, 1);
+  assert.match(single.stderr, /Verify profile 'broken'/);
+
+  const { code, stderr } = await runScript("health.js", ["--profile", "nope"], env());
+  assert.equal(code, 1);
+  assert.match(stderr, /Unknown profile 'nope' \(available: primary, backup, broken\)/);
+});
+
+test("does not leak expanded tokens in errors", async () => {
+  const file = join(home.dir, "bad.json");
+  writeFileSync(
+    file,
+    JSON.stringify({
+      profiles: {
+        a: { url: `ws://127.0.0.1:${server.port}/x?token=\${TEST_TOKEN}`, failover: ["b"] },
+        b: { url: `ws://127.0.0.1:${server.port}/y` },
+      },
+    })
+  );
+  const { code, stderr } = await runScript("health.js", ["--profile", "a"], env({ LIGHTPANDA_PROFILES: file }));
+  assert.equal(code, 1);
+  assert.match(stderr, /Failed to connect to any CDP endpoint:\n {2}- a ws:\/\/127\.0\.0\.1:\d+\/x: /);
+  assert.doesNotMatch(stderr, /t0ken/);
+});
+
+test("an unset variable only fails the endpoint that uses it", async () => {
+  const file = join(home.dir, "unset.json");
+  writeFileSync(
+    file,
+    JSON.stringify({
+      profiles: {
+        main: { url: server.wsUrl, failover: ["spare"] },
+        spare: { url: `ws://127.0.0.1:${server.port}/y?token=\${MISSING_TOKEN}` },
+        flaky: { url: `ws://127.0.0.1:${server.port}/x?token=\${MISSING_TOKEN}`, failover: ["main"] },
+      },
+    })
+  );
+  const primary = await runScript("health.js", ["--profile", "main"], env({ LIGHTPANDA_PROFILES: file }));
+  assert.equal(primary.code, 0, primary.stderr);
+  assert.equal(JSON.parse(primary.stdout).endpoint.profile, "main");
+
+  const failover = await runScript("health.js", ["--profile", "flaky"], env({ LIGHTPANDA_PROFILES: file }));
+  assert.equal(failover.code, 0, failover.stderr);
+  assert.equal(JSON.parse(failover.stdout).endpoint.profile, "main");
+
+  const only = await runScript("health.js", ["--profile", "spare"], env({ LIGHTPANDA_PROFILES: file }));
+  assert.equal(only.code, 1);
+  assert.match(only.stderr, /Profile 'spare' references unset variable MISSING_TOKEN/);
+});
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { afterEach, beforeEach, test } from "node:test";
+import { createRedactor, loadRedactionRules } from "../scripts/lib/redact.js";
+import { makeHome } from "./helpers.js";
+
+let home;
+beforeEach(() => {
+  home = makeHome();
+});
+afterEach(() => home.cleanup());
+
+function rulesFile(config) {
+  const path = join(home.dir, "redact.json");
+  writeFileSync(path, JSON.stringify(config));
+  return path;
+}
+
+test("default rules mask query secrets, auth headers, cookies and PII", () => {
+  const redactor = createRedactor(loadRedactionRules(join(home.dir, "missing.json")));
+  assert.equal(
+    redactor.text("https://api.test/v1?q=shoes&access_token=abc123&KEY=k#sig=s"),
+    "https://api.test/v1?q=shoes&access_token=***&KEY=***#sig=***"
+  );
+  assert.equal(
+    redactor.text("Contact jane.doe@example.com, card 4111-1111-1111-1111, order 1714557601000"),
+    "Contact ***, card ***, order 1714557601000"
+  );
+  assert.equal(redactor.text('{"user":"jane","password":"hunter2"}'), '{"user":"jane","password":"***"}');
+  assert.equal(redactor.text("sent Authorization: Bearer eyJhbGciOi.x.y"), "sent Authorization: Bearer ***");
+
+  const record = redactor.value({
+    url: "/login?password=x",
+    headers: {
+      Authorization: "Basic dXNlcjpwYXNz",
+      Cookie: "sid=abc; theme=dark",
+      "Set-Cookie": "sid=abc; Path=/; HttpOnly\nlang=fr",
+      Accept: "*/*",
+    },
+    args: [{ type: "object", value: { apiKey: "nope", api_key: "k" } }],
+    status: 200,
+  });
+  assert.deepEqual(record, {
+    url: "/login?password=***",
+    headers: {
+      Authorization: "***",
+      Cookie: "sid=***; theme=***",
+      "Set-Cookie": "sid=***; Path=/; HttpOnly\nlang=***",
+      Accept: "*/*",
+    },
+    args: [{ type: "object", value: { apiKey: "***", api_key: "***" } }],
+    status: 200,
+  });
+  assert.deepEqual(redactor.value(record), record);
+});
+
+test("the rules file extends or replaces the defaults", () => {
+  const redactor = createRedactor(
+    loadRedactionRules(
+      rulesFile({
+        queryParams: ["ticket"],
+        headers: ["X-Tenant"],
+        keys: ["ssn"],
+        cookies: ["sid"],
+        patterns: ["card"],
+        regexes: ["ACCT-\\d{4}"],
+      })
+    )
+  );
+  assert.equal(redactor.text("/a?ticket=1&token=2 by jane@example.com for ACCT-1234"), "/a?ticket=***&token=*** by jane@example.com for ***");
+  assert.deepEqual(redactor.value({ "x-tenant": "t", Cookie: "sid=1; theme=dark", ssn: "123" }), {
+    "x-tenant": "***",
+    Cookie: "sid=***; theme=dark",
+    ssn: "***",
+  });
+
+  const bare = createRedactor(loadRedactionRules(rulesFile({ defaults: false, patterns: [], cookies: false, queryParams: ["t"] })));
+  assert.deepEqual(bare.value({ url: "/?token=1&t=2", Authorization: "x", Cookie: "a=1" }), {
+    url: "/?token=1&t=***",
+    Authorization: "x",
+    Cookie: "a=1",
+  });
+});
+
+test("invalid rules files are reported with their path", () => {
+  assert.throws(() => loadRedactionRules(rulesFile({ patterns: ["phone"] })), /redact\.json: unknown pattern 'phone'/);
+  assert.throws(() => loadRedactionRules(rulesFile({ headers: "authorization" })), /"headers" must be an array of strings/);
+  assert.throws(() => loadRedactionRules(rulesFile({ regexes: ["("] })), /Invalid redaction rules .*redact\.json/);
+});
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+import { lastJsonLine, makeHome, runScript } from "./helpers.js";
+import { MockCdpServer } from "./mock-cdp-server.js";
+
+let home;
+let recording;
+let recorded;
+
+before(async () => {
+  home = makeHome();
+  recording = join(home.dir, "trace.jsonl");
+  const server = await new MockCdpServer().listen();
+  server.pages.set("https://site.test/", {
+    redirects: [{ url: "https://site.test/", status: 301, location: "https://site.test/home" }],
+    finalUrl: "https://site.test/home",
+  });
+  try {
+    recorded = await runScript("nav.js", ["https://site.test/"], {
+      LIGHTPANDA_CDP_URL: `${server.wsUrl}?token=s3cret`,
+      CDP_RECORD: recording,
+    });
+  } finally {
+    await server.close();
+  }
+});
+after(() => home.cleanup());
+
+test("records commands, responses and events with timestamps", () => {
+  assert.equal(recorded.code, 0);
+  const entries = readFileSync(recording, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+  assert.equal(entries[0].dir, "open");
+  assert.match(entries[0].endpoint, /^ws:\/\/127\.0\.0\.1:\d+\/devtools\/browser\/mock$/);
+  assert.ok(entries.every((e) => typeof e.t === "number"));
+  assert.ok(entries.some((e) => e.dir === "send" && e.msg.method === "Page.navigate"));
+  assert.ok(entries.some((e) => e.dir === "recv" && e.msg.method === "Page.loadEventFired"));
+  assert.doesNotMatch(readFileSync(recording, "utf8"), /s3cret/);
+});
+
+test("replays a recording without network access", async () => {
+  const { code, stdout } = await runScript("nav.js", ["https://site.test/"], { CDP_REPLAY: recording });
+  assert.equal(code, 0);
+  assert.deepEqual(lastJsonLine(stdout), lastJsonLine(recorded.stdout));
+});
+
+test("reports commands missing from the recording", async () => {
+  const { code, stderr } = await runScript("eval.js", ["document.title"], { CDP_REPLAY: recording });
+  assert.equal(code, 1);
+  assert.match(stderr, /Replay mismatch: no recorded Runtime\.evaluate left/);
+});
+
+test("redacts secrets in recorded payloads", async () => {
+  const server = await new MockCdpServer().listen();
+  const file = join(home.dir, "secrets.jsonl");
+  try {
+    await runScript("nav.js", ["https://site.test/?access_token=abc123"], {
+      LIGHTPANDA_CDP_URL: server.wsUrl,
+      CDP_RECORD: file,
+    });
+  } finally {
+    await server.close();
+  }
+  const text = readFileSync(file, "utf8");
+  assert.doesNotMatch(text, /abc123/);
+  assert.match(text, /access_token=\*\*\*/);
+});
+
+test("applies the user's redaction rules to recordings", async () => {
+  const rules = join(home.dir, "redact.json");
+  writeFileSync(rules, JSON.stringify({ queryParams: ["ticket"], regexes: ["ACCT-\\d{4}"] }));
+  const server = await new MockCdpServer().listen();
+  const file = join(home.dir, "rules.jsonl");
+  try {
+    const { code } = await runScript("nav.js", ["https://site.test/ACCT-1234?ticket=t-42"], {
+      LIGHTPANDA_CDP_URL: server.wsUrl,
+      CDP_RECORD: file,
+      LIGHTPANDA_REDACT_RULES: rules,
+    });
+    assert.equal(code, 0);
+
+    writeFileSync(rules, "{");
+    const invalid = await runScript("nav.js", ["https://site.test/"], {
+      LIGHTPANDA_CDP_URL: server.wsUrl,
+      CDP_RECORD: join(home.dir, "invalid.jsonl"),
+      LIGHTPANDA_REDACT_RULES: rules,
+    });
+    assert.equal(invalid.code, 1);
+    assert.match(invalid.stderr, /Invalid redaction rules .*redact\.json/);
+  } finally {
+    await server.close();
+  }
+  const text = readFileSync(file, "utf8");
+  assert.doesNotMatch(text, /ACCT-1234|t-42/);
+  assert.match(text, /site\.test\/\*\*\*\?ticket=\*\*\*/);
+});
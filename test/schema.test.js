@@ -0,0 +1,111 @@
+import assert from "node:assert/strict";
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+import { applySchema, loadSchema, SCHEMA_SCRIPT } from "../scripts/lib/schema.js";
+import { h, install, pageFunction } from "./fake-dom.js";
+import { makeHome, runScript } from "./helpers.js";
+import { MockCdpServer } from "./mock-cdp-server.js";
+
+let home;
+let server;
+before(async () => {
+  home = makeHome();
+  server = await new MockCdpServer().listen();
+});
+after(async () => {
+  await server.close();
+  home.cleanup();
+});
+
+function writeSchema(name, schema) {
+  const path = join(home.dir, name);
+  writeFileSync(path, JSON.stringify(schema));
+  return path;
+}
+
+const PRODUCT_SCHEMA = {
+  fields: {
+    title: { selector: "h1", required: true },
+    updated: { selector: "time", attr: "datetime", type: "date" },
+    tags: { selector: ".tag", all: true },
+    rating: ".rating",
+    products: {
+      selector: ".product",
+      items: {
+        name: { selector: ".name", required: true },
+        price: { selector: ".price", type: "number" },
+        href: { selector: "a", attr: "href", type: "url" },
+        sku: { attr: "data-sku", type: "integer" },
+      },
+    },
+  },
+};
+
+function product(name, price, href, sku) {
+  return h(
+    "div",
+    { class: "product", "data-sku": sku },
+    name == null ? "" : h("span", { class: "name" }, name),
+    h("span", { class: "price" }, price),
+    h("a", { href }, "View")
+  );
+}
+
+test("extracts, coerces and validates nested fields", () => {
+  const schema = loadSchema(writeSchema("products.json", PRODUCT_SCHEMA));
+  install(
+    h(
+      "body",
+      {},
+      h("h1", {}, "  Catalogue "),
+      h("time", { datetime: "2026-03-01T10:00:00Z" }, "March 1"),
+      h("span", { class: "tag" }, "new"),
+      h("span", { class: "tag" }, "sale"),
+      product("Lamp", "$1,299.50", "/p/lamp", "17"),
+      product(null, "12,5 €", "https://shop.test/p/mug", "n/a")
+    ),
+    "https://shop.test/catalogue"
+  );
+  const raw = pageFunction(SCHEMA_SCRIPT)(schema);
+  const { data, valid, errors, missing } = applySchema(schema, raw);
+
+  assert.equal(data.title, "Catalogue");
+  assert.equal(data.updated, "2026-03-01T10:00:00.000Z");
+  assert.deepEqual(data.tags, ["new", "sale"]);
+  assert.equal(data.rating, null);
+  assert.deepEqual(data.products[0], { name: "Lamp", price: 1299.5, href: "https://shop.test/p/lamp", sku: 17 });
+  assert.equal(data.products[1].price, 12.5);
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [
+    { field: "products[1].name", error: "selector '.name' matched nothing" },
+    { field: "products[1].sku", error: 'expected a number, got "n/a"' },
+  ]);
+  assert.deepEqual(missing, [{ field: "rating", error: "selector '.rating' matched nothing" }]);
+});
+
+test("rejects malformed schemas", () => {
+  assert.throws(() => loadSchema(join(home.dir, "nope.json")), /Schema file not found/);
+  assert.throws(() => loadSchema(writeSchema("empty.json", { title: "h1" })), /missing "fields" object/);
+  assert.throws(
+    () => loadSchema(writeSchema("type.json", { fields: { price: { selector: ".p", type: "money" } } })),
+    /field 'price' has unknown type 'money'/
+  );
+  assert.throws(() => loadSchema(writeSchema("sel.json", { fields: { price: { type: "number" } } })), /needs a selector/);
+});
+
+test("extract.js --schema prints the result and fails when invalid", async () => {
+  const path = writeSchema("page.json", { fields: { title: { selector: "h1", required: true }, price: { selector: ".price", type: "number" } } });
+  const env = { LIGHTPANDA_CDP_URL: server.wsUrl };
+
+  server.evaluate = () => ({ url: "https://shop.test/", data: { title: ["Shop"], price: ["9.99"] } });
+  const ok = await runScript("extract.js", ["--schema", path], env);
+  assert.equal(ok.code, 0, ok.stderr);
+  assert.deepEqual(JSON.parse(ok.stdout), { data: { title: "Shop", price: 9.99 }, valid: true });
+
+  server.evaluate = () => ({ url: "https://shop.test/", data: { title: [], price: [] } });
+  const bad = await runScript("extract.js", ["--schema", path], env);
+  assert.equal(bad.code, 1);
+  assert.equal(JSON.parse(bad.stdout).valid, false);
+  assert.match(bad.stderr, /Schema validation failed \(1\): title: selector 'h1' matched nothing/);
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { makeHome, runScript } from "./helpers.js";
+import { MockCdpServer } from "./mock-cdp-server.js";
+
+let server;
+let home;
+let env;
+
+before(async () => {
+  server = await new MockCdpServer().listen();
+  server.addTarget("https://docs.test/", "Docs");
+  server.addTarget("https://shop.test/", "Shop");
+  home = makeHome();
+  env = { LIGHTPANDA_CDP_URL: server.wsUrl, HOME: home.dir, LIGHTPANDA_NO_SESSION: "" };
+});
+after(async () => {
+  await runScript("session.js", ["stop"], env);
+  await server.close();
+  home.cleanup();
+});
+
+test("status reports no daemon before start", async () => {
+  const { code, stdout } = await runScript("session.js", ["status"], env);
+  assert.equal(code, 0);
+  assert.deepEqual(JSON.parse(stdout), { running: false });
+});
+
+test("commands share the daemon's connection and pinned page", async () => {
+  const started = await runScript("session.js", ["start", "--target", "docs"], env);
+  assert.equal(started.code, 0, started.stderr);
+  const info = JSON.parse(started.stdout);
+  assert.equal(info.running, true);
+  assert.equal(info.targetId, "T2");
+  const upgrades = server.upgrades.length;
+
+  server.evaluate = (expression, ctx) => (expression.includes("document.title") ? `title of ${ctx.targetId}` : undefined);
+  const first = await runScript("eval.js", ["document.title"], env);
+  assert.equal(first.code, 0, first.stderr);
+  assert.equal(first.stdout.trim(), "title of T2");
+
+  const nav = await runScript("nav.js", ["https://next.test/"], env);
+  assert.equal(nav.code, 0, nav.stderr);
+  assert.equal(JSON.parse(nav.stdout).targetId, "T2");
+
+  // No new browser connections: everything went over the daemon's socket.
+  assert.equal(server.upgrades.length, upgrades);
+
+  // Sessions attached by finished commands are detached again.
+  const attached = server.calls("Target.attachToTarget").length;
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(server.calls("Target.detachFromTarget").length, attached);
+
+  const bypass = await runScript("eval.js", ["document.title"], { ...env, LIGHTPANDA_NO_SESSION: "1" });
+  assert.equal(bypass.stdout.trim(), "title of T3");
+  assert.equal(server.upgrades.length, upgrades + 1);
+});
+
+test("stop shuts the daemon down", async () => {
+  const stopped = await runScript("session.js", ["stop"], env);
+  assert.equal(stopped.code, 0);
+  assert.equal(JSON.parse(stopped.stdout).stopped, true);
+  const { stdout } = await runScript("session.js", ["status"], env);
+  assert.equal(JSON.parse(stdout).running, false);
+});
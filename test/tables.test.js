@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { TABLES_SCRIPT, tableToCsv } from "../scripts/lib/tables.js";
+import { h, install, pageFunction } from "./fake-dom.js";
+
+const extractTables = pageFunction(TABLES_SCRIPT);
+
+test("resolves thead headers, rowspan/colspan and the caption", () => {
+  install(
+    h(
+      "body",
+      {},
+      h(
+        "table",
+        { id: "prices" },
+        h("caption", {}, "Prices"),
+        h(
+          "thead",
+          {},
+          h("tr", {}, h("th", { rowspan: "2" }, "Plan"), h("th", { colspan: "2" }, "Price")),
+          h("tr", {}, h("th", {}, "Monthly"), h("th", {}, "Yearly"))
+        ),
+        h(
+          "tbody",
+          {},
+          h("tr", {}, h("td", {}, "Basic"), h("td", { rowspan: "2" }, "$5"), h("td", {}, "$50")),
+          h("tr", {}, h("td", {}, "Team"), h("td", {}, "$90")),
+          h("tr", {}, h("td", { colspan: "3" }, "Contact us"))
+        )
+      )
+    )
+  );
+  const { tables, skippedFrames } = extractTables({ selector: null, maxRows: 500 });
+  assert.equal(skippedFrames, undefined);
+  assert.deepEqual(tables, [
+    {
+      index: 0,
+      caption: "Prices",
+      id: "prices",
+      headers: ["Plan", "Price / Monthly", "Price / Yearly"],
+      rows: [
+        { Plan: "Basic", "Price / Monthly": "$5", "Price / Yearly": "$50" },
+        { Plan: "Team", "Price / Monthly": "$5", "Price / Yearly": "$90" },
+        { Plan: "Contact us", "Price / Monthly": "Contact us", "Price / Yearly": "Contact us" },
+      ],
+      rowCount: 3,
+    },
+  ]);
+});
+
+test("names missing and duplicate headers, truncates rows and reads same-origin iframes", () => {
+  const inner = h("body", {}, h("table", {}, h("tr", {}, h("th", {}, "k")), h("tr", {}, h("td", {}, "v"))));
+  const sameOrigin = h("iframe", { src: "/frame" });
+  sameOrigin.contentDocument = { documentElement: h("html", {}, inner), querySelectorAll: (s) => inner.querySelectorAll(s) };
+  const crossOrigin = h("iframe", { src: "https://other.test/" });
+  crossOrigin.contentDocument = null;
+  install(
+    h(
+      "body",
+      {},
+      h(
+        "table",
+        {},
+        h("tr", {}, h("th", {}, "A"), h("th", {}, "A"), h("th", {})),
+        h("tr", {}, h("td", {}, "1"), h("td", {}, "2"), h("td", {}, "3")),
+        h("tr", {}, h("td", {}, "4"), h("td", {}, "5"), h("td", {}, "6"))
+      ),
+      sameOrigin,
+      crossOrigin
+    )
+  );
+  const { tables, skippedFrames } = extractTables({ selector: null, maxRows: 1 });
+  assert.deepEqual(tables[0].headers, ["A", "A_2", "column3"]);
+  assert.deepEqual(tables[0].rows, [{ A: "1", A_2: "2", column3: "3" }]);
+  assert.equal(tables[0].rowCount, 2);
+  assert.equal(tables[0].truncated, true);
+  assert.equal(tables[1].frame, "https://site.test/frame");
+  assert.deepEqual(tables[1].rows, [{ k: "v" }]);
+  assert.equal(skippedFrames, 1);
+});
+
+test("--selector limits extraction to matching tables or their descendants", () => {
+  const table = (id) => h("table", { id }, h("tr", {}, h("td", {}, id)));
+  install(h("body", {}, table("one"), h("section", { class: "data" }, table("two"))));
+  const { tables } = extractTables({ selector: ".data", maxRows: 500 });
+  assert.deepEqual(
+    tables.map((t) => [t.id, t.headers, t.rows]),
+    [["two", ["column1"], [{ column1: "two" }]]]
+  );
+});
+
+test("tableToCsv quotes fields with commas, quotes and newlines", () => {
+  const csv = tableToCsv({ headers: ["a", "b,c"], rows: [{ a: 'x "y"', "b,c": "line\nbreak" }, { a: "plain" }] });
+  assert.equal(csv, 'a,"b,c"\r\n"x ""y""","line\nbreak"\r\nplain,');
+});
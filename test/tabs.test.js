@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { after, beforeEach, test } from "node:test";
+import { runScript } from "./helpers.js";
+import { MockCdpServer } from "./mock-cdp-server.js";
+
+let server;
+let env;
+beforeEach(async () => {
+  await server?.close();
+  server = await new MockCdpServer().listen();
+  server.addTarget("https://docs.test/", "Docs");
+  server.addTarget("https://shop.test/", "Shop");
+  env = { LIGHTPANDA_CDP_URL: server.wsUrl };
+});
+after(() => server.close());
+
+test("list prints targets with the current one flagged", async () => {
+  const { code, stdout } = await runScript("tabs.js", ["list"], env);
+  assert.equal(code, 0);
+  const tabs = JSON.parse(stdout);
+  assert.deepEqual(
+    tabs.map((t) => [t.index, t.url, t.current]),
+    [
+      [0, "about:blank", false],
+      [1, "https://docs.test/", false],
+      [2, "https://shop.test/", true],
+    ]
+  );
+  assert.equal(tabs[1].title, "Docs");
+  assert.equal(typeof tabs[0].attached, "boolean");
+});
+
+test("close all-but-current keeps the --target tab", async () => {
+  const { code, stdout } = await runScript("tabs.js", ["close", "all-but-current", "--target", "docs"], env);
+  assert.equal(code, 0);
+  assert.equal(JSON.parse(stdout).closed.length, 2);
+  assert.deepEqual(
+    server.targets.map((t) => t.url),
+    ["https://docs.test/"]
+  );
+});
+
+test("new, activate and close by id", async () => {
+  const created = JSON.parse((await runScript("tabs.js", ["new", "https://new.test/"], env)).stdout);
+  assert.equal(created.url, "https://new.test/");
+
+  const activated = await runScript("tabs.js", ["activate", created.id], env);
+  assert.equal(JSON.parse(activated.stdout).activated, created.id);
+  assert.equal(server.calls("Target.activateTarget").at(-1).params.targetId, created.id);
+
+  const closed = await runScript("tabs.js", ["close", created.id], env);
+  assert.deepEqual(JSON.parse(closed.stdout).closed, [created.id]);
+});
+
+test("errors on unknown targets", async () => {
+  const { code, stderr } = await runScript("tabs.js", ["activate", "nowhere.test"], env);
+  assert.equal(code, 1);
+  assert.match(stderr, /No page matches 'nowhere\.test'/);
+});
@@ -0,0 +1,369 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { afterEach, beforeEach, test } from "node:test";
+import { logFiles, readLogFile } from "../scripts/lib/logstore.js";
+import { makeHome, runScript, startScript } from "./helpers.js";
+import { MockCdpServer } from "./mock-cdp-server.js";
+
+let server;
+let home;
+let watcher;
+
+function logFile(targetId) {
+  const now = new Date();
+  const day = [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, "0"),
+    String(now.getDate()).padStart(2, "0"),
+  ].join("-");
+  return join(home.dir, ".cache/agent-web/logs", day, `${targetId}.jsonl`);
+}
+
+async function readRecords(targetId, predicate, timeout = 3000) {
+  const started = Date.now();
+  while (true) {
+    const file = logFile(targetId);
+    const records = existsSync(file)
+      ? readFileSync(file, "utf8").split("\n").filter(Boolean).map((l) => JSON.parse(l))
+      : [];
+    if (records.some(predicate) || Date.now() - started > timeout) return records;
+    await new Promise((r) => setTimeout(r, 25));
+  }
+}
+
+beforeEach(async () => {
+  server = await new MockCdpServer().listen();
+  home = makeHome();
+});
+
+afterEach(async () => {
+  if (watcher && watcher.exitCode === null) {
+    watcher.kill("SIGKILL");
+    await watcher.exited;
+  }
+  // A background watcher a test left behind.
+  const pidFile = join(home.dir, ".cache/agent-web/logs/.pid");
+  if (existsSync(pidFile)) {
+    try {
+      process.kill(Number(readFileSync(pidFile, "utf8")), "SIGKILL");
+    } catch {}
+  }
+  await server.close();
+  home.cleanup();
+});
+
+function startWatch(env = {}, args = []) {
+  watcher = startScript("watch.js", ["--foreground", ...args], {
+    HOME: home.dir,
+    LIGHTPANDA_CDP_URL: server.wsUrl,
+    ...env,
+  });
+  return watcher.waitForOutput(/✓ watch started/);
+}
+
+test("attaches to pages and logs console, network and exceptions", async () => {
+  await startWatch();
+  const sessionId = "S1";
+  assert.deepEqual(
+    server.calls("Target.setDiscoverTargets").map((m) => m.params),
+    [{ discover: true }]
+  );
+
+  server.emit("Runtime.consoleAPICalled", { type: "log", args: [{ type: "string", value: "hi" }] }, sessionId);
+  server.emit(
+    "Network.requestWillBeSent",
+    { requestId: "r1", request: { method: "GET", url: "https://site.test/api" } },
+    sessionId
+  );
+  server.emit("Network.responseReceived", { requestId: "r1", response: { status: 503 } }, sessionId);
+  server.emit("Runtime.exceptionThrown", { exceptionDetails: { text: "Uncaught" } }, sessionId);
+
+  const records = await readRecords("T1", (r) => r.type === "exception");
+  const types = records.map((r) => r.type);
+  assert.deepEqual(types, ["target.attached", "console", "network.request", "network.response", "exception"]);
+  assert.equal(records[1].args[0].value, "hi");
+  assert.equal(records[3].status, 503);
+});
+
+test("records headers, redirects, timings and sizes for HAR export", async () => {
+  await startWatch();
+  const timing = { requestTime: 10, sendStart: 1, sendEnd: 2, receiveHeadersEnd: 30 };
+  server.emit(
+    "Network.requestWillBeSent",
+    { requestId: "r1", type: "Document", timestamp: 9.9, wallTime: 1714557600, request: { method: "GET", url: "http://site.test/", headers: { Accept: "*/*" } } },
+    "S1"
+  );
+  server.emit(
+    "Network.requestWillBeSent",
+    {
+      requestId: "r1",
+      timestamp: 10,
+      request: { method: "GET", url: "https://site.test/", headers: {} },
+      redirectResponse: { status: 301, headers: { Location: "https://site.test/" }, protocol: "http/1.1" },
+    },
+    "S1"
+  );
+  server.emit(
+    "Network.responseReceived",
+    { requestId: "r1", timestamp: 10.03, response: { url: "https://site.test/", status: 200, headers: { Server: "x" }, protocol: "h2", timing } },
+    "S1"
+  );
+  server.emit("Network.loadingFinished", { requestId: "r1", encodedDataLength: 2048, timestamp: 10.05 }, "S1");
+
+  const records = await readRecords("T1", (r) => r.type === "network.finished");
+  const [first, second] = records.filter((r) => r.type === "network.request");
+  assert.deepEqual(first.headers, { Accept: "*/*" });
+  assert.equal(first.resourceType, "Document");
+  assert.equal(first.wallTime, 1714557600);
+  assert.equal(second.redirectResponse.status, 301);
+  const response = records.find((r) => r.type === "network.response");
+  assert.deepEqual(response.timing, timing);
+  assert.equal(response.protocol, "h2");
+  const finished = records.find((r) => r.type === "network.finished");
+  assert.equal(finished.encodedDataLength, 2048);
+  assert.equal(finished.timestamp, 10.05);
+
+  const har = await runScript("har.js", ["--file", logFile("T1")], { HOME: home.dir });
+  assert.equal(har.code, 0, har.stderr);
+  const entries = JSON.parse(har.stdout).log.entries;
+  assert.deepEqual(entries.map((e) => [e.request.url, e.response.status]), [
+    ["http://site.test/", 301],
+    ["https://site.test/", 200],
+  ]);
+  assert.equal(entries[1].response.bodySize, 2048);
+  assert.equal(entries[1].timings.receive, 20);
+});
+
+test("redacts records and text bodies unless --no-redact is given", async () => {
+  const rules = join(home.dir, "redact.json");
+  writeFileSync(rules, JSON.stringify({ queryParams: ["ticket"] }));
+  server.handle("Network.getResponseBody", () => ({ body: '{"email":"jane@example.com","access_token":"abc"}', base64Encoded: false }));
+  const emit = (sessionId) => {
+    server.emit("Runtime.consoleAPICalled", { type: "log", args: [{ type: "string", value: "user jane@example.com" }] }, sessionId);
+    server.emit(
+      "Network.requestWillBeSent",
+      {
+        requestId: "r1",
+        request: { method: "GET", url: "https://api.site.test/me?ticket=t1&page=2", headers: { Authorization: "Bearer abcdefghij", Cookie: "sid=s1" } },
+      },
+      sessionId
+    );
+    server.emit("Network.responseReceived", { requestId: "r1", response: { url: "https://api.site.test/me", status: 200, mimeType: "application/json" } }, sessionId);
+    server.emit("Network.loadingFinished", { requestId: "r1", encodedDataLength: 10 }, sessionId);
+  };
+
+  await startWatch({ LIGHTPANDA_REDACT_RULES: rules }, ["--bodies"]);
+  emit("S1");
+  let records = await readRecords("T1", (r) => r.type === "network.body");
+  assert.equal(records.find((r) => r.type === "console").args[0].value, "user ***");
+  const request = records.find((r) => r.type === "network.request");
+  assert.equal(request.url, "https://api.site.test/me?ticket=***&page=2");
+  assert.deepEqual(request.headers, { Authorization: "***", Cookie: "sid=***" });
+  const body = records.find((r) => r.type === "network.body");
+  assert.equal(readFileSync(body.file, "utf8"), '{"email":"***","access_token":"***"}');
+  const status = await runScript("watch.js", ["status"], { HOME: home.dir });
+  assert.equal(JSON.parse(status.stdout).redact, true);
+
+  watcher.kill("SIGTERM");
+  await watcher.exited;
+  rmSync(logFile("T1"));
+  await startWatch({ LIGHTPANDA_REDACT_RULES: rules }, ["--bodies", "--no-redact"]);
+  emit(`S${server.nextSession}`);
+  records = await readRecords("T1", (r) => r.type === "network.body");
+  assert.equal(records.find((r) => r.type === "network.request").url, "https://api.site.test/me?ticket=t1&page=2");
+  assert.match(readFileSync(records.find((r) => r.type === "network.body").file, "utf8"), /jane@example\.com/);
+});
+
+test("rotates large log files and prunes expired days at start", async () => {
+  const expired = join(home.dir, ".cache/agent-web/logs/2001-01-01");
+  mkdirSync(expired, { recursive: true });
+  writeFileSync(join(expired, "T0.jsonl"), "{}\n");
+  await startWatch({}, ["--max-file-size", "400", "--max-days", "3"]);
+  assert.ok(!existsSync(expired));
+  assert.match(watcher.stdoutText, /watch: pruned 1 file\(s\), 3 bytes/);
+
+  for (let i = 0; i < 6; i++) {
+    server.emit("Log.entryAdded", { entry: { level: "info", text: `entry ${i} ${"x".repeat(100)}` } }, "S1");
+  }
+  const dir = join(logFile("T1"), "..");
+  const logTexts = () =>
+    logFiles(dir)
+      .flatMap((file) => readLogFile(file).split("\n").filter(Boolean))
+      .map((line) => JSON.parse(line))
+      .filter((r) => r.type === "log")
+      .map((r) => r.text.split(" ")[1]);
+  const started = Date.now();
+  while (!(existsSync(join(dir, "T1.1.jsonl.gz")) && logTexts().length === 6) && Date.now() - started < 3000) {
+    await new Promise((r) => setTimeout(r, 25));
+  }
+  const status = JSON.parse((await runScript("watch.js", ["status"], { HOME: home.dir })).stdout);
+  assert.deepEqual(status.limits, { maxFileBytes: 400, maxDays: 3, maxTotalBytes: 1024 ** 3 });
+  assert.equal(status.lastPrune.removedFiles, 1);
+
+  watcher.kill("SIGTERM");
+  await watcher.exited;
+  assert.deepEqual(logTexts(), ["0", "1", "2", "3", "4", "5"]);
+  const tail = await runScript("logs-tail.js", ["--file", join(dir, "T1.1.jsonl.gz")], { HOME: home.dir });
+  assert.match(tail.stdout, /"type":"target.attached"/);
+  const summary = await runScript("net-summary.js", ["--file", join(dir, "T1.1.jsonl.gz")], { HOME: home.dir });
+  assert.equal(summary.code, 0, summary.stderr);
+});
+
+test("--bodies saves POST data and matching response bodies as sidecar files", async () => {
+  server.handle("Network.getRequestPostData", () => ({ postData: "q=shoes" }));
+  server.handle("Network.getResponseBody", ({ requestId }) =>
+    requestId === "img"
+      ? { body: Buffer.from([0x89, 0x50, 0x4e, 0x47]).toString("base64"), base64Encoded: true }
+      : { body: JSON.stringify({ error: "quota exceeded" }), base64Encoded: false }
+  );
+  await startWatch({}, ["--bodies", "--bodies-url", "api\\.", "--bodies-mime", "json,image/", "--bodies-max-bytes", "10"]);
+  const request = (requestId, url, extra = {}) => ({ requestId, request: { method: "POST", url, ...extra } });
+  const respond = (requestId, url, mimeType) => {
+    server.emit("Network.responseReceived", { requestId, response: { url, status: 429, mimeType } }, "S1");
+    server.emit("Network.loadingFinished", { requestId, encodedDataLength: 30 }, "S1");
+  };
+
+  server.emit("Network.requestWillBeSent", request("r1", "https://api.site.test/search", { hasPostData: true }), "S1");
+  server.emit(
+    "Network.requestWillBeSent",
+    request("r2", "https://api.site.test/form", { postData: "a=1", headers: { "Content-Type": "application/json" } }),
+    "S1"
+  );
+  respond("r1", "https://api.site.test/search", "application/json");
+  respond("img", "https://api.site.test/pixel", "image/png");
+  respond("css", "https://api.site.test/site.css", "text/css");
+  respond("other", "https://cdn.site.test/data.json", "application/json");
+
+  const records = await readRecords("T1", (r) => r.type === "network.body" && r.requestId === "img");
+  const bodies = records.filter((r) => r.type === "network.body");
+  assert.deepEqual(
+    bodies.map((r) => [r.requestId, r.kind]).sort(),
+    [["img", "response"], ["r1", "request"], ["r1", "response"], ["r2", "request"]]
+  );
+  const byKey = Object.fromEntries(bodies.map((r) => [`${r.requestId}-${r.kind}`, r]));
+  assert.equal(readFileSync(byKey["r1-request"].file, "utf8"), "q=shoes");
+  assert.ok(byKey["r2-request"].file.endsWith("r2-request.json"));
+  assert.equal(readFileSync(byKey["r2-request"].file, "utf8"), "a=1");
+
+  const response = byKey["r1-response"];
+  assert.ok(response.file.endsWith(join("bodies", "T1", "r1-response.json")));
+  assert.equal(response.bytes, 26);
+  assert.equal(response.truncated, true);
+  assert.equal(readFileSync(response.file, "utf8"), '{"error":"');
+
+  const image = byKey["img-response"];
+  assert.equal(image.binary, true);
+  assert.deepEqual([...readFileSync(image.file)], [0x89, 0x50, 0x4e, 0x47]);
+  assert.ok(image.file.endsWith(".bin"));
+});
+
+test("attaches to targets created later", async () => {
+  await startWatch();
+  server.emit("Target.targetCreated", {
+    targetInfo: server.addTarget("https://later.test/"),
+  });
+  const records = await readRecords("T2", (r) => r.type === "target.attached");
+  assert.equal(records[0]?.url, "https://later.test/");
+});
+
+test("--foreground reports status and stops cleanly on SIGTERM", async () => {
+  await startWatch();
+  server.emit("Runtime.consoleAPICalled", { type: "log", args: [{ type: "string", value: "hi" }] }, "S1");
+  await readRecords("T1", (r) => r.type === "console");
+
+  let status;
+  const deadline = Date.now() + 3000;
+  do {
+    await new Promise((r) => setTimeout(r, 100));
+    status = JSON.parse((await runScript("watch.js", ["status"], { HOME: home.dir })).stdout);
+  } while (status.targets?.[0]?.bytesWritten !== readFileSync(logFile("T1")).length && Date.now() < deadline);
+  assert.equal(status.running, true);
+  assert.equal(status.pid, watcher.pid);
+  assert.equal(status.connected, true);
+  assert.equal(status.targets[0].targetId, "T1");
+  assert.equal(status.bytesWritten, readFileSync(logFile("T1")).length);
+  assert.ok(status.lastEventAt);
+  assert.ok(status.uptimeSec >= 0);
+
+  watcher.kill("SIGTERM");
+  assert.equal(await watcher.exited, 0);
+  assert.match(watcher.stderrText, /watch: stopping \(SIGTERM\)/);
+  assert.ok(!existsSync(join(home.dir, ".cache/agent-web/logs/.pid")));
+  assert.ok(!existsSync(join(home.dir, ".cache/agent-web/logs/.status.json")));
+});
+
+test("start runs in the background until stop", async () => {
+  const env = { HOME: home.dir, LIGHTPANDA_CDP_URL: `${server.wsUrl}?token=secret` };
+  const started = await runScript("watch.js", ["start"], env);
+  assert.equal(started.code, 0, started.stderr);
+  const pid = Number(/pid (\d+)/.exec(started.stdout)[1]);
+
+  const status = JSON.parse((await runScript("watch.js", ["status"], env)).stdout);
+  assert.equal(status.pid, pid);
+  assert.deepEqual(status.targets.map((t) => t.targetId), ["T1"]);
+  assert.ok(!JSON.stringify(status.endpoint).includes("secret"));
+
+  const stopped = await runScript("watch.js", ["stop"], env);
+  assert.deepEqual(JSON.parse(stopped.stdout), { stopped: true, pid });
+  assert.deepEqual(JSON.parse((await runScript("watch.js", ["status"], env)).stdout), { running: false });
+  const records = await readRecords("T1", () => true);
+  assert.equal(records[0].type, "target.attached");
+});
+
+test("stop cleans up a stale PID file", async () => {
+  const dead = spawnSync(process.execPath, ["-e", ""]).pid;
+  mkdirSync(join(home.dir, ".cache/agent-web/logs"), { recursive: true });
+  writeFileSync(join(home.dir, ".cache/agent-web/logs/.pid"), String(dead));
+  const env = { HOME: home.dir };
+  assert.deepEqual(JSON.parse((await runScript("watch.js", ["status"], env)).stdout), { running: false, stalePid: dead });
+  const { stdout } = await runScript("watch.js", ["stop"], env);
+  assert.deepEqual(JSON.parse(stdout), { stopped: false, running: false, removedStalePid: dead });
+  assert.ok(!existsSync(join(home.dir, ".cache/agent-web/logs/.pid")));
+});
+
+test("refuses to start twice", async () => {
+  await startWatch();
+  const second = await runScript("watch.js", ["--foreground"], { HOME: home.dir, LIGHTPANDA_CDP_URL: server.wsUrl });
+  assert.equal(second.code, 0);
+  assert.match(second.stdout, /watch already running/);
+});
+
+test("re-attaches after the socket drops", async () => {
+  await startWatch({ CDP_RECONNECT_RETRIES: "5" });
+  server.dropConnections();
+  await watcher.waitForOutput(/watch: reconnected/);
+
+  assert.equal(server.calls("Target.setDiscoverTargets").length, 2);
+  const newSession = `S${server.nextSession}`;
+  server.emit("Log.entryAdded", { entry: { level: "error", text: "after reconnect" } }, newSession);
+  const records = await readRecords("T1", (r) => r.type === "log");
+  assert.ok(records.some((r) => r.type === "target.reattached"));
+  assert.equal(records.at(-1).text, "after reconnect");
+});
+
+test("closes the socket of a reconnect attempt that fails to restore state", async () => {
+  await startWatch({ CDP_RECONNECT_RETRIES: "5" });
+  const discover = server.defaultHandler("Target.setDiscoverTargets");
+  let failures = 0;
+  server.handle("Target.setDiscoverTargets", (params, ctx) => {
+    if (failures++ === 0) throw new Error("Target domain busy");
+    return discover(params, ctx);
+  });
+  server.dropConnections();
+  await watcher.waitForOutput(/watch: reconnected \(attempt 2\)/);
+
+  const started = Date.now();
+  while (server.clients.size > 1 && Date.now() - started < 2000) await new Promise((r) => setTimeout(r, 20));
+  assert.equal(server.clients.size, 1);
+});
+
+test("exits when reconnecting keeps failing", async () => {
+  await startWatch({ CDP_RECONNECT_RETRIES: "1" });
+  await server.close();
+  server.dropConnections();
+  const code = await watcher.exited;
+  assert.equal(code, 1);
+  assert.match(watcher.stderrText, /reconnect failed after 1 attempts/);
+});